@@ -14,15 +14,22 @@ const subtitles = require('./main/subtitles');
 const castManager = require('./main/cast-manager');
 const storeManager = require('./main/store-manager');
 const networkUtils = require('./main/network-utils');
+const protocolHandler = require('./main/protocol-handler');
 const { DATA_ROOT } = require('./main/paths');
+const I18n = require('./shared/i18n');
 
 const streamingIPC = require('./main/ipc/streaming-ipc');
 const castIPC = require('./main/ipc/cast-ipc');
 const downloadIPC = require('./main/ipc/download-ipc');
 const storeIPC = require('./main/ipc/store-ipc');
+const catalogIPC = require('./main/ipc/catalog-ipc');
+const settingsIPC = require('./main/ipc/settings-ipc');
 
 let mainWindow = null;
 
+// magnet: links and .torrent files opened from the OS; a second instance hands them over and quits
+const hasInstanceLock = protocolHandler.init();
+
 function createWindow() {
     const isDev = process.env.NODE_ENV === 'development';
 
@@ -30,7 +37,9 @@ function createWindow() {
         width: 1000, height: 700, frame: false, transparent: true,
         webPreferences: {
             preload: path.join(__dirname, 'preload.js'),
-            contextIsolation: true, nodeIntegration: false, sandbox: true
+            contextIsolation: true, nodeIntegration: false, sandbox: true,
+            // HTMLMediaElement.audioTracks (dual-audio releases) is still behind a flag
+            enableBlinkFeatures: 'AudioVideoTracks'
         }
     });
 
@@ -47,7 +56,8 @@ function createWindow() {
 
     win.webContents.session.webRequest.onHeadersReceived((details, callback) => {
         const localIp = networkUtils.getLocalIP();
-        const streamPort = process.env.STREAM_PORT || 62182;
+        // Read per response so edits in the Settings view apply without a restart
+        const { streamPort, movieApiUrl, subtitlesApiUrl } = storeManager.getSettings();
         callback({
             responseHeaders: {
                 ...details.responseHeaders,
@@ -55,10 +65,10 @@ function createWindow() {
                     `default-src 'self'; ` +
                     `script-src 'self'; ` +
                     `style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; ` +
-                    `img-src 'self' static: data: blob: https:; ` +
+                    `img-src 'self' static: data: blob: https: file:; ` +
                     `font-src 'self' https://fonts.googleapis.com https://fonts.gstatic.com; ` +
                     `media-src 'self' blob: http://localhost:* http://127.0.0.1:* http://localhost:${streamPort} http://${localIp}:*; ` +
-                    `connect-src 'self' ${process.env.MOVIE_API_URL || ''} https://yts.mx https://yts.bz ${process.env.SUBTITLES_API_URL || 'https://yifysubtitles.ch'} https://api.themoviedb.org http://localhost:* http://127.0.0.1:* http://${localIp}:* ws://localhost:* ws://127.0.0.1:*`
+                    `connect-src 'self' ${movieApiUrl} https://yts.mx https://yts.bz ${subtitlesApiUrl || 'https://yifysubtitles.ch'} https://api.themoviedb.org http://localhost:* http://127.0.0.1:* http://${localIp}:* ws://localhost:* ws://127.0.0.1:*`
                 ]
             }
         });
@@ -76,14 +86,21 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+    if (!hasInstanceLock) return;
+
     console.log('[Main] Data root:', DATA_ROOT);
     storeManager.init();
+    // Errors sent to the renderer are translated here, so both sides share the UI language
+    I18n.setLocale(storeManager.getUiLanguage() || app.getLocale());
     mainWindow = createWindow();
+    protocolHandler.attachWindow(() => mainWindow);
 
     streamingIPC.register();
     castIPC.register();
     downloadIPC.register(() => mainWindow);
     storeIPC.register();
+    catalogIPC.register();
+    settingsIPC.register();
 
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) mainWindow = createWindow();
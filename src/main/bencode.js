@@ -0,0 +1,88 @@
+/**
+ * Bencode Decoder
+ * Minimal decoder for reading stored .torrent metadata (piece hashes, file layout)
+ * Byte strings are returned as Buffers; use .toString() for text values
+ */
+
+const INTEGER_PATTERN = /^(?:0|-?[1-9]\d*)$/;
+const LENGTH_PATTERN = /^\d+$/;
+
+function isDigit(ch) {
+    return ch >= 0x30 && ch <= 0x39; // '0'-'9'
+}
+
+/**
+ * Dictionaries have no prototype, so a "__proto__" key is just a key
+ * @param {Buffer} buffer - Bencoded data
+ * @returns {*} Decoded value (Object, Array, number or Buffer)
+ * @throws {Error} On truncated or malformed data
+ */
+function decode(buffer) {
+    let pos = 0;
+
+    function fail(message) {
+        throw new Error(`Bencode: ${message} at ${pos}`);
+    }
+
+    function peek() {
+        if (pos >= buffer.length) fail('truncated data');
+        return buffer[pos];
+    }
+
+    // Index of the delimiter that ends the current token
+    function find(delimiter) {
+        const index = buffer.indexOf(delimiter, pos);
+        if (index === -1) fail('truncated data');
+        return index;
+    }
+
+    function next() {
+        const ch = peek();
+
+        if (ch === 0x69) { // 'i' integer
+            const end = find(0x65); // 'e'
+            const text = buffer.toString('ascii', pos + 1, end);
+            const value = Number(text);
+            if (!INTEGER_PATTERN.test(text) || !Number.isSafeInteger(value)) fail(`invalid integer "${text}"`);
+            pos = end + 1;
+            return value;
+        }
+
+        if (ch === 0x6c) { // 'l' list
+            pos++;
+            const list = [];
+            while (peek() !== 0x65) list.push(next());
+            pos++;
+            return list;
+        }
+
+        if (ch === 0x64) { // 'd' dictionary
+            pos++;
+            const dict = Object.create(null);
+            while (peek() !== 0x65) {
+                if (!isDigit(peek())) fail('dictionary key is not a string');
+                const key = next().toString();
+                dict[key] = next();
+            }
+            pos++;
+            return dict;
+        }
+
+        if (isDigit(ch)) { // byte string
+            const colon = find(0x3a); // ':'
+            const text = buffer.toString('ascii', pos, colon);
+            if (!LENGTH_PATTERN.test(text)) fail(`invalid string length "${text}"`);
+            const start = colon + 1;
+            const end = start + Number(text);
+            if (end > buffer.length) fail('string out of range');
+            pos = end;
+            return buffer.subarray(start, end);
+        }
+
+        fail('unexpected byte');
+    }
+
+    return next();
+}
+
+module.exports = { decode };
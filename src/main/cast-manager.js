@@ -1,5 +1,7 @@
 const ChromecastProvider = require('./cast/ChromecastProvider');
 const DlnaProvider = require('./cast/DlnaProvider');
+const storeManager = require('./store-manager');
+const I18n = require('../shared/i18n');
 
 let discoveryCallback = null;
 let isDiscovering = false;
@@ -34,6 +36,7 @@ function startDiscovery(onDeviceFound, localIp) {
         }
     }, (err) => console.error('[CastManager] Chromecast error:', err));
 
+    if (!storeManager.getSettings().castDiscoverDlna) return;
     DlnaProvider.startDiscovery((device) => {
         if (discoveryCallback) {
             discoveryCallback({
@@ -76,16 +79,47 @@ async function playOnDevice(deviceName, mediaInfo) {
         deviceType = 'dlna';
     }
 
-    if (!deviceWrapper) throw new Error(`Device not found: ${deviceName} (ID: ${deviceId})`);
+    if (!deviceWrapper) throw new Error(I18n.t('cast.deviceNotFound', { device: deviceName }));
 
     activeDevice = deviceWrapper.originalDevice;
     activeDeviceType = deviceType;
 
-    if (deviceType === 'chromecast') await ChromecastProvider.play(activeDevice, mediaInfo);
-    else await DlnaProvider.play(activeDevice, mediaInfo);
+    const result = deviceType === 'chromecast'
+        ? await ChromecastProvider.play(activeDevice, mediaInfo)
+        : await DlnaProvider.play(activeDevice, mediaInfo);
 
     startStatusPolling();
-    return { device: deviceName, type: deviceType };
+    return { device: deviceName, type: deviceType, audioApplied: audioResult(mediaInfo, result) };
+}
+
+// DLNA renderers play the file's default audio track
+function audioResult(mediaInfo, result) {
+    if (!mediaInfo.audioTrack) return null;
+    return activeDeviceType === 'chromecast' ? result?.audioApplied !== false : false;
+}
+
+/**
+ * Load new media on the device that is already casting (e.g. next episode)
+ * @param {Object} mediaInfo - Same shape as playOnDevice
+ * @returns {Promise<{audioApplied: boolean|null}>} False when the chosen audio track couldn't be set
+ */
+async function loadOnActiveDevice(mediaInfo) {
+    if (!activeDevice) throw new Error(I18n.t('cast.noActiveDevice'));
+    const provider = activeDeviceType === 'chromecast' ? ChromecastProvider : DlnaProvider;
+    const result = await provider.play(activeDevice, mediaInfo);
+    startStatusPolling();
+    return { audioApplied: audioResult(mediaInfo, result) };
+}
+
+/**
+ * Switch audio and subtitle tracks of the media already playing, without reloading it
+ * @param {Object} mediaInfo - Same shape as playOnDevice
+ * @returns {Promise<boolean>} False when the device can't switch to the chosen audio track
+ */
+async function setActiveTracks(mediaInfo) {
+    if (!activeDevice) throw new Error(I18n.t('cast.noActiveDevice'));
+    if (activeDeviceType !== 'chromecast') return !mediaInfo.audioTrack;
+    return ChromecastProvider.applyTracks(activeDevice, mediaInfo);
 }
 
 function dispatchToProvider(method, ...args) {
@@ -143,7 +177,7 @@ async function cleanup() {
 }
 
 module.exports = {
-    startDiscovery, stopDiscovery, getDiscoveredDevices, playOnDevice,
+    startDiscovery, stopDiscovery, getDiscoveredDevices, playOnDevice, loadOnActiveDevice, setActiveTracks,
     pause, resume, stopCasting, seek, setVolume, getActiveDevice,
     isCasting, cleanup, onStatusUpdate
 };
@@ -1,7 +1,11 @@
 const chromecasts = require('chromecasts');
+const Languages = require('../../shared/languages');
+const I18n = require('../../shared/i18n');
 
 const POLLING_INTERVAL_MS = 5000;
 const DEVICE_TTL_MS = 60000;
+const SUBTITLE_TRACK_ID = 1;
+const EDGE_TYPES = { none: 'NONE', outline: 'OUTLINE', dropShadow: 'DROP_SHADOW', raised: 'RAISED', depressed: 'DEPRESSED' };
 
 let browser = null;
 let initialized = false;
@@ -120,33 +124,121 @@ function getDevice(identifier) {
     };
 }
 
+/**
+ * Subtitle style setting -> Cast TextTrackStyle (colors are #RRGGBBAA)
+ * The receiver has no vertical offset, so `position` only applies to the local player
+ */
+function toTextTrackStyle(style) {
+    const alpha = Math.round(Math.min(1, Math.max(0, style.backgroundOpacity ?? 0.7)) * 255);
+    return {
+        fontScale: (style.fontSize || 100) / 100,
+        fontGenericFamily: 'SANS_SERIF',
+        foregroundColor: `${(style.color || '#ffffff').toUpperCase()}FF`,
+        backgroundColor: `#000000${alpha.toString(16).padStart(2, '0').toUpperCase()}`,
+        edgeType: EDGE_TYPES[style.edgeStyle] || 'NONE',
+        edgeColor: '#000000FF',
+        windowType: 'NONE'
+    };
+}
+
+// Tracks the receiver found in the loaded media (the file's audio tracks plus our subtitle)
+function getMediaTracks(device) {
+    return new Promise(resolve => {
+        if (typeof device.status !== 'function') return resolve([]);
+        device.status((err, status) => resolve(err ? [] : status?.media?.tracks || []));
+    });
+}
+
+/**
+ * Receiver audio track for a probed one: same position when the languages agree,
+ * otherwise the first one in the same language
+ * @param {Array} tracks - Receiver media tracks
+ * @param {Object} audioTrack - { index, language }
+ */
+function findAudioTrack(tracks, audioTrack) {
+    const audio = tracks.filter(t => t.type === 'AUDIO');
+    const language = Languages.normalizeCode(audioTrack.language);
+    const sameLanguage = (track) => !language || Languages.matches(track.language, language) || Languages.matches(language, track.language);
+
+    const atPosition = audio[audioTrack.index];
+    if (atPosition && sameLanguage(atPosition)) return atPosition;
+    return language ? audio.find(t => t.language && sameLanguage(t)) || null : null;
+}
+
+/**
+ * Turn on the chosen audio track and the subtitle together (EDIT_TRACKS_INFO),
+ * with the track ids the receiver reported for the loaded media
+ * @param {Object} device - Chromecast device
+ * @param {Object} mediaInfo - { subtitleUrl, audioTrack: { index, language } | null }
+ * @param {Object} [status] - Media status of the load, if it lists the tracks
+ * @returns {Promise<boolean>} False when the receiver can't switch to that audio track
+ */
+async function applyTracks(device, mediaInfo, status = null) {
+    if (!device) throw new Error(I18n.t('cast.noDevice'));
+    const tracks = status?.media?.tracks || await getMediaTracks(device);
+
+    const audio = mediaInfo.audioTrack ? findAudioTrack(tracks, mediaInfo.audioTrack) : null;
+    if (mediaInfo.audioTrack && !audio) {
+        const reported = tracks.filter(t => t.type === 'AUDIO').length;
+        console.warn(`[ChromecastProvider] Receiver reports ${reported} audio tracks, none matches #${mediaInfo.audioTrack.index}`);
+        return false;
+    }
+
+    const text = mediaInfo.subtitleUrl ? tracks.find(t => t.type === 'TEXT' && t.trackId === SUBTITLE_TRACK_ID) : null;
+    const activeTrackIds = [audio, text].filter(Boolean).map(t => t.trackId);
+
+    try {
+        await new Promise((resolve, reject) => {
+            device.request({ type: 'EDIT_TRACKS_INFO', activeTrackIds }, (err) => (err ? reject(err) : resolve()));
+        });
+    } catch (err) {
+        console.warn('[ChromecastProvider] Track switch rejected:', err.message);
+        return false;
+    }
+    console.log(`[ChromecastProvider] Active tracks: ${activeTrackIds.join(', ') || 'none'}`);
+    return true;
+}
+
+/**
+ * Load media on the device
+ * @returns {Promise<{device, status, audioApplied: boolean|null}>} audioApplied is
+ *   null without an audio choice, false when the receiver couldn't switch to it
+ */
 function play(device, mediaInfo) {
     return new Promise((resolve, reject) => {
-        if (!device) return reject(new Error('No device provided'));
+        if (!device) return reject(new Error(I18n.t('cast.noDevice')));
 
         try { device.removeAllListeners('status'); device.removeAllListeners('error'); } catch (e) { }
         device.on('error', (err) => console.error('[ChromecastProvider] Device error:', err));
 
         const options = {
             title: mediaInfo.title || 'Glass Cinema',
-            type: 'video/mp4',
+            type: mediaInfo.contentType || 'video/mp4',
             images: mediaInfo.coverUrl ? [mediaInfo.coverUrl] : []
         };
 
+        if (mediaInfo.startTime > 0) options.seek = mediaInfo.startTime;
+
+        // chromecasts sends `subtitles` as media.tracks and activates the `autoSubtitles` id.
+        // The file's own audio tracks only get receiver ids once loaded (applyTracks)
         if (mediaInfo.subtitleUrl) {
+            if (mediaInfo.subtitleStyle) options.textTrackStyle = toTextTrackStyle(mediaInfo.subtitleStyle);
             options.subtitles = [{
-                trackId: 1, type: 'TEXT',
+                trackId: SUBTITLE_TRACK_ID, type: 'TEXT',
                 trackContentId: mediaInfo.subtitleUrl,
                 trackContentType: 'text/vtt',
-                name: 'Spanish', language: 'es-ES', subtype: 'SUBTITLES'
+                name: Languages.displayName(mediaInfo.subtitleLanguageCode, I18n.locale) || I18n.t('subtitles.title'),
+                language: Languages.normalizeCode(mediaInfo.subtitleLanguageCode) || undefined,
+                subtype: 'SUBTITLES'
             }];
-            options.autoSubtitles = 1;
+            options.autoSubtitles = SUBTITLE_TRACK_ID;
         }
 
-        device.play(mediaInfo.url, options, (err, player) => {
+        device.play(mediaInfo.url, options, async (err, status) => {
             if (err) return reject(err);
             console.log(`[ChromecastProvider] Playback started on ${device.name}`);
-            resolve({ device, player });
+            const audioApplied = mediaInfo.audioTrack ? await applyTracks(device, mediaInfo, status) : null;
+            resolve({ device, status, audioApplied });
         });
     });
 }
@@ -209,6 +301,6 @@ function cleanup() {
 
 module.exports = {
     init, startDiscovery, stopDiscovery, getDevices, getDevice,
-    play, pause, resume, stop, seek, setVolume, getStatus, cleanup,
+    play, applyTracks, pause, resume, stop, seek, setVolume, getStatus, cleanup,
     TYPE: 'chromecast'
 };
@@ -1,4 +1,5 @@
 const dlnacasts = require('dlnacasts');
+const I18n = require('../../shared/i18n');
 
 const POLLING_INTERVAL_MS = 5000;
 const DEVICE_TTL_MS = 60000;
@@ -122,9 +123,10 @@ function getDevice(identifier) {
 
 function play(device, mediaInfo) {
     return new Promise((resolve, reject) => {
-        if (!device) return reject(new Error('No device'));
-        const options = { title: mediaInfo.title || 'Glass Cinema', type: 'video/mp4' };
+        if (!device) return reject(new Error(I18n.t('cast.noDevice')));
+        const options = { title: mediaInfo.title || 'Glass Cinema', type: mediaInfo.contentType || 'video/mp4' };
         if (mediaInfo.subtitleUrl) options.subtitles = [mediaInfo.subtitleUrl];
+        if (mediaInfo.startTime > 0) options.seek = mediaInfo.startTime;
         device.play(mediaInfo.url, options, (err, status) => {
             if (err) return reject(err);
             console.log(`[DlnaProvider] Playing on ${device.name}`);
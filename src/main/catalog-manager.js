@@ -0,0 +1,76 @@
+/**
+ * Catalog Manager
+ * Routes catalog requests (list, search, details, torrents) to the provider
+ * selected in settings. Every provider returns movies normalized by CatalogMapper.
+ */
+const storeManager = require('./store-manager');
+const I18n = require('../shared/i18n');
+const YtsProvider = require('./catalog/YtsProvider');
+const LocalProvider = require('./catalog/LocalProvider');
+const TorznabProvider = require('./catalog/TorznabProvider');
+
+const PROVIDERS = {
+    [YtsProvider.ID]: YtsProvider,
+    [LocalProvider.ID]: LocalProvider,
+    [TorznabProvider.ID]: TorznabProvider
+};
+
+function getActiveProvider() {
+    const id = storeManager.getSettings().catalogProvider;
+    return PROVIDERS[id] || YtsProvider;
+}
+
+function getProviders() {
+    const activeId = getActiveProvider().ID;
+    return Object.values(PROVIDERS).map(p => ({ id: p.ID, name: I18n.t(`catalog.providers.${p.ID}`), active: p.ID === activeId }));
+}
+
+function setActiveProvider(id) {
+    if (!PROVIDERS[id]) throw new Error(I18n.t('catalog.unknownProvider', { id }));
+    storeManager.updateSettings({ catalogProvider: id });
+    console.log(`[CatalogManager] Active provider: ${id}`);
+    return getProviders();
+}
+
+function list(options) {
+    return getActiveProvider().list(options);
+}
+
+function search(query, options) {
+    return getActiveProvider().search(query, options);
+}
+
+function getDetails(id) {
+    return getActiveProvider().getDetails(id);
+}
+
+function getTorrents(id) {
+    return getActiveProvider().getTorrents(id);
+}
+
+/**
+ * Torrents of a TV episode from the providers that can look episodes up, the
+ * active one first (YTS only lists movies)
+ * @param {Object} query - { imdbId, title, season, episode }
+ * @returns {Promise<Array>} Torrents of the first provider that has any
+ */
+async function getEpisodeTorrents(query) {
+    const active = getActiveProvider();
+    const providers = [active, ...Object.values(PROVIDERS).filter(p => p !== active)]
+        .filter(p => typeof p.getEpisodeTorrents === 'function');
+
+    for (const provider of providers) {
+        try {
+            const torrents = await provider.getEpisodeTorrents(query);
+            if (torrents.length > 0) return torrents;
+        } catch (err) {
+            console.warn(`[CatalogManager] Episode lookup on ${provider.ID} failed:`, err.message);
+        }
+    }
+    return [];
+}
+
+module.exports = {
+    getProviders, setActiveProvider, getActiveProvider,
+    list, search, getDetails, getTorrents, getEpisodeTorrents
+};
@@ -0,0 +1,281 @@
+/**
+ * Catalog Mapper
+ * Normalizes provider responses into the movie shape the renderer expects
+ * (the YTS list_movies shape: title, year, torrents[{ url, hash, quality, ... }])
+ */
+const I18n = require('../../shared/i18n');
+const { parseReleaseEpisode } = require('../episode-parser');
+
+const QUALITY_PATTERN = /\b(2160p|4k|1080p|720p|480p|3d)\b/i;
+const YEAR_PATTERN = /[\s.([_-]((?:19|20)\d{2})(?:[\s.)\]_-]|$)/;
+// Release tags that mark the end of the title in scene names
+const TAG_PATTERN = /[\s.([_-](?:2160p|4k|1080p|720p|480p|3d|bluray|brrip|bdrip|web-?dl|webrip|hdtv|dvdrip|hdrip|x264|x265|h\.?264|h\.?265|hevc|remux|proper|repack|extended|unrated)\b/i;
+
+/**
+ * Split a scene release name into title/year/quality
+ * @param {string} name - e.g. "The.Matrix.1999.1080p.BluRay.x264-GROUP"
+ * @returns {{title: string, year: number|null, quality: string|null}}
+ */
+function parseReleaseName(name) {
+    // Single-file torrents are often named after the file itself
+    const raw = String(name || '').replace(/\.(mkv|mp4|avi|m4v|mov|wmv|webm|ts)$/i, '');
+
+    const yearMatch = raw.match(YEAR_PATTERN);
+    const tagMatch = raw.match(TAG_PATTERN);
+
+    let end = raw.length;
+    if (yearMatch) end = Math.min(end, yearMatch.index);
+    if (tagMatch) end = Math.min(end, tagMatch.index);
+
+    const title = raw.slice(0, end)
+        .replace(/[._]+/g, ' ')
+        .replace(/\s*[-([]\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim() || raw;
+
+    const qualityMatch = raw.match(QUALITY_PATTERN);
+    let quality = qualityMatch ? qualityMatch[1].toLowerCase() : null;
+    if (quality === '4k') quality = '2160p';
+    if (quality === '3d') quality = '3D';
+
+    return {
+        title,
+        year: yearMatch ? parseInt(yearMatch[1], 10) : null,
+        quality
+    };
+}
+
+/**
+ * Extract the info hash from a magnet URI
+ * @param {string} magnet
+ * @returns {string|null}
+ */
+function hashFromMagnet(magnet) {
+    const match = String(magnet || '').match(/xt=urn:btih:([a-z0-9]+)/i);
+    return match ? match[1] : null;
+}
+
+function buildMagnet(hash, title) {
+    return `magnet:?xt=urn:btih:${hash}&dn=${encodeURIComponent(title || hash)}`;
+}
+
+/**
+ * Human readable size ("1.45 GB") from bytes
+ */
+function formatSize(bytes) {
+    if (!bytes || bytes <= 0) return null;
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+/**
+ * Normalize one torrent entry
+ * `url` is what Main.playMovie() streams (magnet or .torrent link)
+ */
+function normalizeTorrent(torrent, title) {
+    if (!torrent) return null;
+
+    const magnet = torrent.magnet || (typeof torrent.url === 'string' && torrent.url.startsWith('magnet:') ? torrent.url : null);
+    const hash = torrent.hash || hashFromMagnet(magnet);
+    if (!hash && !torrent.url) return null;
+
+    const sizeBytes = Number(torrent.size_bytes) || null;
+
+    return {
+        url: torrent.url || magnet || buildMagnet(hash, title),
+        magnet: magnet || (hash ? buildMagnet(hash, title) : null),
+        hash,
+        quality: torrent.quality || 'Default',
+        type: torrent.type || null,
+        size: torrent.size || formatSize(sizeBytes),
+        size_bytes: sizeBytes,
+        seeds: Number(torrent.seeds) || 0,
+        peers: Number(torrent.peers) || 0,
+        date_uploaded_unix: torrent.date_uploaded_unix || null
+    };
+}
+
+/**
+ * Normalize a movie from any provider
+ * @param {Object} movie - YTS-like movie object
+ * @param {string} provider - Provider ID that produced it
+ * @returns {Object} Normalized movie
+ */
+function normalizeMovie(movie, provider) {
+    const title = movie.title || movie.title_english || I18n.t('catalog.untitled');
+    const torrents = (movie.torrents || [])
+        .map(t => normalizeTorrent(t, title))
+        .filter(Boolean);
+
+    return {
+        id: movie.id ?? movie.imdb_code ?? torrents[0]?.hash ?? title,
+        provider,
+        imdb_code: movie.imdb_code || null,
+        title,
+        year: movie.year ? Number(movie.year) : null,
+        rating: movie.rating != null ? Number(movie.rating) : null,
+        runtime: movie.runtime || null,
+        genres: movie.genres || [],
+        summary: movie.summary || movie.description_full || null,
+        description_full: movie.description_full || movie.summary || null,
+        language: movie.language || null,
+        medium_cover_image: movie.medium_cover_image || null,
+        large_cover_image: movie.large_cover_image || null,
+        background_image: movie.background_image || null,
+        date_uploaded_unix: movie.date_uploaded_unix || torrents[0]?.date_uploaded_unix || null,
+        download_count: movie.download_count || 0,
+        torrents
+    };
+}
+
+/**
+ * Read a field from a release item regardless of casing
+ * (Jackett JSON uses "Title"/"MagnetUri", Torznab attrs use "magneturl")
+ */
+function pick(item, ...keys) {
+    for (const key of keys) {
+        const found = Object.keys(item).find(k => k.toLowerCase() === key.toLowerCase());
+        if (found && item[found] != null && item[found] !== '') return item[found];
+    }
+    return null;
+}
+
+/**
+ * Normalize a single Torznab-style release into { title, year, imdb_code, torrent }
+ * @param {Object} item - Release ({ title, link, magneturl, infohash, size, seeders, peers, imdb })
+ * @returns {Object|null}
+ */
+function normalizeRelease(item) {
+    if (!item) return null;
+
+    const name = pick(item, 'title', 'name');
+    if (!name) return null;
+
+    const parsed = parseReleaseName(name);
+    const magnet = pick(item, 'magneturl', 'magnetUri', 'magnet');
+    const link = pick(item, 'link');
+    const hash = pick(item, 'infohash', 'hash') || hashFromMagnet(magnet) || hashFromMagnet(link);
+
+    const imdb = pick(item, 'imdbid', 'imdb');
+    let imdbCode = null;
+    if (imdb) imdbCode = String(imdb).startsWith('tt') ? String(imdb) : `tt${String(imdb).padStart(7, '0')}`;
+
+    const published = pick(item, 'pubDate', 'publishDate');
+    const publishedAt = published ? Date.parse(published) : NaN;
+
+    const torrent = normalizeTorrent({
+        url: magnet || (link && link.startsWith('magnet:') ? link : null) || link,
+        magnet: magnet || (link && link.startsWith('magnet:') ? link : null),
+        hash,
+        quality: parsed.quality,
+        size_bytes: pick(item, 'size'),
+        seeds: pick(item, 'seeders', 'seeds'),
+        peers: pick(item, 'peers', 'leechers'),
+        date_uploaded_unix: isNaN(publishedAt) ? null : Math.floor(publishedAt / 1000)
+    }, parsed.title);
+    if (!torrent) return null;
+
+    return {
+        releaseName: name,
+        title: parsed.title,
+        year: parsed.year,
+        imdb_code: imdbCode,
+        poster: pick(item, 'poster', 'coverUrl'),
+        torrent
+    };
+}
+
+/**
+ * Group releases of the same movie into one normalized movie with several torrents
+ * @param {Array} releases - Output of normalizeRelease()
+ * @param {string} provider - Provider ID
+ * @returns {Array} Normalized movies, best-seeded first
+ */
+function groupReleases(releases, provider) {
+    const groups = new Map();
+
+    releases.filter(Boolean).forEach(release => {
+        // Not every release carries an IMDB id, so group by title + year
+        const key = `${release.title.toLowerCase()}|${release.year || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                imdb_code: release.imdb_code,
+                title: release.title,
+                year: release.year,
+                medium_cover_image: release.poster,
+                large_cover_image: release.poster,
+                torrents: []
+            });
+        }
+        const group = groups.get(key);
+        if (!group.imdb_code) group.imdb_code = release.imdb_code;
+        if (!group.medium_cover_image) group.medium_cover_image = group.large_cover_image = release.poster;
+        // One torrent per hash
+        if (!group.torrents.some(t => t.hash && t.hash === release.torrent.hash)) {
+            group.torrents.push(release.torrent);
+        }
+    });
+
+    return [...groups.values()]
+        .map(group => normalizeMovie(group, provider))
+        .sort((a, b) => maxSeeds(b) - maxSeeds(a));
+}
+
+/**
+ * Torrents of one TV episode among releases ("Show.S01E02.1080p..."); season
+ * packs and other episodes are left out
+ * @param {Array} releases - Raw releases (see normalizeRelease)
+ * @param {number} season
+ * @param {number} episode
+ * @returns {Array} Normalized torrents, best-seeded first
+ */
+function episodeTorrents(releases, season, episode) {
+    const torrents = [];
+
+    releases.map(normalizeRelease).filter(Boolean).forEach(release => {
+        const parsed = parseReleaseEpisode(release.releaseName);
+        if (!parsed || parsed.season !== season) return;
+        // Multi-episode releases (S01E02E03) count for each of their episodes
+        if (episode < parsed.episode || episode > (parsed.endEpisode || parsed.episode)) return;
+        if (torrents.some(t => t.hash && t.hash === release.torrent.hash)) return;
+        torrents.push(release.torrent);
+    });
+
+    return torrents.sort((a, b) => b.seeds - a.seeds);
+}
+
+function maxSeeds(movie) {
+    return Math.max(0, ...movie.torrents.map(t => t.seeds || 0));
+}
+
+// Same sort keys as the YTS API (see #filter-sort)
+const SORTERS = {
+    date_added: (a, b) => (b.date_uploaded_unix || 0) - (a.date_uploaded_unix || 0),
+    download_count: (a, b) => (b.download_count || 0) - (a.download_count || 0) || maxSeeds(b) - maxSeeds(a),
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+    seeds: (a, b) => maxSeeds(b) - maxSeeds(a),
+    year: (a, b) => (b.year || 0) - (a.year || 0)
+};
+
+/**
+ * Sort normalized movies client-side (for providers without server-side sorting)
+ * @param {Array} movies - Normalized movies
+ * @param {string} sort - date_added | download_count | rating | seeds | year
+ * @returns {Array} New sorted array
+ */
+function sortMovies(movies, sort) {
+    return [...movies].sort(SORTERS[sort] || SORTERS.date_added);
+}
+
+module.exports = {
+    parseReleaseName,
+    hashFromMagnet,
+    normalizeTorrent,
+    normalizeMovie,
+    normalizeRelease,
+    groupReleases,
+    episodeTorrents,
+    maxSeeds,
+    sortMovies
+};
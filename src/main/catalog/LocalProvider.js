@@ -0,0 +1,133 @@
+/**
+ * Local Catalog Provider
+ * Reads a JSON file with either YTS-style movies or Torznab-style releases:
+ *   - [{ title, year, torrents: [...] }]          (YTS movies)
+ *   - { data: { movies: [...] } } / { movies }    (YTS dump)
+ *   - { Results: [{ Title, MagnetUri, Size, Seeders }] } / [{ title, magneturl }]  (releases)
+ * Releases of the same movie are grouped into one card with several qualities.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_ROOT } = require('../paths');
+const storeManager = require('../store-manager');
+const CatalogMapper = require('./CatalogMapper');
+const { parseReleaseEpisode } = require('../episode-parser');
+const I18n = require('../../shared/i18n');
+
+const ID = 'local';
+const NAME = 'Catálogo local';
+const DEFAULT_CATALOG_PATH = path.join(DATA_ROOT, 'catalog.json');
+
+// Parsed catalog, reloaded when the file changes on disk
+let cache = { path: null, mtimeMs: 0, movies: [] };
+
+function getCatalogPath() {
+    return storeManager.getSettings().localCatalogPath || DEFAULT_CATALOG_PATH;
+}
+
+function extractItems(json) {
+    if (Array.isArray(json)) return json;
+    return json?.data?.movies || json?.movies || json?.Results || json?.results || json?.items || [];
+}
+
+function isRelease(item) {
+    return !Array.isArray(item.torrents);
+}
+
+function loadCatalog() {
+    const catalogPath = getCatalogPath();
+
+    let stat;
+    try {
+        stat = fs.statSync(catalogPath);
+    } catch (e) {
+        throw new Error(I18n.t('catalog.localNotFound', { path: catalogPath }));
+    }
+
+    if (cache.path === catalogPath && cache.mtimeMs === stat.mtimeMs) return cache.movies;
+
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+    } catch (e) {
+        throw new Error(I18n.t('catalog.localInvalid', { message: e.message }));
+    }
+
+    const items = extractItems(json);
+    const movies = items.filter(i => !isRelease(i)).map(m => CatalogMapper.normalizeMovie(m, ID));
+    const releases = items.filter(isRelease).map(CatalogMapper.normalizeRelease);
+    movies.push(...CatalogMapper.groupReleases(releases, ID));
+
+    cache = { path: catalogPath, mtimeMs: stat.mtimeMs, movies };
+    console.log(`[LocalProvider] Loaded ${movies.length} movies from ${catalogPath}`);
+    return movies;
+}
+
+/**
+ * List or search movies (filtering and paging happen in memory)
+ * @param {Object} options - { query, genre, sort, page, limit }
+ * @returns {Promise<{movies: Array, hasMore: boolean}>}
+ */
+async function list({ query = '', genre = '', sort = 'date_added', page = 1, limit = 20 } = {}) {
+    let movies = loadCatalog();
+
+    if (query) {
+        const q = query.toLowerCase();
+        movies = movies.filter(m => m.title.toLowerCase().includes(q) || m.imdb_code === query);
+    }
+    if (genre) {
+        const g = genre.toLowerCase();
+        movies = movies.filter(m => m.genres.some(mg => mg.toLowerCase() === g));
+    }
+
+    movies = CatalogMapper.sortMovies(movies, sort);
+
+    const start = (page - 1) * limit;
+    return {
+        movies: movies.slice(start, start + limit),
+        hasMore: start + limit < movies.length
+    };
+}
+
+function search(query, options = {}) {
+    return list({ ...options, query });
+}
+
+async function getDetails(id) {
+    return loadCatalog().find(m => String(m.id) === String(id)) || null;
+}
+
+async function getTorrents(id) {
+    const movie = await getDetails(id);
+    return movie ? movie.torrents : [];
+}
+
+// "The Office (US)" and "the.office.us" compare equal
+function titleKey(title) {
+    return String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Torrents of a TV episode: releases like "Show.S01E02.1080p" end up as cards
+ * titled "Show S01E02"; matched by IMDB id or show title
+ * @param {Object} query - { imdbId, title, season, episode }
+ * @returns {Promise<Array>} Normalized torrents, best-seeded first
+ */
+async function getEpisodeTorrents({ imdbId = null, title = '', season, episode }) {
+    if (!fs.existsSync(getCatalogPath())) return [];
+
+    const torrents = [];
+    loadCatalog().forEach(movie => {
+        const parsed = parseReleaseEpisode(movie.title);
+        if (!parsed || parsed.season !== season) return;
+        if (episode < parsed.episode || episode > (parsed.endEpisode || parsed.episode)) return;
+        const sameShow = (imdbId && movie.imdb_code === imdbId) || titleKey(parsed.showName) === titleKey(title);
+        if (sameShow) torrents.push(...movie.torrents.filter(t => !torrents.some(o => o.hash && o.hash === t.hash)));
+    });
+    return torrents.sort((a, b) => b.seeds - a.seeds);
+}
+
+module.exports = {
+    list, search, getDetails, getTorrents, getEpisodeTorrents,
+    ID, NAME, DEFAULT_CATALOG_PATH
+};
@@ -0,0 +1,233 @@
+/**
+ * Torznab Client
+ * Queries a Torznab endpoint (Jackett, Prowlarr...) and parses its RSS/XML answer
+ * Works against any HTTP(S) URL, including a local stub server
+ */
+const I18n = require('../../shared/i18n');
+
+const REQUEST_TIMEOUT_MS = 15000;
+// Torznab category for movies (subcategories are 2010, 2020, ...)
+const MOVIE_CATEGORY = '2000';
+// Torznab category for TV (subcategories are 5010, 5030, ...)
+const TV_CATEGORY = '5000';
+// Standard category ranges; indexer-specific ones (100000+) are matched by name
+const CATEGORY_TYPES = {
+    movie: { min: 2000, max: 2999, name: /movie|film|pel[ií]cula/i },
+    tv: { min: 5000, max: 5999, name: /\btv\b|series|show|episode/i }
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(str) {
+    return String(str || '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return isNaN(code) ? match : String.fromCodePoint(code);
+            }
+            return XML_ENTITIES[entity.toLowerCase()] ?? match;
+        })
+        .trim();
+}
+
+function readAttributes(tag) {
+    const attrs = {};
+    const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = re.exec(tag)) !== null) {
+        attrs[match[1]] = decodeXml(match[3] ?? match[4]);
+    }
+    return attrs;
+}
+
+function readElement(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Parse a Torznab RSS document into flat release objects
+ * @param {string} xml - Raw response body
+ * @returns {Array<{title, link, guid, pubDate, size, seeders, peers, infohash, magneturl, imdbid}>}
+ * @throws {Error} When the indexer answers with a Torznab <error>
+ */
+function parseResults(xml) {
+    const error = String(xml || '').match(/<error\b[^>]*>/i);
+    if (error) {
+        const attrs = readAttributes(error[0]);
+        throw new Error(`Torznab ${attrs.code || ''}: ${attrs.description || I18n.t('common.unknownError')}`.trim());
+    }
+
+    const items = String(xml || '').match(/<item\b[\s\S]*?<\/item>/gi) || [];
+
+    return items.map(itemXml => {
+        const release = {
+            title: readElement(itemXml, 'title'),
+            link: readElement(itemXml, 'link'),
+            guid: readElement(itemXml, 'guid'),
+            pubDate: readElement(itemXml, 'pubDate'),
+            size: readElement(itemXml, 'size')
+        };
+
+        const enclosure = itemXml.match(/<enclosure\b[^>]*>/i);
+        if (enclosure) {
+            const attrs = readAttributes(enclosure[0]);
+            if (!release.link) release.link = attrs.url || null;
+            if (!release.size) release.size = attrs.length || null;
+        }
+
+        // <torznab:attr name="seeders" value="12"/> (some indexers omit the prefix)
+        const attrTags = itemXml.match(/<(?:torznab:)?attr\b[^>]*>/gi) || [];
+        attrTags.forEach(tag => {
+            const { name, value } = readAttributes(tag);
+            if (name && value !== undefined && release[name.toLowerCase()] == null) {
+                release[name.toLowerCase()] = value;
+            }
+        });
+
+        return release;
+    }).filter(r => r.title);
+}
+
+/**
+ * Parse a Torznab caps document (t=caps)
+ * @param {string} xml - Raw response body
+ * @returns {{categories: Array<{id, name, subcats: Array<{id, name}>}>, searching: Object}}
+ *   searching: { 'tv-search': { available, params: ['q', 'season', 'ep', 'imdbid'] }, ... }
+ * @throws {Error} When the indexer answers with a Torznab <error>
+ */
+function parseCaps(xml) {
+    const body = String(xml || '');
+    // Caps carry no items; this only throws on <error>
+    parseResults(body);
+
+    const categories = (body.match(/<category\b[^>]*?(?:\/>|>[\s\S]*?<\/category>)/gi) || []).map(categoryXml => {
+        const { id, name } = readAttributes(categoryXml.match(/<category\b[^>]*>/i)[0]);
+        const subcats = (categoryXml.match(/<subcat\b[^>]*>/gi) || []).map(tag => {
+            const attrs = readAttributes(tag);
+            return { id: attrs.id, name: attrs.name || '' };
+        });
+        return { id, name: name || '', subcats };
+    }).filter(c => c.id);
+
+    const searching = {};
+    const searchingXml = readElement(body, 'searching') || '';
+    (searchingXml.match(/<[\w-]+\b[^>]*>/g) || []).forEach(tag => {
+        const mode = tag.match(/^<([\w-]+)/)[1].toLowerCase();
+        const attrs = readAttributes(tag);
+        searching[mode] = {
+            available: String(attrs.available).toLowerCase() === 'yes',
+            params: (attrs.supportedParams || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+        };
+    });
+
+    return { categories, searching };
+}
+
+/**
+ * Category ids of one kind in the indexer's caps, top level and subcategories
+ * @param {Object|null} caps - From getCaps()
+ * @param {string} type - 'movie' | 'tv'
+ * @returns {string} Comma separated ids (the standard category when caps list none)
+ */
+function mapCategories(caps, type) {
+    const { min, max, name } = CATEGORY_TYPES[type];
+    const matches = (category) => {
+        const id = Number(category.id);
+        return id >= min && id <= max || id >= 100000 && name.test(category.name);
+    };
+
+    const ids = [];
+    (caps?.categories || []).forEach(category => {
+        if (matches(category)) ids.push(category.id);
+        category.subcats.filter(matches).forEach(sub => ids.push(sub.id));
+    });
+    const fallback = type === 'tv' ? TV_CATEGORY : MOVIE_CATEGORY;
+    return ids.length ? [...new Set(ids)].join(',') : fallback;
+}
+
+/**
+ * Build the API URL; accepts the indexer base or the full ".../api" URL
+ */
+function buildUrl(endpoint, params) {
+    const base = endpoint.replace(/\/+$/, '');
+    const url = new URL(/\/api$/i.test(base) ? base : `${base}/api`);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+    });
+    return url;
+}
+
+/**
+ * GET the API with the given parameters and return the body
+ * @param {Object} config - { endpoint, apiKey, timeoutMs }
+ * @param {Object} params - Query parameters besides apikey
+ * @returns {Promise<string>}
+ */
+async function request(config, params) {
+    if (!config?.endpoint) throw new Error(I18n.t('catalog.torznabNoUrl'));
+
+    const url = buildUrl(config.endpoint, { ...params, apikey: config.apiKey });
+
+    // Never log the API key
+    const logUrl = new URL(url);
+    if (logUrl.searchParams.has('apikey')) logUrl.searchParams.set('apikey', '***');
+    console.log('[TorznabClient] Fetching:', logUrl.toString());
+
+    let res, body;
+    try {
+        // The timeout also covers reading the body of an indexer that stalls mid-answer
+        res = await fetch(url, { signal: AbortSignal.timeout(config.timeoutMs || REQUEST_TIMEOUT_MS) });
+        body = await res.text();
+    } catch (err) {
+        if (err.name === 'TimeoutError') throw new Error(I18n.t('catalog.timeout', { source: 'Torznab' }));
+        throw err;
+    }
+
+    // Torznab errors come back as XML (often with a 4xx status); prefer their description
+    if (!res.ok && !/<error\b/i.test(body)) throw new Error(I18n.t('catalog.httpError', { source: 'Torznab', status: String(res.status) }));
+    return body;
+}
+
+/**
+ * Run a Torznab query
+ * With a season the query is a TV search (t=tvsearch), optionally by IMDB id
+ * @param {Object} config - { endpoint, apiKey, categories }
+ * @param {Object} options - { query, imdbId, season, episode, offset, limit }
+ * @returns {Promise<Array>} Parsed releases (see parseResults)
+ */
+async function search(config, { query = '', imdbId = null, season = null, episode = null, offset = 0, limit = 50 } = {}) {
+    const tv = season != null;
+    const body = await request(config, {
+        t: tv ? 'tvsearch' : imdbId ? 'movie' : 'search',
+        q: query,
+        imdbid: imdbId ? imdbId.replace(/^tt/, '') : null,
+        season,
+        ep: tv ? episode : null,
+        cat: config.categories || (tv ? TV_CATEGORY : MOVIE_CATEGORY),
+        offset,
+        limit
+    });
+    return parseResults(body);
+}
+
+/**
+ * Capabilities of the indexer: categories and the search modes it supports
+ * @param {Object} config - { endpoint, apiKey }
+ * @returns {Promise<Object>} See parseCaps
+ */
+async function getCaps(config) {
+    return parseCaps(await request(config, { t: 'caps' }));
+}
+
+module.exports = {
+    search,
+    getCaps,
+    parseResults,
+    parseCaps,
+    mapCategories,
+    buildUrl,
+    MOVIE_CATEGORY,
+    TV_CATEGORY
+};
@@ -0,0 +1,151 @@
+/**
+ * Torznab Catalog Provider
+ * Searches a Jackett/Prowlarr-style indexer and groups its releases into movies
+ * Endpoint and API key come from settings (migrated from TORZNAB_URL / TORZNAB_API_KEY)
+ */
+const storeManager = require('../store-manager');
+const CatalogMapper = require('./CatalogMapper');
+const TorznabClient = require('./TorznabClient');
+
+const ID = 'torznab';
+const NAME = 'Indexador Torznab';
+const PAGE_SIZE = 100;
+// Movies kept for details/torrents lookups; enough for a few browsed pages
+const CACHE_MAX_ENTRIES = 500;
+// Seeds and new releases change, so old results are searched again
+const CACHE_TTL_MS = 30 * 60 * 1000;
+
+// Movies from the latest results, so details/torrents can be served by id.
+// Map order is the LRU order: reads move an entry to the end, the oldest go first
+const resultCache = new Map();
+// Capabilities of the configured indexer (categories, search modes)
+let capsCache = { endpoint: null, caps: null };
+
+// Another indexer or API key: its caps and results are read again
+storeManager.onSettingsChange((changed) => {
+    if (!changed.includes('torznabUrl') && !changed.includes('torznabApiKey')) return;
+    capsCache = { endpoint: null, caps: null };
+    resultCache.clear();
+    console.log('[TorznabProvider] Indexer settings changed, caches cleared');
+});
+
+function getConfig() {
+    const settings = storeManager.getSettings();
+    return {
+        endpoint: settings.torznabUrl,
+        apiKey: settings.torznabApiKey,
+        categories: settings.torznabCategories || TorznabClient.MOVIE_CATEGORY
+    };
+}
+
+function remember(movies) {
+    const storedAt = Date.now();
+    movies.forEach(m => {
+        const key = String(m.id);
+        resultCache.delete(key);
+        resultCache.set(key, { movie: m, storedAt });
+    });
+    while (resultCache.size > CACHE_MAX_ENTRIES) {
+        resultCache.delete(resultCache.keys().next().value);
+    }
+    return movies;
+}
+
+function recall(id) {
+    const key = String(id);
+    const entry = resultCache.get(key);
+    if (!entry) return null;
+    resultCache.delete(key);
+    if (Date.now() - entry.storedAt > CACHE_TTL_MS) return null;
+    resultCache.set(key, entry);
+    return entry.movie;
+}
+
+/**
+ * List or search movies
+ * Releases are grouped per page, so a movie may show up again on a later page
+ * @param {Object} options - { query, genre, sort, page, limit }
+ * @returns {Promise<{movies: Array, hasMore: boolean}>}
+ */
+async function list({ query = '', sort = 'seeds', page = 1 } = {}) {
+    const releases = await TorznabClient.search(getConfig(), {
+        query,
+        offset: (page - 1) * PAGE_SIZE,
+        limit: PAGE_SIZE
+    });
+
+    const movies = CatalogMapper.groupReleases(releases.map(CatalogMapper.normalizeRelease), ID);
+    return {
+        movies: remember(CatalogMapper.sortMovies(movies, sort)),
+        hasMore: releases.length >= PAGE_SIZE
+    };
+}
+
+function search(query, options = {}) {
+    return list({ ...options, query });
+}
+
+async function getDetails(id) {
+    const cached = recall(id);
+    if (cached) return cached;
+
+    // IMDB ids can be looked up directly on the indexer
+    if (/^tt\d+$/.test(String(id))) {
+        const releases = await TorznabClient.search(getConfig(), { imdbId: String(id) });
+        const [movie] = CatalogMapper.groupReleases(
+            releases.map(CatalogMapper.normalizeRelease).map(r => r && { ...r, imdb_code: String(id) }),
+            ID
+        );
+        return movie ? remember([movie])[0] : null;
+    }
+    return null;
+}
+
+async function getTorrents(id) {
+    const movie = await getDetails(id);
+    return movie ? movie.torrents : [];
+}
+
+async function getCaps(config) {
+    if (capsCache.endpoint === config.endpoint) return capsCache.caps;
+    try {
+        capsCache = { endpoint: config.endpoint, caps: await TorznabClient.getCaps(config) };
+        return capsCache.caps;
+    } catch (err) {
+        // Not cached: the indexer may just be down; plain searches still work without caps
+        console.warn('[TorznabProvider] Could not read the indexer caps:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Torrents of a TV episode: a TV search by IMDB id when the indexer supports it,
+ * by title otherwise ("Title S01E02" on indexers without TV search)
+ * @param {Object} query - { imdbId, title, season, episode }
+ * @returns {Promise<Array>} Normalized torrents, best-seeded first
+ */
+async function getEpisodeTorrents({ imdbId = null, title = '', season, episode }) {
+    const config = getConfig();
+    if (!config.endpoint) return [];
+
+    const caps = await getCaps(config);
+    const tvSearch = caps?.searching['tv-search'];
+    const tvConfig = { ...config, categories: TorznabClient.mapCategories(caps, 'tv') };
+    const find = async (options) => CatalogMapper.episodeTorrents(await TorznabClient.search(tvConfig, options), season, episode);
+
+    if (!tvSearch?.available) {
+        const code = `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+        return find({ query: `${title} ${code}` });
+    }
+    if (imdbId && tvSearch.params.includes('imdbid')) {
+        const torrents = await find({ imdbId, season, episode });
+        // Not every tracker tags its releases with the IMDB id
+        if (torrents.length > 0 || !title) return torrents;
+    }
+    return find({ query: title, season, episode });
+}
+
+module.exports = {
+    list, search, getDetails, getTorrents, getEpisodeTorrents,
+    ID, NAME
+};
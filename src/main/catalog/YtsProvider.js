@@ -0,0 +1,86 @@
+/**
+ * YTS Catalog Provider
+ * Talks to a YTS-compatible API (list_movies.json / movie_details.json)
+ */
+const storeManager = require('../store-manager');
+const CatalogMapper = require('./CatalogMapper');
+const I18n = require('../../shared/i18n');
+
+const ID = 'yts';
+const NAME = 'YTS';
+const DEFAULT_API_ROOT = 'https://yts.mx/api/v2';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * API root from the movieApiUrl setting (MOVIE_API_URL in older .env files)
+ * Accepts either the root or a full endpoint URL, and repairs doubled hosts
+ * ("https://yts.bz/https://yts.bz/api/v2/...") left by older configs
+ */
+function getApiRoot() {
+    let raw = (storeManager.getSettings().movieApiUrl || '').trim();
+    if (!raw) return DEFAULT_API_ROOT;
+
+    const lastScheme = raw.lastIndexOf('http');
+    if (lastScheme > 0) raw = raw.slice(lastScheme);
+
+    return raw
+        .replace(/\/(list_movies|movie_details)\.json.*$/, '')
+        .replace(/\/+$/, '');
+}
+
+async function request(endpoint, params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+
+    const url = `${getApiRoot()}/${endpoint}?${query.toString()}`;
+    console.log('[YtsProvider] Fetching:', url);
+
+    const res = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(I18n.t('catalog.httpError', { source: NAME, status: String(res.status) }));
+
+    const json = await res.json();
+    if (json.status !== 'ok') throw new Error(json.status_message || I18n.t('catalog.invalidResponse', { source: NAME }));
+    return json.data || {};
+}
+
+/**
+ * List or search movies
+ * @param {Object} options - { query, genre, sort, page, limit }
+ * @returns {Promise<{movies: Array, hasMore: boolean}>}
+ */
+async function list({ query = '', genre = '', sort = 'date_added', page = 1, limit = 20 } = {}) {
+    const data = await request('list_movies.json', {
+        limit,
+        page,
+        sort_by: sort,
+        query_term: query,
+        genre
+    });
+
+    const movies = (data.movies || []).map(m => CatalogMapper.normalizeMovie(m, ID));
+    return {
+        movies,
+        hasMore: movies.length === limit && page * limit < (data.movie_count || 0)
+    };
+}
+
+function search(query, options = {}) {
+    return list({ ...options, query });
+}
+
+async function getDetails(id) {
+    const data = await request('movie_details.json', { movie_id: id });
+    return data.movie ? CatalogMapper.normalizeMovie(data.movie, ID) : null;
+}
+
+async function getTorrents(id) {
+    const movie = await getDetails(id);
+    return movie ? movie.torrents : [];
+}
+
+module.exports = {
+    list, search, getDetails, getTorrents,
+    ID, NAME
+};
@@ -0,0 +1,119 @@
+/**
+ * Episode Parser Module
+ * Extracts season/episode numbering from torrent file names and release names
+ */
+const path = require('path');
+const mediaType = require('./media-type');
+
+// Ordered from most to least specific
+const EPISODE_PATTERNS = [
+    // Show.Name.S01E02, S01E02E03, s1e2
+    /^(.*?)[\s._-]*s(\d{1,2})[\s._-]?e(\d{1,3})(?:-?e(\d{1,3}))?/i,
+    // Show Name 1x02
+    /^(.*?)[\s._-]+(\d{1,2})x(\d{2,3})(?:[x-](\d{2,3}))?/i,
+    // Show Name Season 1 Episode 2
+    /^(.*?)[\s._-]*season[\s._-]*(\d{1,2})[\s._-]*episode[\s._-]*(\d{1,3})/i
+];
+
+// Episode-only names (e.g. "E05 - Title.mkv") inside a "Season 2" folder
+const EPISODE_ONLY_PATTERN = /(?:^|[\s._-])(?:e|ep|episode)[\s._-]?(\d{1,3})(?:[\s._-]|$)/i;
+const SEASON_FOLDER_PATTERN = /(?:^|[\s._-])(?:s|season)[\s._-]?(\d{1,2})(?:[\s._-]|$)/i;
+
+/**
+ * Turn "The.Show.Name." into "The Show Name"
+ * @param {string} raw - Raw prefix captured before the episode token
+ * @returns {string|null} Clean show name or null if empty
+ */
+function cleanShowName(raw) {
+    if (!raw) return null;
+    const name = raw
+        .replace(/\[[^\]]*\]/g, ' ')
+        .replace(/[._]+/g, ' ')
+        .replace(/\s*-\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return name || null;
+}
+
+function matchEpisode(name) {
+    for (const pattern of EPISODE_PATTERNS) {
+        const match = name.match(pattern);
+        if (match) {
+            const episode = parseInt(match[3], 10);
+            const endEpisode = match[4] ? parseInt(match[4], 10) : null;
+            return {
+                season: parseInt(match[2], 10),
+                episode,
+                endEpisode: endEpisode && endEpisode > episode ? endEpisode : null,
+                showName: cleanShowName(match[1])
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse episode info from an indexer release name or a catalog title
+ * Not a path: dots are separators ("Show.Name.S01.E02" has no extension)
+ * @param {string} name
+ * @returns {{season: number, episode: number, endEpisode: number|null, showName: string|null}|null}
+ */
+function parseReleaseEpisode(name) {
+    return name ? matchEpisode(String(name)) : null;
+}
+
+/**
+ * Parse episode info from a file path inside a torrent
+ * @param {string} filePath - File path (may include season folders)
+ * @returns {{season: number, episode: number, endEpisode: number|null, showName: string|null}|null}
+ */
+function parseEpisode(filePath) {
+    if (!filePath) return null;
+
+    // Only a video extension is dropped; "Show.S01.E02.srt" still matches with its own
+    const fileName = path.basename(filePath);
+    const baseName = mediaType.isVideoName(fileName) ? fileName.slice(0, -path.extname(fileName).length) : fileName;
+
+    const parsed = matchEpisode(baseName);
+    if (parsed) return parsed;
+
+    const episodeOnly = baseName.match(EPISODE_ONLY_PATTERN);
+    if (episodeOnly) {
+        const folders = path.dirname(filePath).split(/[\\/]/).reverse();
+        for (const folder of folders) {
+            const seasonMatch = folder.match(SEASON_FOLDER_PATTERN);
+            if (seasonMatch) {
+                return {
+                    season: parseInt(seasonMatch[1], 10),
+                    episode: parseInt(episodeOnly[1], 10),
+                    endEpisode: null,
+                    showName: null
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Sort comparator: parsed episodes in broadcast order, then by path
+ * @param {{path: string, episode: Object|null}} a
+ * @param {{path: string, episode: Object|null}} b
+ * @returns {number}
+ */
+function compareEpisodes(a, b) {
+    if (a.episode && b.episode) {
+        if (a.episode.season !== b.episode.season) return a.episode.season - b.episode.season;
+        if (a.episode.episode !== b.episode.episode) return a.episode.episode - b.episode.episode;
+    } else if (a.episode || b.episode) {
+        return a.episode ? -1 : 1;
+    }
+    return a.path.localeCompare(b.path, undefined, { numeric: true });
+}
+
+module.exports = {
+    parseEpisode,
+    parseReleaseEpisode,
+    compareEpisodes
+};
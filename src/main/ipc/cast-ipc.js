@@ -2,7 +2,26 @@ const { ipcMain } = require('electron');
 const streaming = require('../streaming');
 const castManager = require('../cast-manager');
 const subtitles = require('../subtitles');
+const storeManager = require('../store-manager');
 const networkUtils = require('../network-utils');
+const I18n = require('../../shared/i18n');
+
+// Media loaded on the cast device, reused to reload it (subtitle changes) or switch tracks
+let activeMedia = null;
+
+// The receiver may not expose the file's audio tracks; the player then falls back to the default one
+function reportAudio(event, audioApplied) {
+    if (audioApplied !== false) return;
+    event.reply('cast-audio-unavailable', I18n.t('cast.audioUnavailable'));
+}
+
+// Receivers fetch the VTT (and its style) when the media loads, so subtitle changes
+// reload at the current position; the query busts the receiver's cache
+async function reloadSubtitles(startTime, changes = {}) {
+    const subtitleUrl = `${activeMedia.subtitleUrl.split('?')[0]}?t=${Date.now()}`;
+    activeMedia = { ...activeMedia, ...changes, subtitleUrl, startTime: startTime || 0 };
+    await castManager.loadOnActiveDevice(activeMedia);
+}
 
 function register() {
     ipcMain.on('request-cast-discovery', (event) => {
@@ -36,26 +55,42 @@ function register() {
             const localIp = networkUtils.getLocalIP();
             const streamUrl = await streaming.rebindServerForCast(localIp);
 
-            if (!streamUrl) throw new Error('No hay stream activo. Iniciá la reproducción antes de transmitir.');
-            if (streamUrl.includes('127.0.0.1')) throw new Error('Error de red: El servidor sigue en localhost.');
+            if (!streamUrl) throw new Error(I18n.t('cast.noStream'));
+            if (streamUrl.includes('127.0.0.1')) throw new Error(I18n.t('cast.localhostOnly'));
 
             let subtitleUrl = null;
+            let subtitleLanguageCode = movieInfo?.subtitleLanguageCode || null;
             subtitles.stopSubtitleServer();
+            subtitles.setSubtitleTiming(movieInfo?.subtitleTiming);
+            subtitles.setSecondarySubtitle(movieInfo?.secondarySubtitle);
             if (movieInfo?.subtitleDownloadUrl) {
                 try { subtitleUrl = await subtitles.prepareSubtitlesForCast(movieInfo.subtitleDownloadUrl); }
                 catch (subErr) { console.error('[IPC:Cast] Subtitle error:', subErr); }
             }
+            // Dual subtitles without a primary one: the second is the only track
+            if (!subtitleUrl) {
+                subtitleUrl = await subtitles.prepareSecondaryForCast();
+                subtitleLanguageCode = movieInfo?.secondarySubtitle?.language || null;
+            }
 
             castManager.onStatusUpdate((status) => { try { event.reply('cast-status', status); } catch (e) { } });
 
-            await castManager.playOnDevice(deviceName, {
+            activeMedia = {
                 url: streamUrl,
+                contentType: streaming.getActiveContentType(),
                 title: movieInfo?.title || 'Glass Cinema',
                 coverUrl: movieInfo?.coverUrl || null,
-                subtitleUrl
-            });
+                // Setting castResumePosition off starts the device from the beginning
+                startTime: storeManager.getSettings().castResumePosition ? (movieInfo?.startTime || 0) : 0,
+                subtitleUrl,
+                subtitleLanguageCode, // BCP 47, names the receiver's track
+                subtitleStyle: storeManager.getSubtitleStyle(),
+                audioTrack: movieInfo?.audioTrack || null
+            };
+            const { audioApplied } = await castManager.playOnDevice(deviceName, activeMedia);
 
             event.reply('cast-connected', deviceName);
+            reportAudio(event, audioApplied);
             console.log('[IPC:Cast] Cast success');
         } catch (error) {
             console.error('[IPC:Cast] Cast failed:', error.message);
@@ -63,10 +98,12 @@ function register() {
             streaming.setCastMode(false);
             castManager.onStatusUpdate(null);
             subtitles.stopSubtitleServer();
+            activeMedia = null;
         }
     });
 
     ipcMain.on('stop-casting', async (event) => {
+        activeMedia = null;
         try {
             await castManager.stopCasting();
             await streaming.fullCleanup();
@@ -77,6 +114,95 @@ function register() {
         }
     });
 
+    ipcMain.on('cast-select-file', async (event, { fileIndex, movieInfo }) => {
+        try {
+            const url = streaming.selectCastFile(fileIndex);
+            if (!url) throw new Error(I18n.t('cast.noTorrentStream'));
+
+            activeMedia = {
+                url,
+                contentType: streaming.getActiveContentType(),
+                title: movieInfo?.title || 'Glass Cinema',
+                coverUrl: movieInfo?.coverUrl || null,
+                subtitleUrl: null,
+                subtitleStyle: storeManager.getSubtitleStyle(),
+                startTime: movieInfo?.startTime || 0,
+                audioTrack: null
+            };
+            await castManager.loadOnActiveDevice(activeMedia);
+            console.log(`[IPC:Cast] Switched cast to file #${fileIndex}`);
+        } catch (error) {
+            console.error('[IPC:Cast] File switch failed:', error.message);
+            event.reply('cast-error', error.message);
+        }
+    });
+
+    // Switched on the loaded media together with the subtitle track (no reload)
+    ipcMain.on('cast-set-audio-track', async (event, { audioTrack, startTime }) => {
+        if (!activeMedia) return;
+        try {
+            activeMedia = { ...activeMedia, audioTrack, startTime: startTime || 0 };
+            const applied = await castManager.setActiveTracks(activeMedia);
+            if (!applied) {
+                activeMedia = { ...activeMedia, audioTrack: null };
+                reportAudio(event, false);
+                return;
+            }
+            console.log(`[IPC:Cast] Audio track #${audioTrack?.index ?? 'default'} on cast`);
+        } catch (error) {
+            console.error('[IPC:Cast] Audio switch failed:', error.message);
+            event.reply('cast-error', error.message);
+        }
+    });
+
+    ipcMain.on('cast-set-subtitle-timing', async (event, { timing, startTime }) => {
+        subtitles.setSubtitleTiming(timing);
+        if (!activeMedia?.subtitleUrl) return;
+        try {
+            await reloadSubtitles(startTime);
+            console.log(`[IPC:Cast] Subtitle timing updated on cast (delay ${timing?.delay || 0}s)`);
+        } catch (error) {
+            console.error('[IPC:Cast] Subtitle timing update failed:', error.message);
+            event.reply('cast-error', error.message);
+        }
+    });
+
+    ipcMain.on('cast-refresh-subtitle-style', async (event, startTime) => {
+        if (!activeMedia?.subtitleUrl) return;
+        try {
+            await reloadSubtitles(startTime, { subtitleStyle: storeManager.getSubtitleStyle() });
+            console.log('[IPC:Cast] Subtitle style updated on cast');
+        } catch (error) {
+            console.error('[IPC:Cast] Subtitle style update failed:', error.message);
+            event.reply('cast-error', error.message);
+        }
+    });
+
+    // Dual subtitles: the second one is merged into the served VTT, or is
+    // the only track when the cast has no primary subtitle
+    ipcMain.on('cast-set-secondary-subtitle', async (event, { secondary, startTime }) => {
+        subtitles.setSecondarySubtitle(secondary);
+        if (!activeMedia) return;
+        try {
+            if (activeMedia.subtitleUrl && (subtitles.hasPrimarySubtitle() || secondary?.vtt)) {
+                await reloadSubtitles(startTime);
+            } else if (activeMedia.subtitleUrl) {
+                subtitles.stopSubtitleServer();
+                activeMedia = { ...activeMedia, subtitleUrl: null, subtitleLanguageCode: null, startTime: startTime || 0 };
+                await castManager.loadOnActiveDevice(activeMedia);
+            } else {
+                const subtitleUrl = await subtitles.prepareSecondaryForCast();
+                if (!subtitleUrl) return;
+                activeMedia = { ...activeMedia, subtitleUrl, subtitleLanguageCode: secondary?.language || null, startTime: startTime || 0 };
+                await castManager.loadOnActiveDevice(activeMedia);
+            }
+            console.log('[IPC:Cast] Secondary subtitle updated on cast');
+        } catch (error) {
+            console.error('[IPC:Cast] Secondary subtitle update failed:', error.message);
+            event.reply('cast-error', error.message);
+        }
+    });
+
     ipcMain.on('cast-pause', () => castManager.pause());
     ipcMain.on('cast-resume', () => castManager.resume());
     ipcMain.on('cast-seek', (event, seconds) => castManager.seek(seconds));
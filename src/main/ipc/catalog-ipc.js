@@ -0,0 +1,48 @@
+const { ipcMain } = require('electron');
+const catalogManager = require('../catalog-manager');
+const CatalogMapper = require('../catalog/CatalogMapper');
+
+function register() {
+    ipcMain.handle('catalog-get-providers', () => catalogManager.getProviders());
+    ipcMain.handle('catalog-set-provider', (event, id) => catalogManager.setActiveProvider(id));
+    ipcMain.handle('catalog-parse-release', (event, name) => CatalogMapper.parseReleaseName(name));
+
+    // Errors are returned (not thrown) so the renderer gets a readable message
+    ipcMain.handle('catalog-list', async (event, options) => {
+        try {
+            return await catalogManager.list(options);
+        } catch (error) {
+            console.error('[IPC:Catalog] List failed:', error.message);
+            return { movies: [], hasMore: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('catalog-get-details', async (event, id) => {
+        try {
+            return await catalogManager.getDetails(id);
+        } catch (error) {
+            console.error('[IPC:Catalog] Details failed:', error.message);
+            return null;
+        }
+    });
+
+    ipcMain.handle('catalog-get-torrents', async (event, id) => {
+        try {
+            return await catalogManager.getTorrents(id);
+        } catch (error) {
+            console.error('[IPC:Catalog] Torrents failed:', error.message);
+            return [];
+        }
+    });
+
+    ipcMain.handle('catalog-get-episode-torrents', async (event, query) => {
+        try {
+            return await catalogManager.getEpisodeTorrents(query);
+        } catch (error) {
+            console.error('[IPC:Catalog] Episode torrents failed:', error.message);
+            return [];
+        }
+    });
+}
+
+module.exports = { register };
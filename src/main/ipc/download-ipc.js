@@ -3,37 +3,73 @@ const streaming = require('../streaming');
 const storeManager = require('../store-manager');
 
 function register(getMainWindow) {
+    const send = (channel, data) => {
+        const w = getMainWindow();
+        if (w && !w.isDestroyed()) w.webContents.send(channel, data);
+    };
+
+    // Queue events; also resumes downloads interrupted by the last quit
+    streaming.initDownloads({
+        onProgress: (infoHash, percentage, stats) => send('download-progress', { infoHash, percentage, stats }),
+        onComplete: (infoHash, localPath) => send('download-complete', { infoHash, localPath }),
+        onStateChange: (item) => send('download-state', { infoHash: item.infoHash, status: item.status, progress: item.progress, error: item.error })
+    });
+
+    // Older downloads were renamed to video.mp4; restore their name and container first
+    streaming.migrateDownloads();
+
+    // Quick integrity check (file present, expected size) of the finished downloads
+    const sendIntegrity = (result) => send('download-integrity', result);
+    streaming.verifyLibrary({ full: false }, sendIntegrity)
+        .catch(err => console.error('[IPC:Download] Startup verification failed:', err));
+
     ipcMain.on('start-download', (event, { movie, subtitleUrl }) => {
-        streaming.startDownload(
-            movie, subtitleUrl,
-            (infoHash, percentage, stats) => {
-                const w = getMainWindow();
-                if (w && !w.isDestroyed()) w.webContents.send('download-progress', { infoHash, percentage, stats });
-            },
-            (localPath) => {
-                const w = getMainWindow();
-                if (w && !w.isDestroyed()) w.webContents.send('download-complete', { infoHash: movie.infoHash, localPath });
-            }
-        ).catch(err => console.error('[IPC:Download] Error:', err));
+        streaming.startDownload(movie, subtitleUrl)
+            .catch(err => console.error('[IPC:Download] Error:', err));
     });
 
-    ipcMain.handle('get-downloads', () => storeManager.getAllDownloads());
+    ipcMain.handle('get-download-queue', () => streaming.getDownloadQueue());
+    ipcMain.handle('pause-download', (event, infoHash) => streaming.pauseDownload(infoHash));
+    ipcMain.handle('resume-download', (event, infoHash) => streaming.resumeDownload(infoHash));
+    ipcMain.handle('set-download-priority', (event, { infoHash, priority }) => streaming.setDownloadPriority(infoHash, priority));
+    // Full re-hash on demand; each result is also sent as 'download-integrity'
+    ipcMain.handle('verify-library', (event, options) => streaming.verifyLibrary({ full: true, ...options }, sendIntegrity));
+    ipcMain.handle('repair-download', (event, infoHash) => streaming.repairDownload(infoHash));
+    // Full live stats for the downloads panel (speed, peers, ETA, size)
+    ipcMain.handle('get-download-stats', () => streaming.getDownloadStats());
 
+    ipcMain.handle('get-downloads', () => storeManager.getAllDownloads()
+        .map(d => ({ ...d, localPoster: storeManager.getLocalPoster(d.infoHash) })));
+
+    // Files first: the store entry knows which downloads folder they are in
     ipcMain.handle('remove-download', (event, infoHash) => {
-        storeManager.removeDownload(infoHash);
         streaming.removeDownloadFile(infoHash);
+        storeManager.removeDownload(infoHash);
         return true;
     });
 
     ipcMain.handle('cancel-download', (event, infoHash) => streaming.cancelDownload(infoHash));
 
+    // Library storage: folders with free space, usage per movie, moving and orphan cleanup
+    ipcMain.handle('library-get-folders', () => streaming.getLibraryFolders());
+    ipcMain.handle('library-get-usage', () => streaming.getDiskUsage());
+    ipcMain.handle('library-move', (event, { from, to }) => streaming.moveLibrary(from, to, (progress) => send('library-move-progress', progress)));
+    ipcMain.handle('library-find-orphans', () => streaming.findOrphanFolders());
+    ipcMain.handle('library-remove-orphans', (event, paths) => streaming.removeOrphanFolders(paths));
+
     ipcMain.handle('check-download-status', (event, infoHash) => {
         const active = streaming.getActiveDownloads()[infoHash];
+        const queued = storeManager.getQueueItem(infoHash);
         const stored = storeManager.getAllDownloads().find(d => d.infoHash === infoHash);
+        const progress = active ? active.progress : (queued?.progress || 0);
         return {
-            isDownloading: !!active,
-            progress: active ? Math.round(active.progress * 100) : 0,
-            isDownloaded: !!stored
+            isDownloading: !!active || ['queued', 'paused'].includes(queued?.status),
+            status: queued?.status || null, // 'queued' | 'downloading' | 'paused' | 'failed' | 'completed'
+            progress: Math.round(progress * 100),
+            // A download under repair streams until the repair replaces it
+            isDownloaded: !!stored && !stored.repairing,
+            repairing: !!stored?.repairing,
+            integrity: stored?.integrity?.status || null // 'ok' | 'missing' | 'corrupt' | 'unverified'
         };
     });
 }
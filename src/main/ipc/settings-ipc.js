@@ -0,0 +1,38 @@
+const { app, dialog, ipcMain } = require('electron');
+const streaming = require('../streaming');
+const storeManager = require('../store-manager');
+const SettingsSchema = require('../settings-schema');
+const I18n = require('../../shared/i18n');
+
+function register() {
+    // Errors sent from this process follow the interface language ('' = system)
+    storeManager.onSettingsChange((changed, settings) => {
+        if (changed.includes('uiLanguage')) I18n.setLocale(settings.uiLanguage || app.getLocale());
+    });
+
+    // Settings view: only the schema keys cross to the renderer (see settings-schema)
+    ipcMain.handle('settings-get', () => storeManager.getUserSettings());
+    ipcMain.handle('settings-get-schema', () => ({ groups: SettingsSchema.GROUPS, fields: SettingsSchema.describe() }));
+    ipcMain.handle('settings-update', (event, partial) => storeManager.saveSettings(partial)); // { settings, errors }
+    ipcMain.handle('settings-choose-folder', async (event, defaultPath) => {
+        const result = await dialog.showOpenDialog({ defaultPath: defaultPath || undefined, properties: ['openDirectory', 'createDirectory'] });
+        return result.canceled ? null : result.filePaths[0];
+    });
+    // Bandwidth policy (rates in KB/s, 0 = unlimited); updates apply to live clients
+    ipcMain.handle('settings-get-bandwidth', () => streaming.getBandwidthPolicy());
+    ipcMain.handle('settings-update-bandwidth', (event, partial) => streaming.updateBandwidthPolicy(partial));
+    // Subtitle appearance (see store-manager DEFAULT_SETTINGS.subtitleStyle)
+    ipcMain.handle('settings-get-subtitle-style', () => storeManager.getSubtitleStyle());
+    ipcMain.handle('settings-update-subtitle-style', (event, partial) => storeManager.updateSubtitleStyle(partial));
+    // Preferred subtitle / audio languages and subtitle auto-loading
+    ipcMain.handle('settings-get-languages', () => storeManager.getLanguagePreferences());
+    ipcMain.handle('settings-update-languages', (event, partial) => storeManager.updateLanguagePreferences(partial));
+    // Interface language; unknown locales fall back to the system language
+    ipcMain.handle('settings-get-ui-language', () => ({ uiLanguage: storeManager.getUiLanguage(), locale: I18n.locale }));
+    ipcMain.handle('settings-set-ui-language', (event, language) => {
+        storeManager.saveSettings({ uiLanguage: I18n.catalogs[language] ? language : '' });
+        return I18n.locale;
+    });
+}
+
+module.exports = { register };
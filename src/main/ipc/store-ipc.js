@@ -3,20 +3,39 @@ const storeManager = require('../store-manager');
 const subtitles = require('../subtitles');
 const networkUtils = require('../network-utils');
 
+// Downloaded movies show the poster saved with them; an entry saved from a
+// download card keeps a copy that may point at a moved or deleted folder
+function withLocalPoster(movie) {
+    return { ...movie, localPoster: storeManager.getLocalPoster(movie.infoHash) };
+}
+
 function register() {
-    ipcMain.handle('get-env', (event, key) => process.env[key]);
     ipcMain.handle('get-local-ip', () => networkUtils.getLocalIP());
 
     ipcMain.handle('store-toggle-favorite', (event, movie) => storeManager.toggleFavorite(movie));
     ipcMain.handle('store-toggle-watchlist', (event, movie) => storeManager.toggleWatchlist(movie));
-    ipcMain.handle('store-get-library', async () => storeManager.getLibrary());
+    ipcMain.handle('store-get-library', async () => {
+        const { favorites, watchlist } = storeManager.getLibrary();
+        return { favorites: favorites.map(withLocalPoster), watchlist: watchlist.map(withLocalPoster) };
+    });
     ipcMain.handle('store-check-status', (event, movie) => storeManager.checkStatus(movie));
 
+    ipcMain.handle('store-get-watch-progress', (event, movie) => storeManager.getWatchProgress(movie));
+    ipcMain.on('store-save-watch-progress', (event, { movie, position, duration }) => storeManager.saveWatchProgress(movie, position, duration));
+    ipcMain.handle('store-get-watch-history', () => {
+        const { continueWatching, recentlyWatched } = storeManager.getWatchHistory();
+        return { continueWatching: continueWatching.map(withLocalPoster), recentlyWatched: recentlyWatched.map(withLocalPoster) };
+    });
+    ipcMain.handle('store-set-watched', (event, { movie, watched }) => storeManager.setWatched(movie, watched));
+    ipcMain.handle('store-clear-watch-history', () => storeManager.clearWatchHistory());
+    ipcMain.handle('store-get-subtitle-timing', (event, movie) => storeManager.getSubtitleTiming(movie));
+    ipcMain.on('store-save-subtitle-timing', (event, { movie, timing }) => storeManager.saveSubtitleTiming(movie, timing));
+
     ipcMain.handle('get-metadata', (event, imdbId) => storeManager.getMetadata(imdbId));
     ipcMain.on('save-metadata', (event, { imdbId, data }) => storeManager.saveMetadata(imdbId, data));
 
-    ipcMain.handle('fetch-movie-subs', async (event, imdbId) => subtitles.getAvailableSubtitles(imdbId));
-    ipcMain.handle('load-selected-sub', async (event, pageUrl) => subtitles.downloadSubtitle(pageUrl));
+    ipcMain.handle('fetch-movie-subs', async (event, imdbId, lang, match) => subtitles.getAvailableSubtitles(imdbId, lang, match));
+    ipcMain.handle('load-selected-sub', async (event, id) => subtitles.downloadSubtitle(id));
     ipcMain.on('clear-subtitles', () => subtitles.clearSubtitles());
 }
 
@@ -1,6 +1,17 @@
 const { ipcMain } = require('electron');
 const streaming = require('../streaming');
 
+// Probe a stream that just became ready; the renderer matches the results by url
+function reportProbe(event, url) {
+    streaming.probeStream(url).then(result => {
+        if (result && !event.sender.isDestroyed()) event.sender.send('stream-probe', { url, ...result });
+    });
+    // Movie hash + file name, used to rank subtitles for this exact release
+    streaming.getFileMatch(url).then(match => {
+        if (!event.sender.isDestroyed()) event.sender.send('stream-file-match', { url, ...match });
+    });
+}
+
 function register() {
     ipcMain.on('start-stream', (event, magnet) => {
         streaming.startStream(
@@ -8,19 +19,47 @@ function register() {
             (url, subtitleUrl) => {
                 event.reply('stream-ready', url);
                 if (subtitleUrl) event.reply('load-local-subtitle', subtitleUrl);
+                reportProbe(event, url);
             },
-            (stats) => event.reply('download-progress', stats)
+            (stats) => event.reply('download-progress', stats),
+            (fileInfo) => event.reply('torrent-files', fileInfo),
+            (error) => event.reply('stream-error', error.message)
         );
     });
 
+    ipcMain.on('select-torrent-file', (event, fileIndex) => {
+        const ok = streaming.selectStreamFile(fileIndex, (url) => {
+            event.reply('stream-ready', url);
+            reportProbe(event, url);
+        });
+        if (!ok) console.warn(`[IPC:Stream] Cannot select file #${fileIndex}, no active torrent`);
+    });
+
     ipcMain.handle('play-local', (event, infoHash) => {
         return new Promise((resolve) => {
             streaming.serveLocalFolder(infoHash, (videoUrl, subtitleUrl) => {
                 resolve({ videoUrl, subtitleUrl });
+                if (videoUrl) reportProbe(event, videoUrl);
             });
         });
     });
 
+    // Embedded subtitles are sent in batches while the file is read
+    ipcMain.on('extract-embedded-subtitle', (event, { url, container, track }) => {
+        const send = (data) => {
+            if (!event.sender.isDestroyed()) event.sender.send('embedded-subtitle-cues', { url, number: track.number, ...data });
+        };
+        streaming.extractSubtitleTrack(url, container, track, (cues) => send({ cues, done: false }))
+            .then(() => send({ cues: [], done: true }))
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                console.warn('[IPC:Stream] Subtitle extraction failed:', err.message);
+                send({ cues: [], done: true, error: err.message });
+            });
+    });
+
+    ipcMain.on('stop-embedded-subtitle', () => streaming.stopSubtitleExtraction());
+
     ipcMain.on('stop-stream', () => {
         console.log('[IPC:Stream] Stopping stream');
         streaming.fullCleanup().catch(err => console.error('[IPC:Stream] Stop error:', err));
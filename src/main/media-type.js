@@ -0,0 +1,113 @@
+/**
+ * Media Type Module
+ * Detects the real container of a video file from its magic bytes
+ * (file extensions in torrents are often wrong) and maps it to a MIME type
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SNIFF_BYTES = 512;
+const DEFAULT_MIME = 'video/mp4';
+
+const CONTAINERS = {
+    mp4: { mime: 'video/mp4', ext: '.mp4' },
+    mov: { mime: 'video/quicktime', ext: '.mov' },
+    mkv: { mime: 'video/x-matroska', ext: '.mkv' },
+    webm: { mime: 'video/webm', ext: '.webm' },
+    avi: { mime: 'video/x-msvideo', ext: '.avi' },
+    ts: { mime: 'video/mp2t', ext: '.ts' },
+    flv: { mime: 'video/x-flv', ext: '.flv' },
+    ogg: { mime: 'video/ogg', ext: '.ogv' },
+    asf: { mime: 'video/x-ms-asf', ext: '.wmv' }
+};
+
+const EXTENSIONS = {
+    '.mp4': 'mp4', '.m4v': 'mp4', '.mov': 'mov',
+    '.mkv': 'mkv', '.webm': 'webm', '.avi': 'avi',
+    '.ts': 'ts', '.m2ts': 'ts', '.flv': 'flv',
+    '.ogv': 'ogg', '.ogg': 'ogg', '.wmv': 'asf', '.asf': 'asf'
+};
+
+// path -> { mtimeMs, container }
+const sniffCache = new Map();
+
+/**
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {string|null} Container id (key of CONTAINERS)
+ */
+function sniffContainer(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    if (ascii(4, 8) === 'ftyp') return ascii(8, 12) === 'qt  ' ? 'mov' : 'mp4';
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) {
+        // EBML header: the DocType tells WebM and Matroska apart
+        return buffer.subarray(0, 64).includes('webm') ? 'webm' : 'mkv';
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'avi';
+    if (ascii(0, 3) === 'FLV') return 'flv';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (buffer.readUInt32BE(0) === 0x3026B275) return 'asf';
+    // MPEG-TS: sync byte every 188 bytes
+    if (buffer[0] === 0x47 && buffer.length > 376 && buffer[188] === 0x47 && buffer[376] === 0x47) return 'ts';
+    return null;
+}
+
+/**
+ * Container of a file on disk (cached until the file changes)
+ * @returns {string|null}
+ */
+function detectContainer(filePath) {
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        const cached = sniffCache.get(filePath);
+        if (cached && cached.mtimeMs === mtimeMs) return cached.container;
+
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const fd = fs.openSync(filePath, 'r');
+        let bytesRead = 0;
+        try { bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0); } finally { fs.closeSync(fd); }
+
+        const container = sniffContainer(buffer.subarray(0, bytesRead)) || EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+        sniffCache.set(filePath, { mtimeMs, container });
+        return container;
+    } catch (e) {
+        return EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+    }
+}
+
+/**
+ * MIME type of a file on disk, sniffed first and falling back to the extension
+ */
+function getMimeType(filePath) {
+    const container = detectContainer(filePath);
+    return container ? CONTAINERS[container].mime : DEFAULT_MIME;
+}
+
+/**
+ * MIME type from a file name only (torrent files that aren't fully on disk yet)
+ */
+function getMimeTypeForName(fileName) {
+    const container = EXTENSIONS[path.extname(fileName || '').toLowerCase()];
+    return container ? CONTAINERS[container].mime : DEFAULT_MIME;
+}
+
+/**
+ * Whether a file name ends in a known video extension
+ */
+function isVideoName(fileName) {
+    return !!EXTENSIONS[path.extname(fileName || '').toLowerCase()];
+}
+
+function getExtension(container) {
+    return CONTAINERS[container]?.ext || null;
+}
+
+function isVideoMime(mime) {
+    return typeof mime === 'string' && mime.startsWith('video/');
+}
+
+module.exports = {
+    sniffContainer, detectContainer, getMimeType, getMimeTypeForName,
+    isVideoName, getExtension, isVideoMime
+};
@@ -25,6 +25,7 @@ const STORE_FILENAME = 'user-settings'; // electron-store adds .json, we just ne
 module.exports = {
     DATA_ROOT,
     CACHE_DIR,
+    // Default library folder; new downloads and other library folders are settings (see streaming/LibraryStorage)
     DOWNLOADS_DIR: path.join(DATA_ROOT, 'downloads'),
     STORE_FILENAME
 };
@@ -0,0 +1,99 @@
+/**
+ * Protocol Handler Module
+ * Registers Glass Cinema as the `magnet:` handler and forwards magnet links /
+ * .torrent files opened from the OS (argv, second instance, macOS open-url) to the renderer
+ */
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+const PROTOCOL = 'magnet';
+
+let getWindow = null;
+// Link received before the renderer finished loading
+let pendingSource = null;
+
+/**
+ * Find a magnet URI or an existing .torrent path in a command line
+ * @param {string[]} argv
+ * @returns {string|null}
+ */
+function findTorrentArg(argv) {
+    const magnet = argv.find(arg => arg.startsWith('magnet:?'));
+    if (magnet) return magnet;
+
+    const torrentFile = argv.find(arg => arg.toLowerCase().endsWith('.torrent') && fs.existsSync(arg));
+    return torrentFile ? path.resolve(torrentFile) : null;
+}
+
+function deliver(source) {
+    const win = getWindow ? getWindow() : null;
+    if (!win || win.isDestroyed() || win.webContents.isLoading()) {
+        pendingSource = source;
+        return;
+    }
+
+    console.log('[ProtocolHandler] Opening:', source.startsWith('magnet:') ? source.slice(0, 60) : source);
+    win.webContents.send('open-torrent', source);
+    if (win.isMinimized()) win.restore();
+    win.focus();
+}
+
+/**
+ * Must run before app 'ready'
+ * @returns {boolean} False when another instance already owns the lock (this one quits)
+ */
+function init() {
+    if (!app.requestSingleInstanceLock()) {
+        app.quit();
+        return false;
+    }
+
+    // In development the app runs as "electron ." so the script path must be passed along
+    if (process.defaultApp && process.argv.length >= 2) {
+        app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+    } else {
+        app.setAsDefaultProtocolClient(PROTOCOL);
+    }
+
+    app.on('second-instance', (event, argv) => {
+        const source = findTorrentArg(argv);
+        if (source) {
+            deliver(source);
+        } else {
+            const win = getWindow ? getWindow() : null;
+            if (win && !win.isDestroyed()) win.focus();
+        }
+    });
+
+    // macOS delivers links and files through events instead of argv
+    app.on('open-url', (event, url) => {
+        event.preventDefault();
+        if (url.startsWith('magnet:')) deliver(url);
+    });
+    app.on('open-file', (event, filePath) => {
+        if (!filePath.toLowerCase().endsWith('.torrent')) return;
+        event.preventDefault();
+        deliver(filePath);
+    });
+
+    pendingSource = findTorrentArg(process.argv);
+    return true;
+}
+
+/**
+ * Attach the main window; a link received at launch is sent once it loads
+ * @param {Function} getMainWindow - Returns the current BrowserWindow
+ */
+function attachWindow(getMainWindow) {
+    getWindow = getMainWindow;
+    const win = getWindow();
+    win.webContents.on('did-finish-load', () => {
+        if (!pendingSource) return;
+        const source = pendingSource;
+        pendingSource = null;
+        deliver(source);
+    });
+}
+
+module.exports = { init, attachWindow, findTorrentArg };
@@ -0,0 +1,154 @@
+/**
+ * Settings Schema
+ * Type, default and limits of every setting the Settings view edits.
+ * store-manager validates writes against it; `env` names the .env variable
+ * that seeds the setting the first time the app runs (see migrateEnvSettings)
+ */
+const path = require('path');
+const Languages = require('../shared/languages');
+const I18n = require('../shared/i18n');
+
+// Groups in the order the Settings view shows them
+const GROUPS = ['apis', 'subtitles', 'streaming', 'languages', 'bandwidth', 'cast'];
+
+// Types: boolean, integer, number, enum, string, url (http/https), languages
+// (BCP 47 list), path (absolute folder), paths (list of folders) and file (absolute file path)
+const SCHEMA = {
+    // Catalog and metadata
+    movieApiUrl: { group: 'apis', type: 'url', default: '', env: 'MOVIE_API_URL' },
+    tmdbApiKey: { group: 'apis', type: 'string', default: '', env: 'TMDB_API_KEY', secret: true },
+    torznabUrl: { group: 'apis', type: 'url', default: '', env: 'TORZNAB_URL' },
+    torznabApiKey: { group: 'apis', type: 'string', default: '', env: 'TORZNAB_API_KEY', secret: true },
+    torznabCategories: { group: 'apis', type: 'string', default: '2000', pattern: /^\d+(,\d+)*$/ },
+    localCatalogPath: { group: 'apis', type: 'file', default: '' },
+    // Subtitle sources
+    subtitlesApiUrl: { group: 'subtitles', type: 'url', default: 'https://yifysubtitles.ch', env: 'SUBTITLES_API_URL' },
+    openSubtitlesUrl: { group: 'subtitles', type: 'url', default: '', env: 'OPENSUBTITLES_API_URL' },
+    openSubtitlesApiKey: { group: 'subtitles', type: 'string', default: '', env: 'OPENSUBTITLES_API_KEY', secret: true },
+    subtitlesFolder: { group: 'subtitles', type: 'path', default: '', env: 'SUBTITLES_FOLDER' },
+    // Streaming and storage: new downloads go to downloadsDir ('' = app_data/downloads);
+    // libraryFolders are other folders with downloads (e.g. an external drive)
+    streamPort: { group: 'streaming', type: 'integer', default: 62182, min: 1024, max: 65535, env: 'STREAM_PORT' },
+    downloadsDir: { group: 'streaming', type: 'path', default: '' },
+    libraryFolders: { group: 'streaming', type: 'paths', default: [] },
+    // Languages ('' = follow the system)
+    uiLanguage: { group: 'languages', type: 'enum', default: '', values: ['', ...Object.keys(I18n.catalogs)] },
+    subtitleLanguages: { group: 'languages', type: 'languages', default: ['es', 'en'] },
+    audioLanguages: { group: 'languages', type: 'languages', default: [] }, // empty = keep the file's default audio track
+    autoLoadSubtitles: { group: 'languages', type: 'boolean', default: true },
+    // Bandwidth (KB/s, 0 = unlimited) and seeding, see streaming/BandwidthPolicy
+    maxDownloadKBps: { group: 'bandwidth', type: 'number', default: 0, min: 0 },
+    maxUploadKBps: { group: 'bandwidth', type: 'number', default: 0, min: 0 },
+    maxConnections: { group: 'bandwidth', type: 'integer', default: 55, min: 1 },
+    maxConcurrentDownloads: { group: 'bandwidth', type: 'integer', default: 2, min: 1 },
+    seedMode: { group: 'bandwidth', type: 'enum', default: 'none', values: ['none', 'ratio', 'time'] },
+    seedRatio: { group: 'bandwidth', type: 'number', default: 1, min: 0.1 },
+    seedMinutes: { group: 'bandwidth', type: 'integer', default: 30, min: 1 },
+    pauseDownloadsWhileStreaming: { group: 'bandwidth', type: 'boolean', default: false },
+    // Cast
+    castResumePosition: { group: 'cast', type: 'boolean', default: true }, // false = the device starts from the beginning
+    castDiscoverDlna: { group: 'cast', type: 'boolean', default: true },
+    castDiscoverySeconds: { group: 'cast', type: 'integer', default: 8, min: 3, max: 60 }
+};
+
+function has(key) {
+    return Object.prototype.hasOwnProperty.call(SCHEMA, key);
+}
+
+function getDefaults() {
+    const defaults = {};
+    Object.entries(SCHEMA).forEach(([key, field]) => {
+        defaults[key] = Array.isArray(field.default) ? [...field.default] : field.default;
+    });
+    return defaults;
+}
+
+function checkRange(field, value) {
+    if (field.min != null && field.max != null && (value < field.min || value > field.max)) {
+        return { error: I18n.t('settings.errors.range', { min: field.min, max: field.max }) };
+    }
+    if (field.min != null && value < field.min) return { error: I18n.t('settings.errors.min', { min: field.min }) };
+    if (field.max != null && value > field.max) return { error: I18n.t('settings.errors.max', { max: field.max }) };
+    return { value };
+}
+
+/**
+ * Validate one setting
+ * @param {string} key - Schema key
+ * @param {*} raw - Value from the renderer or .env
+ * @returns {{value: *}|{error: string}} The cleaned value, or a message for the UI
+ */
+function validate(key, raw) {
+    const field = SCHEMA[key];
+    if (!field) return { error: I18n.t('settings.errors.unknown', { key }) };
+
+    switch (field.type) {
+        case 'boolean':
+            return { value: !!raw };
+        case 'languages':
+            return { value: Languages.parseList(raw) };
+        case 'enum':
+            return field.values.includes(raw) ? { value: raw } : { error: I18n.t('settings.errors.option') };
+        case 'integer':
+        case 'number': {
+            const value = Number(raw);
+            if (raw === '' || raw == null || !Number.isFinite(value)) return { error: I18n.t('settings.errors.number') };
+            if (field.type === 'integer' && !Number.isInteger(value)) return { error: I18n.t('settings.errors.integer') };
+            return checkRange(field, value);
+        }
+        case 'url': {
+            const value = String(raw ?? '').trim();
+            if (!value) return { value };
+            try {
+                if (['http:', 'https:'].includes(new URL(value).protocol)) return { value };
+            } catch (e) { }
+            return { error: I18n.t('settings.errors.url') };
+        }
+        case 'paths': {
+            const items = Array.isArray(raw) ? raw : String(raw ?? '').split(/\r?\n/);
+            const folders = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+            return folders.every(folder => path.isAbsolute(folder)) ? { value: folders } : { error: I18n.t('settings.errors.absolutePath') };
+        }
+        case 'path':
+        case 'file': {
+            const value = String(raw ?? '').trim();
+            return !value || path.isAbsolute(value) ? { value } : { error: I18n.t('settings.errors.absolutePath') };
+        }
+        default: {
+            const value = String(raw ?? '').trim();
+            return !field.pattern || field.pattern.test(value) ? { value } : { error: I18n.t('settings.errors.format') };
+        }
+    }
+}
+
+/**
+ * Settings found in the environment (.env), already validated
+ * Invalid values (e.g. the placeholders of .env.example) are skipped
+ * @param {Object} env - process.env
+ * @returns {Object} Values by setting key
+ */
+function fromEnv(env) {
+    const values = {};
+    Object.entries(SCHEMA).forEach(([key, field]) => {
+        const raw = field.env && env[field.env];
+        if (raw == null || raw === '') return;
+        const result = validate(key, raw);
+        if ('error' in result) console.warn(`[SettingsSchema] Ignoring ${field.env}: ${result.error}`);
+        else values[key] = result.value;
+    });
+    return values;
+}
+
+/**
+ * Field list for the Settings view (types and limits, no patterns or env names)
+ * @returns {Array<{key, group, type, values, min, max, secret}>}
+ */
+function describe() {
+    return Object.entries(SCHEMA).map(([key, field]) => ({
+        key, group: field.group, type: field.type,
+        values: field.values || null, min: field.min ?? null, max: field.max ?? null,
+        secret: !!field.secret
+    }));
+}
+
+module.exports = { GROUPS, has, getDefaults, validate, fromEnv, describe };
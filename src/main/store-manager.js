@@ -1,9 +1,31 @@
 const Store = require('electron-store');
+const fs = require('fs');
 const path = require('path');
-const { DATA_ROOT, STORE_FILENAME } = require('./paths');
+const { pathToFileURL } = require('url');
+const { DATA_ROOT, DOWNLOADS_DIR, STORE_FILENAME } = require('./paths');
+const SettingsSchema = require('./settings-schema');
 
 let store;
 
+// Defaults are merged on read, object ones (subtitleStyle) key by key, so new
+// keys reach existing installs
+// Settings edited in the Settings view are typed in settings-schema
+const DEFAULT_SETTINGS = {
+    ...SettingsSchema.getDefaults(),
+    catalogProvider: 'yts',
+    // Subtitle appearance, local player (::cue) and Chromecast (textTrackStyle)
+    subtitleStyle: {
+        fontSize: 100, // % of the default size
+        color: '#ffffff',
+        backgroundOpacity: 0.7,
+        edgeStyle: 'dropShadow', // 'none' | 'outline' | 'dropShadow' | 'raised' | 'depressed'
+        position: 0, // % of the video height the cues are raised
+        secondaryPosition: 'top' // Dual subtitles: second track at the 'top' or stacked at the 'bottom'
+    }
+};
+
+const SUBTITLE_EDGE_STYLES = ['none', 'outline', 'dropShadow', 'raised', 'depressed'];
+
 function init() {
     if (store) return;
 
@@ -31,11 +53,16 @@ function init() {
             defaults: {
                 favorites: [],
                 watchlist: [],
-                downloads: []
+                downloads: [],
+                downloadQueue: [],
+                watchHistory: {},
+                settings: DEFAULT_SETTINGS
             }
         });
         console.log('[StoreManager] Store initialized successfully at:', store.path);
 
+        migrateEnvSettings();
+
         // Clear metadata cache on startup (session-only cache)
         clearMetadataCache();
     } catch (err) {
@@ -43,6 +70,29 @@ function init() {
     }
 }
 
+/**
+ * The configuration used to live in .env: its values become settings once,
+ * after that the Settings view is the source of truth
+ */
+function migrateEnvSettings() {
+    if (store.get('envMigrated')) return;
+
+    const defaults = SettingsSchema.getDefaults();
+    const stored = store.get('settings', {});
+    const migrated = {};
+    Object.entries(SettingsSchema.fromEnv(process.env)).forEach(([key, value]) => {
+        // Values already changed in the app (e.g. the Torznab URL) win over .env
+        const current = stored[key];
+        if (current === undefined || current === '' || JSON.stringify(current) === JSON.stringify(defaults[key])) {
+            migrated[key] = value;
+        }
+    });
+
+    store.set('settings', { ...stored, ...migrated });
+    store.set('envMigrated', true);
+    if (Object.keys(migrated).length) console.log('[StoreManager] Settings migrated from .env:', Object.keys(migrated).join(', '));
+}
+
 /**
  * Clear metadata cache (called on app startup)
  * Makes metadata cache session-only for fresh data each launch
@@ -118,7 +168,12 @@ function getAllDownloads() {
     return store.get('downloads', []);
 }
 
-function addDownload(movie, localPath) {
+/**
+ * @param {Object} movie
+ * @param {string} localPath - Video file
+ * @param {string} [libraryDir] - Downloads folder it was saved in (see getDownloadFolder)
+ */
+function addDownload(movie, localPath, libraryDir) {
     if (!store) init();
     const downloads = store.get('downloads', []);
 
@@ -128,6 +183,7 @@ function addDownload(movie, localPath) {
         ...movie, // Store ALL metadata (description, rating, cast, runtime, etc.)
         infoHash: movie.infoHash, // Ensure this is preserved/overwritten correctly
         localPath: localPath,
+        libraryDir: libraryDir || downloads[existingIndex]?.libraryDir || DOWNLOADS_DIR,
         addedAt: Date.now(),
         // Persist critical metadata for playback if not already in ...movie
         magnet: movie.magnet || (movie.torrents?.[0]?.hash ? `magnet:?xt=urn:btih:${movie.torrents[0].hash}&dn=${encodeURIComponent(movie.title)}` : null),
@@ -144,6 +200,20 @@ function addDownload(movie, localPath) {
     store.set('downloads', downloads);
 }
 
+/**
+ * Merge fields into a finished download (e.g. the integrity check result)
+ */
+function updateDownload(infoHash, fields) {
+    if (!store) init();
+    const downloads = store.get('downloads', []);
+    const index = downloads.findIndex(d => d.infoHash === infoHash);
+    if (index === -1) return null;
+
+    downloads[index] = { ...downloads[index], ...fields };
+    store.set('downloads', downloads);
+    return downloads[index];
+}
+
 function removeDownload(infoHash) {
     if (!store) init();
     const downloads = store.get('downloads', []);
@@ -151,6 +221,84 @@ function removeDownload(infoHash) {
     store.set('downloads', newDownloads);
 }
 
+// --- Download Folders ---
+// A download lives in <downloads folder>/<infoHash> and remembers the folder it
+// was started in, so changing the setting only affects new downloads
+
+function getDownloadsDir() {
+    return getSettings().downloadsDir || DOWNLOADS_DIR;
+}
+
+/**
+ * Folder of a finished, queued or new download
+ * @param {string} infoHash
+ * @returns {string}
+ */
+function getDownloadFolder(infoHash) {
+    const entry = getAllDownloads().find(d => d.infoHash === infoHash) || getQueueItem(infoHash);
+    // Entries from before the setting existed have no libraryDir
+    const libraryDir = entry ? (entry.libraryDir || DOWNLOADS_DIR) : getDownloadsDir();
+    return path.join(libraryDir, infoHash);
+}
+
+/**
+ * file:// URL of the poster saved with a download (any library folder)
+ * @param {string} infoHash
+ * @returns {string|null} Null when there is no poster on disk
+ */
+function getLocalPoster(infoHash) {
+    if (!infoHash) return null;
+    const poster = path.join(getDownloadFolder(infoHash), 'poster.jpg');
+    return fs.existsSync(poster) ? pathToFileURL(poster).href : null;
+}
+
+// --- Download Queue ---
+// Survives restarts so half-done downloads can be resumed on the next launch
+// status: 'queued' | 'downloading' | 'paused' | 'failed' | 'completed'
+// priority: 'high' | 'normal' | 'low' (start order among queued items)
+const QUEUE_STATUSES = ['queued', 'downloading', 'paused', 'failed', 'completed'];
+
+function getDownloadQueue() {
+    if (!store) init();
+    return store.get('downloadQueue', []);
+}
+
+function getQueueItem(infoHash) {
+    return getDownloadQueue().find(item => item.infoHash === infoHash) || null;
+}
+
+/**
+ * Create or update a queue item
+ * @param {string} infoHash
+ * @param {Object} fields - { movie, subtitleUrl, status, priority, progress, error }
+ * @returns {Object} The stored item
+ */
+function upsertQueueItem(infoHash, fields) {
+    if (!store) init();
+    if (fields.status && !QUEUE_STATUSES.includes(fields.status)) {
+        throw new Error(`Invalid download status: ${fields.status}`);
+    }
+
+    const queue = store.get('downloadQueue', []);
+    const index = queue.findIndex(item => item.infoHash === infoHash);
+    const now = Date.now();
+
+    const item = index === -1
+        ? { infoHash, status: 'queued', priority: 'normal', progress: 0, error: null, addedAt: now, ...fields, updatedAt: now }
+        : { ...queue[index], ...fields, updatedAt: now };
+
+    if (index === -1) queue.push(item);
+    else queue[index] = item;
+
+    store.set('downloadQueue', queue);
+    return item;
+}
+
+function removeQueueItem(infoHash) {
+    if (!store) init();
+    store.set('downloadQueue', getDownloadQueue().filter(item => item.infoHash !== infoHash));
+}
+
 function toggleMovieInList(listName, movie) {
     if (!store) init(); // Auto-init if not ready, though explicit init is better
     const list = store.get(listName, []);
@@ -201,6 +349,156 @@ function getLibrary() {
     };
 }
 
+// --- Watch History ---
+// Entries are keyed by imdb_code (shared across qualities) or infoHash
+// Files of a multi-file torrent (episodes) get their own entry: "<key>#<fileIndex>"
+// Episodes of a show share its imdb_code, so they are told apart by number: "<key>#s1e2"
+const FINISHED_THRESHOLD = 0.95;
+
+function getHistoryKey(movie) {
+    if (!movie) return null;
+    const key = movie.imdb_code || movie.infoHash || movie.torrents?.[0]?.hash || null;
+    if (!key) return null;
+    if (movie.type === 'show' && movie.episode) return `${key}#s${movie.episode.season}e${movie.episode.episode}`;
+    return movie.fileIndex != null ? `${key}#${movie.fileIndex}` : key;
+}
+
+function getWatchProgress(movie) {
+    if (!store) init();
+    const key = getHistoryKey(movie);
+    if (!key) return null;
+    return store.get('watchHistory', {})[key] || null;
+}
+
+function saveWatchProgress(movie, position, duration) {
+    if (!store) init();
+    const key = getHistoryKey(movie);
+    if (!key || !duration || duration <= 0) return null;
+
+    const history = store.get('watchHistory', {});
+    const entry = {
+        key,
+        // Snapshot of the movie so history can be rendered without the catalog
+        movie: { ...(history[key]?.movie || {}), ...movie },
+        position: Math.max(0, Math.floor(position)),
+        duration: Math.floor(duration),
+        lastWatchedAt: Date.now(),
+        finished: position / duration >= FINISHED_THRESHOLD
+    };
+
+    history[key] = entry;
+    store.set('watchHistory', history);
+    return entry;
+}
+
+function getWatchHistory() {
+    if (!store) init();
+    const entries = Object.values(store.get('watchHistory', {}))
+        .sort((a, b) => b.lastWatchedAt - a.lastWatchedAt);
+
+    return {
+        continueWatching: entries.filter(e => !e.finished && e.position > 0),
+        recentlyWatched: entries
+    };
+}
+
+function setWatched(movie, watched) {
+    if (!store) init();
+    const key = getHistoryKey(movie);
+    if (!key) return { success: false };
+
+    const history = store.get('watchHistory', {});
+
+    if (watched) {
+        const existing = history[key];
+        // Without a previous session we only know the catalog runtime (minutes)
+        const duration = existing?.duration || ((movie.runtime || 0) * 60);
+        history[key] = {
+            key,
+            movie: { ...(existing?.movie || {}), ...movie },
+            position: duration,
+            duration,
+            lastWatchedAt: Date.now(),
+            finished: true
+        };
+    } else {
+        delete history[key];
+    }
+
+    store.set('watchHistory', history);
+    return { success: true, watched: !!watched };
+}
+
+function clearWatchHistory() {
+    if (!store) init();
+    store.set('watchHistory', {});
+    return true;
+}
+
+// --- Subtitle Timing ---
+// Delay / framerate conversion (and the second subtitle's delay) set in the player, keyed like the watch history
+
+function getSubtitleTiming(movie) {
+    if (!store) init();
+    const key = getHistoryKey(movie);
+    if (!key) return null;
+    return store.get('subtitleTiming', {})[key] || null;
+}
+
+function saveSubtitleTiming(movie, timing) {
+    if (!store) init();
+    const key = getHistoryKey(movie);
+    if (!key) return null;
+
+    const all = store.get('subtitleTiming', {});
+    const delay = Number(timing?.delay) || 0;
+    const framerate = timing?.framerate || null;
+    const secondaryDelay = Number(timing?.secondaryDelay) || 0;
+    // Defaults aren't stored
+    if (!delay && !framerate && !secondaryDelay) delete all[key];
+    else all[key] = { delay, framerate, secondaryDelay };
+
+    store.set('subtitleTiming', all);
+    return all[key] || null;
+}
+
+// --- Subtitle Style ---
+
+function getSubtitleStyle() {
+    return getSettings().subtitleStyle;
+}
+
+function updateSubtitleStyle(partial = {}) {
+    const style = getSubtitleStyle();
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+
+    if ('fontSize' in partial) style.fontSize = Math.round(clamp(partial.fontSize, 50, 300));
+    if ('color' in partial && /^#[0-9a-f]{6}$/i.test(partial.color)) style.color = partial.color.toLowerCase();
+    if ('backgroundOpacity' in partial) style.backgroundOpacity = clamp(partial.backgroundOpacity, 0, 1);
+    if ('edgeStyle' in partial && SUBTITLE_EDGE_STYLES.includes(partial.edgeStyle)) style.edgeStyle = partial.edgeStyle;
+    if ('position' in partial) style.position = Math.round(clamp(partial.position, 0, 50));
+    if ('secondaryPosition' in partial && ['top', 'bottom'].includes(partial.secondaryPosition)) style.secondaryPosition = partial.secondaryPosition;
+
+    updateSettings({ subtitleStyle: style });
+    return style;
+}
+
+// --- Language Preferences ---
+
+function getLanguagePreferences() {
+    const { subtitleLanguages, audioLanguages, autoLoadSubtitles } = getSettings();
+    return { subtitleLanguages, audioLanguages, autoLoadSubtitles };
+}
+
+function updateLanguagePreferences(partial = {}) {
+    saveSettings(pick(partial, ['subtitleLanguages', 'audioLanguages', 'autoLoadSubtitles']));
+    return getLanguagePreferences();
+}
+
+function getUiLanguage() {
+    return getSettings().uiLanguage;
+}
+
 function checkStatus(movie) {
     if (!store) init();
     const favorites = store.get('favorites', []);
@@ -216,22 +514,126 @@ function checkStatus(movie) {
         });
     }
 
+    const historyKey = getHistoryKey(movie);
+    const historyEntry = historyKey ? store.get('watchHistory', {})[historyKey] : null;
+
     return {
         isFavorite: findMovie(favorites),
         inWatchlist: findMovie(watchlist),
-        isDownloaded: findMovie(store.get('downloads', []))
+        isDownloaded: findMovie(store.get('downloads', [])),
+        isWatched: !!historyEntry?.finished
     };
 }
 
+// --- Settings ---
+const settingsListeners = new Set();
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getSettings() {
+    if (!store) init();
+    const stored = store.get('settings', {});
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    // Always a copy, so callers can change it without touching the defaults
+    Object.entries(DEFAULT_SETTINGS).forEach(([key, value]) => {
+        if (isPlainObject(value)) settings[key] = { ...value, ...(isPlainObject(stored[key]) ? stored[key] : {}) };
+    });
+    return settings;
+}
+
+// Unvalidated write, for values the calling module already checked
+function updateSettings(partial) {
+    if (!store) init();
+    const settings = { ...getSettings(), ...partial };
+    store.set('settings', settings);
+    return settings;
+}
+
+function pick(source, keys) {
+    const result = {};
+    keys.forEach(key => { if (key in source) result[key] = source[key]; });
+    return result;
+}
+
+/**
+ * Values of the schema settings, the only ones the renderer can read
+ */
+function getUserSettings() {
+    return pick(getSettings(), SettingsSchema.describe().map(field => field.key));
+}
+
+/**
+ * Validate and save schema settings; nothing is saved when a value is invalid
+ * @param {Object} partial - Any subset of the schema keys (others are ignored)
+ * @returns {{settings: Object, errors: Object<string, string>}} errors by key, empty when saved
+ */
+function saveSettings(partial = {}) {
+    const clean = {};
+    const errors = {};
+    Object.entries(partial).forEach(([key, value]) => {
+        if (!SettingsSchema.has(key)) return;
+        const result = SettingsSchema.validate(key, value);
+        if ('error' in result) errors[key] = result.error;
+        else clean[key] = result.value;
+    });
+    if (Object.keys(errors).length) return { settings: getUserSettings(), errors };
+
+    const previous = getSettings();
+    updateSettings(clean);
+    const changed = Object.keys(clean).filter(key => JSON.stringify(clean[key]) !== JSON.stringify(previous[key]));
+    if (changed.length) {
+        const settings = getSettings();
+        settingsListeners.forEach(fn => {
+            try { fn(changed, settings); } catch (e) { console.error('[StoreManager] Settings listener error:', e); }
+        });
+    }
+    return { settings: getUserSettings(), errors };
+}
+
+/**
+ * Subscribe to saved schema settings
+ * @param {Function} callback - (changedKeys, settings)
+ */
+function onSettingsChange(callback) {
+    settingsListeners.add(callback);
+}
+
 module.exports = {
     init,
+    getSettings,
+    updateSettings,
+    getUserSettings,
+    saveSettings,
+    onSettingsChange,
+    getSubtitleStyle,
+    updateSubtitleStyle,
+    getLanguagePreferences,
+    updateLanguagePreferences,
+    getUiLanguage,
     toggleFavorite,
     toggleWatchlist,
     getLibrary,
     checkStatus,
     addDownload,
+    updateDownload,
     removeDownload,
     getAllDownloads,
+    getDownloadsDir,
+    getLocalPoster,
+    getDownloadFolder,
+    getDownloadQueue,
+    getQueueItem,
+    upsertQueueItem,
+    removeQueueItem,
     getMetadata,
-    saveMetadata
+    saveMetadata,
+    getWatchProgress,
+    saveWatchProgress,
+    getWatchHistory,
+    setWatched,
+    clearWatchHistory,
+    getSubtitleTiming,
+    saveSubtitleTiming
 };
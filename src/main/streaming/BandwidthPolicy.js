@@ -0,0 +1,135 @@
+/**
+ * Bandwidth Policy
+ * Settings-backed rate limits, connection cap, seeding rule and
+ * "pause downloads while streaming", shared by the stream and download clients
+ */
+const storeManager = require('../store-manager');
+
+const POLICY_KEYS = [
+    'maxDownloadKBps', 'maxUploadKBps', 'maxConnections',
+    'seedMode', 'seedRatio', 'seedMinutes', 'pauseDownloadsWhileStreaming',
+    'maxConcurrentDownloads'
+];
+
+// Live WebTorrent clients that receive rate changes immediately
+const clients = new Set();
+const listeners = new Set();
+let streamingActive = false;
+
+/**
+ * Current policy (rates in KB/s, 0 = unlimited)
+ * @returns {{maxDownloadKBps, maxUploadKBps, maxConnections, seedMode, seedRatio, seedMinutes, pauseDownloadsWhileStreaming, maxConcurrentDownloads}}
+ */
+function getPolicy() {
+    const settings = storeManager.getSettings();
+    const policy = {};
+    POLICY_KEYS.forEach(key => { policy[key] = settings[key]; });
+    return policy;
+}
+
+function toBytesPerSecond(kbps) {
+    return kbps > 0 ? Math.round(kbps * 1024) : -1;
+}
+
+/**
+ * Constructor options for `new WebTorrent()`
+ * The connection cap only applies to clients created after a change
+ */
+function getClientOptions() {
+    const policy = getPolicy();
+    return {
+        downloadLimit: toBytesPerSecond(policy.maxDownloadKBps),
+        uploadLimit: toBytesPerSecond(policy.maxUploadKBps),
+        maxConns: policy.maxConnections
+    };
+}
+
+function applyLimits(client) {
+    const { downloadLimit, uploadLimit } = getClientOptions();
+    try {
+        if (typeof client.throttleDownload === 'function') client.throttleDownload(downloadLimit);
+        if (typeof client.throttleUpload === 'function') client.throttleUpload(uploadLimit);
+    } catch (e) {
+        console.warn('[BandwidthPolicy] Could not apply limits:', e.message);
+    }
+}
+
+function registerClient(client) {
+    clients.add(client);
+    applyLimits(client);
+}
+
+function unregisterClient(client) {
+    clients.delete(client);
+}
+
+/**
+ * Validate (see settings-schema) and persist a partial policy
+ * Live clients pick it up through the settings listener below
+ * @param {Object} partial - Any subset of the policy keys
+ * @returns {Object} Resulting policy
+ */
+function updatePolicy(partial = {}) {
+    const clean = {};
+    POLICY_KEYS.forEach(key => { if (key in partial) clean[key] = partial[key]; });
+
+    const { errors } = storeManager.saveSettings(clean);
+    const [key] = Object.keys(errors);
+    if (key) throw new Error(`${key}: ${errors[key]}`);
+    return getPolicy();
+}
+
+// The Settings view saves the same keys, so changes are applied from here
+storeManager.onSettingsChange((changed) => {
+    if (!changed.some(key => POLICY_KEYS.includes(key))) return;
+    clients.forEach(applyLimits);
+    console.log('[BandwidthPolicy] Updated:', getPolicy());
+    notify();
+});
+
+/**
+ * Subscribe to policy or streaming-state changes
+ * @param {Function} callback - Receives the current policy
+ */
+function onChange(callback) {
+    listeners.add(callback);
+}
+
+function notify() {
+    const policy = getPolicy();
+    listeners.forEach(fn => {
+        try { fn(policy); } catch (e) { console.error('[BandwidthPolicy] Listener error:', e); }
+    });
+}
+
+function setStreamingActive(active) {
+    if (streamingActive === active) return;
+    streamingActive = active;
+    notify();
+}
+
+function shouldPauseDownloads() {
+    return streamingActive && getPolicy().pauseDownloadsWhileStreaming;
+}
+
+/**
+ * Whether a finished torrent has seeded enough to be released
+ * @param {Object} torrent - WebTorrent torrent
+ * @param {number} seedingSince - Timestamp when seeding started
+ */
+function isSeedingDone(torrent, seedingSince) {
+    const policy = getPolicy();
+    if (policy.seedMode === 'ratio') {
+        return torrent.length > 0 && torrent.uploaded / torrent.length >= policy.seedRatio;
+    }
+    if (policy.seedMode === 'time') {
+        return Date.now() - seedingSince >= policy.seedMinutes * 60 * 1000;
+    }
+    return true;
+}
+
+module.exports = {
+    getPolicy, getClientOptions, updatePolicy,
+    registerClient, unregisterClient, onChange,
+    setStreamingActive, shouldPauseDownloads, isSeedingDone
+};
@@ -3,6 +3,9 @@ const mediaServer = require('./MediaServer');
 
 const CAST_PORT = 8888;
 
+// Address of the torrent cast server, kept so other files of the torrent can be cast
+let torrentCastBase = null;
+
 async function rebindForCast(localIp, torrentManager) {
     const hasTorrent = torrentManager && torrentManager.hasActiveTorrent();
     const hasLocalFile = mediaServer.getActiveLocalFilePath() !== null;
@@ -13,6 +16,7 @@ async function rebindForCast(localIp, torrentManager) {
     }
 
     console.log(`[CastServer] Rebinding for cast with IP: ${localIp} (torrent: ${hasTorrent}, local: ${hasLocalFile})`);
+    torrentCastBase = null;
 
     return new Promise((resolve) => {
         const server = mediaServer.getActiveServer();
@@ -56,6 +60,7 @@ function createTorrentCastServer(localIp, torrentManager, resolveCallback) {
         if (err.code === 'EADDRINUSE') {
             server.listen(0, '0.0.0.0', () => {
                 const port = server.address().port;
+                torrentCastBase = { localIp, port };
                 const url = `http://${localIp}:${port}/${fileIndex}/${encodeURIComponent(fileName)}`;
                 console.log(`[CastServer] Cast URL (random port): ${url}`);
                 resolveCallback(url);
@@ -67,6 +72,7 @@ function createTorrentCastServer(localIp, torrentManager, resolveCallback) {
 
     server.listen(CAST_PORT, '0.0.0.0', () => {
         const port = server.address().port;
+        torrentCastBase = { localIp, port };
         const url = `http://${localIp}:${port}/${fileIndex}/${encodeURIComponent(fileName)}`;
         console.log(`[CastServer] Torrent cast ready: ${url}`);
         resolveCallback(url);
@@ -104,7 +110,7 @@ function createLocalCastServer(localIp, resolveCallback) {
     server.on('error', (err) => {
         if (err.code === 'EADDRINUSE') {
             server.listen(0, '0.0.0.0', () => {
-                const url = `http://${localIp}:${server.address().port}/video.mp4`;
+                const url = `http://${localIp}:${server.address().port}/${mediaServer.getLocalFileRoute(filePath)}`;
                 console.log(`[CastServer] Local cast URL (random): ${url}`);
                 resolveCallback(url);
             });
@@ -114,10 +120,23 @@ function createLocalCastServer(localIp, resolveCallback) {
     });
 
     server.listen(CAST_PORT, '0.0.0.0', () => {
-        const url = `http://${localIp}:${server.address().port}/video.mp4`;
+        const url = `http://${localIp}:${server.address().port}/${mediaServer.getLocalFileRoute(filePath)}`;
         console.log(`[CastServer] Local cast ready: ${url}`);
         resolveCallback(url);
     });
 }
 
-module.exports = { rebindForCast };
+/**
+ * Cast URL for another file of the torrent already being cast
+ * @param {number} fileIndex - File index within the torrent
+ * @param {string} fileName - File name
+ * @returns {string|null} URL or null if no torrent cast server is running
+ */
+function getTorrentCastUrl(fileIndex, fileName) {
+    if (!torrentCastBase) return null;
+    return `http://${torrentCastBase.localIp}:${torrentCastBase.port}/${fileIndex}/${encodeURIComponent(fileName)}`;
+}
+
+function resetState() { torrentCastBase = null; }
+
+module.exports = { rebindForCast, getTorrentCastUrl, resetState };
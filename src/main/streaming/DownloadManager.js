@@ -3,20 +3,129 @@ const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const subtitles = require('../subtitles');
+const SubtitleParser = require('../../shared/subtitle-parser');
+const I18n = require('../../shared/i18n');
 const storeManager = require('../store-manager');
-const { DOWNLOADS_DIR } = require('../paths');
+const BandwidthPolicy = require('./BandwidthPolicy');
+const LibraryVerifier = require('./LibraryVerifier');
+const LibraryStorage = require('./LibraryStorage');
 
 let downloadClient = null;
 let activeDownloads = new Map();
 
-async function startDownload(movie, subtitleUrl, onProgress, onComplete) {
-    const infoHash = movie.infoHash;
-    console.log(`[Downloads] Starting: ${movie.title} (${infoHash})`);
+// Pause or resume every active download when the streaming rule changes,
+// and fill new slots if the concurrency limit went up
+BandwidthPolicy.onChange(() => {
+    const pause = BandwidthPolicy.shouldPauseDownloads();
+    activeDownloads.forEach(entry => setPaused(entry, pause));
+    schedule();
+});
+
+/**
+ * torrent.pause() only stops new peer connections, so pieces are also
+ * deselected to keep the existing wires from downloading
+ */
+function setPaused(entry, paused) {
+    const { torrent } = entry;
+    if (!torrent || torrent.destroyed || entry.paused === paused) return;
+    entry.paused = paused;
+
+    if (paused) {
+        torrent.pause();
+        if (!entry.seedingSince) {
+            torrent.files.forEach(f => f.deselect());
+            if (torrent.pieces.length) torrent.deselect(0, torrent.pieces.length - 1, false);
+        }
+        console.log(`[Downloads] Paused while streaming: ${entry.title}`);
+    } else {
+        torrent.resume();
+        if (!entry.seedingSince) torrent.files.forEach(f => f.select());
+        console.log(`[Downloads] Resumed: ${entry.title}`);
+    }
+}
 
-    if (!downloadClient) { downloadClient = new WebTorrent(); }
-    if (activeDownloads.has(infoHash)) { console.log('[Downloads] Already downloading'); return; }
+// Progress / completion / status callbacks, set once by the IPC layer
+let handlers = {};
+// Persist progress every N ticks instead of every second
+const PERSIST_EVERY = 10;
+// Queued items start in this order; WebTorrent has no priority across torrents
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+/**
+ * Set the event handlers and resume the queue left by the previous session
+ * Downloads that were running when the app quit are queued again; WebTorrent
+ * re-verifies the pieces already on disk before fetching the rest
+ * @param {Object} callbacks - { onProgress(infoHash, percentage, stats), onComplete(infoHash, localPath), onStateChange(item) }
+ */
+function initDownloads(callbacks = {}) {
+    handlers = callbacks;
+
+    const interrupted = storeManager.getDownloadQueue().filter(item => item.status === 'downloading');
+    interrupted.forEach(item => storeManager.upsertQueueItem(item.infoHash, { status: 'queued' }));
+    if (interrupted.length) console.log(`[Downloads] Resuming ${interrupted.length} interrupted download(s)`);
+
+    schedule();
+}
+
+function setStatus(infoHash, fields) {
+    const item = storeManager.upsertQueueItem(infoHash, fields);
+    if (handlers.onStateChange) handlers.onStateChange(item);
+    return item;
+}
 
-    const downloadPath = path.join(DOWNLOADS_DIR, infoHash);
+/**
+ * Start queued downloads while there are free slots
+ * Torrents that finished and are only seeding don't take a slot
+ */
+function schedule() {
+    const limit = BandwidthPolicy.getPolicy().maxConcurrentDownloads;
+    let running = [...activeDownloads.values()].filter(entry => !entry.seedingSince).length;
+
+    const queued = storeManager.getDownloadQueue()
+        .filter(item => item.status === 'queued')
+        .sort((a, b) => (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1) || a.addedAt - b.addedAt);
+
+    for (const item of queued) {
+        if (running >= limit) break;
+        if (activeDownloads.has(item.infoHash)) continue;
+        running++;
+        runDownload(item);
+    }
+}
+
+/**
+ * Size of the selected torrent according to the catalog, if it says
+ */
+function getExpectedSize(movie) {
+    const hash = String(movie.infoHash || '').toLowerCase();
+    const torrent = (movie.torrents || []).find(t => String(t.hash || '').toLowerCase() === hash);
+    return Number(torrent?.size_bytes) || null;
+}
+
+/**
+ * Prepare the download folder (poster, subtitles, metadata) and queue it
+ */
+async function startDownload(movie, subtitleUrl) {
+    const infoHash = movie.infoHash;
+    const existing = storeManager.getQueueItem(infoHash);
+    if (existing && ['queued', 'downloading', 'paused'].includes(existing.status)) {
+        console.log('[Downloads] Already in queue');
+        return;
+    }
+    console.log(`[Downloads] Queueing: ${movie.title} (${infoHash})`);
+
+    // A failed item keeps its folder; new ones go to the downloads folder setting,
+    // or to another library folder when that drive is too full
+    let downloadPath = storeManager.getDownloadFolder(infoHash);
+    if (!existing) {
+        try {
+            downloadPath = path.join(await LibraryStorage.pickFolder(getExpectedSize(movie)), infoHash);
+        } catch (err) {
+            console.warn('[Downloads] Not enough space:', err.message);
+            setStatus(infoHash, { movie, subtitleUrl: subtitleUrl || null, libraryDir: storeManager.getDownloadsDir(), status: 'failed', progress: 0, error: err.message, addedAt: Date.now() });
+            return;
+        }
+    }
     if (!fs.existsSync(downloadPath)) fs.mkdirSync(downloadPath, { recursive: true });
 
     if (movie.coverUrl) {
@@ -26,9 +135,11 @@ async function startDownload(movie, subtitleUrl, onProgress, onComplete) {
 
     if (subtitleUrl) {
         try {
-            const srtContent = await subtitles.downloadSubtitle(subtitleUrl);
-            fs.writeFileSync(path.join(downloadPath, 'subtitles.srt'), srtContent);
-            fs.writeFileSync(path.join(downloadPath, 'subtitles.vtt'), subtitles.srtToVtt(srtContent));
+            const content = await subtitles.downloadSubtitle(subtitleUrl);
+            const { format, cues } = SubtitleParser.parse(content);
+            // The original is kept next to the WebVTT the players load
+            if (format !== 'vtt') fs.writeFileSync(path.join(downloadPath, `subtitles${SubtitleParser.FORMAT_EXTENSIONS[format]}`), content);
+            fs.writeFileSync(path.join(downloadPath, 'subtitles.vtt'), format === 'vtt' ? content : SubtitleParser.cuesToVtt(cues));
             console.log('[Downloads] Subtitles saved');
         } catch (err) {
             console.error('[Downloads] Subtitle error:', err);
@@ -41,79 +152,280 @@ async function startDownload(movie, subtitleUrl, onProgress, onComplete) {
         console.error('[Downloads] Metadata error:', err);
     }
 
-    const magnet = movie.magnet || `magnet:?xt=urn:btih:${infoHash}`;
+    // A failed item is replaced, keeping the pieces already on disk
+    setStatus(infoHash, { movie, subtitleUrl: subtitleUrl || null, libraryDir: path.dirname(downloadPath), status: 'queued', progress: 0, error: null, addedAt: Date.now() });
+    schedule();
+}
+
+function runDownload(item) {
+    const { infoHash, movie } = item;
+    const downloadPath = storeManager.getDownloadFolder(infoHash);
+    if (!fs.existsSync(downloadPath)) fs.mkdirSync(downloadPath, { recursive: true });
+
+    if (!downloadClient) {
+        downloadClient = new WebTorrent(BandwidthPolicy.getClientOptions());
+        downloadClient.on('error', (err) => console.error('[Downloads] Client error:', err.message));
+        BandwidthPolicy.registerClient(downloadClient);
+    }
+
+    console.log(`[Downloads] Starting: ${movie.title} (${infoHash})`);
+    const entry = { torrent: null, title: movie.title, paused: false, seedingSince: null };
+    activeDownloads.set(infoHash, entry);
+    setStatus(infoHash, { status: 'downloading', error: null });
+
+    // The saved .torrent (repairs) skips the metadata fetch from peers
+    const torrentPath = LibraryVerifier.getTorrentPath(infoHash);
+    const source = fs.existsSync(torrentPath)
+        ? fs.readFileSync(torrentPath)
+        : (movie.magnet || `magnet:?xt=urn:btih:${infoHash}`);
+
+    let torrent;
+    try {
+        torrent = downloadClient.add(source, { path: downloadPath }, (t) => {
+            console.log(`[Downloads] Torrent added: ${t.infoHash}`);
+        });
+    } catch (err) {
+        failDownload(infoHash, err);
+        return;
+    }
+    entry.torrent = torrent;
+
+    torrent.on('error', (err) => {
+        console.error('[Downloads] Torrent error:', err);
+        failDownload(infoHash, err);
+    });
 
-    downloadClient.add(magnet, { path: downloadPath }, (torrent) => {
-        console.log(`[Downloads] Torrent added: ${torrent.infoHash}`);
+    // Fires after the pieces already on disk have been verified
+    torrent.on('ready', () => {
+        if (torrent.destroyed) return;
         torrent.files.forEach(f => f.select());
-        activeDownloads.set(infoHash, { torrent, title: movie.title });
+        if (torrent.progress > 0) {
+            console.log(`[Downloads] Verified existing data: ${Math.round(torrent.progress * 100)}% of ${movie.title}`);
+        }
+        if (BandwidthPolicy.shouldPauseDownloads()) setPaused(entry, true);
+        // The catalog may not know the size; the torrent does now
+        LibraryStorage.checkRoom(downloadPath, torrent.length - torrent.downloaded).then(message => {
+            if (message && !torrent.destroyed) failDownload(infoHash, new Error(message));
+        });
+        trackProgress(infoHash, entry, movie, downloadPath);
+    });
+}
 
-        const interval = setInterval(() => {
-            if (torrent.destroyed) { clearInterval(interval); return; }
+function trackProgress(infoHash, entry, movie, downloadPath) {
+    const { torrent } = entry;
+    let ticks = 0;
 
-            const stats = {
-                progress: torrent.progress,
-                downloadSpeed: torrent.downloadSpeed,
-                downloaded: torrent.downloaded,
-                total: torrent.length,
-                timeRemaining: torrent.timeRemaining
-            };
+    const interval = setInterval(() => {
+        if (torrent.destroyed) { clearInterval(interval); return; }
 
-            if (onProgress) onProgress(infoHash, Math.round(torrent.progress * 100), stats);
+        const stats = {
+            progress: torrent.progress,
+            downloadSpeed: torrent.downloadSpeed,
+            uploadSpeed: torrent.uploadSpeed,
+            downloaded: torrent.downloaded,
+            uploaded: torrent.uploaded,
+            ratio: torrent.length ? torrent.uploaded / torrent.length : 0,
+            total: torrent.length,
+            timeRemaining: torrent.timeRemaining,
+            state: entry.seedingSince ? 'seeding' : (entry.paused ? 'paused' : 'downloading')
+        };
 
-            if (torrent.progress === 1) {
-                console.log(`[Downloads] Complete: ${movie.title}`);
-                clearInterval(interval);
-                finalizeDownload(torrent, movie, downloadPath, onComplete, infoHash);
-            }
-        }, 1000);
+        const percentage = Math.round(torrent.progress * 100);
+        if (handlers.onProgress) handlers.onProgress(infoHash, percentage, stats);
+        if (++ticks % PERSIST_EVERY === 0) storeManager.upsertQueueItem(infoHash, { progress: torrent.progress });
+
+        if (torrent.progress !== 1) return;
 
-        torrent.on('error', (err) => {
-            console.error('[Downloads] Torrent error:', err);
-            activeDownloads.delete(infoHash);
+        // Keep seeding until the policy's ratio/time target is met; the slot is freed meanwhile
+        if (!entry.seedingSince) {
+            console.log(`[Downloads] Complete: ${movie.title}`);
+            entry.seedingSince = Date.now();
+            schedule();
+        }
+        if (BandwidthPolicy.isSeedingDone(torrent, entry.seedingSince)) {
+            if (BandwidthPolicy.getPolicy().seedMode !== 'none') {
+                console.log(`[Downloads] Seeding finished: ${movie.title} (ratio ${stats.ratio.toFixed(2)})`);
+            }
             clearInterval(interval);
+            finalizeDownload(torrent, movie, downloadPath, infoHash);
+        }
+    }, 1000);
+}
+
+function failDownload(infoHash, err) {
+    const entry = activeDownloads.get(infoHash);
+    activeDownloads.delete(infoHash);
+    if (entry?.torrent && !entry.torrent.destroyed) entry.torrent.destroy();
+
+    const item = setStatus(infoHash, { status: 'failed', error: err?.message || String(err) });
+    setRepairing(item, false);
+    schedule();
+}
+
+/**
+ * Flag the library entry of a repair while it is queued or running; flagged
+ * entries are streamed instead of played from disk and skipped by the verifier
+ */
+function setRepairing(item, repairing) {
+    if (!item?.repair || !storeManager.getAllDownloads().some(d => d.infoHash === item.infoHash)) return;
+    storeManager.updateDownload(item.infoHash, { repairing });
+}
+
+/**
+ * Stop a download but keep its data; it can be resumed later
+ */
+function pauseDownload(infoHash) {
+    const item = storeManager.getQueueItem(infoHash);
+    if (!item || !['queued', 'downloading'].includes(item.status)) return false;
+
+    const entry = activeDownloads.get(infoHash);
+    activeDownloads.delete(infoHash);
+    if (entry?.torrent) {
+        item.progress = entry.torrent.progress || item.progress;
+        entry.torrent.destroy();
+    }
+
+    console.log(`[Downloads] Paused: ${item.movie.title}`);
+    setStatus(infoHash, { status: 'paused', progress: item.progress });
+    schedule();
+    return true;
+}
+
+/**
+ * Queue a paused or failed download again
+ */
+function resumeDownload(infoHash) {
+    const item = storeManager.getQueueItem(infoHash);
+    if (!item || !['paused', 'failed'].includes(item.status)) return false;
+
+    console.log(`[Downloads] Resuming: ${item.movie.title}`);
+    setRepairing(setStatus(infoHash, { status: 'queued', error: null }), true);
+    schedule();
+    return true;
+}
+
+/**
+ * Change the start order of a queued download
+ * @param {string} infoHash
+ * @param {string} priority - 'high' | 'normal' | 'low'
+ */
+function setDownloadPriority(infoHash, priority) {
+    if (!(priority in PRIORITY_RANK) || !storeManager.getQueueItem(infoHash)) return false;
+    setStatus(infoHash, { priority });
+    schedule();
+    return true;
+}
+
+/**
+ * Re-download the bad pieces of a finished download
+ * The library entry stays, flagged `repairing` so it isn't played half-fixed, and is
+ * replaced when the repair completes; a failed or cancelled repair just unflags it
+ * @returns {boolean} False if the download is unknown or already queued
+ */
+function repairDownload(infoHash) {
+    const download = storeManager.getAllDownloads().find(d => d.infoHash === infoHash);
+    if (!download || download.repairing || activeDownloads.has(infoHash)) return false;
+
+    // With the saved .torrent WebTorrent checks the files in place and fetches only bad pieces
+    let partial = false;
+    try {
+        partial = !!LibraryVerifier.readLayout(infoHash);
+    } catch (err) {
+        console.error('[Downloads] Unreadable torrent file:', err.message);
+    }
+    console.log(`[Downloads] Repairing: ${download.title} (${partial ? 'bad pieces only' : 'full re-download'})`);
+
+    const { localPath, integrity, addedAt, libraryDir, repairing, ...movie } = download;
+    const item = setStatus(infoHash, { movie, libraryDir, repair: true, status: 'queued', progress: 0, error: null, addedAt: Date.now() });
+    setRepairing(item, true);
+    schedule();
+    return true;
+}
+
+function getDownloadQueue() {
+    return storeManager.getDownloadQueue();
+}
+
+/**
+ * Every unfinished queue item merged with live torrent stats
+ * @returns {Array<{infoHash, title, quality, coverUrl, status, state, priority, progress, downloadSpeed, uploadSpeed, numPeers, timeRemaining, downloaded, total, error}>}
+ */
+function getDownloadStats() {
+    return storeManager.getDownloadQueue()
+        .filter(item => item.status !== 'completed')
+        .map(item => {
+            const entry = activeDownloads.get(item.infoHash);
+            const torrent = entry?.torrent;
+            const live = torrent && !torrent.destroyed && torrent.ready;
+
+            return {
+                infoHash: item.infoHash,
+                title: item.movie?.title || item.infoHash,
+                quality: item.movie?.quality || null,
+                coverUrl: item.movie?.coverUrl || null,
+                status: item.status,
+                state: !entry ? item.status : (entry.seedingSince ? 'seeding' : (entry.paused ? 'throttled' : (live ? 'downloading' : 'verifying'))),
+                priority: item.priority || 'normal',
+                error: item.error,
+                progress: live ? torrent.progress : (item.progress || 0),
+                downloadSpeed: live ? torrent.downloadSpeed : 0,
+                uploadSpeed: live ? torrent.uploadSpeed : 0,
+                numPeers: live ? torrent.numPeers : 0,
+                timeRemaining: live && torrent.downloadSpeed > 0 ? torrent.timeRemaining : null,
+                downloaded: live ? torrent.downloaded : 0,
+                total: live ? torrent.length : 0
+            };
         });
-    });
 }
 
-function finalizeDownload(torrent, movie, downloadPath, onComplete, infoHash) {
-    let mainFile = torrent.files.reduce((a, b) => a.length > b.length ? a : b);
-    const originalPath = path.join(downloadPath, mainFile.path);
-    const finalPath = path.join(downloadPath, 'video.mp4');
+function finalizeDownload(torrent, movie, downloadPath, infoHash) {
+    // The largest file is the video; it keeps its original name and container
+    const mainFile = torrent.files.reduce((a, b) => a.length > b.length ? a : b);
+    const finalPath = path.join(downloadPath, mainFile.path);
+
+    LibraryVerifier.saveTorrentFile(torrent, downloadPath);
 
     torrent.destroy(() => {
         console.log('[Downloads] Torrent destroyed, releasing locks');
         activeDownloads.delete(infoHash);
 
-        setTimeout(() => {
-            try {
-                if (fs.existsSync(originalPath)) {
-                    if (path.resolve(originalPath) !== path.resolve(finalPath)) {
-                        fs.renameSync(originalPath, finalPath);
-                        console.log('[Downloads] File renamed to video.mp4');
-                    }
-                } else if (!fs.existsSync(finalPath)) {
-                    console.error('[Downloads] CRITICAL: No video file found');
-                    return;
-                }
-                storeManager.addDownload(movie, finalPath);
-                if (onComplete) onComplete(finalPath);
-            } catch (err) {
-                console.error('[Downloads] Finalize error:', err);
+        try {
+            if (!fs.existsSync(finalPath)) {
+                console.error('[Downloads] CRITICAL: No video file found');
+                setRepairing(setStatus(infoHash, { status: 'failed', error: I18n.t('downloads.noVideoFile') }), false);
+            } else {
+                // Replaces the entry of a repaired download (integrity and flag included)
+                storeManager.addDownload(movie, finalPath, path.dirname(downloadPath));
+                setStatus(infoHash, { status: 'completed', progress: 1, error: null });
+                if (handlers.onComplete) handlers.onComplete(infoHash, finalPath);
             }
-        }, 500);
+        } catch (err) {
+            console.error('[Downloads] Finalize error:', err);
+            setRepairing(setStatus(infoHash, { status: 'failed', error: err.message }), false);
+        }
+        schedule();
     });
 }
 
 function cancelDownload(infoHash) {
     console.log(`[Downloads] Cancelling: ${infoHash}`);
+    // Resolved before the queue item (which knows the folder) is removed
+    const downloadPath = storeManager.getDownloadFolder(infoHash);
+    const item = storeManager.getQueueItem(infoHash);
     const active = activeDownloads.get(infoHash);
     if (active) {
         if (active.torrent) active.torrent.destroy();
         activeDownloads.delete(infoHash);
     }
+    storeManager.removeQueueItem(infoHash);
+    schedule();
+
+    // A cancelled repair leaves the files to the library entry
+    if (item?.repair) {
+        setRepairing(item, false);
+        return true;
+    }
 
-    const downloadPath = path.join(DOWNLOADS_DIR, infoHash);
     if (fs.existsSync(downloadPath)) {
         setTimeout(() => {
             try { fs.rmSync(downloadPath, { recursive: true, force: true }); }
@@ -124,7 +436,15 @@ function cancelDownload(infoHash) {
 }
 
 function removeDownloadFile(infoHash) {
-    const downloadPath = path.join(DOWNLOADS_DIR, infoHash);
+    const downloadPath = storeManager.getDownloadFolder(infoHash);
+    // A download being repaired is still running
+    const active = activeDownloads.get(infoHash);
+    if (active) {
+        if (active.torrent) active.torrent.destroy();
+        activeDownloads.delete(infoHash);
+        schedule();
+    }
+    storeManager.removeQueueItem(infoHash);
     if (fs.existsSync(downloadPath)) {
         try { fs.rmSync(downloadPath, { recursive: true, force: true }); return true; }
         catch (e) { console.error('[Downloads] Remove error:', e); return false; }
@@ -134,8 +454,11 @@ function removeDownloadFile(infoHash) {
 
 function getActiveDownloads() {
     const result = {};
-    activeDownloads.forEach((value, key) => { result[key] = { progress: value.torrent.progress }; });
+    activeDownloads.forEach((value, key) => { result[key] = { progress: value.torrent ? value.torrent.progress : 0 }; });
     return result;
 }
 
-module.exports = { startDownload, cancelDownload, removeDownloadFile, getActiveDownloads };
+module.exports = {
+    initDownloads, startDownload, pauseDownload, resumeDownload, cancelDownload,
+    setDownloadPriority, repairDownload, removeDownloadFile, getActiveDownloads, getDownloadQueue, getDownloadStats
+};
@@ -0,0 +1,316 @@
+/**
+ * Library Storage
+ * Library folders (app_data/downloads plus the ones chosen in settings, e.g. an
+ * external drive), free space, disk usage per download, moving a library to
+ * another folder and cleaning up <infoHash> folders the store no longer knows
+ */
+const fs = require('fs');
+const path = require('path');
+const storeManager = require('../store-manager');
+const { DOWNLOADS_DIR } = require('../paths');
+const I18n = require('../../shared/i18n');
+
+const INFO_HASH_PATTERN = /^[a-f0-9]{40}$/i;
+// Room left free on a drive after a download (file system metadata, other apps)
+const FREE_SPACE_MARGIN = 200 * 1024 * 1024;
+// Queue states whose files are in use by the download client
+const BUSY_STATUSES = ['queued', 'downloading', 'paused', 'failed'];
+
+function samePath(a, b) {
+    return path.resolve(a) === path.resolve(b);
+}
+
+function libraryDirOf(entry) {
+    return entry.libraryDir || DOWNLOADS_DIR;
+}
+
+/**
+ * Every folder that holds or may hold downloads, without duplicates
+ * @returns {string[]}
+ */
+function getFolderPaths() {
+    const settings = storeManager.getSettings();
+    const folders = [
+        DOWNLOADS_DIR,
+        ...settings.libraryFolders,
+        storeManager.getDownloadsDir(),
+        // Folders removed from the setting keep showing while downloads live there
+        ...storeManager.getAllDownloads().map(libraryDirOf)
+    ];
+    return folders.filter((folder, i) => folders.findIndex(other => samePath(other, folder)) === i);
+}
+
+// Folders that don't exist yet are measured at their closest existing parent
+function existingAncestor(folder) {
+    let dir = path.resolve(folder);
+    while (!fs.existsSync(dir)) {
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+    return dir;
+}
+
+function isSameDrive(a, b) {
+    const dirA = existingAncestor(a);
+    const dirB = existingAncestor(b);
+    try {
+        return !!dirA && !!dirB && fs.statSync(dirA).dev === fs.statSync(dirB).dev;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Free and total bytes of the drive a folder is on
+ * @returns {Promise<{free: number, total: number}|null>} Null when the drive is unavailable
+ */
+async function getFreeSpace(folder) {
+    const dir = existingAncestor(folder);
+    if (!dir) return null;
+    try {
+        const stats = await fs.promises.statfs(dir);
+        return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    } catch (err) {
+        console.warn(`[LibraryStorage] Could not read free space of ${dir}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Bytes used by a file or folder (recursive)
+ */
+async function getSize(target) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(target);
+    } catch (e) {
+        return 0;
+    }
+    if (!stats.isDirectory()) return stats.size;
+
+    const entries = await fs.promises.readdir(target);
+    let total = 0;
+    for (const entry of entries) total += await getSize(path.join(target, entry));
+    return total;
+}
+
+/**
+ * Library folders with their drive space
+ * @returns {Promise<Array<{path, isDefault, isTarget, exists, downloads, free, total}>>}
+ */
+async function getFolders() {
+    const downloads = storeManager.getAllDownloads();
+    const target = storeManager.getDownloadsDir();
+    return Promise.all(getFolderPaths().map(async folder => ({
+        path: folder,
+        isDefault: samePath(folder, DOWNLOADS_DIR),
+        isTarget: samePath(folder, target), // New downloads go here
+        exists: fs.existsSync(folder),
+        downloads: downloads.filter(d => samePath(libraryDirOf(d), folder)).length,
+        ...(await getFreeSpace(folder) || { free: null, total: null })
+    })));
+}
+
+/**
+ * Disk usage of every finished download, largest first
+ * @returns {Promise<Array<{infoHash, title, quality, libraryDir, bytes, videoBytes}>>}
+ */
+async function getDiskUsage() {
+    const usage = [];
+    for (const download of storeManager.getAllDownloads()) {
+        const folder = storeManager.getDownloadFolder(download.infoHash);
+        usage.push({
+            infoHash: download.infoHash,
+            title: download.title,
+            quality: download.quality || null,
+            libraryDir: libraryDirOf(download),
+            bytes: await getSize(folder),
+            videoBytes: download.localPath ? await getSize(download.localPath) : 0
+        });
+    }
+    return usage.sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Folder for a new download: the downloads folder setting, or another library
+ * folder when that drive is too full
+ * @param {number|null} bytes - Expected size, null when the catalog doesn't say
+ * @returns {Promise<string>} Library folder
+ * @throws When no library folder has room
+ */
+async function pickFolder(bytes) {
+    const target = storeManager.getDownloadsDir();
+    if (!bytes) return target;
+
+    const candidates = [target, ...getFolderPaths().filter(folder => !samePath(folder, target))];
+    let best = null;
+    for (const folder of candidates) {
+        const space = await getFreeSpace(folder);
+        if (!space) continue;
+        if (space.free >= bytes + FREE_SPACE_MARGIN) {
+            if (folder !== target) console.log(`[LibraryStorage] ${target} is full, using ${folder}`);
+            return folder;
+        }
+        if (!best || space.free > best.free) best = space;
+    }
+    throw new Error(I18n.t('downloads.noSpace', { needed: formatBytes(bytes), free: formatBytes(best?.free || 0) }));
+}
+
+/**
+ * Whether the drive of a folder still has room for the rest of a download
+ * @param {string} folder - Download folder
+ * @param {number} remaining - Bytes still to download
+ * @returns {Promise<string|null>} Error message, or null when it fits (or can't be measured)
+ */
+async function checkRoom(folder, remaining) {
+    const space = await getFreeSpace(folder);
+    if (!space || space.free >= remaining + FREE_SPACE_MARGIN) return null;
+    return I18n.t('downloads.noSpace', { needed: formatBytes(remaining), free: formatBytes(space.free) });
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${I18n.formatNumber(value, { maximumFractionDigits: unit > 2 ? 1 : 0 })} ${units[unit]}`;
+}
+
+/**
+ * Rename when both folders are on the same drive, copy and delete otherwise
+ */
+async function moveFolder(from, to) {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.cp(from, to, { recursive: true, errorOnExist: true, force: false });
+        await fs.promises.rm(from, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Move every finished download of a library folder to another one and point
+ * the store entries (localPath, libraryDir) at the new place. Downloads still
+ * in the queue are skipped. The destination becomes a library folder and, if
+ * the source received new downloads, the new downloads folder
+ * @param {string} from - Library folder
+ * @param {string} to - Absolute destination folder
+ * @param {Function} [onProgress] - ({ done, total, title })
+ * @returns {Promise<{moved: number, skipped: number, failed: Array<{infoHash, title, error}>}>}
+ */
+async function moveLibrary(from, to, onProgress) {
+    if (!path.isAbsolute(to)) throw new Error(I18n.t('settings.errors.absolutePath'));
+    if (samePath(from, to)) return { moved: 0, skipped: 0, failed: [] };
+
+    const busy = new Set(storeManager.getDownloadQueue()
+        .filter(item => BUSY_STATUSES.includes(item.status))
+        .map(item => item.infoHash));
+    const downloads = storeManager.getAllDownloads().filter(d => samePath(libraryDirOf(d), from));
+    const movable = downloads.filter(d => !busy.has(d.infoHash));
+
+    // Renames don't need room; copies to another drive do
+    if (!isSameDrive(from, to)) {
+        let bytes = 0;
+        for (const download of movable) bytes += await getSize(path.join(from, download.infoHash));
+        const message = await checkRoom(to, bytes);
+        if (message) throw new Error(message);
+    }
+
+    const result = { moved: 0, skipped: downloads.length - movable.length, failed: [] };
+    for (const [i, download] of movable.entries()) {
+        const { infoHash, title } = download;
+        if (onProgress) onProgress({ done: i, total: movable.length, title });
+
+        const oldFolder = path.join(from, infoHash);
+        const newFolder = path.join(to, infoHash);
+        try {
+            if (fs.existsSync(newFolder)) throw new Error(I18n.t('storage.destinationExists'));
+            if (fs.existsSync(oldFolder)) await moveFolder(oldFolder, newFolder);
+
+            const localPath = download.localPath && path.join(newFolder, path.relative(oldFolder, download.localPath));
+            storeManager.updateDownload(infoHash, { localPath, libraryDir: to });
+            if (storeManager.getQueueItem(infoHash)) storeManager.upsertQueueItem(infoHash, { libraryDir: to });
+            result.moved++;
+        } catch (err) {
+            console.error(`[LibraryStorage] Could not move ${title}:`, err.message);
+            result.failed.push({ infoHash, title, error: err.message });
+        }
+    }
+    if (onProgress) onProgress({ done: movable.length, total: movable.length, title: null });
+
+    // The destination is now part of the library; an emptied source leaves it
+    const settings = storeManager.getSettings();
+    const emptied = result.moved === downloads.length;
+    const libraryFolders = [
+        ...settings.libraryFolders.filter(folder => !(emptied && samePath(folder, from))),
+        ...(settings.libraryFolders.some(folder => samePath(folder, to)) || samePath(to, DOWNLOADS_DIR) ? [] : [to])
+    ];
+    const partial = { libraryFolders };
+    if (samePath(storeManager.getDownloadsDir(), from)) partial.downloadsDir = samePath(to, DOWNLOADS_DIR) ? '' : to;
+    storeManager.saveSettings(partial);
+
+    console.log(`[LibraryStorage] Moved ${result.moved} downloads from ${from} to ${to} (${result.skipped} skipped, ${result.failed.length} failed)`);
+    return result;
+}
+
+/**
+ * <infoHash> folders in the library folders that no download or queue item owns
+ * (left by crashes, removed store entries or older versions)
+ * @returns {Promise<Array<{path, infoHash, libraryDir, bytes}>>}
+ */
+async function findOrphans() {
+    const known = new Set([
+        ...storeManager.getAllDownloads().map(d => storeManager.getDownloadFolder(d.infoHash)),
+        ...storeManager.getDownloadQueue().map(item => storeManager.getDownloadFolder(item.infoHash))
+    ].map(folder => path.resolve(folder)));
+
+    const orphans = [];
+    for (const libraryDir of getFolderPaths()) {
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(libraryDir, { withFileTypes: true });
+        } catch (e) {
+            continue;
+        }
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !INFO_HASH_PATTERN.test(entry.name)) continue;
+            const folder = path.join(libraryDir, entry.name);
+            if (known.has(path.resolve(folder))) continue;
+            orphans.push({ path: folder, infoHash: entry.name.toLowerCase(), libraryDir, bytes: await getSize(folder) });
+        }
+    }
+    return orphans;
+}
+
+/**
+ * Delete orphan folders; paths that are not (or no longer) orphans are ignored
+ * @param {string[]} paths - From findOrphans()
+ * @returns {Promise<{removed: number, freed: number}>}
+ */
+async function removeOrphans(paths) {
+    const orphans = await findOrphans();
+    const result = { removed: 0, freed: 0 };
+    for (const orphan of orphans) {
+        if (!paths.some(p => samePath(p, orphan.path))) continue;
+        try {
+            await fs.promises.rm(orphan.path, { recursive: true, force: true });
+            result.removed++;
+            result.freed += orphan.bytes;
+        } catch (err) {
+            console.error(`[LibraryStorage] Could not remove ${orphan.path}:`, err.message);
+        }
+    }
+    console.log(`[LibraryStorage] Cleanup removed ${result.removed} folders`);
+    return result;
+}
+
+module.exports = {
+    getFolders, getFreeSpace, getDiskUsage, pickFolder, checkRoom,
+    moveLibrary, findOrphans, removeOrphans
+};
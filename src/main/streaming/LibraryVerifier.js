@@ -0,0 +1,198 @@
+/**
+ * Library Verifier
+ * Checks finished downloads against the .torrent saved next to them:
+ * - quick: the video file exists and has the expected size (runs at startup)
+ * - full: re-hashes every piece that overlaps the video file (on demand)
+ * Bad downloads can be repaired by DownloadManager, which re-fetches only the bad pieces
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bencode = require('../bencode');
+const storeManager = require('../store-manager');
+
+const TORRENT_FILENAME = 'download.torrent';
+const HASH_LENGTH = 20;
+
+// Run in flight ({ full, promise }) and a full run queued behind a quick one
+let running = null;
+let queuedFull = null;
+
+function getTorrentPath(infoHash) {
+    return path.join(storeManager.getDownloadFolder(infoHash), TORRENT_FILENAME);
+}
+
+/**
+ * Keep the metadata of a finished torrent so it can be verified and repaired later
+ */
+function saveTorrentFile(torrent, downloadPath) {
+    try {
+        if (torrent.torrentFile) fs.writeFileSync(path.join(downloadPath, TORRENT_FILENAME), torrent.torrentFile);
+    } catch (err) {
+        console.warn('[LibraryVerifier] Could not save torrent file:', err.message);
+    }
+}
+
+/**
+ * Piece hashes and file layout from the stored .torrent
+ * The main file is the largest one, the same rule DownloadManager uses to pick the video
+ * @returns {{pieceLength: number, hashes: Buffer[], files: Array<{path, offset, length}>, mainFile: Object}|null}
+ */
+function readLayout(infoHash) {
+    const torrentPath = getTorrentPath(infoHash);
+    if (!fs.existsSync(torrentPath)) return null;
+
+    const { info } = bencode.decode(fs.readFileSync(torrentPath));
+    const name = info.name.toString();
+    const hashes = [];
+    for (let i = 0; i < info.pieces.length; i += HASH_LENGTH) {
+        hashes.push(info.pieces.subarray(i, i + HASH_LENGTH));
+    }
+
+    // Same paths WebTorrent writes to: "<name>" or "<name>/<sub>/<file>"
+    let offset = 0;
+    const files = (info.files || [{ length: info.length, path: [] }]).map(f => {
+        const parts = f.path.map(p => p.toString());
+        const file = { path: path.join(name, ...parts), offset, length: f.length };
+        offset += f.length;
+        return file;
+    });
+
+    const mainFile = files.reduce((a, b) => a.length > b.length ? a : b);
+    return { pieceLength: info['piece length'], totalLength: offset, hashes, files, mainFile };
+}
+
+/**
+ * Indexes of the pieces overlapping the video file that don't match their hash
+ */
+async function findBadPieces(downloadPath, layout) {
+    const { pieceLength, hashes, files, mainFile } = layout;
+    const first = Math.floor(mainFile.offset / pieceLength);
+    const last = Math.floor((mainFile.offset + mainFile.length - 1) / pieceLength);
+    const handles = new Map();
+    const bad = [];
+
+    const open = async (file) => {
+        if (!handles.has(file)) {
+            handles.set(file, await fs.promises.open(path.join(downloadPath, file.path), 'r').catch(() => null));
+        }
+        return handles.get(file);
+    };
+
+    try {
+        for (let index = first; index <= last; index++) {
+            const start = index * pieceLength;
+            const end = Math.min(start + pieceLength, layout.totalLength);
+            const buffer = Buffer.alloc(end - start);
+            let ok = true;
+
+            for (const file of files) {
+                const from = Math.max(start, file.offset);
+                const to = Math.min(end, file.offset + file.length);
+                if (from >= to) continue;
+
+                const handle = await open(file);
+                if (!handle) { ok = false; break; }
+                const { bytesRead } = await handle.read(buffer, from - start, to - from, from - file.offset);
+                if (bytesRead !== to - from) { ok = false; break; }
+            }
+
+            if (!ok || !crypto.createHash('sha1').update(buffer).digest().equals(hashes[index])) bad.push(index);
+        }
+    } finally {
+        for (const handle of handles.values()) if (handle) await handle.close();
+    }
+
+    return { bad, total: last - first + 1 };
+}
+
+/**
+ * Verify a single finished download
+ * @param {Object} download - Entry from storeManager.getAllDownloads()
+ * @param {boolean} full - Re-hash pieces instead of only checking the size
+ * @returns {Promise<{infoHash, status: 'ok'|'missing'|'corrupt'|'unverified', badPieces, totalPieces, checkedAt}>}
+ */
+async function verifyDownload(download, full = false) {
+    const { infoHash } = download;
+    const downloadPath = storeManager.getDownloadFolder(infoHash);
+    const videoPath = download.localPath;
+    const result = { infoHash, status: 'ok', badPieces: 0, totalPieces: 0, full, checkedAt: Date.now() };
+
+    if (!videoPath || !fs.existsSync(videoPath)) return { ...result, status: 'missing' };
+
+    let layout = null;
+    try {
+        layout = readLayout(infoHash);
+    } catch (err) {
+        console.warn(`[LibraryVerifier] Unreadable torrent file for ${infoHash}:`, err.message);
+    }
+    // Downloads made before metadata was kept can only be checked for presence;
+    // a video that isn't the torrent's main file can't be hashed either
+    if (!layout || path.resolve(videoPath) !== path.resolve(downloadPath, layout.mainFile.path)) {
+        return { ...result, status: 'unverified' };
+    }
+
+    if (fs.statSync(videoPath).size !== layout.mainFile.length) {
+        return { ...result, status: 'corrupt' };
+    }
+    if (!full) return result;
+
+    const { bad, total } = await findBadPieces(downloadPath, layout);
+    return { ...result, status: bad.length ? 'corrupt' : 'ok', badPieces: bad.length, totalPieces: total };
+}
+
+/**
+ * Verify every finished download, one at a time
+ * Results are saved on the download entry (`integrity`) and reported as they come in.
+ * Requests during a run share it, except a full one during a quick run, which
+ * starts once the quick run is over
+ * @param {Object} options - { full }
+ * @param {Function} [onResult] - Receives each result
+ * @returns {Promise<Array>} All results
+ */
+function verifyLibrary({ full = false } = {}, onResult) {
+    if (running) {
+        if (running.full || !full) return running.promise;
+        if (!queuedFull) {
+            console.log('[LibraryVerifier] Full check queued after the quick one');
+            queuedFull = running.promise.catch(() => {}).then(() => {
+                queuedFull = null;
+                return verifyLibrary({ full: true }, onResult);
+            });
+        }
+        return queuedFull;
+    }
+
+    const promise = (async () => {
+        // Downloads being repaired are checked again once the repair replaces them
+        const downloads = storeManager.getAllDownloads().filter(d => !d.repairing);
+        console.log(`[LibraryVerifier] ${full ? 'Full' : 'Quick'} check of ${downloads.length} download(s)`);
+        const results = [];
+
+        for (const download of downloads) {
+            let result;
+            try {
+                result = await verifyDownload(download, full);
+            } catch (err) {
+                console.error(`[LibraryVerifier] Check failed for ${download.infoHash}:`, err.message);
+                continue;
+            }
+            if (result.status !== 'ok') {
+                console.warn(`[LibraryVerifier] ${download.title}: ${result.status}${result.badPieces ? ` (${result.badPieces}/${result.totalPieces} pieces)` : ''}`);
+            }
+            storeManager.updateDownload(download.infoHash, { integrity: result });
+            results.push(result);
+            if (onResult) onResult(result);
+        }
+        return results;
+    })().finally(() => { running = null; });
+
+    running = { full, promise };
+    return promise;
+}
+
+module.exports = {
+    TORRENT_FILENAME,
+    getTorrentPath, saveTorrentFile, readLayout,
+    verifyDownload, verifyLibrary
+};
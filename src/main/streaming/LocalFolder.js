@@ -2,20 +2,30 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const networkUtils = require('../network-utils');
-const { DOWNLOADS_DIR } = require('../paths');
+const mediaType = require('../media-type');
+const storeManager = require('../store-manager');
+const LocalLibrary = require('./LocalLibrary');
 
 let isCastMode = false;
 
 function setCastModeRef(getter) { isCastMode = getter; }
 
 function serveLocalFolder(infoHash, onReady, castMode) {
-    const folderPath = path.join(DOWNLOADS_DIR, infoHash);
+    const folderPath = storeManager.getDownloadFolder(infoHash);
     if (!fs.existsSync(folderPath)) {
         console.error('[LocalFolder] Folder not found:', folderPath);
         if (onReady) onReady(null);
         return null;
     }
 
+    const videoPath = LocalLibrary.getVideoPath(infoHash);
+    if (!videoPath) {
+        console.error('[LocalFolder] Video file not found in:', folderPath);
+        if (onReady) onReady(null);
+        return null;
+    }
+    const videoRoute = `/${encodeURIComponent(path.basename(videoPath))}`;
+
     const CORS = {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
@@ -27,9 +37,9 @@ function serveLocalFolder(infoHash, onReady, castMode) {
 
         let filePath, contentType;
 
-        if (req.url === '/video.mp4' || req.url === '/') {
-            filePath = path.join(folderPath, 'video.mp4');
-            contentType = 'video/mp4';
+        if (req.url === videoRoute || req.url === '/') {
+            filePath = videoPath;
+            contentType = mediaType.getMimeType(videoPath);
         } else if (req.url === '/subtitles.vtt') {
             filePath = path.join(folderPath, 'subtitles.vtt');
             contentType = 'text/vtt';
@@ -55,7 +65,7 @@ function serveLocalFolder(infoHash, onReady, castMode) {
         const fileSize = stat.size;
         const range = req.headers.range;
 
-        if (range && contentType === 'video/mp4') {
+        if (range && mediaType.isVideoMime(contentType)) {
             const parts = range.replace(/bytes=/, '').split('-');
             const start = parseInt(parts[0], 10);
             const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
@@ -77,7 +87,7 @@ function serveLocalFolder(infoHash, onReady, castMode) {
     server.listen(0, host, () => {
         const port = server.address().port;
         const urlHost = castMode ? networkUtils.getLocalIP() : '127.0.0.1';
-        const url = `http://${urlHost}:${port}/video.mp4`;
+        const url = `http://${urlHost}:${port}${videoRoute}`;
         const hasSubtitles = fs.existsSync(path.join(folderPath, 'subtitles.vtt'));
         const subtitleUrl = hasSubtitles ? `http://${urlHost}:${port}/subtitles.vtt` : null;
         console.log(`[LocalFolder] Serving at ${url}`);
@@ -0,0 +1,69 @@
+/**
+ * Local Library
+ * Locates the video file of finished downloads. Downloads keep the original
+ * file name and container; older ones were renamed to video.mp4 and are migrated
+ */
+const fs = require('fs');
+const path = require('path');
+const mediaType = require('../media-type');
+const storeManager = require('../store-manager');
+const LibraryVerifier = require('./LibraryVerifier');
+
+const LEGACY_VIDEO_FILENAME = 'video.mp4';
+
+/**
+ * Path of the video of a finished download
+ * @param {string} infoHash
+ * @returns {string|null} Null when the file is gone
+ */
+function getVideoPath(infoHash) {
+    const download = storeManager.getAllDownloads().find(d => d.infoHash === infoHash);
+    if (download?.localPath && fs.existsSync(download.localPath)) return download.localPath;
+
+    const legacyPath = path.join(storeManager.getDownloadFolder(infoHash), LEGACY_VIDEO_FILENAME);
+    return fs.existsSync(legacyPath) ? legacyPath : null;
+}
+
+/**
+ * Move a legacy video.mp4 back to its name inside the torrent (when the .torrent
+ * was kept) or at least give it the extension of its real container
+ * @returns {string|null} New path, or null if nothing changed
+ */
+function migrateDownload(download) {
+    const downloadPath = storeManager.getDownloadFolder(download.infoHash);
+    const legacyPath = path.join(downloadPath, LEGACY_VIDEO_FILENAME);
+    if (!fs.existsSync(legacyPath)) return null;
+
+    let targetPath = null;
+    const layout = LibraryVerifier.readLayout(download.infoHash);
+    if (layout) {
+        targetPath = path.join(downloadPath, layout.mainFile.path);
+    } else {
+        const ext = mediaType.getExtension(mediaType.detectContainer(legacyPath));
+        if (ext && ext !== '.mp4') targetPath = path.join(downloadPath, `video${ext}`);
+    }
+
+    if (!targetPath || path.resolve(targetPath) === path.resolve(legacyPath)) return null;
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.renameSync(legacyPath, targetPath);
+    return targetPath;
+}
+
+/**
+ * Runs at startup, before the integrity check
+ */
+function migrateDownloads() {
+    storeManager.getAllDownloads().forEach(download => {
+        try {
+            const newPath = migrateDownload(download);
+            if (!newPath) return;
+            storeManager.updateDownload(download.infoHash, { localPath: newPath });
+            console.log(`[LocalLibrary] Migrated ${download.title}: ${newPath}`);
+        } catch (err) {
+            console.error(`[LocalLibrary] Migration failed for ${download.infoHash}:`, err.message);
+        }
+    });
+}
+
+module.exports = { getVideoPath, migrateDownloads };
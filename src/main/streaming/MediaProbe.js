@@ -0,0 +1,374 @@
+/**
+ * Media Probe
+ * Pure-JS container probe (MP4 boxes, Matroska/WebM EBML) that reads the first
+ * bytes of a stream through HTTP range requests, so it works the same for torrent
+ * files served by MediaServer and for local files. Reports the tracks and whether
+ * local playback and each cast target can decode them.
+ */
+const mediaType = require('../media-type');
+
+const HEAD_BYTES = 2 * 1024 * 1024;
+const READ_TIMEOUT_MS = 60000;
+
+// Codec ids (MP4 sample entry fourcc / Matroska CodecID) -> common name
+const CODECS = {
+    avc1: 'H.264', avc3: 'H.264', 'V_MPEG4/ISO/AVC': 'H.264',
+    hev1: 'HEVC', hvc1: 'HEVC', 'V_MPEGH/ISO/HEVC': 'HEVC',
+    av01: 'AV1', V_AV1: 'AV1',
+    vp08: 'VP8', V_VP8: 'VP8',
+    vp09: 'VP9', V_VP9: 'VP9',
+    mp4v: 'MPEG-4', 'V_MPEG4/ISO/ASP': 'MPEG-4', 'V_MPEG4/ISO/SP': 'MPEG-4', 'V_MS/VFW/FOURCC': 'VfW',
+    V_MPEG2: 'MPEG-2', V_THEORA: 'Theora',
+    mp4a: 'AAC', A_AAC: 'AAC', 'A_AAC/MPEG4/LC': 'AAC', 'A_AAC/MPEG2/LC': 'AAC',
+    'ac-3': 'AC3', A_AC3: 'AC3',
+    'ec-3': 'E-AC3', A_EAC3: 'E-AC3',
+    dtsc: 'DTS', dtsh: 'DTS', dtsl: 'DTS', A_DTS: 'DTS', 'A_DTS/EXPRESS': 'DTS', 'A_DTS/LOSSLESS': 'DTS',
+    A_TRUEHD: 'TrueHD', mlpa: 'TrueHD',
+    '.mp3': 'MP3', 'A_MPEG/L3': 'MP3', 'A_MPEG/L2': 'MP2',
+    Opus: 'Opus', A_OPUS: 'Opus',
+    A_VORBIS: 'Vorbis',
+    fLaC: 'FLAC', A_FLAC: 'FLAC',
+    'A_PCM/INT/LIT': 'PCM', lpcm: 'PCM', sowt: 'PCM',
+    'S_TEXT/UTF8': 'SRT', 'S_TEXT/ASS': 'ASS', 'S_TEXT/SSA': 'SSA', 'S_TEXT/WEBVTT': 'WebVTT',
+    'S_HDMV/PGS': 'PGS', 'S_VOBSUB': 'VobSub', tx3g: 'mov_text'
+};
+
+// What each target decodes (by container and codec name)
+const SUPPORT = {
+    local: {
+        containers: ['mp4', 'mov', 'mkv', 'webm', 'ogg'],
+        video: ['H.264', 'VP8', 'VP9', 'AV1', 'Theora'],
+        audio: ['AAC', 'MP3', 'Opus', 'Vorbis', 'FLAC', 'PCM']
+    },
+    chromecast: {
+        containers: ['mp4', 'mov', 'mkv', 'webm'],
+        video: ['H.264', 'VP8', 'VP9', 'HEVC', 'AV1'],
+        audio: ['AAC', 'MP3', 'Opus', 'Vorbis', 'FLAC', 'AC3', 'E-AC3']
+    },
+    // DLNA renderers (TVs) vary a lot; only rule out what they rarely handle
+    dlna: {
+        containers: ['mp4', 'mov', 'mkv', 'avi', 'ts', 'asf', 'webm'],
+        video: ['H.264', 'HEVC', 'MPEG-4', 'MPEG-2', 'VfW', 'VP9', 'AV1'],
+        audio: ['AAC', 'MP3', 'MP2', 'AC3', 'E-AC3', 'DTS', 'PCM', 'FLAC', 'Opus', 'Vorbis']
+    }
+};
+
+/**
+ * Reads byte ranges of a URL; learns the total size from Content-Range
+ * @param {string} url
+ * @param {AbortSignal} [signal] - Cancels pending reads
+ */
+function createRangeReader(url, signal = null) {
+    const reader = {
+        size: null,
+        async read(start, end) {
+            const timeout = AbortSignal.timeout(READ_TIMEOUT_MS);
+            const res = await fetch(url, {
+                headers: { Range: `bytes=${start}-${end}` },
+                signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const total = res.headers.get('content-range')?.split('/')[1];
+            if (total && total !== '*') reader.size = Number(total);
+            else if (res.status === 200) reader.size = Number(res.headers.get('content-length')) || reader.size;
+            return Buffer.from(await res.arrayBuffer());
+        }
+    };
+    return reader;
+}
+
+// --- MP4 ---
+
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let pos = start;
+    while (pos + 8 <= end) {
+        let size = buffer.readUInt32BE(pos);
+        const type = buffer.toString('latin1', pos + 4, pos + 8);
+        let header = 8;
+        if (size === 1) {
+            if (pos + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(pos + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < header) break;
+        boxes.push({ type, start: pos, dataStart: pos + header, end: pos + size });
+        pos += size;
+    }
+    return boxes;
+}
+
+function findBox(buffer, parent, type) {
+    return readBoxes(buffer, parent.dataStart, Math.min(parent.end, buffer.length)).find(b => b.type === type);
+}
+
+function parseMoov(buffer, moov) {
+    const tracks = [];
+    readBoxes(buffer, moov.dataStart, moov.end).filter(b => b.type === 'trak').forEach(trak => {
+        const mdia = findBox(buffer, trak, 'mdia');
+        const hdlr = mdia && findBox(buffer, mdia, 'hdlr');
+        const mdhd = mdia && findBox(buffer, mdia, 'mdhd');
+        const minf = mdia && findBox(buffer, mdia, 'minf');
+        const stbl = minf && findBox(buffer, minf, 'stbl');
+        const stsd = stbl && findBox(buffer, stbl, 'stsd');
+        if (!hdlr || !stsd) return;
+
+        const handler = buffer.toString('latin1', hdlr.dataStart + 8, hdlr.dataStart + 12);
+        const type = { vide: 'video', soun: 'audio', sbtl: 'subtitle', text: 'subtitle' }[handler];
+        if (!type) return;
+
+        // stsd: version/flags (4) + entry count (4), then the first sample entry box
+        const [entry] = readBoxes(buffer, stsd.dataStart + 8, stsd.end);
+        const codecId = entry ? entry.type : null;
+
+        let language = null;
+        if (mdhd) {
+            // Packed ISO-639-2 code, 5 bits per letter
+            const offset = mdhd.dataStart + (buffer[mdhd.dataStart] === 1 ? 32 : 20);
+            const packed = buffer.readUInt16BE(offset);
+            language = String.fromCharCode(((packed >> 10) & 31) + 96, ((packed >> 5) & 31) + 96, (packed & 31) + 96);
+            if (language === 'und' || !/^[a-z]{3}$/.test(language)) language = null;
+        }
+
+        // tkhd track_ID, after version/flags and the creation/modification times
+        const tkhd = findBox(buffer, trak, 'tkhd');
+        const number = tkhd ? buffer.readUInt32BE(tkhd.dataStart + (buffer[tkhd.dataStart] === 1 ? 20 : 12)) : null;
+
+        tracks.push({ index: tracks.length, number, type, codecId, codec: CODECS[codecId] || codecId, language, name: null });
+    });
+    return tracks;
+}
+
+/**
+ * Top-level box header at an absolute offset (from the head buffer when possible)
+ */
+async function readBoxHeader(reader, head, offset) {
+    const buffer = offset + 16 <= head.length ? head.subarray(offset, offset + 16) : await reader.read(offset, offset + 15);
+    const [box] = readBoxes(buffer, 0, buffer.length >= 16 ? 16 : buffer.length);
+    if (!box) return null;
+    // readBoxes clamps size 0 ("to end of file") to the buffer; use the real size instead
+    const size = buffer.readUInt32BE(0) === 0 && reader.size ? reader.size - offset : box.end;
+    return { type: box.type, headerSize: box.dataStart, size };
+}
+
+/**
+ * The moov box, wherever it is in the file
+ * @returns {Promise<{buffer: Buffer, moov: Object}|null>} moov = box bounds within buffer
+ */
+async function readMoov(reader, head) {
+    // moov is usually at the start (faststart); otherwise skip top-level boxes (mdat) to reach it
+    let offset = 0;
+    for (let i = 0; i < 32; i++) {
+        if (reader.size && offset >= reader.size) return null;
+        const box = await readBoxHeader(reader, head, offset);
+        if (!box) return null;
+
+        if (box.type === 'moov') {
+            const moov = offset + box.size <= head.length
+                ? head.subarray(offset, offset + box.size)
+                : await reader.read(offset, offset + box.size - 1);
+            return { buffer: moov, moov: { dataStart: box.headerSize, end: moov.length } };
+        }
+        offset += box.size;
+    }
+    return null;
+}
+
+async function probeMp4(reader, head) {
+    const found = await readMoov(reader, head);
+    return found ? parseMoov(found.buffer, found.moov) : null;
+}
+
+// --- Matroska / WebM ---
+
+const EBML_IDS = {
+    EBML: 0x1A45DFA3, DocType: 0x4282,
+    Segment: 0x18538067, SeekHead: 0x114D9B74, Seek: 0x4DBB, SeekID: 0x53AB, SeekPosition: 0x53AC,
+    Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackType: 0x83, CodecID: 0x86,
+    Language: 0x22B59C, LanguageBCP47: 0x22B59D, Name: 0x536E, FlagDefault: 0x88, FlagForced: 0x55AA,
+    Cluster: 0x1F43B675, Info: 0x1549A966, TimecodeScale: 0x2AD7B1,
+    Timecode: 0xE7, SimpleBlock: 0xA3, BlockGroup: 0xA0, Block: 0xA1, BlockDuration: 0x9B,
+    CodecPrivate: 0x63A2, ContentEncodings: 0x6D80, ContentEncoding: 0x6240,
+    ContentCompression: 0x5034, ContentCompAlgo: 0x4254, ContentCompSettings: 0x4255
+};
+const TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+/**
+ * Variable-length integer at pos
+ * @param {boolean} keepMarker - Element ids keep the length marker bit, sizes don't
+ */
+function readVint(buffer, pos, keepMarker) {
+    const first = buffer[pos];
+    if (first === undefined || first === 0) return null;
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (pos + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[pos + i];
+        if (buffer[pos + i] !== 0xFF) allOnes = false;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readElement(buffer, pos) {
+    const id = readVint(buffer, pos, true);
+    const size = id && readVint(buffer, pos + id.length, false);
+    if (!size) return null;
+    const dataStart = pos + id.length + size.length;
+    return { id: id.value, dataStart, end: size.unknown ? Infinity : dataStart + size.value };
+}
+
+function readChildren(buffer, start, end) {
+    const children = [];
+    let pos = start;
+    const limit = Math.min(end, buffer.length);
+    while (pos < limit) {
+        const el = readElement(buffer, pos);
+        if (!el) break;
+        children.push(el);
+        if (el.end === Infinity) break;
+        pos = el.end;
+    }
+    return children;
+}
+
+function readUInt(buffer, el) {
+    let value = 0;
+    for (let i = el.dataStart; i < el.end; i++) value = value * 256 + buffer[i];
+    return value;
+}
+
+function readString(buffer, el) {
+    return buffer.toString('utf8', el.dataStart, el.end).replace(/\0+$/, '');
+}
+
+function parseTracks(buffer, tracksEl) {
+    const tracks = [];
+    readChildren(buffer, tracksEl.dataStart, tracksEl.end)
+        .filter(el => el.id === EBML_IDS.TrackEntry)
+        .forEach(entry => {
+            const fields = {};
+            readChildren(buffer, entry.dataStart, entry.end).forEach(el => { fields[el.id] = el; });
+
+            const type = TRACK_TYPES[fields[EBML_IDS.TrackType] ? readUInt(buffer, fields[EBML_IDS.TrackType]) : 0];
+            if (!type) return;
+
+            const codecId = fields[EBML_IDS.CodecID] ? readString(buffer, fields[EBML_IDS.CodecID]) : null;
+            const languageEl = fields[EBML_IDS.LanguageBCP47] || fields[EBML_IDS.Language];
+            const language = languageEl ? readString(buffer, languageEl) : 'eng'; // Matroska default
+            tracks.push({
+                index: tracks.length,
+                number: fields[EBML_IDS.TrackNumber] ? readUInt(buffer, fields[EBML_IDS.TrackNumber]) : null,
+                type,
+                codecId,
+                codec: CODECS[codecId] || codecId,
+                language: language === 'und' ? null : language,
+                name: fields[EBML_IDS.Name] ? readString(buffer, fields[EBML_IDS.Name]) : null,
+                isDefault: fields[EBML_IDS.FlagDefault] ? readUInt(buffer, fields[EBML_IDS.FlagDefault]) === 1 : true,
+                isForced: fields[EBML_IDS.FlagForced] ? readUInt(buffer, fields[EBML_IDS.FlagForced]) === 1 : false
+            });
+        });
+    return tracks;
+}
+
+async function probeMatroska(reader, head) {
+    const top = readChildren(head, 0, head.length);
+    const ebml = top.find(el => el.id === EBML_IDS.EBML);
+    const segment = top.find(el => el.id === EBML_IDS.Segment);
+    if (!ebml || !segment) return null;
+
+    const docTypeEl = readChildren(head, ebml.dataStart, ebml.end).find(el => el.id === EBML_IDS.DocType);
+    const container = docTypeEl && readString(head, docTypeEl) === 'webm' ? 'webm' : 'mkv';
+
+    // Tracks normally sit before the first Cluster; the SeekHead points to it otherwise
+    let tracksOffset = null;
+    for (const el of readChildren(head, segment.dataStart, segment.end)) {
+        if (el.id === EBML_IDS.Tracks && el.end <= head.length) {
+            return { container, tracks: parseTracks(head, el) };
+        }
+        if (el.id === EBML_IDS.Tracks) {
+            const buffer = await reader.read(el.dataStart, el.end - 1);
+            return { container, tracks: parseTracks(buffer, { dataStart: 0, end: buffer.length }) };
+        }
+        if (el.id === EBML_IDS.SeekHead && el.end <= head.length) {
+            readChildren(head, el.dataStart, el.end).filter(s => s.id === EBML_IDS.Seek).forEach(seek => {
+                const fields = readChildren(head, seek.dataStart, seek.end);
+                const idEl = fields.find(f => f.id === EBML_IDS.SeekID);
+                const posEl = fields.find(f => f.id === EBML_IDS.SeekPosition);
+                if (idEl && posEl && readUInt(head, idEl) === EBML_IDS.Tracks) tracksOffset = readUInt(head, posEl);
+            });
+        }
+        if (el.id === EBML_IDS.Cluster) break;
+    }
+
+    if (tracksOffset == null) return { container, tracks: [] };
+
+    const position = segment.dataStart + tracksOffset;
+    const header = await reader.read(position, position + 11);
+    const el = readElement(header, 0);
+    if (!el || el.id !== EBML_IDS.Tracks || el.end === Infinity) return { container, tracks: [] };
+    const buffer = await reader.read(position + el.dataStart, position + el.end - 1);
+    return { container, tracks: parseTracks(buffer, { dataStart: 0, end: buffer.length }) };
+}
+
+// --- Verdicts ---
+
+/**
+ * Which targets can play the probed media
+ * @returns {{local: {playable, issues}, chromecast: {playable, issues}, dlna: {playable, issues}}}
+ *   issues = [{ kind: 'container'|'video'|'audio', codec }]
+ */
+function evaluate(container, tracks) {
+    const video = tracks.filter(t => t.type === 'video');
+    const audio = tracks.filter(t => t.type === 'audio');
+    const result = {};
+
+    Object.entries(SUPPORT).forEach(([target, support]) => {
+        const issues = [];
+        if (container && !support.containers.includes(container)) issues.push({ kind: 'container', codec: container.toUpperCase() });
+        if (video.length && !video.some(t => support.video.includes(t.codec))) issues.push({ kind: 'video', codec: video[0].codec });
+        // One decodable audio track is enough (it can be selected)
+        if (audio.length && !audio.some(t => support.audio.includes(t.codec))) issues.push({ kind: 'audio', codec: audio[0].codec });
+        result[target] = { playable: issues.length === 0, issues };
+    });
+    return result;
+}
+
+/**
+ * Probe a stream URL
+ * @param {string} url - MediaServer / LocalFolder URL (must accept Range requests)
+ * @returns {Promise<{container, tracks, compatibility}|null>} Null when the format isn't recognized
+ */
+async function probe(url) {
+    const reader = createRangeReader(url);
+    const head = await reader.read(0, HEAD_BYTES - 1);
+    const container = mediaType.sniffContainer(head);
+
+    let info = null;
+    if (container === 'mp4' || container === 'mov') {
+        const tracks = await probeMp4(reader, head);
+        info = tracks ? { container, tracks } : null;
+    } else if (container === 'mkv' || container === 'webm') {
+        info = await probeMatroska(reader, head);
+    } else if (container) {
+        // No track parsing for other containers; the container alone decides
+        info = { container, tracks: [] };
+    }
+    if (!info) return null;
+
+    const summary = info.tracks.map(t => `${t.type}:${t.codec}`).join(', ') || 'no tracks';
+    console.log(`[MediaProbe] ${info.container}: ${summary}`);
+    return { ...info, compatibility: evaluate(info.container, info.tracks) };
+}
+
+module.exports = {
+    probe, evaluate,
+    // Container parsing shared with SubtitleExtractor
+    HEAD_BYTES, EBML_IDS, createRangeReader, readBoxes, findBox, readMoov,
+    readVint, readElement, readChildren, readUInt, readString
+};
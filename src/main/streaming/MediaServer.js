@@ -1,16 +1,28 @@
 const networkUtils = require('../network-utils');
+const storeManager = require('../store-manager');
+const mediaType = require('../media-type');
 
 let activeServer = null;
 let activePort = null;
 let isCastMode = false;
 let activeLocalFilePath = null;
+let activeTorrent = null;
 
 function serveTorrent(torrent, fileIndex, fileName, opts = {}) {
     const { onReady, onProgress, retryPort = 0 } = opts;
+
+    // The torrent server exposes every file, so switching files only needs a new URL
+    if (activeServer && activeTorrent === torrent && activeServer.listening) {
+        const host = isCastMode ? '0.0.0.0' : '127.0.0.1';
+        console.log(`[MediaServer] Reusing torrent server for file #${fileIndex}`);
+        return finalizeStart(activeServer, host, fileIndex, fileName, onReady, onProgress, torrent);
+    }
+
     closeServer();
 
     const server = torrent.createServer();
     activeServer = server;
+    activeTorrent = torrent;
     activeLocalFilePath = null;
 
     const host = isCastMode ? '0.0.0.0' : '127.0.0.1';
@@ -18,7 +30,7 @@ function serveTorrent(torrent, fileIndex, fileName, opts = {}) {
 
     if (isCastMode) addSecurityMiddleware(server);
 
-    const PREFERRED_PORT = parseInt(process.env.STREAM_PORT) || 62182;
+    const PREFERRED_PORT = storeManager.getSettings().streamPort;
     const portToTry = PREFERRED_PORT + retryPort;
 
     server.on('error', (err) => {
@@ -69,16 +81,25 @@ function serveLocalFile(filePath, onReady) {
         activePort = port;
         activeLocalFilePath = filePath;
         const urlHost = isCastMode ? networkUtils.getLocalIP() : '127.0.0.1';
-        const url = `http://${urlHost}:${port}/video.mp4`;
+        const url = `http://${urlHost}:${port}/${getLocalFileRoute(filePath)}`;
         const subtitleUrl = hasSubtitles ? `http://${urlHost}:${port}/subtitles.vtt` : null;
         console.log(`[MediaServer] Serving local file at ${url}`);
         if (onReady) onReady(url, subtitleUrl);
     });
 }
 
+/**
+ * URL path for a local file; the server answers any path with the video,
+ * the name only lets players and cast devices see the real extension
+ */
+function getLocalFileRoute(filePath) {
+    return encodeURIComponent(require('path').basename(filePath));
+}
+
 function serveVideoFile(filePath, req, res) {
     const fs = require('fs');
     try {
+        const contentType = mediaType.getMimeType(filePath);
         const stat = fs.statSync(filePath);
         const fileSize = stat.size;
         const range = req.headers.range;
@@ -90,12 +111,12 @@ function serveVideoFile(filePath, req, res) {
                 'Content-Range': `bytes ${start}-${end}/${fileSize}`,
                 'Accept-Ranges': 'bytes',
                 'Content-Length': (end - start) + 1,
-                'Content-Type': 'video/mp4',
+                'Content-Type': contentType,
                 'Access-Control-Allow-Origin': '*'
             });
             fs.createReadStream(filePath, { start, end }).pipe(res);
         } else {
-            res.writeHead(200, { 'Content-Length': fileSize, 'Content-Type': 'video/mp4', 'Access-Control-Allow-Origin': '*' });
+            res.writeHead(200, { 'Content-Length': fileSize, 'Content-Type': contentType, 'Access-Control-Allow-Origin': '*' });
             fs.createReadStream(filePath).pipe(res);
         }
     } catch (e) {
@@ -120,6 +141,7 @@ function addSecurityMiddleware(server) {
 }
 
 function closeServer() {
+    activeTorrent = null;
     if (activeServer) {
         try {
             if (typeof activeServer.closeAllConnections === 'function') {
@@ -134,6 +156,7 @@ function closeServer() {
 
 function destroy() {
     return new Promise(res => {
+        activeTorrent = null;
         if (!activeServer) return res();
         const s = activeServer;
         activeServer = null;
@@ -149,6 +172,7 @@ function destroy() {
 }
 
 function destroySync() {
+    activeTorrent = null;
     if (activeServer) { try { activeServer.close(); } catch (e) { } activeServer = null; }
     activePort = null;
     activeLocalFilePath = null;
@@ -166,7 +190,7 @@ function getStreamUrl(fileIndex, fileName) {
     const addr = activeServer.address();
     if (!addr || !addr.port) return null;
     const host = isCastMode ? networkUtils.getLocalIP() : '127.0.0.1';
-    if (activeLocalFilePath) return `http://${host}:${addr.port}/video.mp4`;
+    if (activeLocalFilePath) return `http://${host}:${addr.port}/${getLocalFileRoute(activeLocalFilePath)}`;
     return `http://${host}:${addr.port}/${fileIndex}/${encodeURIComponent(fileName)}`;
 }
 
@@ -178,7 +202,7 @@ function getActivePort() { return activePort; }
 function getActiveLocalFilePath() { return activeLocalFilePath; }
 
 module.exports = {
-    serveTorrent, serveLocalFile, serveVideoFile, addSecurityMiddleware,
+    serveTorrent, serveLocalFile, serveVideoFile, getLocalFileRoute, addSecurityMiddleware,
     closeServer, destroy, destroySync, setCastMode, isCastModeEnabled,
     getStreamUrl, resetState, hasActiveServer, getActiveServer,
     getActivePort, getActiveLocalFilePath
@@ -0,0 +1,39 @@
+/**
+ * Movie Hash
+ * OpenSubtitles-style hash of a video: file size plus the 64-bit little-endian
+ * words of its first and last 64KB, modulo 2^64. Read through HTTP range requests
+ * so torrent files only need those two ranges downloaded.
+ */
+const { createRangeReader } = require('./MediaProbe');
+
+const CHUNK_BYTES = 64 * 1024;
+const MASK_64 = (1n << 64n) - 1n;
+
+function sumWords(buffer) {
+    let sum = 0n;
+    for (let pos = 0; pos + 8 <= buffer.length; pos += 8) {
+        sum = (sum + buffer.readBigUInt64LE(pos)) & MASK_64;
+    }
+    return sum;
+}
+
+/**
+ * Hash a stream URL
+ * @param {string} url - MediaServer / LocalFolder URL (must accept Range requests)
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{hash: string, size: number}|null>} Null for files under 64KB
+ */
+async function compute(url, signal = null) {
+    const reader = createRangeReader(url, signal);
+    const head = await reader.read(0, CHUNK_BYTES - 1);
+    const size = reader.size;
+    if (!size || size < CHUNK_BYTES || head.length < CHUNK_BYTES) return null;
+
+    const tail = await reader.read(size - CHUNK_BYTES, size - 1);
+    if (tail.length < CHUNK_BYTES) return null;
+
+    const hash = (BigInt(size) + sumWords(head.subarray(0, CHUNK_BYTES)) + sumWords(tail.subarray(0, CHUNK_BYTES))) & MASK_64;
+    return { hash: hash.toString(16).padStart(16, '0'), size };
+}
+
+module.exports = { compute };
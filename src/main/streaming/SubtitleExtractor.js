@@ -0,0 +1,346 @@
+/**
+ * Subtitle Extractor
+ * Reads embedded text subtitle tracks (Matroska SRT/ASS/WebVTT, MP4 tx3g) out of
+ * the file being played, through the same URL the player uses, so torrent streams
+ * and downloaded files are handled alike. Cues are reported in batches: a torrent
+ * only yields the whole track once the file has been downloaded.
+ */
+const zlib = require('zlib');
+const MediaProbe = require('./MediaProbe');
+const SubtitleParser = require('../../shared/subtitle-parser');
+const I18n = require('../../shared/i18n');
+
+const { EBML_IDS, readVint, readElement, readChildren, readUInt } = MediaProbe;
+
+// Codec names (as reported by MediaProbe) that carry text
+const TEXT_CODECS = ['SRT', 'ASS', 'SSA', 'WebVTT', 'mov_text'];
+const BATCH_INTERVAL_MS = 2000;
+// Blocks without a BlockDuration stay on screen this long
+const DEFAULT_CUE_SECONDS = 4;
+
+function isTextTrack(track) {
+    return !!track && track.type === 'subtitle' && TEXT_CODECS.includes(track.codec);
+}
+
+/**
+ * WebVTT cue text from a sample/block payload
+ */
+function toCueText(codec, payload) {
+    if (codec === 'mov_text') {
+        // tx3g: 16-bit length, then the text (style boxes may follow)
+        if (payload.length < 2) return '';
+        return payload.toString('utf8', 2, 2 + payload.readUInt16BE(0)).trim();
+    }
+
+    const text = payload.toString('utf8');
+    if (codec === 'ASS' || codec === 'SSA') {
+        // ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+        return SubtitleParser.assTextToVtt(text.split(',').slice(8).join(','));
+    }
+    return text.replace(/\r\n?/g, '\n').trim();
+}
+
+// --- Matroska ---
+
+// Master elements whose children are parsed in place
+const MKV_DESCEND = new Set([EBML_IDS.Segment, EBML_IDS.Cluster, EBML_IDS.BlockGroup]);
+// Elements read whole; everything else (video/audio blocks, Cues, Tags...) is skipped
+const MKV_READ = new Set([EBML_IDS.Info, EBML_IDS.Tracks, EBML_IDS.Timecode, EBML_IDS.BlockDuration]);
+
+/**
+ * Content decoder for the track (mkvmerge may compress subtitle tracks)
+ */
+function getTrackDecoder(tracks, trackNumber) {
+    const entry = readChildren(tracks, 0, tracks.length)
+        .filter(el => el.id === EBML_IDS.TrackEntry)
+        .find(el => {
+            const numberEl = readChildren(tracks, el.dataStart, el.end).find(f => f.id === EBML_IDS.TrackNumber);
+            return numberEl && readUInt(tracks, numberEl) === trackNumber;
+        });
+    if (!entry) throw new Error(I18n.t('subtitles.extract.noTrack', { number: trackNumber }));
+
+    const child = (parent, id) => parent && readChildren(tracks, parent.dataStart, parent.end).find(el => el.id === id);
+    const compression = child(child(child(entry, EBML_IDS.ContentEncodings), EBML_IDS.ContentEncoding), EBML_IDS.ContentCompression);
+    if (!compression) return (data) => data;
+
+    const algoEl = child(compression, EBML_IDS.ContentCompAlgo);
+    const algo = algoEl ? readUInt(tracks, algoEl) : 0;
+    const settingsEl = child(compression, EBML_IDS.ContentCompSettings);
+    if (algo === 0) return (data) => zlib.inflateSync(data);
+    if (algo === 3) {
+        // Header stripping: the removed bytes are stored once in the track
+        const header = settingsEl ? tracks.subarray(settingsEl.dataStart, settingsEl.end) : Buffer.alloc(0);
+        return (data) => Buffer.concat([header, data]);
+    }
+    throw new Error(I18n.t('subtitles.extract.unsupportedCompression'));
+}
+
+/**
+ * Push parser over the whole file; only the wanted track's blocks are buffered
+ * @param {number} trackNumber - Matroska TrackNumber
+ * @param {Function} emit - (start, end, payload) with times in seconds
+ */
+function createMatroskaParser(trackNumber, emit) {
+    let buffer = Buffer.alloc(0);
+    let offset = 0; // absolute position of buffer[0]
+    let skip = 0; // bytes of a skipped element still to arrive
+    let timecodeScale = 1000000;
+    let clusterTime = 0;
+    let decode = null;
+    let group = null; // BlockGroup being parsed: { end, block, duration }
+
+    const toSeconds = (ticks) => ticks * timecodeScale / 1e9;
+
+    function parseBlock(data) {
+        const track = readVint(data, 0, false);
+        const flags = data[track.length + 2];
+        if (flags & 0x06) return null; // Laced blocks are never used for text
+        return {
+            start: toSeconds(clusterTime + data.readInt16BE(track.length)),
+            payload: decode(data.subarray(track.length + 3))
+        };
+    }
+
+    function finishGroup() {
+        if (group.block) {
+            const { start, payload } = group.block;
+            const duration = group.duration != null ? toSeconds(group.duration) : DEFAULT_CUE_SECONDS;
+            emit(start, start + duration, payload);
+        }
+        group = null;
+    }
+
+    function handle(id, data) {
+        if (id === EBML_IDS.Info) {
+            const scaleEl = readChildren(data, 0, data.length).find(el => el.id === EBML_IDS.TimecodeScale);
+            if (scaleEl) timecodeScale = readUInt(data, scaleEl);
+        } else if (id === EBML_IDS.Tracks) {
+            decode = getTrackDecoder(data, trackNumber);
+        } else if (id === EBML_IDS.Timecode) {
+            clusterTime = readUInt(data, { dataStart: 0, end: data.length });
+        } else if (id === EBML_IDS.BlockDuration) {
+            if (group) group.duration = readUInt(data, { dataStart: 0, end: data.length });
+        } else if (id === EBML_IDS.Block) {
+            if (group) group.block = parseBlock(data);
+        } else if (id === EBML_IDS.SimpleBlock) {
+            const block = parseBlock(data);
+            if (block) emit(block.start, block.start + DEFAULT_CUE_SECONDS, block.payload);
+        }
+    }
+
+    function push(chunk) {
+        if (skip > 0) {
+            const dropped = Math.min(skip, chunk.length);
+            skip -= dropped;
+            offset += dropped;
+            chunk = chunk.subarray(dropped);
+            if (!chunk.length) return;
+        }
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+        let pos = 0;
+        const skipTo = (end) => {
+            if (end <= buffer.length) {
+                pos = end;
+            } else {
+                skip = end - buffer.length;
+                pos = buffer.length;
+            }
+        };
+
+        while (pos < buffer.length) {
+            if (group && offset + pos >= group.end) finishGroup();
+
+            const el = readElement(buffer, pos);
+            if (!el) {
+                // Element ids and sizes take at most 12 bytes
+                if (buffer.length - pos >= 12) throw new Error(I18n.t('subtitles.extract.invalidMatroska'));
+                break;
+            }
+
+            if (MKV_DESCEND.has(el.id)) {
+                if (el.id === EBML_IDS.BlockGroup) group = { end: offset + el.end, block: null, duration: null };
+                pos = el.dataStart;
+                continue;
+            }
+            if (el.end === Infinity) throw new Error(I18n.t('subtitles.extract.unknownSize'));
+
+            if (el.id === EBML_IDS.SimpleBlock || el.id === EBML_IDS.Block) {
+                const track = readVint(buffer, el.dataStart, false);
+                if (!track) break;
+                if (track.value !== trackNumber || !decode) {
+                    skipTo(el.end);
+                    continue;
+                }
+            } else if (!MKV_READ.has(el.id)) {
+                skipTo(el.end);
+                continue;
+            }
+
+            if (el.end > buffer.length) break; // wait for the rest of the element
+            handle(el.id, buffer.subarray(el.dataStart, el.end));
+            pos = el.end;
+        }
+
+        offset += pos;
+        buffer = buffer.subarray(pos);
+    }
+
+    function end() {
+        if (group) finishGroup();
+    }
+
+    return { push, end };
+}
+
+async function extractMatroska(url, track, emit, signal) {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const parser = createMatroskaParser(track.number, emit);
+    for await (const chunk of res.body) {
+        parser.push(Buffer.from(chunk));
+    }
+    parser.end();
+}
+
+// --- MP4 ---
+
+/**
+ * Samples of a track grouped by chunk (samples in a chunk are contiguous)
+ * @returns {Array<Array<{offset, size, time, duration}>>} Times in track timescale units
+ */
+function readSampleTable(buffer, stbl) {
+    const box = (type) => MediaProbe.findBox(buffer, stbl, type);
+    const stts = box('stts');
+    const stsz = box('stsz');
+    const stsc = box('stsc');
+    const stco = box('stco') || box('co64');
+    if (!stts || !stsz || !stsc || !stco) return [];
+
+    const uniformSize = buffer.readUInt32BE(stsz.dataStart + 4);
+    const sampleCount = buffer.readUInt32BE(stsz.dataStart + 8);
+    const sizes = [];
+    for (let i = 0; i < sampleCount; i++) {
+        sizes.push(uniformSize || buffer.readUInt32BE(stsz.dataStart + 12 + i * 4));
+    }
+
+    // Durations are run-length encoded
+    const durations = [];
+    const sttsCount = buffer.readUInt32BE(stts.dataStart + 4);
+    for (let i = 0; i < sttsCount; i++) {
+        const count = buffer.readUInt32BE(stts.dataStart + 8 + i * 8);
+        const delta = buffer.readUInt32BE(stts.dataStart + 12 + i * 8);
+        for (let j = 0; j < count; j++) durations.push(delta);
+    }
+
+    const is64 = stco.type === 'co64';
+    const chunkCount = buffer.readUInt32BE(stco.dataStart + 4);
+    const runs = [];
+    const stscCount = buffer.readUInt32BE(stsc.dataStart + 4);
+    for (let i = 0; i < stscCount; i++) {
+        runs.push({
+            firstChunk: buffer.readUInt32BE(stsc.dataStart + 8 + i * 12),
+            samplesPerChunk: buffer.readUInt32BE(stsc.dataStart + 12 + i * 12)
+        });
+    }
+
+    const chunks = [];
+    let sample = 0;
+    let time = 0;
+    let run = 0;
+    for (let c = 0; c < chunkCount && sample < sampleCount; c++) {
+        // stsc chunk numbers are 1-based
+        while (run + 1 < runs.length && runs[run + 1].firstChunk <= c + 1) run++;
+        let pos = is64 ? Number(buffer.readBigUInt64BE(stco.dataStart + 8 + c * 8)) : buffer.readUInt32BE(stco.dataStart + 8 + c * 4);
+
+        const samples = [];
+        for (let k = 0; k < (runs[run]?.samplesPerChunk || 0) && sample < sampleCount; k++, sample++) {
+            samples.push({ offset: pos, size: sizes[sample], time, duration: durations[sample] || 0 });
+            pos += sizes[sample];
+            time += durations[sample] || 0;
+        }
+        chunks.push(samples);
+    }
+    return chunks;
+}
+
+async function extractMp4(url, track, emit, signal) {
+    const reader = MediaProbe.createRangeReader(url, signal);
+    const head = await reader.read(0, MediaProbe.HEAD_BYTES - 1);
+    const found = await MediaProbe.readMoov(reader, head);
+    if (!found) throw new Error(I18n.t('subtitles.extract.noMp4Index'));
+
+    const { buffer, moov } = found;
+    const trak = MediaProbe.readBoxes(buffer, moov.dataStart, moov.end).filter(b => b.type === 'trak').find(b => {
+        const tkhd = MediaProbe.findBox(buffer, b, 'tkhd');
+        return tkhd && buffer.readUInt32BE(tkhd.dataStart + (buffer[tkhd.dataStart] === 1 ? 20 : 12)) === track.number;
+    });
+    const mdia = trak && MediaProbe.findBox(buffer, trak, 'mdia');
+    const mdhd = mdia && MediaProbe.findBox(buffer, mdia, 'mdhd');
+    const minf = mdia && MediaProbe.findBox(buffer, mdia, 'minf');
+    const stbl = minf && MediaProbe.findBox(buffer, minf, 'stbl');
+    if (!mdhd || !stbl) throw new Error(I18n.t('subtitles.extract.noTrack', { number: track.number }));
+
+    const timescale = buffer.readUInt32BE(mdhd.dataStart + (buffer[mdhd.dataStart] === 1 ? 20 : 12)) || 1000;
+
+    for (const samples of readSampleTable(buffer, stbl)) {
+        // Empty samples (just the 2-byte length) only mark gaps
+        const withText = samples.filter(s => s.size > 2);
+        if (!withText.length) continue;
+
+        const first = withText[0];
+        const last = withText[withText.length - 1];
+        const data = await reader.read(first.offset, last.offset + last.size - 1);
+        withText.forEach(s => {
+            const payload = data.subarray(s.offset - first.offset, s.offset - first.offset + s.size);
+            emit(s.time / timescale, (s.time + s.duration) / timescale, payload);
+        });
+    }
+}
+
+/**
+ * Extract a subtitle track
+ * @param {string} url - Stream URL (MediaServer / LocalFolder, must accept Range requests)
+ * @param {string} container - Container reported by MediaProbe
+ * @param {Object} track - Subtitle track reported by MediaProbe ({ number, codec })
+ * @param {Function} onCues - Receives batches of { start, end, text } (seconds)
+ * @param {AbortSignal} signal - Stops the extraction
+ * @returns {Promise<number>} Number of cues found
+ */
+async function extract(url, container, track, onCues, signal) {
+    if (!isTextTrack(track) || track.number == null) throw new Error(I18n.t('subtitles.extract.unsupportedTrack'));
+
+    let pending = [];
+    let total = 0;
+    const flush = () => {
+        if (!pending.length) return;
+        onCues(pending);
+        pending = [];
+    };
+    const emit = (start, end, payload) => {
+        const text = toCueText(track.codec, payload);
+        if (!text || end <= start) return;
+        pending.push({ start, end, text });
+        total++;
+    };
+
+    const timer = setInterval(flush, BATCH_INTERVAL_MS);
+    try {
+        if (container === 'mkv' || container === 'webm') {
+            await extractMatroska(url, track, emit, signal);
+        } else if (container === 'mp4' || container === 'mov') {
+            await extractMp4(url, track, emit, signal);
+        } else {
+            throw new Error(I18n.t('subtitles.extract.unsupportedContainer'));
+        }
+    } finally {
+        clearInterval(timer);
+    }
+
+    flush();
+    console.log(`[SubtitleExtractor] Track ${track.number} (${track.codec}): ${total} cues`);
+    return total;
+}
+
+module.exports = { extract, isTextTrack };
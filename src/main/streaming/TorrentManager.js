@@ -1,13 +1,32 @@
 const WebTorrent = require('webtorrent');
 const path = require('path');
 const fs = require('fs');
-const { CACHE_DIR, DOWNLOADS_DIR } = require('../paths');
+const { CACHE_DIR } = require('../paths');
+const { parseEpisode, compareEpisodes } = require('../episode-parser');
+const BandwidthPolicy = require('./BandwidthPolicy');
+const LocalLibrary = require('./LocalLibrary');
+const I18n = require('../../shared/i18n');
 
 let client = null;
 let activeTorrent = null;
 let activeFileIndex = null;
 let activeFileName = null;
 
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm', '.mov', '.m4v', '.ts', '.wmv', '.mpg', '.mpeg'];
+
+function isVideoFile(file) {
+    return VIDEO_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+}
+
+/**
+ * Video files worth offering to the user (samples are skipped)
+ * Falls back to every file when the torrent has no recognizable video
+ */
+function getPlayableFiles(torrent) {
+    const videos = torrent.files.filter(f => isVideoFile(f) && !/(^|[^a-z])sample([^a-z]|$)/i.test(f.path));
+    return videos.length > 0 ? videos : torrent.files.slice();
+}
+
 function addTorrent(magnet) {
     return new Promise((resolve, reject) => {
         if (!fs.existsSync(CACHE_DIR)) {
@@ -19,8 +38,8 @@ function addTorrent(magnet) {
         const detectedHash = match ? match[1].toLowerCase() : null;
 
         if (detectedHash) {
-            const localPath = path.join(DOWNLOADS_DIR, detectedHash, 'video.mp4');
-            if (fs.existsSync(localPath)) {
+            const localPath = LocalLibrary.getVideoPath(detectedHash);
+            if (localPath) {
                 console.log('[TorrentManager] Local file found, playing offline');
                 return resolve({ isLocal: true, localFilePath: localPath, infoHash: detectedHash });
             }
@@ -28,42 +47,105 @@ function addTorrent(magnet) {
 
         client = new WebTorrent({
             maxWebConns: 4,
+            ...BandwidthPolicy.getClientOptions(),
             tracker: {
                 announce: ['wss://tracker.openwebtorrent.com', 'udp://tracker.opentrackr.org:1337/announce']
             }
         });
+        BandwidthPolicy.registerClient(client);
 
-        client.on('error', (err) => console.error('[TorrentManager] Client error:', err.message));
+        // Invalid identifiers (bad magnet, unreadable .torrent) only surface as client errors
+        let added = false;
+        client.on('error', (err) => {
+            console.error('[TorrentManager] Client error:', err.message);
+            if (!added) reject(err);
+        });
 
         client.add(magnet, { path: CACHE_DIR }, (torrent) => {
+            added = true;
             console.log('[TorrentManager] Torrent added:', torrent.name);
             activeTorrent = torrent;
 
-            let file;
-            try {
-                file = torrent.files.reduce((a, b) => a.length > b.length ? a : b);
-            } catch (e) {
-                return reject(new Error('No files in torrent'));
-            }
+            if (!torrent.files.length) return reject(new Error(I18n.t('streaming.noFiles')));
+
+            const playable = getPlayableFiles(torrent);
+            const file = playable.reduce((a, b) => a.length > b.length ? a : b);
 
-            console.log(`[TorrentManager] Main file: ${file.name} (${Math.round(file.length / 1024 / 1024)} MB)`);
-            file.select();
+            // WebTorrent selects every piece by default; only the streamed file should download
+            torrent.deselect(0, torrent.pieces.length - 1, false);
+            torrent.files.forEach(f => f.deselect());
+
+            // With several candidates (season packs, multi-part movies) the user picks the file
+            const needsSelection = playable.length > 1;
+            if (!needsSelection) {
+                console.log(`[TorrentManager] Main file: ${file.name} (${Math.round(file.length / 1024 / 1024)} MB)`);
+                file.select();
+            } else {
+                console.log(`[TorrentManager] ${playable.length} playable files, waiting for selection`);
+            }
 
             activeFileIndex = torrent.files.indexOf(file);
             activeFileName = file.name;
 
             torrent.on('error', (err) => console.error('[TorrentManager] Torrent error:', err.message));
 
-            resolve({ isLocal: false, torrent, file, fileIndex: activeFileIndex, fileName: activeFileName });
+            resolve({
+                isLocal: false, torrent, file,
+                fileIndex: activeFileIndex, fileName: activeFileName,
+                files: getFileList(), needsSelection
+            });
         });
     });
 }
 
+/**
+ * File list of the active torrent, safe to send over IPC
+ * Sorted in playback order (episodes by season/number, then by path)
+ * @returns {Array<{index, name, path, length, isVideo, isPlayable, episode}>}
+ */
+function getFileList() {
+    if (!activeTorrent || !activeTorrent.files) return [];
+    const playable = getPlayableFiles(activeTorrent);
+    return activeTorrent.files
+        .map((f, index) => ({
+            index,
+            name: f.name,
+            path: f.path,
+            length: f.length,
+            isVideo: isVideoFile(f),
+            isPlayable: playable.includes(f),
+            episode: parseEpisode(f.path)
+        }))
+        .sort(compareEpisodes);
+}
+
+/**
+ * Switch the streamed file inside the active torrent
+ * Every other file is deselected so it stops consuming bandwidth
+ * @param {number} index - File index within the torrent
+ * @returns {Object|null} Selected WebTorrent file or null if invalid
+ */
+function selectFile(index) {
+    if (!hasActiveTorrent()) return null;
+    const file = activeTorrent.files[index];
+    if (!file) return null;
+
+    activeTorrent.deselect(0, activeTorrent.pieces.length - 1, false);
+    activeTorrent.files.forEach((f, i) => { if (i !== index) f.deselect(); });
+    file.select();
+
+    activeFileIndex = index;
+    activeFileName = file.name;
+    console.log(`[TorrentManager] Switched to file: ${file.name}`);
+    return file;
+}
+
 function getProgress() {
     if (!activeTorrent || activeTorrent.destroyed) return null;
+    const file = activeFileIndex !== null ? activeTorrent.files[activeFileIndex] : null;
     return {
         downloadSpeed: client ? client.downloadSpeed : 0,
-        progress: activeTorrent.progress,
+        progress: file ? file.progress : activeTorrent.progress,
         downloaded: activeTorrent.downloaded,
         total: activeTorrent.length
     };
@@ -75,6 +157,7 @@ function destroy() {
         const c = client;
         client = null;
         activeTorrent = null;
+        BandwidthPolicy.unregisterClient(c);
         try {
             c.removeAllListeners();
             c.torrents.forEach(t => { try { t.pause(); t.removeAllListeners(); } catch (e) { } });
@@ -90,6 +173,7 @@ function destroy() {
 
 function destroySync() {
     if (client) {
+        BandwidthPolicy.unregisterClient(client);
         try { client.torrents.forEach(t => { try { t.destroy(); } catch (e) { } }); client.destroy(); } catch (e) { }
         client = null;
     }
@@ -110,5 +194,6 @@ function resetState() {
 module.exports = {
     addTorrent, getProgress, destroy, destroySync,
     getClient, getActiveTorrent, hasActiveTorrent,
-    getActiveFileIndex, getActiveFileName, resetState
+    getActiveFileIndex, getActiveFileName, resetState,
+    getFileList, selectFile, isVideoFile
 };
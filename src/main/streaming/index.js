@@ -8,11 +8,21 @@ const mediaServer = require('./MediaServer');
 const castServer = require('./CastServer');
 const localFolder = require('./LocalFolder');
 const downloadManager = require('./DownloadManager');
+const BandwidthPolicy = require('./BandwidthPolicy');
+const LibraryVerifier = require('./LibraryVerifier');
+const LocalLibrary = require('./LocalLibrary');
+const LibraryStorage = require('./LibraryStorage');
+const MediaProbe = require('./MediaProbe');
+const SubtitleExtractor = require('./SubtitleExtractor');
+const MovieHash = require('./MovieHash');
+const mediaType = require('../media-type');
 
 let isClean = true;
 let isShuttingDown = false;
 let cleanupPromise = null;
 let progressInterval = null;
+// AbortController of the running embedded subtitle extraction
+let subtitleExtraction = null;
 
 function registerExitHandlers() {
     const cleanup = () => {
@@ -29,7 +39,7 @@ function registerExitHandlers() {
 }
 registerExitHandlers();
 
-async function startStream(magnet, onReady, onProgress) {
+async function startStream(magnet, onReady, onProgress, onFiles, onError) {
     console.log('[Streaming] Starting stream...');
     isShuttingDown = false;
 
@@ -39,6 +49,7 @@ async function startStream(magnet, onReady, onProgress) {
     }
 
     isClean = false;
+    BandwidthPolicy.setStreamingActive(true);
 
     try {
         const result = await torrentManager.addTorrent(magnet);
@@ -50,10 +61,13 @@ async function startStream(magnet, onReady, onProgress) {
             return;
         }
 
-        const { torrent, fileIndex, fileName } = result;
+        const { torrent, fileIndex, fileName, files, needsSelection } = result;
 
+        if (onFiles) onFiles({ files, activeIndex: fileIndex, needsSelection });
+
+        // With several playable files the server starts idle until the user picks one
         mediaServer.serveTorrent(torrent, fileIndex, fileName, {
-            onReady: (url) => { if (onReady) onReady(url); }
+            onReady: needsSelection ? null : (url) => { if (onReady) onReady(url); }
         });
 
         if (onProgress) {
@@ -67,9 +81,35 @@ async function startStream(magnet, onReady, onProgress) {
     } catch (err) {
         console.error('[Streaming] Error starting stream:', err);
         isClean = true;
+        BandwidthPolicy.setStreamingActive(false);
+        if (onError) onError(err);
     }
 }
 
+/**
+ * Stream a different file from the active torrent without re-adding it
+ * @param {number} fileIndex - File index within the torrent
+ * @param {Function} onReady - Receives the new stream URL
+ * @returns {boolean} False if there is no active torrent or the index is invalid
+ */
+function selectStreamFile(fileIndex, onReady) {
+    const file = torrentManager.selectFile(fileIndex);
+    if (!file) return false;
+    mediaServer.serveTorrent(torrentManager.getActiveTorrent(), fileIndex, file.name, { onReady });
+    return true;
+}
+
+/**
+ * Switch file while casting: the cast server already serves every file of the torrent
+ * @param {number} fileIndex - File index within the torrent
+ * @returns {string|null} Cast URL for the new file
+ */
+function selectCastFile(fileIndex) {
+    const file = torrentManager.selectFile(fileIndex);
+    if (!file) return null;
+    return castServer.getTorrentCastUrl(fileIndex, file.name);
+}
+
 function rebindServerForCast(localIp) {
     return castServer.rebindForCast(localIp, torrentManager);
 }
@@ -82,6 +122,7 @@ function serveLocalFolder(infoHash, onReady) {
 async function forceCleanup() {
     console.log('[Streaming] FORCE CLEANUP starting...');
     if (progressInterval) { clearInterval(progressInterval); progressInterval = null; }
+    stopSubtitleExtraction();
 
     await Promise.race([
         Promise.all([mediaServer.destroy(), torrentManager.destroy()]),
@@ -90,6 +131,8 @@ async function forceCleanup() {
 
     torrentManager.resetState();
     mediaServer.resetState();
+    castServer.resetState();
+    BandwidthPolicy.setStreamingActive(false);
     isClean = true;
     cleanupPromise = null;
     console.log('[Streaming] FORCE CLEANUP complete');
@@ -125,13 +168,89 @@ function cleanCache() {
 
 function setCastMode(enabled) { return mediaServer.setCastMode(enabled); }
 function isCastModeEnabled() { return mediaServer.isCastModeEnabled(); }
+/**
+ * Codec probe of a stream URL; never throws (the player keeps trying on failure)
+ * @returns {Promise<Object|null>} See MediaProbe.probe
+ */
+async function probeStream(url) {
+    try {
+        return await MediaProbe.probe(url);
+    } catch (err) {
+        console.warn('[Streaming] Probe failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * What subtitle sources need to match the file of a stream URL; never throws
+ * The release name is the file name every server route ends with
+ * @returns {Promise<{movieHash: string|null, fileSize: number|null, releaseName: string}>}
+ */
+async function getFileMatch(url) {
+    const releaseName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    try {
+        const result = await MovieHash.compute(url);
+        return { movieHash: result ? result.hash : null, fileSize: result ? result.size : null, releaseName };
+    } catch (err) {
+        console.warn('[Streaming] Movie hash failed:', err.message);
+        return { movieHash: null, fileSize: null, releaseName };
+    }
+}
+
+/**
+ * Extract an embedded subtitle track of the file being played
+ * Only one extraction runs at a time; starting another stops the previous one
+ * @param {string} url - Stream URL the track was probed from
+ * @param {string} container - Container reported by the probe
+ * @param {Object} track - Subtitle track reported by the probe
+ * @param {Function} onCues - Receives batches of { start, end, text }
+ * @returns {Promise<number>} Cue count; rejects with an AbortError when stopped
+ */
+function extractSubtitleTrack(url, container, track, onCues) {
+    stopSubtitleExtraction();
+    const controller = new AbortController();
+    subtitleExtraction = controller;
+    return SubtitleExtractor.extract(url, container, track, onCues, controller.signal).finally(() => {
+        if (subtitleExtraction === controller) subtitleExtraction = null;
+    });
+}
+
+function stopSubtitleExtraction() {
+    if (!subtitleExtraction) return;
+    subtitleExtraction.abort();
+    subtitleExtraction = null;
+}
+
+/**
+ * MIME type of what is being played: sniffed for local files, from the
+ * extension for torrent files (they may not be on disk yet)
+ */
+function getActiveContentType() {
+    const localPath = mediaServer.getActiveLocalFilePath();
+    if (localPath) return mediaType.getMimeType(localPath);
+    return mediaType.getMimeTypeForName(torrentManager.getActiveFileName());
+}
+
 function getStreamUrl() { return mediaServer.getStreamUrl(torrentManager.getActiveFileIndex(), torrentManager.getActiveFileName()); }
 
-const { startDownload, cancelDownload, removeDownloadFile, getActiveDownloads } = downloadManager;
+const {
+    initDownloads, startDownload, pauseDownload, resumeDownload, cancelDownload,
+    setDownloadPriority, repairDownload, removeDownloadFile, getActiveDownloads, getDownloadQueue, getDownloadStats
+} = downloadManager;
+const { verifyLibrary } = LibraryVerifier;
+const { migrateDownloads } = LocalLibrary;
+const {
+    getFolders: getLibraryFolders, getDiskUsage, moveLibrary, findOrphans: findOrphanFolders, removeOrphans: removeOrphanFolders
+} = LibraryStorage;
+const { getPolicy: getBandwidthPolicy, updatePolicy: updateBandwidthPolicy } = BandwidthPolicy;
 
 module.exports = {
-    startStream, startDownload, getActiveDownloads, cancelDownload,
-    removeDownloadFile, forceCleanup, fullCleanup, cleanCache,
-    setCastMode, isCastModeEnabled, getStreamUrl, rebindServerForCast,
-    CACHE_DIR, serveLocalFolder
+    getBandwidthPolicy, updateBandwidthPolicy,
+    startStream, initDownloads, startDownload, pauseDownload, resumeDownload,
+    setDownloadPriority, repairDownload, verifyLibrary, migrateDownloads, getActiveDownloads, getDownloadQueue, getDownloadStats, cancelDownload,
+    removeDownloadFile, getLibraryFolders, getDiskUsage, moveLibrary, findOrphanFolders, removeOrphanFolders,
+    forceCleanup, fullCleanup, cleanCache,
+    setCastMode, isCastModeEnabled, getStreamUrl, getActiveContentType, probeStream, getFileMatch, rebindServerForCast,
+    extractSubtitleTrack, stopSubtitleExtraction,
+    CACHE_DIR, serveLocalFolder, selectStreamFile, selectCastFile
 };
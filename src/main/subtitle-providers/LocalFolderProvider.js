@@ -0,0 +1,83 @@
+/**
+ * Local Folder Subtitle Provider
+ * Finds subtitle files (.srt/.vtt/.ass/.ssa/.sub/.smi) in a folder (setting subtitlesFolder
+ * or app_data/subtitles) whose path contains the IMDB id, e.g.
+ *   tt0816692/Interstellar.2014.1080p.es.srt  or  Interstellar (tt0816692).spa.srt
+ * The language is taken from the last name segment before the extension.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_ROOT } = require('../paths');
+const storeManager = require('../store-manager');
+const SubtitleParser = require('../../shared/subtitle-parser');
+const I18n = require('../../shared/i18n');
+const { decodeSubtitle, normalizeLanguage, matchesLanguage } = require('./SubtitleUtils');
+
+const ID = 'local';
+const NAME = 'Carpeta local';
+const DEFAULT_FOLDER = path.join(DATA_ROOT, 'subtitles');
+const MAX_DEPTH = 2;
+
+function getFolder() {
+    return storeManager.getSettings().subtitlesFolder || DEFAULT_FOLDER;
+}
+
+function isEnabled() {
+    return fs.existsSync(getFolder());
+}
+
+function listFiles(dir, depth = 0) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+
+    return entries.flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return depth < MAX_DEPTH ? listFiles(fullPath, depth + 1) : [];
+        return SubtitleParser.isSupportedFile(entry.name) ? [fullPath] : [];
+    });
+}
+
+function languageFromName(fileName) {
+    const segments = path.basename(fileName, path.extname(fileName)).split('.');
+    const result = segments.length > 1 ? normalizeLanguage(segments[segments.length - 1]) : null;
+    return result && result.languageCode ? result : { language: 'Unknown', languageCode: null };
+}
+
+/**
+ * Search subtitle files for an IMDB id
+ * @param {string} imdbId - IMDB ID (e.g., "tt0816692")
+ * @param {string} [lang] - Language code filter
+ */
+async function search(imdbId, lang = null) {
+    const folder = getFolder();
+    const needle = String(imdbId).toLowerCase();
+
+    return listFiles(folder)
+        .map(filePath => path.relative(folder, filePath))
+        .filter(relPath => relPath.toLowerCase().includes(needle))
+        .map(relPath => ({
+            id: relPath,
+            ...languageFromName(relPath),
+            rating: null,
+            releaseName: path.basename(relPath, path.extname(relPath))
+        }))
+        .filter(result => matchesLanguage(result.languageCode, lang));
+}
+
+/**
+ * Read a subtitle file
+ * @param {string} id - Path relative to the subtitles folder, from search()
+ * @returns {Promise<string>} Subtitle content as UTF-8 string
+ */
+async function download(id) {
+    const folder = path.resolve(getFolder());
+    const filePath = path.resolve(folder, id);
+    if (!filePath.startsWith(folder + path.sep)) throw new Error(I18n.t('subtitles.invalidPath'));
+    return decodeSubtitle(await fs.promises.readFile(filePath));
+}
+
+module.exports = { search, download, isEnabled, ID, NAME };
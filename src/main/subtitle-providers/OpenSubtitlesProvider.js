@@ -0,0 +1,84 @@
+/**
+ * OpenSubtitles Provider
+ * Any OpenSubtitles REST (api/v1) compatible endpoint. Endpoint and API key come
+ * from settings (migrated from OPENSUBTITLES_API_URL / OPENSUBTITLES_API_KEY);
+ * the provider stays disabled without a key.
+ */
+const storeManager = require('../store-manager');
+const { fetchUrl, decodeSubtitle, normalizeLanguage } = require('./SubtitleUtils');
+const I18n = require('../../shared/i18n');
+
+const ID = 'opensubtitles';
+const NAME = 'OpenSubtitles';
+const DEFAULT_API_URL = 'https://api.opensubtitles.com/api/v1';
+const USER_AGENT = 'GlassCinema v1.0';
+
+function getConfig() {
+    const settings = storeManager.getSettings();
+    return {
+        endpoint: (settings.openSubtitlesUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+        apiKey: settings.openSubtitlesApiKey
+    };
+}
+
+function isEnabled() {
+    return !!getConfig().apiKey;
+}
+
+async function request(path, { method = 'GET', body = null } = {}) {
+    const { endpoint, apiKey } = getConfig();
+    const text = await fetchUrl(`${endpoint}${path}`, {
+        method,
+        body: body ? JSON.stringify(body) : null,
+        headers: {
+            'Api-Key': apiKey,
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/json',
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        }
+    });
+    return JSON.parse(text);
+}
+
+/**
+ * Search subtitles by IMDB id; with the movie hash the API flags subtitles
+ * synced for that exact file (moviehash_match)
+ * @param {string} imdbId - IMDB ID (e.g., "tt0816692")
+ * @param {string} [lang] - Language code filter
+ * @param {Object} [match] - { movieHash }
+ */
+async function search(imdbId, lang = null, match = null) {
+    const query = new URLSearchParams({ imdb_id: String(imdbId).replace(/^tt/, '') });
+    if (lang) query.set('languages', lang.toLowerCase());
+    if (match?.movieHash) query.set('moviehash', match.movieHash);
+
+    const json = await request(`/subtitles?${query.toString()}`);
+    return (json.data || []).map(item => {
+        const attrs = item.attributes || {};
+        const file = (attrs.files || [])[0];
+        if (!file) return null;
+
+        const { language, languageCode } = normalizeLanguage(attrs.language);
+        return {
+            id: String(file.file_id),
+            language,
+            languageCode,
+            rating: typeof attrs.ratings === 'number' ? attrs.ratings : null,
+            releaseName: attrs.release || file.file_name || null,
+            hashMatch: attrs.moviehash_match === true
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Resolve the temporary download link of a file and fetch it
+ * @param {string} id - file_id from search()
+ * @returns {Promise<string>} Subtitle content as UTF-8 string
+ */
+async function download(id) {
+    const { link } = await request('/download', { method: 'POST', body: { file_id: Number(id) } });
+    if (!link) throw new Error(I18n.t('subtitles.noDownloadLink', { source: 'OpenSubtitles' }));
+    return decodeSubtitle(await fetchUrl(link, { binary: true }));
+}
+
+module.exports = { search, download, isEnabled, ID, NAME };
@@ -0,0 +1,179 @@
+/**
+ * Subtitle Provider Utilities
+ * HTTP fetching, encoding detection and language normalization shared by the providers
+ */
+const https = require('https');
+const http = require('http');
+const iconv = require('iconv-lite');
+const Languages = require('../../shared/languages');
+const I18n = require('../../shared/i18n');
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Codes tried when matching a language name ("Spanish") back to its code
+const COMMON_LANGUAGE_CODES = [
+    'es', 'es-419', 'en', 'pt', 'pt-BR', 'fr', 'de', 'it', 'nl', 'sv', 'no', 'da', 'fi', 'pl', 'cs', 'sk',
+    'hu', 'ro', 'bg', 'el', 'tr', 'ru', 'uk', 'sr', 'hr', 'sl', 'bs', 'mk', 'sq', 'et', 'lv', 'lt',
+    'ar', 'he', 'fa', 'ur', 'hi', 'bn', 'ta', 'te', 'ml', 'th', 'vi', 'id', 'ms', 'tl', 'zh', 'ja', 'ko',
+    'ca', 'eu', 'gl', 'is', 'ka', 'hy', 'az', 'kk', 'si', 'my', 'km'
+];
+// Names used by subtitle sites that differ from the standard English names
+const LANGUAGE_ALIASES = {
+    'farsi persian': 'fa', farsi: 'fa', persian: 'fa',
+    'spanish latin america': 'es-419', 'latin american spanish': 'es-419',
+    'chinese bg code': 'zh', 'big 5 code': 'zh', 'brazillian portuguese': 'pt-BR'
+};
+
+const englishNames = new Intl.DisplayNames(['en'], { type: 'language' });
+let nameToCode = null;
+
+/**
+ * Fetch content from URL with redirect support
+ * @param {string} url
+ * @param {Object} [options] - { binary, headers, method, body }
+ * @returns {Promise<string|Buffer>}
+ */
+function fetchUrl(url, options = {}) {
+    const { binary = false, headers = {}, method = 'GET', body = null } = options;
+
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https') ? https : http;
+
+        const req = client.request(url, {
+            method,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                'Accept-Language': 'en-US,en;q=0.5',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (res) => {
+            // Handle redirects
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                const redirectUrl = new URL(res.headers.location, url).toString();
+                return fetchUrl(redirectUrl, { binary, headers }).then(resolve).catch(reject);
+            }
+
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                return reject(new Error(`HTTP ${res.statusCode}`));
+            }
+
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const data = Buffer.concat(chunks);
+                resolve(binary ? data : data.toString('utf8'));
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(I18n.t('common.timedOut'))));
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+/**
+ * Detect encoding and convert to UTF-8
+ */
+function decodeSubtitle(buffer) {
+    // UTF-8 BOM
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return buffer.slice(3).toString('utf8');
+    }
+
+    // UTF-16 LE BOM
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return iconv.decode(buffer.slice(2), 'utf16le');
+    }
+
+    // Try UTF-8 first
+    const utf8Content = buffer.toString('utf8');
+
+    // Check for replacement characters (indicates wrong encoding)
+    if (utf8Content.includes('�')) {
+        // Try Latin-1 (ISO-8859-1) - common for Spanish subtitles
+        const latin1Content = iconv.decode(buffer, 'iso-8859-1');
+        if (!latin1Content.includes('�')) {
+            console.log('[Subtitles] Using ISO-8859-1 encoding');
+            return latin1Content;
+        }
+
+        // Try Windows-1252
+        console.log('[Subtitles] Using Windows-1252 encoding');
+        return iconv.decode(buffer, 'win1252');
+    }
+
+    return utf8Content;
+}
+
+function displayName(code) {
+    try {
+        const name = englishNames.of(code);
+        return name && name.toLowerCase() !== code.toLowerCase() ? name : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalize a language code ("es", "spa", "pt-BR") or name ("Spanish") from any source
+ * @param {string} value
+ * @returns {{language: string, languageCode: string|null}} English name + BCP 47 code
+ */
+function normalizeLanguage(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return { language: 'Unknown', languageCode: null };
+
+    if (/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(raw)) {
+        try {
+            // Canonicalization maps ISO 639-2 ("spa", "ger") to the short code
+            const code = Intl.getCanonicalLocales(raw.replace('_', '-'))[0];
+            const name = displayName(code);
+            if (name) return { language: name, languageCode: code };
+        } catch (e) { }
+    }
+
+    if (!nameToCode) {
+        nameToCode = new Map();
+        COMMON_LANGUAGE_CODES.forEach(code => {
+            const name = displayName(code);
+            if (name) nameToCode.set(name.toLowerCase(), code);
+        });
+    }
+
+    const key = raw.toLowerCase().replace(/[_-]+/g, ' ');
+    const code = LANGUAGE_ALIASES[key] || nameToCode.get(key) || null;
+    const language = key.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    return { language: code ? displayName(code) : language, languageCode: code };
+}
+
+/**
+ * Whether a result matches a requested language ("es" matches "es" and "es-419")
+ */
+function matchesLanguage(languageCode, lang) {
+    return Languages.matches(languageCode, lang);
+}
+
+function releaseTokens(name) {
+    return new Set(String(name || '').toLowerCase()
+        .replace(/\.(srt|vtt|ass|ssa|sub|mkv|mp4|avi|m4v|webm)$/, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean));
+}
+
+/**
+ * Token overlap (Dice coefficient) between two release names, 0..1
+ * e.g. "Movie.2014.1080p.BluRay.x264-SPARKS" vs "Movie 2014 1080p BluRay x264 SPARKS" = 1
+ */
+function releaseSimilarity(a, b) {
+    const tokensA = releaseTokens(a);
+    const tokensB = releaseTokens(b);
+    if (!tokensA.size || !tokensB.size) return 0;
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return Math.round((2 * shared / (tokensA.size + tokensB.size)) * 100) / 100;
+}
+
+module.exports = { fetchUrl, decodeSubtitle, normalizeLanguage, matchesLanguage, releaseSimilarity };
@@ -0,0 +1,116 @@
+/**
+ * YIFY Subtitles Provider
+ * Scrapes the movie page of yifysubtitles.ch (setting subtitlesApiUrl) and downloads the zipped SRT
+ */
+const AdmZip = require('adm-zip');
+const storeManager = require('../store-manager');
+const { fetchUrl, decodeSubtitle, normalizeLanguage, matchesLanguage } = require('./SubtitleUtils');
+const I18n = require('../../shared/i18n');
+
+const ID = 'yify';
+const NAME = 'YIFY Subtitles';
+
+function getBaseUrl() {
+    return (storeManager.getSettings().subtitlesApiUrl || 'https://yifysubtitles.ch').replace(/\/+$/, '');
+}
+
+function request(url, binary = false) {
+    return fetchUrl(url, {
+        binary,
+        headers: {
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+            'Referer': `${getBaseUrl()}/`
+        }
+    });
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Language from the subtitle slug: /subtitles/movie-name-year-language-yify-id
+ */
+function parseSlug(slug) {
+    // Try stricter first, then looser (/subtitles/some-movie-spanish-12345)
+    const strict = slug.match(/^[^/]+-(\d{4})-([a-z-]+?)-yify-(\d+)$/i);
+    if (strict) return { rawLanguage: strict[2] };
+    const loose = slug.match(/-([a-z]+)-(\d+)$/i);
+    return loose ? { rawLanguage: loose[1] } : null;
+}
+
+/**
+ * Search subtitles by IMDB id
+ * Each table row holds the rating, language and release name; when the markup
+ * changes and no rows are found, bare subtitle links are still picked up
+ * @param {string} imdbId - IMDB ID (e.g., "tt0816692")
+ * @param {string} [lang] - Language code filter
+ */
+async function search(imdbId, lang = null) {
+    const html = await request(`${getBaseUrl()}/movie-imdb/${imdbId}`);
+
+    const rows = /<tr[\s>]/i.test(html) ? html.split(/<tr[\s>]/i).slice(1) : [html];
+    const results = [];
+    const seen = new Set();
+
+    rows.forEach(row => {
+        const links = [...row.matchAll(/href="\/subtitles\/([^"]+)"([^>]*)>([\s\S]*?)<\/a>/gi)];
+        links.forEach(([, slug, , anchorHtml]) => {
+            if (seen.has(slug)) return;
+            const parsed = parseSlug(slug);
+            if (!parsed) return;
+            seen.add(slug);
+
+            const langMatch = row.match(/class="sub-lang"[^>]*>([^<]+)</i);
+            const { language, languageCode } = normalizeLanguage(langMatch ? langMatch[1] : parsed.rawLanguage);
+            if (!matchesLanguage(languageCode, lang)) return;
+
+            const ratingMatch = links.length === 1 && row.match(/rating-cell[\s\S]*?>\s*(-?\d+)\s*</i);
+            const release = links.length === 1 ? stripTags(anchorHtml).replace(/^subtitle\s+/i, '') : '';
+
+            results.push({
+                id: slug,
+                language,
+                languageCode,
+                rating: ratingMatch ? Number(ratingMatch[1]) : null,
+                releaseName: release || null
+            });
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Download and extract the SRT of a result
+ * @param {string} id - Subtitle slug from search()
+ * @returns {Promise<string>} Subtitle content as UTF-8 string
+ */
+async function download(id) {
+    // Direct download URL: /subtitle/<slug>.zip (note: /subtitle/ not /subtitles/)
+    const zipBuffer = await request(`${getBaseUrl()}/subtitle/${id}.zip`, true);
+    console.log('[YifyProvider] Downloaded ZIP, size:', zipBuffer.length, 'bytes');
+
+    if (zipBuffer.length < 100) {
+        throw new Error(I18n.t('subtitles.invalidArchive'));
+    }
+
+    const entries = new AdmZip(zipBuffer).getEntries();
+    const srtEntry = entries.find(e =>
+        e.entryName.toLowerCase().endsWith('.srt') &&
+        !e.entryName.startsWith('__MACOSX')
+    );
+
+    if (!srtEntry) {
+        console.log('[YifyProvider] ZIP entries:', entries.map(e => e.entryName).join(', '));
+        throw new Error(I18n.t('subtitles.noSrtInArchive'));
+    }
+
+    return decodeSubtitle(srtEntry.getData());
+}
+
+function isEnabled() {
+    return true;
+}
+
+module.exports = { search, download, isEnabled, ID, NAME };
@@ -1,243 +1,144 @@
 /**
  * Subtitle Manager Module
- * Uses yifysubtitles.ch for subtitle downloads
+ * Registry of subtitle providers (YIFY, OpenSubtitles REST, local folder): searches
+ * them in parallel, merges the results and routes downloads to the right source.
+ * Also serves them as WebVTT (see shared/subtitle-parser) for cast devices.
  */
 
-const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const AdmZip = require('adm-zip');
-const iconv = require('iconv-lite');
-const os = require('os');
 const { app } = require('electron');
+const YifyProvider = require('./subtitle-providers/YifyProvider');
+const OpenSubtitlesProvider = require('./subtitle-providers/OpenSubtitlesProvider');
+const LocalFolderProvider = require('./subtitle-providers/LocalFolderProvider');
+const { releaseSimilarity } = require('./subtitle-providers/SubtitleUtils');
+const SubtitleParser = require('../shared/subtitle-parser');
+const Languages = require('../shared/languages');
+const I18n = require('../shared/i18n');
+const storeManager = require('./store-manager');
 
 const TMP_DIR = path.join(app.getPath('userData'), 'glass-cinema-cache');
 const SUBS_DIR = path.join(TMP_DIR, 'subs');
-const BASE_URL = process.env.SUBTITLES_API_URL || 'https://yifysubtitles.ch';
 
-/**
- * Fetch content from URL with redirect support
- */
-function fetchUrl(url, binary = false) {
-    return new Promise((resolve, reject) => {
-        const client = url.startsWith('https') ? https : http;
-
-        const options = {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Referer': 'https://yifysubtitles.ch/',
-                'Connection': 'keep-alive'
-            }
-        };
-
-        client.get(url, options, (res) => {
-            // Handle redirects
-            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                let redirectUrl = res.headers.location;
-                if (redirectUrl.startsWith('/')) {
-                    const urlObj = new URL(url);
-                    redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-                }
-                return fetchUrl(redirectUrl, binary).then(resolve).catch(reject);
-            }
-
-            if (res.statusCode !== 200) {
-                return reject(new Error(`HTTP ${res.statusCode}`));
-            }
+const PROVIDERS = {
+    [YifyProvider.ID]: YifyProvider,
+    [OpenSubtitlesProvider.ID]: OpenSubtitlesProvider,
+    [LocalFolderProvider.ID]: LocalFolderProvider
+};
+const SEARCH_TIMEOUT_MS = 20000;
 
-            if (binary) {
-                const chunks = [];
-                res.on('data', chunk => chunks.push(chunk));
-                res.on('end', () => resolve(Buffer.concat(chunks)));
-            } else {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => resolve(data));
-            }
-        }).on('error', reject);
-    });
+// Name shown in the UI, in the UI language (NAME is for logs)
+function getSourceName(provider) {
+    return I18n.t(`subtitles.sources.${provider.ID}`);
 }
 
-/**
- * Detect encoding and convert to UTF-8
- */
-function decodeSubtitle(buffer) {
-    // UTF-8 BOM
-    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
-        return buffer.slice(3).toString('utf8');
-    }
+function getProviders() {
+    return Object.values(PROVIDERS).map(p => ({ id: p.ID, name: getSourceName(p), enabled: p.isEnabled() }));
+}
 
-    // UTF-16 LE BOM
-    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
-        return iconv.decode(buffer.slice(2), 'utf16le');
-    }
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(I18n.t('subtitles.timedOut', { source: label }))), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-    // Try UTF-8 first
-    const utf8Content = buffer.toString('utf8');
+function normalizeRelease(name) {
+    return (name || '').toLowerCase().replace(/\.(srt|vtt|ass|ssa)$/, '').replace(/[^a-z0-9]+/g, '');
+}
 
-    // Check for replacement characters (indicates wrong encoding)
-    if (utf8Content.includes('�')) {
-        // Try Latin-1 (ISO-8859-1) - common for Spanish subtitles
-        const latin1Content = iconv.decode(buffer, 'iso-8859-1');
-        if (!latin1Content.includes('�')) {
-            console.log('[Subtitles] Using ISO-8859-1 encoding');
-            return latin1Content;
-        }
+// Same release in the same language from two sources: the hash match, then the best rating wins
+function isBetterDuplicate(sub, existing) {
+    if (sub.hashMatch !== existing.hashMatch) return sub.hashMatch;
+    return (sub.rating ?? -Infinity) > (existing.rating ?? -Infinity);
+}
 
-        // Try Windows-1252
-        console.log('[Subtitles] Using Windows-1252 encoding');
-        return iconv.decode(buffer, 'win1252');
-    }
+/**
+ * Dedupe the same release in the same language across sources, then order:
+ * preferred languages first (in preference order), then by language; within a
+ * language, hash matches first, then release-name similarity with the file, then rating.
+ * Every candidate is kept so the user can try alternatives
+ * @param {Array} results
+ * @param {string[]} [preferred] - BCP 47 codes, most wanted first
+ */
+function mergeResults(results, preferred = []) {
+    const byKey = new Map();
+    results.forEach(sub => {
+        const release = normalizeRelease(sub.releaseName);
+        const key = release ? `${(sub.languageCode || sub.language).toLowerCase()}|${release}` : sub.id;
+        const existing = byKey.get(key);
+        if (!existing || isBetterDuplicate(sub, existing)) byKey.set(key, sub);
+    });
 
-    return utf8Content;
+    // Unwanted languages sort after every preferred one
+    const rankOf = (sub) => {
+        const rank = Languages.rank(sub.languageCode, preferred);
+        return rank === -1 ? Infinity : rank;
+    };
+    return [...byKey.values()].sort((a, b) => {
+        if (rankOf(a) !== rankOf(b)) return rankOf(a) - rankOf(b);
+        if (a.language !== b.language) return a.language.localeCompare(b.language);
+        if (a.hashMatch !== b.hashMatch) return a.hashMatch ? -1 : 1;
+        if (a.releaseScore !== b.releaseScore) return b.releaseScore - a.releaseScore;
+        return (b.rating ?? -Infinity) - (a.rating ?? -Infinity);
+    });
 }
 
 /**
- * Get available subtitles from yifysubtitles.ch
+ * Search every enabled provider in parallel
+ * A failing or slow source only loses its own results
  * @param {string} imdbId - IMDB ID (e.g., "tt0816692")
- * @returns {Promise<Array>} List of available subtitles
+ * @param {string} [lang] - Language code filter (e.g., "es"), all languages when empty
+ * @param {Object} [match] - File being played: { movieHash, fileSize, releaseName }
+ * @returns {Promise<Array>} [{ id, source, sourceName, language, languageCode, rating, releaseName, hashMatch, releaseScore }]
  */
-async function getAvailableSubtitles(imdbId) {
-    console.log('[Subtitles] Fetching for IMDB:', imdbId);
-
-    try {
-        const url = `${BASE_URL}/movie-imdb/${imdbId}`;
-        const html = await fetchUrl(url);
-
-        const subtitles = [];
-        const seen = new Set();
-
-        // URLs pattern: /subtitles/movie-2014-spanish-yify-12345
-        const urlRegex = /href="(\/subtitles\/[^"]+)"/gi;
-
-        let match;
-        while ((match = urlRegex.exec(html)) !== null) {
-            const subtitlePath = match[1];
+async function getAvailableSubtitles(imdbId, lang = null, match = null) {
+    console.log('[Subtitles] Fetching for IMDB:', imdbId, lang ? `(${lang})` : '', match?.movieHash ? `hash ${match.movieHash}` : '');
 
-            // Regex to capture: /subtitles/movie-name-year-language-id
-            // Try stricter first, then looser
-            let langMatch = subtitlePath.match(/\/subtitles\/[^\/]+-(\d{4})-([a-z]+)-yify-(\d+)/i);
-
-            if (!langMatch) {
-                // Fallback: Try to capture just language and ID at the end
-                // Example: /subtitles/some-movie-spanish-12345
-                langMatch = subtitlePath.match(/\/subtitles\/.*-([a-z]+)-(\d+)$/i);
-            }
-
-            if (langMatch) {
-                // If the first group is year (4 digits), then lang is 2, id is 3
-                // If fallback, lang is 1, id is 2.
-                let rawLanguage, id;
-
-                if (langMatch.length === 4) {
-                    rawLanguage = langMatch[2];
-                    id = langMatch[3];
-                } else {
-                    rawLanguage = langMatch[1];
-                    id = langMatch[2];
-                }
-
-                const language = rawLanguage
-                    .replace(/_/g, ' ')
-                    .split('-')
-                    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
-                    .join(' ');
-
-                // Create direct download URL (note: /subtitle/ not /subtitles/)
-                // Pattern: /subtitle/movie-year-language-yify-id.zip
-                // Using the exact path but replacing /subtitles/ with /subtitle/ and adding .zip usually works
-                const downloadUrl = subtitlePath.replace('/subtitles/', '/subtitle/') + '.zip';
-
-                // Unique per language+id to avoid exact duplicates
-                const key = `${rawLanguage}-${id}`;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    subtitles.push({
-                        language,
-                        pageUrl: `${BASE_URL}${subtitlePath}`,
-                        downloadUrl: `${BASE_URL}${downloadUrl}`,
-                        id
-                    });
-                }
-            }
-        }
-
-        console.log('[Subtitles] Found:', subtitles.length, 'subtitles');
-
-        // Sort: Spanish first, then alphabetically
-        subtitles.sort((a, b) => {
-            const aIsSpanish = a.language.toLowerCase().includes('spanish');
-            const bIsSpanish = b.language.toLowerCase().includes('spanish');
-            if (aIsSpanish && !bIsSpanish) return -1;
-            if (!aIsSpanish && bIsSpanish) return 1;
-            return a.language.localeCompare(b.language);
-        });
-
-        // Deduplicate by language (keep first of each)
-        const uniqueByLang = [];
-        const seenLangs = new Set();
-        for (const sub of subtitles) {
-            const lang = sub.language.toLowerCase();
-            if (!seenLangs.has(lang)) {
-                seenLangs.add(lang);
-                uniqueByLang.push(sub);
-            }
+    const providers = Object.values(PROVIDERS).filter(p => p.isEnabled());
+    const results = await Promise.all(providers.map(async (provider) => {
+        try {
+            const found = await withTimeout(provider.search(imdbId, lang, match), SEARCH_TIMEOUT_MS, getSourceName(provider));
+            console.log(`[Subtitles] ${provider.NAME}: ${found.length} results`);
+            // Ids are namespaced by source so download() can route them back
+            return found.map(sub => ({
+                ...sub,
+                id: `${provider.ID}:${sub.id}`,
+                source: provider.ID,
+                sourceName: getSourceName(provider),
+                hashMatch: !!sub.hashMatch,
+                releaseScore: match?.releaseName ? releaseSimilarity(sub.releaseName, match.releaseName) : 0
+            }));
+        } catch (error) {
+            console.error(`[Subtitles] ${provider.NAME} failed:`, error.message);
+            return [];
         }
+    }));
 
-        console.log('[Subtitles] Unique languages:', uniqueByLang.length);
-        return uniqueByLang;
-
-    } catch (error) {
-        console.error('[Subtitles] Error fetching:', error.message);
-        return [];
-    }
+    const merged = mergeResults(results.flat(), storeManager.getLanguagePreferences().subtitleLanguages);
+    console.log('[Subtitles] Merged results:', merged.length, `(${merged.filter(r => r.hashMatch).length} hash matches)`);
+    return merged;
 }
 
 /**
- * Download and extract subtitle - uses direct download URL
- * @param {string} downloadUrl - Direct ZIP download URL
- * @returns {Promise<string>} Subtitle content as UTF-8 string
+ * Download a subtitle through the provider that found it
+ * @param {string} id - Result id ("source:providerId")
+ * @returns {Promise<string>} Subtitle content as found (SRT, WebVTT, ASS/SSA, .sub or SAMI)
  */
-async function downloadSubtitle(downloadUrl) {
-    console.log('[Subtitles] Downloading from:', downloadUrl);
+async function downloadSubtitle(id) {
+    const separator = String(id).indexOf(':');
+    const provider = separator > 0 ? PROVIDERS[id.slice(0, separator)] : null;
+    if (!provider) throw new Error(I18n.t('subtitles.unknownSource', { id }));
 
-    // Ensure subs directory exists
+    console.log(`[Subtitles] Downloading from ${provider.NAME}:`, id.slice(separator + 1));
     fs.mkdirSync(SUBS_DIR, { recursive: true });
 
     try {
-        // Download ZIP directly
-        const zipBuffer = await fetchUrl(downloadUrl, true);
-        console.log('[Subtitles] Downloaded ZIP, size:', zipBuffer.length, 'bytes');
-
-        if (zipBuffer.length < 100) {
-            throw new Error('Downloaded file too small, likely an error page');
-        }
-
-        // Extract SRT from ZIP
-        const zip = new AdmZip(zipBuffer);
-        const entries = zip.getEntries();
-
-        const srtEntry = entries.find(e =>
-            e.entryName.toLowerCase().endsWith('.srt') &&
-            !e.entryName.startsWith('__MACOSX')
-        );
-
-        if (!srtEntry) {
-            console.log('[Subtitles] ZIP entries:', entries.map(e => e.entryName).join(', '));
-            throw new Error('No .srt file found in archive');
-        }
-
-        // Read and decode
-        const buffer = srtEntry.getData();
-        const content = decodeSubtitle(buffer);
-
-        console.log('[Subtitles] Extracted:', srtEntry.entryName, '- Content length:', content.length);
-
+        const content = await provider.download(id.slice(separator + 1));
+        console.log('[Subtitles] Downloaded, content length:', content.length);
         return content;
-
     } catch (error) {
         console.error('[Subtitles] Download error:', error.message);
         throw error;
@@ -262,6 +163,8 @@ function clearSubtitles() {
 
     // Reset state
     currentVttContent = null;
+    currentSecondary = null;
+    currentTiming = { delay: 0, ratio: 1, secondaryDelay: 0 };
 }
 
 // --- Chromecast Subtitle Support ---
@@ -270,61 +173,51 @@ const networkUtils = require('./network-utils');
 let subtitleServer = null;
 let subtitleServerPort = null;
 let currentVttContent = null;
+// Second subtitle of the player (dual subtitles), merged into the served VTT: { vtt, position }
+let currentSecondary = null;
+// Delay / framerate ratio set in the player, applied to the served VTT
+let currentTiming = { delay: 0, ratio: 1, secondaryDelay: 0 };
 
 /**
- * Convert SRT content to WebVTT format
- * @param {string} srtContent - SRT subtitle content
- * @returns {string} WebVTT content
+ * Timing applied to the subtitles served to cast devices
+ * @param {Object} [timing] - { delay, ratio }
  */
-function srtToVtt(srtContent) {
-    // Add WebVTT header
-    let vtt = 'WEBVTT\n\n';
-
-    // Normalize line endings
-    let content = srtContent.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-
-    // Split into blocks
-    const blocks = content.split(/\n\n+/);
-
-    for (const block of blocks) {
-        const lines = block.trim().split('\n');
-        if (lines.length < 2) continue;
-
-        // Find timestamp line (contains -->)
-        let timestampIndex = -1;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].includes('-->')) {
-                timestampIndex = i;
-                break;
-            }
-        }
-
-        if (timestampIndex === -1) continue;
-
-        // Convert SRT timestamp format (00:00:00,000) to VTT format (00:00:00.000)
-        const timestamp = lines[timestampIndex].replace(/,/g, '.');
-
-        // Get subtitle text (lines after timestamp)
-        const text = lines.slice(timestampIndex + 1).join('\n');
-
-        if (text.trim()) {
-            vtt += `${timestamp}\n${text}\n\n`;
-        }
-    }
+function setSubtitleTiming(timing) {
+    currentTiming = {
+        delay: Number(timing?.delay) || 0,
+        ratio: Number(timing?.ratio) || 1,
+        secondaryDelay: Number(timing?.secondaryDelay) || 0
+    };
+    console.log(`[Subtitles] Cast timing: delay ${currentTiming.delay}s, ratio ${currentTiming.ratio}, secondary delay ${currentTiming.secondaryDelay}s`);
+}
 
-    return vtt;
+/**
+ * Second subtitle merged into the one served to cast devices (served alone without one)
+ * @param {Object|null} secondary - { vtt (untimed WebVTT), position ('top' | 'bottom'), language }
+ */
+function setSecondarySubtitle(secondary) {
+    currentSecondary = secondary?.vtt
+        ? { vtt: SubtitleParser.toVtt(secondary.vtt), position: secondary.position === 'bottom' ? 'bottom' : 'top' }
+        : null;
+    console.log(`[Subtitles] Cast secondary subtitle: ${currentSecondary ? currentSecondary.position : 'none'}`);
 }
 
 /**
  * Start HTTP server to serve subtitles for Chromecast
- * @param {string} srtContent - SRT subtitle content to serve
+ * @param {string|null} content - Subtitle content to serve (any format SubtitleParser reads),
+ *   null to serve only the secondary subtitle
  * @returns {Promise<number>} Server port
  */
-function startSubtitleServer(srtContent) {
+function startSubtitleServer(content) {
     return new Promise((resolve, reject) => {
         // Convert to VTT
-        currentVttContent = srtToVtt(srtContent);
-        console.log('[Subtitles] Converted to VTT, length:', currentVttContent.length);
+        try {
+            currentVttContent = content == null ? null : SubtitleParser.toVtt(content);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        if (currentVttContent) console.log('[Subtitles] Converted to VTT, length:', currentVttContent.length);
 
         // Close existing server
         if (subtitleServer) {
@@ -350,8 +243,9 @@ function startSubtitleServer(srtContent) {
                 return;
             }
 
-            // Serve VTT file
-            if (req.url === '/subtitles.vtt' || req.url === '/') {
+            // Serve VTT file (the query only busts receiver caches)
+            const pathname = req.url.split('?')[0];
+            if (pathname === '/subtitles.vtt' || pathname === '/') {
                 res.writeHead(200, {
                     'Content-Type': 'text/vtt; charset=utf-8',
                     'Access-Control-Allow-Origin': '*',
@@ -359,7 +253,9 @@ function startSubtitleServer(srtContent) {
                     'Access-Control-Allow-Headers': 'Content-Type, Range',
                     'Cache-Control': 'no-cache'
                 });
-                res.end(currentVttContent);
+                const primary = currentVttContent && SubtitleParser.retimeVtt(currentVttContent, currentTiming);
+                const secondary = currentSecondary && SubtitleParser.retimeVtt(currentSecondary.vtt, { delay: currentTiming.secondaryDelay });
+                res.end(SubtitleParser.mergeVtt(primary, secondary, { position: currentSecondary?.position }));
                 console.log('[Subtitles] Served VTT file');
             } else {
                 res.writeHead(404);
@@ -414,7 +310,7 @@ function getSubtitleUrl() {
 
 /**
  * Prepare subtitles for cast - downloads, converts, and starts server
- * @param {string} downloadUrl - Direct ZIP download URL
+ * @param {string} downloadUrl - Subtitle result id (see downloadSubtitle)
  * @returns {Promise<string|null>} Subtitle URL for cast or null on failure
  */
 async function prepareSubtitlesForCast(downloadUrl) {
@@ -441,15 +337,41 @@ async function prepareSubtitlesForCast(downloadUrl) {
     }
 }
 
+/**
+ * Serve the secondary subtitle as the only track, when casting without a primary one
+ * @returns {Promise<string|null>} Subtitle URL for cast, null without a secondary subtitle or on failure
+ */
+async function prepareSecondaryForCast() {
+    if (!currentSecondary) return null;
+    try {
+        await startSubtitleServer(null);
+        return getSubtitleUrl();
+    } catch (error) {
+        console.error('[Subtitles] prepareSecondaryForCast error:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether the served subtitles include a primary one (see prepareSubtitlesForCast)
+ */
+function hasPrimarySubtitle() {
+    return !!subtitleServer && currentVttContent != null;
+}
+
 module.exports = {
+    getProviders,
+    setSubtitleTiming,
+    setSecondarySubtitle,
     getAvailableSubtitles,
     downloadSubtitle,
     clearSubtitles,
-    srtToVtt,
     startSubtitleServer,
     stopSubtitleServer,
     getSubtitleUrl,
     prepareSubtitlesForCast,
+    prepareSecondaryForCast,
+    hasPrimarySubtitle,
     SUBS_DIR
 };
 
@@ -1,30 +1,83 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
     searchMovies: (query) => ipcRenderer.invoke('search-movies', query),
     closeApp: () => ipcRenderer.send('app-close'),
     minimizeApp: () => ipcRenderer.send('app-minimize'),
     toggleMaximize: () => ipcRenderer.send('app-maximize'),
-    getApiUrl: () => ipcRenderer.invoke('get-env', 'MOVIE_API_URL'),
-    getTmdbApiKey: () => ipcRenderer.invoke('get-env', 'TMDB_API_KEY'),
+    // Catalog (active provider is persisted in settings)
+    catalog: {
+        getProviders: () => ipcRenderer.invoke('catalog-get-providers'),
+        setProvider: (id) => ipcRenderer.invoke('catalog-set-provider', id),
+        list: (options) => ipcRenderer.invoke('catalog-list', options), // options = { query, genre, sort, page, limit }
+        getDetails: (id) => ipcRenderer.invoke('catalog-get-details', id),
+        getTorrents: (id) => ipcRenderer.invoke('catalog-get-torrents', id),
+        getEpisodeTorrents: (query) => ipcRenderer.invoke('catalog-get-episode-torrents', query), // query = { imdbId, title, season, episode }
+        parseRelease: (name) => ipcRenderer.invoke('catalog-parse-release', name) // { title, year, quality }
+    },
+    // Settings
+    settings: {
+        get: () => ipcRenderer.invoke('settings-get'), // values of the settings-schema keys
+        getSchema: () => ipcRenderer.invoke('settings-get-schema'), // { groups, fields: [{ key, group, type, values, min, max, secret }] }
+        update: (partial) => ipcRenderer.invoke('settings-update', partial), // { settings, errors: message by key }; nothing is saved when errors is not empty
+        chooseFolder: (defaultPath) => ipcRenderer.invoke('settings-choose-folder', defaultPath), // absolute path or null
+        getBandwidth: () => ipcRenderer.invoke('settings-get-bandwidth'),
+        updateBandwidth: (partial) => ipcRenderer.invoke('settings-update-bandwidth', partial), // returns the resulting policy
+        getSubtitleStyle: () => ipcRenderer.invoke('settings-get-subtitle-style'),
+        updateSubtitleStyle: (partial) => ipcRenderer.invoke('settings-update-subtitle-style', partial), // partial = { fontSize, color, backgroundOpacity, edgeStyle, position, secondaryPosition }; returns the resulting style
+        getLanguages: () => ipcRenderer.invoke('settings-get-languages'),
+        updateLanguages: (partial) => ipcRenderer.invoke('settings-update-languages', partial), // partial = { subtitleLanguages, audioLanguages, autoLoadSubtitles }; returns the resulting preferences
+        getUiLanguage: () => ipcRenderer.invoke('settings-get-ui-language'), // { uiLanguage: setting ('' = system), locale: catalog in use }
+        setUiLanguage: (language) => ipcRenderer.invoke('settings-set-ui-language', language) // returns the catalog locale now in use
+    },
+    // Magnet links / .torrent files opened from the OS (protocol handler, file association)
+    onOpenTorrent: (callback) => ipcRenderer.on('open-torrent', (event, source) => callback(source)),
+    getPathForFile: (file) => webUtils.getPathForFile(file),
     // Player
     startStream: (magnet) => ipcRenderer.send('start-stream', magnet),
     stopStream: () => ipcRenderer.send('stop-stream'),
     onStreamReady: (callback) => ipcRenderer.on('stream-ready', (event, url) => callback(url)),
+    onStreamProbe: (callback) => ipcRenderer.on('stream-probe', (event, data) => callback(data)), // data = { url, container, tracks, compatibility }
+    onStreamFileMatch: (callback) => ipcRenderer.on('stream-file-match', (event, data) => callback(data)), // data = { url, movieHash, fileSize, releaseName }
+    onStreamError: (callback) => ipcRenderer.on('stream-error', (event, message) => callback(message)),
+    // Embedded subtitle tracks (tracks come from the stream probe)
+    extractEmbeddedSubtitle: (request) => ipcRenderer.send('extract-embedded-subtitle', request), // request = { url, container, track }
+    stopEmbeddedSubtitle: () => ipcRenderer.send('stop-embedded-subtitle'),
+    onEmbeddedSubtitleCues: (callback) => ipcRenderer.on('embedded-subtitle-cues', (event, data) => callback(data)), // data = { url, number, cues, done, error }
     onLoadLocalSubtitle: (callback) => ipcRenderer.on('load-local-subtitle', (event, url) => callback(url)),
+    onTorrentFiles: (callback) => ipcRenderer.on('torrent-files', (event, data) => callback(data)), // data = { files, activeIndex, needsSelection }
+    selectTorrentFile: (fileIndex) => ipcRenderer.send('select-torrent-file', fileIndex),
     playLocal: (infoHash) => ipcRenderer.invoke('play-local', infoHash), // New Offline Playback IPC
     // Offline Downloads
     startDownload: (movie, subtitleUrl) => ipcRenderer.send('start-download', { movie, subtitleUrl }),
     getDownloads: () => ipcRenderer.invoke('get-downloads'),
     removeDownload: (infoHash) => ipcRenderer.invoke('remove-download', infoHash),
     cancelDownload: (infoHash) => ipcRenderer.invoke('cancel-download', infoHash),
+    pauseDownload: (infoHash) => ipcRenderer.invoke('pause-download', infoHash),
+    resumeDownload: (infoHash) => ipcRenderer.invoke('resume-download', infoHash),
+    getDownloadQueue: () => ipcRenderer.invoke('get-download-queue'), // [{ infoHash, movie, status, progress, error }]
+    getDownloadStats: () => ipcRenderer.invoke('get-download-stats'), // [{ infoHash, title, status, state, priority, progress, downloadSpeed, numPeers, timeRemaining, total, ... }]
+    verifyLibrary: (options) => ipcRenderer.invoke('verify-library', options), // options = { full }; resolves with every result
+    repairDownload: (infoHash) => ipcRenderer.invoke('repair-download', infoHash),
+    onDownloadIntegrity: (callback) => ipcRenderer.on('download-integrity', (event, result) => callback(result)), // result = { infoHash, status, badPieces, totalPieces }
+    // Library storage (see streaming/LibraryStorage)
+    library: {
+        getFolders: () => ipcRenderer.invoke('library-get-folders'), // [{ path, isDefault, isTarget, exists, downloads, free, total }]
+        getUsage: () => ipcRenderer.invoke('library-get-usage'), // [{ infoHash, title, quality, libraryDir, bytes, videoBytes }], largest first
+        move: (from, to) => ipcRenderer.invoke('library-move', { from, to }), // { moved, skipped, failed: [{ infoHash, title, error }] }
+        onMoveProgress: (callback) => ipcRenderer.on('library-move-progress', (event, progress) => callback(progress)), // { done, total, title }
+        findOrphans: () => ipcRenderer.invoke('library-find-orphans'), // [{ path, infoHash, libraryDir, bytes }]
+        removeOrphans: (paths) => ipcRenderer.invoke('library-remove-orphans', paths) // { removed, freed }
+    },
+    setDownloadPriority: (infoHash, priority) => ipcRenderer.invoke('set-download-priority', { infoHash, priority }), // 'high' | 'normal' | 'low'
     checkDownloadStatus: (infoHash) => ipcRenderer.invoke('check-download-status', infoHash),
     onDownloadProgress: (callback) => ipcRenderer.on('download-progress', (event, data) => callback(data)), // data = { infoHash, percentage, stats }
     onDownloadComplete: (callback) => ipcRenderer.on('download-complete', (event, data) => callback(data)),
+    onDownloadState: (callback) => ipcRenderer.on('download-state', (event, data) => callback(data)), // data = { infoHash, status, progress, error }
 
 
     // Subtitles
-    fetchMovieSubs: (imdbId) => ipcRenderer.invoke('fetch-movie-subs', imdbId),
+    fetchMovieSubs: (imdbId, lang, match) => ipcRenderer.invoke('fetch-movie-subs', imdbId, lang, match),
     loadSelectedSub: (pageUrl) => ipcRenderer.invoke('load-selected-sub', pageUrl),
     clearSubtitles: () => ipcRenderer.send('clear-subtitles'),
 
@@ -42,11 +95,17 @@ contextBridge.exposeInMainWorld('api', {
     castResume: () => ipcRenderer.send('cast-resume'),
     castSeek: (seconds) => ipcRenderer.send('cast-seek', seconds),
     castVolume: (level) => ipcRenderer.send('cast-volume', level),
+    castSelectFile: (fileIndex, movieInfo) => ipcRenderer.send('cast-select-file', { fileIndex, movieInfo }),
+    castSetAudioTrack: (audioTrack, startTime) => ipcRenderer.send('cast-set-audio-track', { audioTrack, startTime }), // audioTrack = { index, number, language, name }
+    castSetSubtitleTiming: (timing, startTime) => ipcRenderer.send('cast-set-subtitle-timing', { timing, startTime }), // timing = { delay, ratio, secondaryDelay }
+    castSetSecondarySubtitle: (secondary, startTime) => ipcRenderer.send('cast-set-secondary-subtitle', { secondary, startTime }), // secondary = { vtt, position, language } or null
+    castRefreshSubtitleStyle: (startTime) => ipcRenderer.send('cast-refresh-subtitle-style', startTime), // style is read from settings
 
     // Cast event listeners
     onCastDeviceFound: (callback) => ipcRenderer.on('cast-device-found', (event, device) => callback(device)),
     onCastConnected: (callback) => ipcRenderer.on('cast-connected', (event, deviceName) => callback(deviceName)),
     onCastError: (callback) => ipcRenderer.on('cast-error', (event, error) => callback(error)),
+    onCastAudioUnavailable: (callback) => ipcRenderer.on('cast-audio-unavailable', (event, message) => callback(message)), // the device kept its default audio track
     onCastStopped: (callback) => ipcRenderer.on('cast-stopped', () => callback()),
     onCastStatus: (callback) => ipcRenderer.on('cast-status', (event, status) => callback(status)),
     onCastMuteLocal: (callback) => ipcRenderer.on('cast-mute-local', () => callback()),
@@ -58,6 +117,15 @@ contextBridge.exposeInMainWorld('api', {
         getLibrary: () => ipcRenderer.invoke('store-get-library'),
         getAllDownloads: () => ipcRenderer.invoke('get-downloads'),
         checkStatus: (movie) => ipcRenderer.invoke('store-check-status', movie),
+        // Watch History
+        getWatchProgress: (movie) => ipcRenderer.invoke('store-get-watch-progress', movie),
+        saveWatchProgress: (movie, position, duration) => ipcRenderer.send('store-save-watch-progress', { movie, position, duration }),
+        getWatchHistory: () => ipcRenderer.invoke('store-get-watch-history'),
+        setWatched: (movie, watched) => ipcRenderer.invoke('store-set-watched', { movie, watched }),
+        clearWatchHistory: () => ipcRenderer.invoke('store-clear-watch-history'),
+        // Subtitle delay / framerate per movie
+        getSubtitleTiming: (movie) => ipcRenderer.invoke('store-get-subtitle-timing', movie),
+        saveSubtitleTiming: (movie, timing) => ipcRenderer.send('store-save-subtitle-timing', { movie, timing }),
         // New Metadata Cache
         getMetadata: (imdbId) => ipcRenderer.invoke('get-metadata', imdbId),
         saveMetadata: (imdbId, data) => ipcRenderer.send('save-metadata', { imdbId, data })
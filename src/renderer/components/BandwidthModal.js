@@ -0,0 +1,140 @@
+/**
+ * Bandwidth Modal Component
+ * Edits the network policy: rate limits, connection cap, seeding after
+ * download and pausing downloads while a stream is playing
+ */
+const BandwidthModal = {
+    backdropEl: null,
+    fields: {},
+    isOpen: false,
+
+    init() {
+        this.backdropEl = document.createElement('div');
+        this.backdropEl.className = 'cast-modal-backdrop';
+        this.backdropEl.innerHTML = `
+            <div class="cast-modal bandwidth-modal">
+                <div class="cast-modal-header">
+                    <h3 class="cast-modal-title">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline>
+                        </svg>
+                        <span data-i18n="bandwidth.title">Límites de red</span>
+                    </h3>
+                    <button class="cast-modal-close">&times;</button>
+                </div>
+                <div class="cast-modal-body">
+                    <label class="bandwidth-field">
+                        <span data-i18n="bandwidth.maxDownload">Descarga máxima (KB/s, 0 = sin límite)</span>
+                        <input type="number" min="0" step="50" data-key="maxDownloadKBps">
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="bandwidth.maxUpload">Subida máxima (KB/s, 0 = sin límite)</span>
+                        <input type="number" min="0" step="10" data-key="maxUploadKBps">
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="bandwidth.maxConnections">Conexiones máximas por torrent</span>
+                        <input type="number" min="1" step="1" data-key="maxConnections">
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="bandwidth.maxConcurrent">Descargas simultáneas</span>
+                        <input type="number" min="1" step="1" data-key="maxConcurrentDownloads">
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="bandwidth.seedMode">Compartir al terminar una descarga</span>
+                        <select data-key="seedMode">
+                            <option value="none" data-i18n="bandwidth.seedNone">No compartir</option>
+                            <option value="ratio" data-i18n="bandwidth.seedRatioMode">Hasta alcanzar un ratio</option>
+                            <option value="time" data-i18n="bandwidth.seedTimeMode">Durante un tiempo</option>
+                        </select>
+                    </label>
+                    <label class="bandwidth-field" data-mode="ratio">
+                        <span data-i18n="bandwidth.seedRatio">Ratio objetivo</span>
+                        <input type="number" min="0.1" step="0.1" data-key="seedRatio">
+                    </label>
+                    <label class="bandwidth-field" data-mode="time">
+                        <span data-i18n="bandwidth.seedMinutes">Minutos compartiendo</span>
+                        <input type="number" min="1" step="5" data-key="seedMinutes">
+                    </label>
+                    <label class="bandwidth-check">
+                        <input type="checkbox" data-key="pauseDownloadsWhileStreaming">
+                        <span data-i18n="bandwidth.pauseWhileStreaming">Pausar descargas mientras se reproduce</span>
+                    </label>
+                </div>
+                <div class="cast-modal-footer">
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                    <button class="cast-btn-connect" data-i18n="common.save">Guardar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
+
+        this.backdropEl.querySelectorAll('[data-key]').forEach(el => {
+            this.fields[el.dataset.key] = el;
+        });
+        this.fields.seedMode.addEventListener('change', () => this.updateSeedFields());
+
+        this.backdropEl.querySelector('.cast-modal-close').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-cancel').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-connect').addEventListener('click', () => this.save());
+        this.backdropEl.addEventListener('click', (e) => {
+            if (e.target === this.backdropEl) this.hide();
+        });
+
+        document.getElementById('btn-bandwidth')?.addEventListener('click', () => this.show());
+
+        console.log('[BandwidthModal] Initialized');
+    },
+
+    async show() {
+        try {
+            const policy = await window.api.settings.getBandwidth();
+            Object.entries(this.fields).forEach(([key, el]) => {
+                if (el.type === 'checkbox') el.checked = !!policy[key];
+                else el.value = policy[key];
+            });
+        } catch (e) {
+            console.error('[BandwidthModal] Could not load policy:', e);
+            Toast.show(I18n.t('bandwidth.loadFailed'), 'error');
+            return;
+        }
+
+        this.updateSeedFields();
+        this.isOpen = true;
+        this.backdropEl.classList.add('active');
+    },
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.backdropEl.classList.remove('active');
+    },
+
+    updateSeedFields() {
+        const mode = this.fields.seedMode.value;
+        this.backdropEl.querySelectorAll('[data-mode]').forEach(el => {
+            el.style.display = el.dataset.mode === mode ? '' : 'none';
+        });
+    },
+
+    async save() {
+        const partial = {};
+        Object.entries(this.fields).forEach(([key, el]) => {
+            if (el.type === 'checkbox') partial[key] = el.checked;
+            else if (el.type === 'number') partial[key] = parseFloat(el.value) || 0;
+            else partial[key] = el.value;
+        });
+
+        try {
+            await window.api.settings.updateBandwidth(partial);
+            Toast.show(I18n.t('bandwidth.saved'), 'success');
+            this.hide();
+        } catch (e) {
+            console.error('[BandwidthModal] Save failed:', e);
+            Toast.show(I18n.t('bandwidth.saveFailed'), 'error');
+        }
+    }
+};
+
+console.log('[BandwidthModal] Module loaded');
@@ -26,14 +26,14 @@ const CastModal = {
                             <path d="M2 16.1A5 5 0 0 1 5.9 20M2 12.05A9 9 0 0 1 9.95 20M2 8V6a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2h-6"></path>
                             <line x1="2" y1="20" x2="2.01" y2="20"></line>
                         </svg>
-                        Transmitir a dispositivo
+                        <span data-i18n="cast.title">Transmitir a dispositivo</span>
                     </h3>
                     <button class="cast-modal-close">&times;</button>
                 </div>
                 <div class="cast-modal-body">
                     <div class="cast-device-loader">
                         <div class="cast-spinner"></div>
-                        <span>Buscando dispositivos...</span>
+                        <span data-i18n="cast.searching">Buscando dispositivos...</span>
                     </div>
                     <div class="cast-device-list"></div>
                     <div class="cast-no-devices" style="display: none;">
@@ -42,8 +42,8 @@ const CastModal = {
                             <line x1="12" y1="8" x2="12" y2="12"></line>
                             <line x1="12" y1="16" x2="12.01" y2="16"></line>
                         </svg>
-                        <p>No se encontraron dispositivos</p>
-                        <small>Asegurate de que tu Chromecast esté encendido y en la misma red</small>
+                        <p data-i18n="cast.noDevices">No se encontraron dispositivos</p>
+                        <small data-i18n="cast.noDevicesHint">Asegurate de que tu Chromecast esté encendido y en la misma red</small>
                     </div>
                     
                     <!-- Subtitle Selector -->
@@ -54,21 +54,22 @@ const CastModal = {
                                 <line x1="6" y1="12" x2="18" y2="12"></line>
                                 <line x1="6" y1="16" x2="14" y2="16"></line>
                             </svg>
-                            Subtítulos
+                            <span data-i18n="subtitles.title">Subtítulos</span>
                         </label>
                         <select class="cast-subtitle-select">
-                            <option value="">Cargando...</option>
+                            <option value="" data-i18n="common.loading">Cargando...</option>
                         </select>
                     </div>
                 </div>
                 <div class="cast-modal-footer">
-                    <button class="cast-btn-cancel">Cancelar</button>
-                    <button class="cast-btn-connect" disabled>Conectar</button>
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                    <button class="cast-btn-connect" data-i18n="cast.connect" disabled>Conectar</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
 
         // Cache elements
         this.element = this.backdropEl.querySelector('.cast-modal');
@@ -100,12 +101,12 @@ const CastModal = {
         // Listen for connection success
         window.api.onCastConnected((deviceName) => {
             this.hide();
-            Toast.show(`Conectado a ${deviceName}`, 'success');
+            Toast.show(I18n.t('cast.connected', { device: deviceName }), 'success');
         });
 
         // Listen for errors
         window.api.onCastError((error) => {
-            Toast.show(`Error: ${error}`, 'error');
+            Toast.show(I18n.t('common.errorWithMessage', { message: error }), 'error');
             this.enableButtons();
         });
 
@@ -115,7 +116,7 @@ const CastModal = {
     /**
      * Show the modal and start device discovery
      */
-    show() {
+    async show() {
         if (this.isOpen) return;
 
         this.isOpen = true;
@@ -140,13 +141,20 @@ const CastModal = {
         // Start discovery
         window.api.requestCastDiscovery();
 
-        // Timeout to show "no devices" if none found
+        // Timeout to show "no devices" if none found (castDiscoverySeconds setting)
+        let seconds = 8;
+        try {
+            seconds = (await window.api.settings.get()).castDiscoverySeconds || seconds;
+        } catch (e) {
+            console.warn('[CastModal] Could not read discovery timeout:', e);
+        }
+        if (!this.isOpen) return;
         this.discoveryTimeout = setTimeout(() => {
             if (this.devices.length === 0) {
                 this.loaderEl.style.display = 'none';
                 this.noDevicesEl.style.display = 'flex';
             }
-        }, 8000);
+        }, seconds * 1000);
     },
 
     /**
@@ -239,12 +247,21 @@ const CastModal = {
 
         // Get selected subtitle from dropdown
         const selectedSubUrl = this.subtitleSelect?.value || null;
+        const selectedSub = (App.state.availableSubtitles || []).find(sub => sub.id === selectedSubUrl);
 
         const movieInfo = movie ? {
             title: movie.title,
             coverUrl: movie.large_cover_image || movie.medium_cover_image,
+            // Continue from where local playback (or the resume prompt) left off
+            startTime: Player.getCurrentPosition(),
             // Use subtitle selected in dropdown (not App.state)
-            subtitleDownloadUrl: selectedSubUrl || null
+            subtitleDownloadUrl: selectedSubUrl || null,
+            subtitleLanguageCode: selectedSub?.languageCode || null,
+            // Delay / framerate set in the player, applied to the served VTT
+            subtitleTiming: Subtitles.getTimingParams(),
+            // Dual subtitles: merged into the served VTT
+            secondarySubtitle: Subtitles.getCastSecondary(),
+            audioTrack: Player.getSelectedAudioTrack()
         } : null;
 
         console.log('[CastModal] Connecting with info:', {
@@ -252,6 +269,13 @@ const CastModal = {
             hasSubtitle: !!movieInfo?.subtitleDownloadUrl
         });
 
+        // The probe already knows whether this kind of device can decode the file
+        const verdict = Player.probe?.compatibility?.[this.selectedDevice.type];
+        if (verdict && !verdict.playable) {
+            const causes = verdict.issues.map(issue => issue.codec).join(', ');
+            Toast.show(I18n.t('cast.mayNotSupport', { device: this.selectedDevice.name, causes }), 'info');
+        }
+
         // Send cast request
         window.api.selectCastDevice(this.selectedDevice.name, movieInfo);
     },
@@ -269,7 +293,7 @@ const CastModal = {
         // Add "No subtitles" option
         const noSubOption = document.createElement('option');
         noSubOption.value = '';
-        noSubOption.textContent = 'Sin subtítulos';
+        noSubOption.textContent = I18n.t('subtitles.none');
         select.appendChild(noSubOption);
 
         // Get available subtitles from App.state
@@ -278,7 +302,7 @@ const CastModal = {
         if (subs.length === 0) {
             const loadingOption = document.createElement('option');
             loadingOption.value = '';
-            loadingOption.textContent = 'Cargando subtítulos...';
+            loadingOption.textContent = I18n.t('subtitles.loading');
             loadingOption.disabled = true;
             select.appendChild(loadingOption);
 
@@ -292,28 +316,16 @@ const CastModal = {
         // Add available subtitles
         subs.forEach(sub => {
             const option = document.createElement('option');
-            option.value = sub.downloadUrl;
-            option.textContent = sub.language;
+            option.value = sub.id;
+            option.textContent = Subtitles.languageLabel(sub);
             select.appendChild(option);
         });
 
-        // Auto-select Spanish Latin America first (tends to have working URLs)
-        // Fall back to any Spanish variant
-        let spanishSub = subs.find(s =>
-            s.language.toLowerCase().includes('latin') ||
-            s.language.toLowerCase().includes('latina')
-        );
-
-        if (!spanishSub) {
-            spanishSub = subs.find(s =>
-                s.language.toLowerCase().includes('spanish') ||
-                s.language.toLowerCase().includes('español')
-            );
-        }
-
-        if (spanishSub) {
-            select.value = spanishSub.downloadUrl;
-            console.log(`[CastModal] Auto-selected: ${spanishSub.language}`);
+        // Auto-select the most preferred language
+        const preferred = Subtitles.pickPreferred(subs);
+        if (preferred) {
+            select.value = preferred.id;
+            console.log(`[CastModal] Auto-selected: ${preferred.language}`);
         }
 
         console.log(`[CastModal] Populated ${subs.length} subtitles`);
@@ -324,7 +336,7 @@ const CastModal = {
      */
     disableButtons() {
         this.connectBtn.disabled = true;
-        this.connectBtn.textContent = 'Conectando...';
+        this.connectBtn.textContent = I18n.t('cast.connecting');
     },
 
     /**
@@ -332,7 +344,7 @@ const CastModal = {
      */
     enableButtons() {
         this.connectBtn.disabled = false;
-        this.connectBtn.textContent = 'Conectar';
+        this.connectBtn.textContent = I18n.t('cast.connect');
     },
 
     /**
@@ -6,6 +6,7 @@ const ConfirmModal = {
     element: null,
     backdropEl: null,
     onConfirm: null,
+    onCancel: null,
     isOpen: false,
 
     init() {
@@ -45,8 +46,10 @@ const ConfirmModal = {
         this.cancelBtn.addEventListener('click', () => this.hide());
 
         this.confirmBtn.addEventListener('click', () => {
-            if (this.onConfirm) this.onConfirm();
+            const onConfirm = this.onConfirm;
+            this.onCancel = null; // Confirmed, so hide() must not report a cancel
             this.hide();
+            if (onConfirm) onConfirm();
         });
 
         // Close on backdrop
@@ -62,16 +65,22 @@ const ConfirmModal = {
      * @param {string} title - Title of the modal
      * @param {string} message - Message body
      * @param {function} onConfirm - Callback if confirmed
-     * @param {string} [confirmText='Confirmar'] - Text for confirm button
+     * @param {string} [confirmText] - Text for confirm button ("Confirmar")
      * @param {boolean} [isDestructive=false] - If true, styles button red
+     * @param {string} [cancelText] - Text for cancel button ("Cancelar")
+     * @param {function} [onCancel=null] - Callback if dismissed without confirming
      */
-    show(title, message, onConfirm, confirmText = 'Confirmar', isDestructive = false) {
+    show(title, message, onConfirm, confirmText = I18n.t('common.confirm'), isDestructive = false, cancelText = I18n.t('common.cancel'), onCancel = null) {
         if (!this.backdropEl) this.init();
+        // Modals created later share the z-index; moving to the end keeps this one on top
+        document.body.appendChild(this.backdropEl);
 
         this.titleEl.textContent = title;
         this.messageEl.textContent = message;
         this.onConfirm = onConfirm;
+        this.onCancel = onCancel;
         this.confirmBtn.textContent = confirmText;
+        this.cancelBtn.textContent = cancelText;
 
         // update button style based on destructiveness
         if (isDestructive) {
@@ -89,9 +98,12 @@ const ConfirmModal = {
 
     hide() {
         if (this.isOpen) {
+            const onCancel = this.onCancel;
             this.isOpen = false;
             this.backdropEl.classList.remove('active');
             this.onConfirm = null;
+            this.onCancel = null;
+            if (onCancel) onCancel();
         }
     }
 };
@@ -23,12 +23,12 @@ const DownloadModal = {
                             <polyline points="7 10 12 15 17 10"></polyline>
                             <line x1="12" y1="15" x2="12" y2="3"></line>
                         </svg>
-                        Descargar Película
+                        <span data-i18n="downloadModal.title">Descargar Película</span>
                     </h3>
                     <button class="cast-modal-close">&times;</button>
                 </div>
                 <div class="cast-modal-body">
-                    <p style="color: #ccc; margin-bottom: 20px;">
+                    <p style="color: #ccc; margin-bottom: 20px;" data-i18n="downloadModal.description">
                         Seleccioná el idioma de los subtítulos para incluir en la descarga.
                         El video se guardará en tu carpeta de descargas.
                     </p>
@@ -41,21 +41,22 @@ const DownloadModal = {
                                 <line x1="6" y1="12" x2="18" y2="12"></line>
                                 <line x1="6" y1="16" x2="14" y2="16"></line>
                             </svg>
-                            Subtítulos
+                            <span data-i18n="subtitles.title">Subtítulos</span>
                         </label>
                         <select class="cast-subtitle-select" id="download-subtitle-select">
-                            <option value="">Cargando...</option>
+                            <option value="" data-i18n="common.loading">Cargando...</option>
                         </select>
                     </div>
                 </div>
                 <div class="cast-modal-footer">
-                    <button class="cast-btn-cancel">Cancelar</button>
-                    <button class="cast-btn-connect" id="btn-confirm-download">Iniciar Descarga</button>
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                    <button class="cast-btn-connect" id="btn-confirm-download" data-i18n="downloadModal.confirm">Iniciar Descarga</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
 
         // Cache elements
         this.subtitleSelect = this.backdropEl.querySelector('#download-subtitle-select');
@@ -96,7 +97,7 @@ const DownloadModal = {
         // Add "No subtitles" option
         const noSubOption = document.createElement('option');
         noSubOption.value = '';
-        noSubOption.textContent = 'Sin subtítulos';
+        noSubOption.textContent = I18n.t('subtitles.none');
         select.appendChild(noSubOption);
 
         const subs = App.state.availableSubtitles || [];
@@ -114,7 +115,7 @@ const DownloadModal = {
             // Check if we need to display loading
             const loadingOption = document.createElement('option');
             loadingOption.value = '';
-            loadingOption.textContent = 'Cargando opciones...';
+            loadingOption.textContent = I18n.t('downloadModal.loadingOptions');
             select.appendChild(loadingOption);
 
             // Trigger fetch if empty (and we have IMDB)
@@ -122,7 +123,7 @@ const DownloadModal = {
             if (App.state.currentMovie?.imdb_code) {
                 // If we know it failed, stop.
                 if (App.state.failedSubtitles && App.state.failedSubtitles.has(App.state.currentMovie.imdb_code)) {
-                    select.innerHTML = '<option value="">Sin subtítulos (No encontrados)</option>';
+                    select.innerHTML = `<option value="">${I18n.t('downloadModal.noneFound')}</option>`;
                     return;
                 }
 
@@ -146,18 +147,14 @@ const DownloadModal = {
         } else {
             subs.forEach(sub => {
                 const option = document.createElement('option');
-                option.value = sub.downloadUrl;
-                option.textContent = sub.language;
+                option.value = sub.id;
+                option.textContent = Subtitles.languageLabel(sub);
                 select.appendChild(option);
             });
 
-            // Auto-select Spanish
-            let spanishSub = subs.find(s =>
-                s.language.toLowerCase().includes('latin') ||
-                s.language.toLowerCase().includes('latina')
-            );
-            if (!spanishSub) spanishSub = subs.find(s => s.language.toLowerCase().includes('spanish'));
-            if (spanishSub) select.value = spanishSub.downloadUrl;
+            // Auto-select the most preferred language
+            const preferred = Subtitles.pickPreferred(subs);
+            if (preferred) select.value = preferred.id;
         }
     },
 
@@ -165,7 +162,7 @@ const DownloadModal = {
         const movie = App.state.currentMovie;
         if (!movie) {
             console.error('[DownloadModal] No movie selected');
-            Toast.show('Error: No hay película seleccionada', 'error');
+            Toast.show(I18n.t('downloadModal.noMovie'), 'error');
             return;
         }
         const subtitleUrl = this.subtitleSelect.value;
@@ -176,12 +173,15 @@ const DownloadModal = {
             if (selectedOption) {
                 movie.subtitleLanguage = selectedOption.text;
             }
+            // Tags the downloaded track and names it when cast
+            const selectedSub = (App.state.availableSubtitles || []).find(sub => sub.id === subtitleUrl);
+            movie.subtitleLanguageCode = selectedSub?.languageCode || null;
         }
 
         console.log('[DownloadModal] Starting download:', movie.title);
 
         window.api.startDownload(movie, subtitleUrl);
-        Toast.show('Descarga iniciada', 'success');
+        Toast.show(I18n.t('downloadModal.started'), 'success');
         this.hide();
 
         // Trigger UI update immediately? 
@@ -0,0 +1,148 @@
+/**
+ * Downloads Panel Component
+ * Lists active and queued downloads in the Downloads view with live stats
+ * (speed, peers, ETA, size) and pause/resume/cancel/priority controls
+ */
+const DownloadsPanel = {
+    sectionEl: null,
+    listEl: null,
+    pollTimer: null,
+    POLL_INTERVAL_MS: 1000,
+
+    // Row states and priorities have their labels under downloads.state.* / downloads.priority.*
+    STATES: ['queued', 'verifying', 'downloading', 'throttled', 'seeding', 'paused', 'failed'],
+    PRIORITIES: ['high', 'normal', 'low'],
+
+    init() {
+        this.sectionEl = document.getElementById('lib-section-active-downloads');
+        this.listEl = document.getElementById('lib-active-downloads');
+        if (!this.listEl) return;
+
+        // Event delegation: rows are re-rendered on every poll
+        this.listEl.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const infoHash = btn.closest('.download-row')?.dataset.hash;
+            if (infoHash) this.handleAction(btn.dataset.action, infoHash, btn.closest('.download-row'));
+        });
+        this.listEl.addEventListener('change', (e) => {
+            if (!e.target.matches('.download-priority')) return;
+            const infoHash = e.target.closest('.download-row')?.dataset.hash;
+            if (infoHash) window.api.setDownloadPriority(infoHash, e.target.value).then(() => this.refresh());
+        });
+
+        window.api.onDownloadState((data) => {
+            if (!this.pollTimer) return;
+            this.refresh();
+            // Finished downloads move to the completed grid
+            if (data.status === 'completed') Library.load('downloads');
+        });
+
+        console.log('[DownloadsPanel] Initialized');
+    },
+
+    /**
+     * Poll stats only while the Downloads view is on screen
+     */
+    setVisible(visible) {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (!visible) return;
+
+        this.pollTimer = setInterval(() => this.refresh(), this.POLL_INTERVAL_MS);
+        this.refresh();
+    },
+
+    async refresh() {
+        if (!this.listEl) return;
+        let items = [];
+        try {
+            items = await window.api.getDownloadStats();
+        } catch (e) {
+            console.error('[DownloadsPanel] Stats error:', e);
+        }
+        // The view may have been left while the request was in flight
+        if (!this.pollTimer) return;
+
+        this.sectionEl.style.display = items.length > 0 ? 'block' : 'none';
+        // Keep the priority dropdown usable while it is open
+        if (this.listEl.contains(document.activeElement) && document.activeElement.matches('select')) return;
+        this.listEl.innerHTML = items.map(item => this.renderRow(item)).join('');
+    },
+
+    renderRow(item) {
+        const f = Formatters;
+        const percent = Math.round(item.progress * 100);
+        const isActive = ['downloading', 'verifying', 'throttled', 'seeding'].includes(item.state);
+
+        const details = [];
+        if (item.total) details.push(`${f.formatFileSize(item.downloaded)} / ${f.formatFileSize(item.total)}`);
+        if (isActive) {
+            details.push(`↓ ${f.formatFileSize(item.downloadSpeed)}/s`);
+            details.push(`↑ ${f.formatFileSize(item.uploadSpeed)}/s`);
+            details.push(I18n.t('downloads.peers', { count: item.numPeers }));
+        }
+        if (item.state === 'downloading' && item.timeRemaining != null) {
+            details.push(I18n.t('downloads.remaining', { time: f.formatTime(item.timeRemaining / 1000) }));
+        }
+        if (item.state === 'failed' && item.error) details.push(f.sanitizeHtml(item.error));
+
+        const canPause = item.status === 'queued' || item.status === 'downloading';
+        const canResume = item.status === 'paused' || item.status === 'failed';
+
+        const priorityOptions = this.PRIORITIES
+            .map(value => `<option value="${value}" ${item.priority === value ? 'selected' : ''}>${I18n.t(`downloads.priority.${value}`)}</option>`)
+            .join('');
+        const stateLabel = this.STATES.includes(item.state) ? I18n.t(`downloads.state.${item.state}`) : item.state;
+
+        return `
+            <div class="download-row ${item.state}" data-hash="${item.infoHash}">
+                <div class="download-row-info">
+                    <div class="download-row-title">
+                        ${f.sanitizeHtml(item.title)}
+                        ${item.quality ? `<span class="download-row-quality">${f.sanitizeHtml(item.quality)}</span>` : ''}
+                    </div>
+                    <div class="download-row-bar"><div style="width: ${percent}%;"></div></div>
+                    <div class="download-row-stats">
+                        <span class="download-row-state">${stateLabel} · ${percent}%</span>
+                        ${details.map(d => `<span>${d}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="download-row-actions">
+                    ${item.status === 'queued' ? `<select class="download-priority" title="${I18n.t('downloads.priorityTitle')}">${priorityOptions}</select>` : ''}
+                    ${canPause ? `<button class="section-action-btn" data-action="pause">${I18n.t('downloads.pause')}</button>` : ''}
+                    ${canResume ? `<button class="section-action-btn" data-action="resume">${I18n.t(item.status === 'failed' ? 'downloads.retry' : 'downloads.resume')}</button>` : ''}
+                    <button class="section-action-btn danger" data-action="cancel">${I18n.t('common.cancel')}</button>
+                </div>
+            </div>
+        `;
+    },
+
+    async handleAction(action, infoHash, rowEl) {
+        if (action === 'pause') {
+            await window.api.pauseDownload(infoHash);
+        } else if (action === 'resume') {
+            await window.api.resumeDownload(infoHash);
+        } else if (action === 'cancel') {
+            const title = rowEl.querySelector('.download-row-title')?.textContent.trim();
+            ConfirmModal.show(
+                I18n.t('download.cancel'),
+                I18n.t('downloads.cancelConfirm', { title }),
+                async () => {
+                    await window.api.cancelDownload(infoHash);
+                    Toast.show(I18n.t('download.cancelled'));
+                    this.refresh();
+                },
+                I18n.t('download.cancel'),
+                true,
+                I18n.t('common.back')
+            );
+            return;
+        }
+        this.refresh();
+    }
+};
+
+console.log('[DownloadsPanel] Module loaded');
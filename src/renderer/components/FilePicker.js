@@ -0,0 +1,193 @@
+/**
+ * File Picker Component
+ * Lets the user choose which video file of a multi-file torrent to stream
+ */
+const FilePicker = {
+    backdropEl: null,
+    listEl: null,
+    files: [],
+    activeIndex: null,
+    isOpen: false,
+    // True while the stream is waiting for a first selection
+    isInitialSelection: false,
+
+    /**
+     * Initialize the File Picker (creates DOM structure)
+     */
+    init() {
+        this.backdropEl = document.createElement('div');
+        this.backdropEl.className = 'cast-modal-backdrop';
+        this.backdropEl.innerHTML = `
+            <div class="cast-modal file-picker-modal">
+                <div class="cast-modal-header">
+                    <h3 class="cast-modal-title">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18"></rect>
+                            <line x1="7" y1="2" x2="7" y2="22"></line>
+                            <line x1="17" y1="2" x2="17" y2="22"></line>
+                            <line x1="2" y1="12" x2="22" y2="12"></line>
+                        </svg>
+                        <span data-i18n="filePicker.title">Elegí qué reproducir</span>
+                    </h3>
+                    <button class="cast-modal-close">&times;</button>
+                </div>
+                <div class="cast-modal-body">
+                    <div class="cast-device-list file-picker-list"></div>
+                </div>
+                <div class="cast-modal-footer">
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
+
+        this.listEl = this.backdropEl.querySelector('.file-picker-list');
+
+        this.backdropEl.querySelector('.cast-modal-close').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-cancel').addEventListener('click', () => this.hide());
+        this.backdropEl.addEventListener('click', (e) => {
+            if (e.target === this.backdropEl) this.hide();
+        });
+
+        window.api.onTorrentFiles(({ files, activeIndex, needsSelection }) => {
+            this.setFiles(files, needsSelection ? null : activeIndex);
+            if (!needsSelection) return;
+
+            this.isInitialSelection = true;
+
+            // Resuming an episode from history: go straight to its file
+            const resumeIndex = Player.currentMovie?.fileIndex;
+            const resumeFile = this.files.find(f => f.index === resumeIndex);
+            if (resumeFile) {
+                this.select(resumeFile);
+            } else {
+                this.show();
+            }
+        });
+
+        console.log('[FilePicker] Initialized');
+    },
+
+    /**
+     * Store the torrent's file list and toggle the player button
+     */
+    setFiles(files, activeIndex) {
+        this.files = (files || []).filter(f => f.isPlayable);
+        this.activeIndex = activeIndex;
+        App.state.torrentFiles = this.files;
+
+        const btn = App.dom.player.filesBtn;
+        if (btn) btn.style.display = this.files.length > 1 ? '' : 'none';
+
+        // Episode titles arrive later from TMDb
+        if (this.files.some(f => f.episode)) {
+            const files = this.files;
+            MetadataService.resolveEpisodes(files, App.state.currentMovie).then(() => {
+                if (this.files === files && this.isOpen) this.render();
+            });
+        }
+    },
+
+    /**
+     * Human label for an episode file ("T1 E3 · Title"), or null for non-episodes
+     */
+    getEpisodeLabel(file) {
+        if (!file?.episode) return null;
+        const { season, episode, endEpisode } = file.episode;
+        const episodes = I18n.t('movie.episodeShort', { number: episode }) +
+            (endEpisode ? `-${I18n.t('movie.episodeShort', { number: endEpisode })}` : '');
+        let label = `${I18n.t('movie.seasonShort', { number: season })} ${episodes}`;
+        if (file.episodeMeta?.title) label += ` · ${file.episodeMeta.title}`;
+        return label;
+    },
+
+    /**
+     * File that follows the active one in playback order
+     * @returns {Object|null}
+     */
+    getNextFile() {
+        const current = this.files.findIndex(f => f.index === this.activeIndex);
+        if (current === -1) return null;
+        return this.files[current + 1] || null;
+    },
+
+    reset() {
+        this.setFiles([], null);
+        this.isInitialSelection = false;
+        if (this.isOpen) {
+            this.isOpen = false;
+            this.backdropEl.classList.remove('active');
+        }
+    },
+
+    show() {
+        if (this.files.length === 0) return;
+        this.render();
+        this.isOpen = true;
+        this.backdropEl.classList.add('active');
+    },
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.backdropEl.classList.remove('active');
+
+        // Dismissed before anything was chosen: nothing to play
+        if (this.isInitialSelection) {
+            this.isInitialSelection = false;
+            Player.close();
+        }
+    },
+
+    render() {
+        this.listEl.innerHTML = '';
+
+        this.files.forEach(file => {
+            const btn = document.createElement('button');
+            btn.className = `cast-device-btn ${file.index === this.activeIndex ? 'selected' : ''}`;
+            btn.title = file.path || file.name;
+            btn.innerHTML = `
+                <div class="cast-device-info">
+                    <span class="cast-device-name">${Formatters.sanitizeHtml(this.getEpisodeLabel(file) || file.name)}</span>
+                    <span class="cast-device-type">${Formatters.formatFileSize(file.length)}</span>
+                </div>
+            `;
+            btn.addEventListener('click', () => this.select(file));
+            this.listEl.appendChild(btn);
+        });
+    },
+
+    /**
+     * Ask the main process to stream (or cast) the chosen file
+     */
+    select(file) {
+        if (file.index === this.activeIndex && !this.isInitialSelection) {
+            this.hide();
+            return;
+        }
+
+        console.log(`[FilePicker] Selected: ${file.name}`);
+        this.activeIndex = file.index;
+        this.isInitialSelection = false;
+        this.hide();
+
+        Player.setFile(file);
+
+        if (Player.isCastMode) {
+            const movie = App.state.currentMovie;
+            window.api.castSelectFile(file.index, {
+                title: this.getEpisodeLabel(file) || movie?.title || file.name,
+                coverUrl: movie?.large_cover_image || movie?.medium_cover_image || null,
+                startTime: Player.pendingSeek
+            });
+            return;
+        }
+
+        UI.showLoader();
+        window.api.selectTorrentFile(file.index);
+    }
+};
+
+console.log('[FilePicker] Module loaded');
@@ -0,0 +1,145 @@
+/**
+ * Language Modal Component
+ * Edits the interface language, the preferred subtitle and audio languages
+ * (ordered BCP 47 codes) and whether a subtitle is loaded automatically when playback starts
+ */
+const LanguageModal = {
+    backdropEl: null,
+    fields: {},
+    isOpen: false,
+
+    init() {
+        this.backdropEl = document.createElement('div');
+        this.backdropEl.className = 'cast-modal-backdrop';
+        this.backdropEl.innerHTML = `
+            <div class="cast-modal bandwidth-modal">
+                <div class="cast-modal-header">
+                    <h3 class="cast-modal-title">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"></circle>
+                            <line x1="2" y1="12" x2="22" y2="12"></line>
+                            <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+                        </svg>
+                        <span data-i18n="languages.title">Idiomas preferidos</span>
+                    </h3>
+                    <button class="cast-modal-close">&times;</button>
+                </div>
+                <div class="cast-modal-body">
+                    <label class="bandwidth-field">
+                        <span data-i18n="languages.interface">Idioma de la interfaz</span>
+                        <select data-key="uiLanguage"></select>
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="languages.subtitles">Subtítulos, en orden de preferencia (ej.: es-419, es, en)</span>
+                        <input type="text" spellcheck="false" data-key="subtitleLanguages">
+                        <small class="language-field-hint" data-hint="subtitleLanguages"></small>
+                    </label>
+                    <label class="bandwidth-field">
+                        <span data-i18n="languages.audio">Audio, en orden de preferencia (vacío = el del archivo)</span>
+                        <input type="text" spellcheck="false" data-key="audioLanguages">
+                        <small class="language-field-hint" data-hint="audioLanguages"></small>
+                    </label>
+                    <label class="bandwidth-check">
+                        <input type="checkbox" data-key="autoLoadSubtitles">
+                        <span data-i18n="languages.autoLoad">Cargar subtítulos automáticamente</span>
+                    </label>
+                </div>
+                <div class="cast-modal-footer">
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                    <button class="cast-btn-connect" data-i18n="common.save">Guardar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
+
+        this.backdropEl.querySelectorAll('[data-key]').forEach(el => {
+            this.fields[el.dataset.key] = el;
+        });
+        ['subtitleLanguages', 'audioLanguages'].forEach(key => {
+            this.fields[key].addEventListener('input', () => this.updateHint(key));
+        });
+
+        this.backdropEl.querySelector('.cast-modal-close').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-cancel').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-connect').addEventListener('click', () => this.save());
+        this.backdropEl.addEventListener('click', (e) => {
+            if (e.target === this.backdropEl) this.hide();
+        });
+
+        document.getElementById('subtitle-languages-btn')?.addEventListener('click', () => this.show());
+
+        console.log('[LanguageModal] Initialized');
+    },
+
+    async show() {
+        try {
+            const prefs = await window.api.settings.getLanguages();
+            this.populateUiLanguages((await window.api.settings.getUiLanguage()).uiLanguage);
+            this.fields.subtitleLanguages.value = prefs.subtitleLanguages.join(', ');
+            this.fields.audioLanguages.value = prefs.audioLanguages.join(', ');
+            this.fields.autoLoadSubtitles.checked = !!prefs.autoLoadSubtitles;
+        } catch (e) {
+            console.error('[LanguageModal] Could not load preferences:', e);
+            Toast.show(I18n.t('languages.loadFailed'), 'error');
+            return;
+        }
+
+        this.updateHint('subtitleLanguages');
+        this.updateHint('audioLanguages');
+        this.isOpen = true;
+        this.backdropEl.classList.add('active');
+    },
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.backdropEl.classList.remove('active');
+    },
+
+    /**
+     * Catalogs available for the interface; "" follows the system language
+     */
+    populateUiLanguages(selected) {
+        const select = this.fields.uiLanguage;
+        select.innerHTML = '';
+        [{ code: '', name: I18n.t('languages.system') }, ...I18n.getLocales()].forEach(({ code, name }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected || '';
+    },
+
+    /**
+     * Names of the typed codes, in order, so typos show up before saving
+     */
+    updateHint(key) {
+        const hint = this.backdropEl.querySelector(`[data-hint="${key}"]`);
+        const codes = Languages.parseList(this.fields[key].value);
+        hint.textContent = codes.map(code => Languages.displayName(code, I18n.locale)).join(' → ');
+    },
+
+    async save() {
+        const partial = {
+            subtitleLanguages: this.fields.subtitleLanguages.value,
+            audioLanguages: this.fields.audioLanguages.value,
+            autoLoadSubtitles: this.fields.autoLoadSubtitles.checked
+        };
+
+        try {
+            await Subtitles.setLanguages(partial);
+            const locale = await window.api.settings.setUiLanguage(this.fields.uiLanguage.value);
+            if (locale !== I18n.locale) Main.applyLanguage(locale);
+            Toast.show(I18n.t('languages.saved'), 'success');
+            this.hide();
+        } catch (e) {
+            console.error('[LanguageModal] Save failed:', e);
+            Toast.show(I18n.t('languages.saveFailed'), 'error');
+        }
+    }
+};
+
+console.log('[LanguageModal] Module loaded');
@@ -0,0 +1,238 @@
+/**
+ * Open Torrent Modal Component
+ * Plays an arbitrary magnet link or .torrent file (pasted, dropped, chosen,
+ * or handed over by the OS through the magnet: protocol handler)
+ */
+const OpenTorrentModal = {
+    backdropEl: null,
+    inputEl: null,
+    dropEl: null,
+    fileInputEl: null,
+    selectedFile: null,
+    isOpen: false,
+
+    init() {
+        this.backdropEl = document.createElement('div');
+        this.backdropEl.className = 'cast-modal-backdrop';
+        this.backdropEl.innerHTML = `
+            <div class="cast-modal open-torrent-modal">
+                <div class="cast-modal-header">
+                    <h3 class="cast-modal-title">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+                            <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+                        </svg>
+                        <span data-i18n="openTorrent.title">Abrir magnet o torrent</span>
+                    </h3>
+                    <button class="cast-modal-close">&times;</button>
+                </div>
+                <div class="cast-modal-body">
+                    <input type="text" class="open-torrent-input" placeholder="magnet:?xt=urn:btih:..." spellcheck="false">
+                    <div class="open-torrent-drop">
+                        <span class="open-torrent-drop-text">Soltá un archivo .torrent acá o hacé clic para elegirlo</span>
+                    </div>
+                    <input type="file" class="open-torrent-file" accept=".torrent" style="display: none;">
+                </div>
+                <div class="cast-modal-footer">
+                    <button class="cast-btn-cancel" data-i18n="common.cancel">Cancelar</button>
+                    <button class="cast-btn-connect" data-i18n="openTorrent.play">Reproducir</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
+
+        this.inputEl = this.backdropEl.querySelector('.open-torrent-input');
+        this.dropEl = this.backdropEl.querySelector('.open-torrent-drop');
+        this.dropTextEl = this.backdropEl.querySelector('.open-torrent-drop-text');
+        this.fileInputEl = this.backdropEl.querySelector('.open-torrent-file');
+
+        this.backdropEl.querySelector('.cast-modal-close').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-cancel').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('.cast-btn-connect').addEventListener('click', () => this.submit());
+        this.backdropEl.addEventListener('click', (e) => {
+            if (e.target === this.backdropEl) this.hide();
+        });
+
+        this.inputEl.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.submit();
+        });
+        this.inputEl.addEventListener('input', () => this.setFile(null));
+
+        this.dropEl.addEventListener('click', () => this.fileInputEl.click());
+        this.fileInputEl.addEventListener('change', () => this.setFile(this.fileInputEl.files[0] || null));
+
+        this.setupDragDrop();
+
+        // magnet: links and .torrent files opened from the OS
+        window.api.onOpenTorrent((source) => this.open(source));
+
+        document.getElementById('nav-open')?.addEventListener('click', () => this.show());
+
+        console.log('[OpenTorrentModal] Initialized');
+    },
+
+    /**
+     * .torrent files can be dropped on the modal or anywhere outside the player
+     * (the player view keeps its own drop handling for subtitles)
+     */
+    setupDragDrop() {
+        const isTorrentDrag = (e) => [...(e.dataTransfer?.items || [])].some(i => i.kind === 'file');
+        const inPlayer = (e) => !!e.target.closest?.('#player-view');
+
+        document.addEventListener('dragover', (e) => {
+            if (inPlayer(e) || !isTorrentDrag(e)) return;
+            e.preventDefault();
+            this.dropEl.classList.toggle('active', this.dropEl.contains(e.target));
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (inPlayer(e)) return;
+            e.preventDefault();
+            this.dropEl.classList.remove('active');
+
+            const file = [...(e.dataTransfer?.files || [])].find(f => f.name.toLowerCase().endsWith('.torrent'));
+            if (!file) {
+                if (e.dataTransfer?.files.length) Toast.show(I18n.t('openTorrent.onlyTorrentFiles'), 'info');
+                return;
+            }
+
+            if (this.isOpen) {
+                this.setFile(file);
+            } else {
+                this.openFile(file);
+            }
+        });
+    },
+
+    show() {
+        this.inputEl.value = '';
+        this.setFile(null);
+        this.isOpen = true;
+        this.backdropEl.classList.add('active');
+        this.inputEl.focus();
+    },
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.backdropEl.classList.remove('active');
+    },
+
+    setFile(file) {
+        this.selectedFile = file;
+        this.dropEl.classList.toggle('has-file', !!file);
+        this.dropTextEl.textContent = file ? file.name : I18n.t('openTorrent.drop');
+        if (file) this.inputEl.value = '';
+        if (!file) this.fileInputEl.value = '';
+    },
+
+    submit() {
+        if (this.selectedFile) {
+            const file = this.selectedFile;
+            this.hide();
+            this.openFile(file);
+            return;
+        }
+
+        const magnet = this.inputEl.value.trim();
+        if (!MagnetUtils.isValidMagnet(magnet)) {
+            Toast.show(I18n.t('openTorrent.invalidMagnet'), 'error');
+            return;
+        }
+
+        this.hide();
+        this.open(magnet);
+    },
+
+    /**
+     * Play a .torrent File object (streamed from its path on disk)
+     */
+    async openFile(file) {
+        const filePath = window.api.getPathForFile(file);
+        if (!filePath) {
+            Toast.show(I18n.t('openTorrent.unreadableFile'), 'error');
+            return;
+        }
+
+        let name = null;
+        try {
+            name = MagnetUtils.readTorrentName(await file.arrayBuffer());
+        } catch (e) {
+            console.warn('[OpenTorrentModal] Could not read torrent name:', e);
+        }
+
+        this.open(filePath, name || file.name.replace(/\.torrent$/i, ''));
+    },
+
+    /**
+     * Resolve metadata and start playback
+     * @param {string} source - Magnet URI or path to a .torrent file
+     * @param {string} [name] - Release name, when already known
+     */
+    async open(source, name = null) {
+        const isMagnet = source.startsWith('magnet:');
+        if (isMagnet && !MagnetUtils.isValidMagnet(source)) {
+            Toast.show(I18n.t('openTorrent.invalidMagnet'), 'error');
+            return;
+        }
+
+        if (!name) {
+            name = isMagnet
+                ? MagnetUtils.extractName(source)
+                : source.split(/[\\/]/).pop().replace(/\.torrent$/i, '');
+        }
+
+        Toast.show(I18n.t('openTorrent.opening'));
+        const movie = await this.buildMovie(source, isMagnet, name);
+        console.log(`[OpenTorrentModal] Playing "${movie.title}" from ${isMagnet ? 'magnet' : 'torrent file'}`);
+
+        App.state.currentMovie = movie;
+        App.state.selectedTorrent = movie.torrents[0];
+        Main.playMovie(movie);
+    },
+
+    /**
+     * Movie object in catalog shape, enriched from TMDb when the name matches
+     */
+    async buildMovie(source, isMagnet, name) {
+        const hash = isMagnet ? MagnetUtils.extractInfoHash(source) : null;
+
+        let parsed = null;
+        if (name) {
+            try {
+                parsed = await window.api.catalog.parseRelease(name);
+            } catch (e) {
+                console.warn('[OpenTorrentModal] Could not parse release name:', e);
+            }
+        }
+
+        const movie = {
+            title: parsed?.title || name || 'Torrent',
+            year: parsed?.year || null,
+            magnet: isMagnet ? source : null,
+            torrents: [{
+                url: source,
+                magnet: isMagnet ? source : null,
+                hash,
+                quality: parsed?.quality || 'Default'
+            }]
+        };
+        // Lets playMovie() find a finished download of the same torrent
+        if (hash) movie.infoHash = hash;
+
+        const metadata = parsed?.title ? await MetadataService.findMovieByTitle(parsed.title, parsed.year) : null;
+        if (metadata) {
+            MovieMapper.applyToMovie(movie, metadata);
+            movie.imdb_code = metadata.imdb_code;
+            movie.title = metadata.title || movie.title;
+            movie.year = metadata.year || movie.year;
+            movie.genres = metadata.genres;
+        }
+
+        return movie;
+    }
+};
+
+console.log('[OpenTorrentModal] Module loaded');
@@ -0,0 +1,202 @@
+/**
+ * Settings View
+ * Form built from the settings schema (main/settings-schema): API endpoints and
+ * keys, streaming, languages, bandwidth and cast. The main process validates the
+ * values; invalid fields are marked and nothing is saved until they are fixed
+ */
+const SettingsView = {
+    container: null,
+    schema: null,
+    values: {},
+    fields: {},
+
+    init() {
+        this.container = document.getElementById('view-settings');
+        console.log('[SettingsView] Initialized');
+    },
+
+    /**
+     * Read the current values and render the form (called when the view is opened)
+     */
+    async load() {
+        try {
+            if (!this.schema) this.schema = await window.api.settings.getSchema();
+            this.values = await window.api.settings.get();
+        } catch (e) {
+            console.error('[SettingsView] Could not load settings:', e);
+            Toast.show(I18n.t('settings.loadFailed'), 'error');
+            return;
+        }
+        this.render();
+    },
+
+    render() {
+        this.fields = {};
+        this.container.innerHTML = `
+            <div class="section-header">
+                <h2 class="section-title" data-i18n="settings.title">Ajustes</h2>
+                <div class="section-actions">
+                    <button class="section-action-btn settings-save" data-i18n="common.save">Guardar</button>
+                </div>
+            </div>
+            <div class="settings-groups"></div>
+        `;
+        I18n.translateDom(this.container);
+        this.container.querySelector('.settings-save').addEventListener('click', () => this.save());
+
+        const groupsEl = this.container.querySelector('.settings-groups');
+        this.schema.groups.forEach(group => {
+            const section = document.createElement('section');
+            section.className = 'settings-group';
+            const title = document.createElement('h3');
+            title.className = 'settings-group-title';
+            title.textContent = I18n.t(`settings.groups.${group}`);
+            section.appendChild(title);
+
+            this.schema.fields
+                .filter(field => field.group === group)
+                .forEach(field => section.appendChild(this.createField(field)));
+            groupsEl.appendChild(section);
+        });
+    },
+
+    /**
+     * One labelled control per schema type; booleans are checkboxes, secrets password inputs
+     */
+    createField(field) {
+        const value = this.values[field.key];
+
+        if (field.type === 'boolean') {
+            const label = document.createElement('label');
+            label.className = 'bandwidth-check settings-check';
+            label.innerHTML = `<input type="checkbox"><span></span>`;
+            label.querySelector('span').textContent = I18n.t(`settings.fields.${field.key}`);
+            this.fields[field.key] = label.querySelector('input');
+            this.fields[field.key].checked = !!value;
+            return label;
+        }
+
+        const label = document.createElement('label');
+        label.className = 'bandwidth-field';
+        const name = document.createElement('span');
+        name.textContent = I18n.t(`settings.fields.${field.key}`);
+        label.appendChild(name);
+
+        let control;
+        if (field.type === 'enum') {
+            control = document.createElement('select');
+            field.values.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option;
+                el.textContent = this.optionLabel(field.key, option);
+                control.appendChild(el);
+            });
+            control.value = value;
+        } else if (field.type === 'paths') {
+            // One folder per line
+            control = document.createElement('textarea');
+            control.rows = 3;
+            control.spellcheck = false;
+            control.value = value.join('\n');
+        } else {
+            control = document.createElement('input');
+            control.spellcheck = false;
+            if (field.type === 'integer' || field.type === 'number') {
+                control.type = 'number';
+                control.step = field.type === 'integer' ? '1' : 'any';
+                if (field.min != null) control.min = field.min;
+                if (field.max != null) control.max = field.max;
+            } else {
+                control.type = field.secret ? 'password' : 'text';
+            }
+            control.value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+        }
+        this.fields[field.key] = control;
+
+        if (field.type === 'path' || field.type === 'paths') {
+            const row = document.createElement('div');
+            row.className = 'settings-path';
+            const choose = document.createElement('button');
+            choose.type = 'button';
+            choose.className = 'section-action-btn';
+            choose.textContent = I18n.t(field.type === 'paths' ? 'settings.addFolder' : 'settings.chooseFolder');
+            choose.addEventListener('click', async (e) => {
+                e.preventDefault();
+                const folder = await window.api.settings.chooseFolder(field.type === 'path' ? control.value : '');
+                if (!folder) return;
+                control.value = field.type === 'paths' ? [control.value.trim(), folder].filter(Boolean).join('\n') : folder;
+            });
+            row.append(control, choose);
+            label.appendChild(row);
+        } else {
+            label.appendChild(control);
+        }
+
+        const error = document.createElement('small');
+        error.className = 'settings-field-error';
+        error.dataset.error = field.key;
+        label.appendChild(error);
+        return label;
+    },
+
+    optionLabel(key, value) {
+        if (key === 'uiLanguage') {
+            return value ? (I18n.getLocales().find(locale => locale.code === value)?.name || value) : I18n.t('languages.system');
+        }
+        return I18n.t(`settings.options.${key}.${value}`);
+    },
+
+    showErrors(errors) {
+        this.container.querySelectorAll('[data-error]').forEach(el => {
+            el.textContent = errors[el.dataset.error] || '';
+            el.closest('label').classList.toggle('invalid', !!errors[el.dataset.error]);
+        });
+    },
+
+    async save() {
+        const partial = {};
+        Object.entries(this.fields).forEach(([key, el]) => {
+            partial[key] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+
+        let result;
+        try {
+            result = await window.api.settings.update(partial);
+        } catch (e) {
+            console.error('[SettingsView] Save failed:', e);
+            Toast.show(I18n.t('settings.saveFailed'), 'error');
+            return;
+        }
+
+        this.showErrors(result.errors);
+        const invalid = Object.keys(result.errors).length;
+        if (invalid) {
+            Toast.show(I18n.t('settings.invalid', { count: invalid }), 'error');
+            return;
+        }
+
+        const previous = this.values;
+        this.values = result.settings;
+        await this.applyChanges(previous, result.settings);
+        Toast.show(I18n.t('settings.saved'), 'success');
+    },
+
+    /**
+     * Renderer state that caches a setting; the main process reads the rest on each use
+     */
+    async applyChanges(previous, current) {
+        const changed = key => JSON.stringify(previous[key]) !== JSON.stringify(current[key]);
+
+        if (changed('tmdbApiKey')) MetadataService.resetApiKey();
+        if (['subtitleLanguages', 'audioLanguages', 'autoLoadSubtitles'].some(changed)) await Subtitles.loadLanguages();
+        if (changed('uiLanguage')) {
+            const { locale } = await window.api.settings.getUiLanguage();
+            if (locale !== I18n.locale) {
+                Main.applyLanguage(locale);
+                this.render();
+            }
+        }
+    }
+};
+
+console.log('[SettingsView] Module loaded');
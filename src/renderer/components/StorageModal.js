@@ -0,0 +1,278 @@
+/**
+ * Storage Modal Component
+ * Library folders with their free space, moving a library to another folder,
+ * disk usage per movie and cleanup of download folders the library no longer knows
+ */
+const StorageModal = {
+    backdropEl: null,
+    isOpen: false,
+    moving: false,
+    orphans: [],
+
+    init() {
+        this.backdropEl = document.createElement('div');
+        this.backdropEl.className = 'cast-modal-backdrop';
+        this.backdropEl.innerHTML = `
+            <div class="cast-modal storage-modal">
+                <div class="cast-modal-header">
+                    <h3 class="cast-modal-title">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="22" y1="12" x2="2" y2="12"></line>
+                            <path d="M5.45 5.11L2 12v6a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2v-6l-3.45-6.89A2 2 0 0 0 16.76 4H7.24a2 2 0 0 0-1.79 1.11z"></path>
+                            <line x1="6" y1="16" x2="6.01" y2="16"></line>
+                            <line x1="10" y1="16" x2="10.01" y2="16"></line>
+                        </svg>
+                        <span data-i18n="storage.title">Almacenamiento</span>
+                    </h3>
+                    <button class="cast-modal-close">&times;</button>
+                </div>
+                <div class="cast-modal-body">
+                    <div class="storage-section">
+                        <div class="section-header">
+                            <h4 class="storage-section-title" data-i18n="storage.folders">Carpetas de la biblioteca</h4>
+                            <button class="section-action-btn" data-action="add-folder" data-i18n="settings.addFolder">Agregar…</button>
+                        </div>
+                        <div class="download-list storage-folders"></div>
+                        <small class="storage-move-progress"></small>
+                    </div>
+                    <div class="storage-section">
+                        <h4 class="storage-section-title" data-i18n="storage.usage">Espacio por película</h4>
+                        <div class="download-list storage-usage"></div>
+                    </div>
+                    <div class="storage-section">
+                        <div class="section-header">
+                            <h4 class="storage-section-title" data-i18n="storage.orphans">Carpetas sin película</h4>
+                            <button class="section-action-btn danger" data-action="clean" data-i18n="storage.clean" disabled>Limpiar</button>
+                        </div>
+                        <div class="download-list storage-orphans"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.backdropEl);
+        I18n.translateDom(this.backdropEl);
+
+        this.foldersEl = this.backdropEl.querySelector('.storage-folders');
+        this.usageEl = this.backdropEl.querySelector('.storage-usage');
+        this.orphansEl = this.backdropEl.querySelector('.storage-orphans');
+        this.progressEl = this.backdropEl.querySelector('.storage-move-progress');
+        this.cleanBtn = this.backdropEl.querySelector('[data-action="clean"]');
+
+        this.backdropEl.querySelector('.cast-modal-close').addEventListener('click', () => this.hide());
+        this.backdropEl.querySelector('[data-action="add-folder"]').addEventListener('click', () => this.addFolder());
+        this.cleanBtn.addEventListener('click', () => this.confirmClean());
+        this.foldersEl.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-move]');
+            if (btn) this.chooseDestination(btn.dataset.move);
+        });
+        this.backdropEl.addEventListener('click', (e) => {
+            if (e.target === this.backdropEl) this.hide();
+        });
+
+        window.api.library.onMoveProgress(({ done, total, title }) => {
+            this.progressEl.textContent = title ? I18n.t('storage.moving', { done: done + 1, total, title }) : '';
+        });
+
+        document.getElementById('btn-storage')?.addEventListener('click', () => this.show());
+
+        console.log('[StorageModal] Initialized');
+    },
+
+    show() {
+        this.isOpen = true;
+        this.backdropEl.classList.add('active');
+        this.refresh();
+    },
+
+    hide() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.backdropEl.classList.remove('active');
+    },
+
+    /**
+     * Folders first (fast), then usage and orphans, which read every file size
+     */
+    async refresh() {
+        const loading = `<div class="empty-message-small">${I18n.t('common.loading')}</div>`;
+        this.foldersEl.innerHTML = loading;
+        this.usageEl.innerHTML = loading;
+        this.orphansEl.innerHTML = loading;
+        this.cleanBtn.disabled = true;
+
+        try {
+            this.renderFolders(await window.api.library.getFolders());
+            const [usage, orphans] = await Promise.all([window.api.library.getUsage(), window.api.library.findOrphans()]);
+            this.renderUsage(usage);
+            this.renderOrphans(orphans);
+        } catch (e) {
+            console.error('[StorageModal] Could not read the library:', e);
+            Toast.show(I18n.t('storage.loadFailed'), 'error');
+        }
+    },
+
+    // Rows are built with DOM properties: folder paths may contain quotes
+    createRow(html, titlePath) {
+        const row = document.createElement('div');
+        row.className = 'download-row';
+        row.innerHTML = html;
+        if (titlePath) row.querySelector('.download-row-title').title = titlePath;
+        return row;
+    },
+
+    renderFolders(folders) {
+        const f = Formatters;
+        this.foldersEl.innerHTML = '';
+        folders.forEach(folder => {
+            const tags = [];
+            if (folder.isDefault) tags.push(I18n.t('storage.defaultFolder'));
+            if (folder.isTarget) tags.push(I18n.t('storage.targetFolder'));
+            const details = [I18n.t('storage.movies', { count: folder.downloads })];
+            details.push(folder.free == null
+                ? I18n.t('storage.unavailable')
+                : I18n.t('storage.free', { free: f.formatFileSize(folder.free), total: f.formatFileSize(folder.total) }));
+
+            const row = this.createRow(`
+                <div class="download-row-info">
+                    <div class="download-row-title">
+                        ${f.sanitizeHtml(folder.path)}
+                        ${tags.map(tag => `<span class="download-row-quality">${tag}</span>`).join('')}
+                    </div>
+                    ${folder.total ? `<div class="download-row-bar"><div style="width: ${Math.round((1 - folder.free / folder.total) * 100)}%;"></div></div>` : ''}
+                    <div class="download-row-stats">${details.map(d => `<span>${d}</span>`).join('')}</div>
+                </div>
+                <div class="download-row-actions">
+                    <button class="section-action-btn" ${folder.downloads && !this.moving ? '' : 'disabled'}>${I18n.t('storage.move')}</button>
+                </div>
+            `, folder.path);
+            row.querySelector('.section-action-btn').dataset.move = folder.path;
+            this.foldersEl.appendChild(row);
+        });
+    },
+
+    renderUsage(usage) {
+        const f = Formatters;
+        if (usage.length === 0) {
+            this.usageEl.innerHTML = `<div class="empty-message-small">${I18n.t('library.noDownloads')}</div>`;
+            return;
+        }
+        const largest = usage[0].bytes || 1;
+        const total = usage.reduce((sum, item) => sum + item.bytes, 0);
+
+        this.usageEl.innerHTML = `<div class="storage-total">${I18n.t('storage.total', { size: f.formatFileSize(total) })}</div>`;
+        usage.forEach(item => {
+            const row = this.createRow(`
+                <div class="download-row-info">
+                    <div class="download-row-title">
+                        ${f.sanitizeHtml(item.title || item.infoHash)}
+                        ${item.quality ? `<span class="download-row-quality">${f.sanitizeHtml(item.quality)}</span>` : ''}
+                    </div>
+                    <div class="download-row-bar"><div style="width: ${Math.round(item.bytes / largest * 100)}%;"></div></div>
+                    <div class="download-row-stats">
+                        <span>${f.formatFileSize(item.bytes)}</span>
+                        <span>${I18n.t('storage.video', { size: f.formatFileSize(item.videoBytes) })}</span>
+                        <span class="storage-library-dir">${f.sanitizeHtml(item.libraryDir)}</span>
+                    </div>
+                </div>
+            `);
+            row.querySelector('.storage-library-dir').title = item.libraryDir;
+            this.usageEl.appendChild(row);
+        });
+    },
+
+    renderOrphans(orphans) {
+        const f = Formatters;
+        this.orphans = orphans;
+        this.cleanBtn.disabled = orphans.length === 0;
+        if (orphans.length === 0) {
+            this.orphansEl.innerHTML = `<div class="empty-message-small">${I18n.t('storage.noOrphans')}</div>`;
+            return;
+        }
+        this.orphansEl.innerHTML = '';
+        orphans.forEach(orphan => {
+            this.orphansEl.appendChild(this.createRow(`
+                <div class="download-row-info">
+                    <div class="download-row-title">${f.sanitizeHtml(orphan.path)}</div>
+                    <div class="download-row-stats"><span>${f.formatFileSize(orphan.bytes)}</span></div>
+                </div>
+            `, orphan.path));
+        });
+    },
+
+    /**
+     * New library folder, e.g. on an external drive; downloads can then be moved there
+     */
+    async addFolder() {
+        const folder = await window.api.settings.chooseFolder();
+        if (!folder) return;
+        const { libraryFolders } = await window.api.settings.get();
+        const { errors } = await window.api.settings.update({ libraryFolders: [...libraryFolders, folder] });
+        if (errors.libraryFolders) {
+            Toast.show(errors.libraryFolders, 'error');
+            return;
+        }
+        this.refresh();
+    },
+
+    async chooseDestination(from) {
+        if (this.moving) return;
+        const to = await window.api.settings.chooseFolder();
+        if (!to || to === from) return;
+
+        ConfirmModal.show(
+            I18n.t('storage.moveTitle'),
+            I18n.t('storage.moveMessage', { from, to }),
+            () => this.move(from, to),
+            I18n.t('storage.move')
+        );
+    },
+
+    async move(from, to) {
+        this.moving = true;
+        this.foldersEl.querySelectorAll('[data-move]').forEach(btn => { btn.disabled = true; });
+        try {
+            const result = await window.api.library.move(from, to);
+            if (result.failed.length) {
+                console.warn('[StorageModal] Not moved:', result.failed);
+                Toast.show(I18n.t('storage.movePartial', { moved: result.moved, failed: result.failed.length }), 'error');
+            } else {
+                Toast.show(I18n.t('storage.moved', { count: result.moved }), 'success');
+            }
+            if (result.skipped) Toast.show(I18n.t('storage.moveSkipped', { count: result.skipped }), 'info');
+        } catch (e) {
+            console.error('[StorageModal] Move failed:', e);
+            Toast.show(I18n.t('common.errorWithMessage', { message: e.message }), 'error');
+        } finally {
+            this.moving = false;
+            this.progressEl.textContent = '';
+        }
+        // Cards play from localPath, which now points at the new folder
+        Library.load('downloads');
+        if (this.isOpen) this.refresh();
+    },
+
+    confirmClean() {
+        if (this.orphans.length === 0) return;
+        const size = Formatters.formatFileSize(this.orphans.reduce((sum, orphan) => sum + orphan.bytes, 0));
+
+        ConfirmModal.show(
+            I18n.t('storage.cleanTitle'),
+            I18n.t('storage.cleanMessage', { count: this.orphans.length, size }),
+            async () => {
+                try {
+                    const { removed, freed } = await window.api.library.removeOrphans(this.orphans.map(orphan => orphan.path));
+                    Toast.show(I18n.t('storage.cleaned', { count: removed, size: Formatters.formatFileSize(freed) }), 'success');
+                } catch (e) {
+                    console.error('[StorageModal] Cleanup failed:', e);
+                    Toast.show(I18n.t('storage.cleanFailed'), 'error');
+                }
+                if (this.isOpen) this.refresh();
+            },
+            I18n.t('storage.clean'),
+            true
+        );
+    }
+};
+
+console.log('[StorageModal] Module loaded');
@@ -9,7 +9,9 @@ const App = {
         availableSubtitles: [],
         currentSubtitleUrl: null,
         downloadProgress: 0,
-        apiUrl: null,
+        torrentFiles: [],
+        // 'movies' (YTS catalog) or 'shows' (TMDb TV)
+        catalogMode: 'movies',
         // Pagination for infinite scroll
         currentPage: 1,
         isLoadingMore: false,
@@ -48,16 +50,52 @@ const App = {
             fullscreenBtn: document.getElementById('p-fullscreen'),
             subtitlesBtn: document.getElementById('p-subtitles'),
             castBtn: document.getElementById('p-cast'),
+            filesBtn: document.getElementById('p-files'),
+            audioBtn: document.getElementById('p-audio'),
+            audioMenu: document.getElementById('audio-menu'),
+            audioMenuList: document.getElementById('audio-menu-list'),
+            audioMenuClose: document.getElementById('audio-menu-close'),
             subtitleMenu: document.getElementById('subtitle-menu'),
             subtitleMenuList: document.getElementById('subtitle-menu-list'),
             subtitleMenuClose: document.getElementById('subtitle-menu-close'),
-            subtitleOverlay: document.getElementById('subtitle-drop-overlay')
+            subtitleDelayMinus: document.getElementById('subtitle-delay-minus'),
+            subtitleDelayPlus: document.getElementById('subtitle-delay-plus'),
+            subtitleDelayValue: document.getElementById('subtitle-delay-value'),
+            subtitleFramerate: document.getElementById('subtitle-framerate'),
+            subtitleAutoSync: document.getElementById('subtitle-autosync'),
+            subtitleTimingOsd: document.getElementById('subtitle-timing-osd'),
+            subtitleSlotTabs: document.querySelectorAll('.subtitle-slot-tab'),
+            subtitleSecondaryPosition: document.getElementById('subtitle-secondary-position'),
+            subtitleSecondaryDelayRow: document.getElementById('subtitle-secondary-delay-row'),
+            subtitleSecondaryDelayMinus: document.getElementById('subtitle-secondary-delay-minus'),
+            subtitleSecondaryDelayPlus: document.getElementById('subtitle-secondary-delay-plus'),
+            subtitleSecondaryDelayValue: document.getElementById('subtitle-secondary-delay-value'),
+            subtitleDualOverlay: document.getElementById('subtitle-dual-overlay'),
+            subtitleDualTop: document.getElementById('subtitle-dual-top'),
+            subtitleDualBottom: document.getElementById('subtitle-dual-bottom'),
+            subtitleStylePreview: document.getElementById('subtitle-style-preview-text'),
+            subtitleStyleSize: document.getElementById('subtitle-style-size'),
+            subtitleStyleColor: document.getElementById('subtitle-style-color'),
+            subtitleStyleBackground: document.getElementById('subtitle-style-background'),
+            subtitleStyleEdge: document.getElementById('subtitle-style-edge'),
+            subtitleStylePosition: document.getElementById('subtitle-style-position'),
+            subtitleOverlay: document.getElementById('subtitle-drop-overlay'),
+            nextEpisode: document.getElementById('next-episode'),
+            nextEpisodeTitle: document.getElementById('next-episode-title'),
+            nextEpisodeCountdown: document.getElementById('next-episode-countdown'),
+            nextEpisodePlayBtn: document.getElementById('next-episode-play'),
+            nextEpisodeCancelBtn: document.getElementById('next-episode-cancel'),
+            unplayable: document.getElementById('player-unplayable'),
+            unplayableMessage: document.getElementById('player-unplayable-message'),
+            unplayableCloseBtn: document.getElementById('player-unplayable-close'),
+            unplayableIgnoreBtn: document.getElementById('player-unplayable-ignore')
         },
 
         // Navigation / Search
         search: {
             input: document.querySelector('.search-input'),
             button: document.querySelector('.search-button'),
+            source: document.getElementById('filter-source'),
             genre: document.getElementById('filter-genre'),
             sort: document.getElementById('filter-sort')
         },
@@ -3,9 +3,81 @@ const Library = {
         this.dom = {
             favoritesGrid: document.getElementById('lib-favorites'),
             watchlistGrid: document.getElementById('lib-watchlist'),
+            continueGrid: document.getElementById('lib-continue'),
+            recentGrid: document.getElementById('lib-recent'),
             favoritesEmpty: document.getElementById('favorites-empty'),
-            watchlistEmpty: document.getElementById('watchlist-empty')
+            watchlistEmpty: document.getElementById('watchlist-empty'),
+            continueEmpty: document.getElementById('continue-empty'),
+            recentEmpty: document.getElementById('recent-empty'),
+            continueSection: document.getElementById('lib-section-continue'),
+            recentSection: document.getElementById('lib-section-recent'),
+            clearHistoryBtn: document.getElementById('btn-clear-history'),
+            verifyBtn: document.getElementById('btn-verify-library')
         };
+
+        if (this.dom.clearHistoryBtn) {
+            this.dom.clearHistoryBtn.addEventListener('click', () => this.confirmClearHistory());
+        }
+        if (this.dom.verifyBtn) {
+            this.dom.verifyBtn.addEventListener('click', () => this.verifyDownloads());
+        }
+
+        // Startup check results: one summary toast for all damaged downloads
+        let damaged = 0;
+        let toastTimer = null;
+        window.api.onDownloadIntegrity((result) => {
+            if (this.verifying || !this.INTEGRITY_BADGES[result.status]) return;
+            damaged++;
+            clearTimeout(toastTimer);
+            toastTimer = setTimeout(() => {
+                Toast.show(I18n.t('library.damagedOnStartup', { count: damaged }), 'info');
+                damaged = 0;
+            }, 1000);
+        });
+    },
+
+    // Card badges (message keys) for downloads that failed the integrity check
+    INTEGRITY_BADGES: { missing: 'library.integrityMissing', corrupt: 'library.integrityCorrupt' },
+    verifying: false,
+
+    /**
+     * Re-hash every finished download and offer to repair the damaged ones
+     */
+    async verifyDownloads() {
+        if (this.verifying) return;
+        this.verifying = true;
+        this.dom.verifyBtn.disabled = true;
+        this.dom.verifyBtn.textContent = I18n.t('library.verifying');
+
+        let results = [];
+        try {
+            results = await window.api.verifyLibrary({ full: true });
+        } catch (e) {
+            console.error('[Library] Verification failed:', e);
+            Toast.show(I18n.t('library.verifyFailed'), 'error');
+        } finally {
+            this.verifying = false;
+            this.dom.verifyBtn.disabled = false;
+            this.dom.verifyBtn.textContent = I18n.t('library.verify');
+        }
+
+        this.load('downloads');
+        const damaged = results.filter(r => this.INTEGRITY_BADGES[r.status]);
+        if (damaged.length === 0) {
+            if (results.length > 0) Toast.show(I18n.t('library.allComplete'), 'success');
+            return;
+        }
+
+        ConfirmModal.show(
+            I18n.t('library.damagedTitle'),
+            I18n.t('library.damagedMessage', { count: damaged.length }),
+            async () => {
+                for (const result of damaged) await window.api.repairDownload(result.infoHash);
+                Toast.show(I18n.t('library.repairing'));
+                this.load('downloads');
+            },
+            I18n.t('library.repair')
+        );
     },
 
     async load(mode = 'library') {
@@ -18,6 +90,8 @@ const Library = {
                 // Hide library sections
                 if (this.dom.favoritesGrid) this.dom.favoritesGrid.parentElement.style.display = 'none';
                 if (this.dom.watchlistGrid) this.dom.watchlistGrid.parentElement.style.display = 'none';
+                if (this.dom.continueSection) this.dom.continueSection.style.display = 'none';
+                if (this.dom.recentSection) this.dom.recentSection.style.display = 'none';
 
                 // Show downloads section (we need to ensure this container exists or create it)
                 let downloadsSection = document.getElementById('lib-section-downloads');
@@ -26,24 +100,64 @@ const Library = {
                 }
 
             } else {
-                // Library Mode (Favorites + Watchlist)
-                const library = await window.api.store.getLibrary();
+                // Library Mode (Continue Watching + Favorites + Watchlist + Recently Watched)
+                const [library, history] = await Promise.all([
+                    window.api.store.getLibrary(),
+                    window.api.store.getWatchHistory()
+                ]);
                 this.renderGrid(library.favorites, 'favorites');
                 this.renderGrid(library.watchlist, 'watchlist');
+                this.renderHistory(history);
 
                 if (this.dom.favoritesGrid) this.dom.favoritesGrid.parentElement.style.display = 'block';
                 if (this.dom.watchlistGrid) this.dom.watchlistGrid.parentElement.style.display = 'block';
 
                 const downloadsSection = document.getElementById('lib-section-downloads');
                 if (downloadsSection) downloadsSection.style.display = 'none';
+                const activeSection = document.getElementById('lib-section-active-downloads');
+                if (activeSection) activeSection.style.display = 'none';
             }
 
         } catch (e) {
             console.error('[Library] Load error:', e);
-            Toast.show('Error al cargar la biblioteca', 'error');
+            Toast.show(I18n.t('library.loadFailed'), 'error');
+        }
+    },
+
+    /**
+     * Render watch history rows
+     * Continue Watching is hidden entirely when there is nothing in progress
+     */
+    renderHistory(history) {
+        const continueWatching = history?.continueWatching || [];
+        const recentlyWatched = history?.recentlyWatched || [];
+
+        this.renderGrid(continueWatching, 'continue');
+        if (this.dom.continueSection) {
+            this.dom.continueSection.style.display = continueWatching.length > 0 ? 'block' : 'none';
+        }
+
+        this.renderGrid(recentlyWatched, 'recent');
+        if (this.dom.recentSection) this.dom.recentSection.style.display = 'block';
+        if (this.dom.clearHistoryBtn) {
+            this.dom.clearHistoryBtn.style.display = recentlyWatched.length > 0 ? '' : 'none';
         }
     },
 
+    confirmClearHistory() {
+        ConfirmModal.show(
+            I18n.t('library.clearHistoryTitle'),
+            I18n.t('library.clearHistoryMessage'),
+            async () => {
+                await window.api.store.clearWatchHistory();
+                Toast.show(I18n.t('library.historyCleared'));
+                this.load('library');
+            },
+            I18n.t('library.clear'),
+            true
+        );
+    },
+
     renderGrid(movies, type) {
         // ... (existing logic, just need to ensure 'downloads' type maps to a DOM element)
         let grid, emptyState;
@@ -70,15 +184,27 @@ const Library = {
         grid.style.display = 'grid';
         emptyState.style.display = 'none';
 
-        movies.forEach(movie => {
-            // Priority: Local Poster for Downloads
-            if (type === 'downloads' && movie.infoHash) {
-                // Construct relative path to app_data/downloads
-                // Assuming index.html is in src/ and app_data is in root
-                movie.localPoster = `../app_data/downloads/${movie.infoHash}/poster.jpg`;
+        const isHistory = type === 'continue' || type === 'recent';
+
+        movies.forEach(item => {
+            // History entries wrap the movie snapshot with position/duration
+            const movie = isHistory ? item.movie : item;
+            const options = {};
+            if (isHistory && !item.finished && item.duration > 0) {
+                options.progress = item.position / item.duration;
+            }
+            // Episodes of the same torrent share the snapshot; tell them apart
+            if (isHistory && movie.episode) {
+                options.title = `${movie.title} · ${I18n.t('movie.seasonShort', { number: movie.episode.season })} ${I18n.t('movie.episodeShort', { number: movie.episode.episode })}`;
+            }
+
+            if (type === 'downloads' && movie.repairing) {
+                options.badge = I18n.t('library.repairingBadge');
+            } else if (type === 'downloads' && this.INTEGRITY_BADGES[movie.integrity?.status]) {
+                options.badge = I18n.t(this.INTEGRITY_BADGES[movie.integrity.status]);
             }
 
-            const card = window.UI.createCardElement(movie);
+            const card = window.UI.createCardElement(movie, options);
             grid.appendChild(card);
         });
     }
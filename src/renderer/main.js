@@ -6,11 +6,21 @@ const Main = {
     async init() {
         console.log('[Main] Initializing...');
 
+        // UI language first: the modules build their markup with it
+        await this.setupLanguage();
+
         // Initialize other modules
         Toast.init();
         CastModal.init();
         DownloadModal.init();
         ConfirmModal.init(); // New Confirm Modal
+        FilePicker.init();
+        OpenTorrentModal.init();
+        BandwidthModal.init();
+        LanguageModal.init();
+        StorageModal.init();
+        DownloadsPanel.init();
+        SettingsView.init();
         UI.init();
         Library.init();
         Player.init();
@@ -28,8 +38,8 @@ const Main = {
         // Setup Modal Logic (Override default UI behavior)
         this.setupModalLogic();
 
-        // Get API URL and fetch initial movies
-        App.state.apiUrl = await window.api.getApiUrl();
+        // Populate catalog sources and fetch initial movies
+        await this.setupCatalogSources();
         this.fetchMovies();
 
         // Setup infinite scroll
@@ -54,6 +64,26 @@ const Main = {
         observer.observe(sentinel);
     },
 
+    async setupLanguage() {
+        try {
+            I18n.setLocale((await window.api.settings.getUiLanguage()).locale);
+        } catch (e) {
+            console.error('[Main] Could not load the UI language:', e);
+        }
+        I18n.translateDom(document);
+    },
+
+    /**
+     * Switch the UI language: static markup is translated now, rendered lists on their next render
+     */
+    applyLanguage(locale) {
+        I18n.setLocale(locale);
+        I18n.translateDom(document);
+        // Provider names come translated from the main process
+        this.setupCatalogSources();
+        console.log(`[Main] UI language: ${I18n.locale}`);
+    },
+
     setupWindowControls() {
         const w = App.dom.window;
         w.close?.addEventListener('click', () => window.api.closeApp());
@@ -63,8 +93,10 @@ const Main = {
 
     setupNavigation() {
         const navHome = document.getElementById('nav-home');
+        const navShows = document.getElementById('nav-shows');
         const navLibrary = document.getElementById('nav-library');
         const navDownloads = document.getElementById('nav-downloads');
+        const navSettings = document.getElementById('nav-settings');
 
         // Views - Reusing library view container for downloads or creating a new one?
         // Let's assume we reuse the library view structure but change the content source
@@ -72,18 +104,28 @@ const Main = {
         // For simplicity: Reuse view-library container but change what we load into it.
         const viewHome = document.getElementById('view-home');
         const viewLibrary = document.getElementById('view-library');
+        const viewSettings = document.getElementById('view-settings');
 
         const switchView = (mode) => {
-            // mode: 'home', 'library', 'downloads'
+            // mode: 'home', 'shows', 'library', 'downloads', 'settings'
 
             navHome.classList.toggle('active', mode === 'home');
+            navShows.classList.toggle('active', mode === 'shows');
             navLibrary.classList.toggle('active', mode === 'library');
             navDownloads.classList.toggle('active', mode === 'downloads');
+            navSettings.classList.toggle('active', mode === 'settings');
+            DownloadsPanel.setVisible(mode === 'downloads');
+            viewSettings.style.display = mode === 'settings' ? 'block' : 'none';
 
-            if (mode === 'home') {
+            if (mode === 'settings') {
+                viewHome.style.display = 'none';
+                viewLibrary.style.display = 'none';
+                SettingsView.load();
+            } else if (mode === 'home' || mode === 'shows') {
                 viewHome.style.display = 'block';
                 viewLibrary.style.display = 'none';
                 viewHome.classList.add('active');
+                this.setCatalogMode(mode === 'shows' ? 'shows' : 'movies');
             } else {
                 viewHome.style.display = 'none';
                 viewLibrary.style.display = 'block';
@@ -97,8 +139,10 @@ const Main = {
         };
 
         navHome.addEventListener('click', () => switchView('home'));
+        navShows.addEventListener('click', () => switchView('shows'));
         navLibrary.addEventListener('click', () => switchView('library'));
         navDownloads.addEventListener('click', () => switchView('downloads'));
+        navSettings.addEventListener('click', () => switchView('settings'));
 
         // Ensure correct initial state logic
         if (viewHome.style.display !== 'none') {
@@ -107,6 +151,26 @@ const Main = {
         }
     },
 
+    /**
+     * Switch the Explore grid between the movie catalog and TMDb TV shows
+     * @param {string} mode - 'movies' | 'shows'
+     */
+    setCatalogMode(mode) {
+        if (App.state.catalogMode === mode) return;
+        App.state.catalogMode = mode;
+
+        const isShows = mode === 'shows';
+        App.dom.search.input.value = '';
+        App.dom.search.input.dataset.i18nPlaceholder = isShows ? 'search.placeholderShows' : 'search.placeholderMovies';
+        App.dom.search.input.placeholder = I18n.t(App.dom.search.input.dataset.i18nPlaceholder);
+
+        // Genre/sort filters map to the movie catalog only
+        const filters = document.querySelector('.filters-container');
+        if (filters) filters.style.display = isShows ? 'none' : '';
+
+        this.fetchMovies();
+    },
+
     setupSearch() {
         const s = App.dom.search;
         s.button.addEventListener('click', () => this.handleSearch());
@@ -115,17 +179,42 @@ const Main = {
         });
 
         // Filter change handlers
+        s.source.addEventListener('change', async () => {
+            await window.api.catalog.setProvider(s.source.value);
+            this.handleSearch();
+        });
         s.genre.addEventListener('change', () => this.handleSearch());
         s.sort.addEventListener('change', () => this.handleSearch());
     },
 
+    /**
+     * Fill the source selector with the catalog providers from settings
+     */
+    async setupCatalogSources() {
+        const select = App.dom.search.source;
+        try {
+            const providers = await window.api.catalog.getProviders();
+            select.innerHTML = '';
+            providers.forEach(p => {
+                const option = document.createElement('option');
+                option.value = p.id;
+                option.textContent = p.name;
+                option.selected = p.active;
+                select.appendChild(option);
+            });
+        } catch (e) {
+            console.error('[Main] Could not load catalog providers:', e);
+        }
+        select.style.display = select.options.length > 1 ? '' : 'none';
+    },
+
     handleSearch() {
         const query = App.dom.search.input.value.trim();
         this.fetchMovies(query);
     },
 
     async fetchMovies(query = '', append = false) {
-        if (!App.state.apiUrl) return;
+        if (App.state.catalogMode === 'shows') return this.fetchShows(query, append);
 
         // Guard against duplicate loads
         if (append && App.state.isLoadingMore) return;
@@ -138,11 +227,8 @@ const Main = {
             App.state.hasMoreMovies = true;
         }
 
-        if (App.state.fetchController) {
-            App.state.fetchController.abort();
-        }
-        App.state.fetchController = new AbortController();
-        const signal = App.state.fetchController.signal;
+        // IPC calls can't be aborted: drop responses that a newer request superseded
+        const requestId = this.catalogRequestId = (this.catalogRequestId || 0) + 1;
 
         try {
             if (!append) {
@@ -151,40 +237,25 @@ const Main = {
                 UI.showSkeletons(10);
             }
 
-            const genre = App.dom.search.genre.value;
-            const sort = App.dom.search.sort.value;
-
-            const params = new URLSearchParams({
-                limit: 20,
+            const options = {
+                query,
+                genre: App.dom.search.genre.value,
+                sort: App.dom.search.sort.value,
                 page: App.state.currentPage,
-                sort_by: sort,
-                ...(query && { query_term: query }),
-                ...(genre && { genre: genre })
-            });
-
-            const url = `${App.state.apiUrl}?${params.toString()}`;
-            if (url.startsWith('https://yts.bz/https://yts.bz')) {
-                console.error('[Main] Detected malformed URL:', url);
-                App.state.apiUrl = 'https://yts.bz/api/v2/list_movies.json';
-                return this.fetchMovies(query);
-            }
-            console.log('[Main] Fetching:', url);
-
-            const timeoutId = setTimeout(() => {
-                if (App.state.fetchController) {
-                    App.state.fetchController.abort();
-                    Toast.show('La conexión es muy lenta, reintentando...', 'warning');
-                }
-            }, 8000);
-
-            const res = await fetch(url, { signal });
-            clearTimeout(timeoutId);
+                limit: 20
+            };
+            console.log('[Main] Catalog request:', options);
 
-            const data = await res.json();
+            const { movies: newMovies, hasMore, error } = await window.api.catalog.list(options);
+            if (requestId !== this.catalogRequestId) return;
 
-            if (data?.data?.movies) {
-                const newMovies = data.data.movies;
+            if (error) {
+                if (!append) UI.showError(error);
+                Toast.show(I18n.t('app.connectionError', { message: error }), 'error');
+                return;
+            }
 
+            if (newMovies.length > 0) {
                 if (append) {
                     App.state.movies = [...App.state.movies, ...newMovies];
                     UI.appendToGrid(newMovies);
@@ -194,24 +265,75 @@ const Main = {
                 }
 
                 App.state.currentPage++;
-                App.state.hasMoreMovies = newMovies.length === 20;
+                App.state.hasMoreMovies = hasMore;
 
                 this.enrichMovies(newMovies);
-            } else if (query && !append) {
-                UI.showEmptyState(query);
+            } else if (!append) {
+                App.state.movies = [];
+                App.state.hasMoreMovies = false;
+                if (query) {
+                    UI.showEmptyState(query);
+                } else {
+                    UI.renderGrid([]);
+                }
+            } else {
+                App.state.hasMoreMovies = false;
             }
         } catch (e) {
-            if (e.name === 'AbortError') {
-                console.log('[Main] Fetch aborted');
+            console.error('[Main] Fetch error:', e);
+            if (!append) UI.showError(e.message);
+            Toast.show(I18n.t('app.connectionError', { message: e.message }), 'error');
+        } finally {
+            if (requestId === this.catalogRequestId) {
+                App.dom.grid.style.opacity = '1';
+                App.state.isLoadingMore = false;
+            }
+        }
+    },
+
+    /**
+     * TV mode: shows come straight from TMDb (already normalized, no enrichment pass)
+     */
+    async fetchShows(query = '', append = false) {
+        if (append && (App.state.isLoadingMore || !App.state.hasMoreMovies)) return;
+
+        if (append) {
+            App.state.isLoadingMore = true;
+        } else {
+            App.state.currentPage = 1;
+            App.state.hasMoreMovies = true;
+            UI.showSkeletons(10);
+        }
+
+        // Drop results if the user switches mode or query mid-flight
+        const requestId = this.catalogRequestId = (this.catalogRequestId || 0) + 1;
+
+        try {
+            const { shows, hasMore } = await MetadataService.fetchShows(query, App.state.currentPage);
+            if (requestId !== this.catalogRequestId) return;
+
+            if (append) {
+                App.state.movies = [...App.state.movies, ...shows];
+                UI.appendToGrid(shows);
+            } else if (shows.length === 0) {
+                App.state.movies = [];
+                if (query) {
+                    UI.showEmptyState(query);
+                } else {
+                    UI.showError(I18n.t('app.showsLoadFailed'));
+                }
             } else {
-                console.error('[Main] Fetch error:', e);
-                if (!append) UI.showError(e.message);
-                Toast.show(`Connection Error: ${e.message}`, 'error');
+                App.state.movies = shows;
+                UI.renderGrid(shows);
             }
+
+            App.state.currentPage++;
+            App.state.hasMoreMovies = hasMore;
+        } catch (e) {
+            console.error('[Main] Shows fetch error:', e);
+            if (!append) UI.showError(e.message);
         } finally {
-            App.dom.grid.style.opacity = '1';
-            App.state.fetchController = null;
-            App.state.isLoadingMore = false;
+            if (requestId === this.catalogRequestId) App.state.isLoadingMore = false;
         }
     },
 
@@ -240,6 +362,7 @@ const Main = {
             // --- Persistence Logic ---
             const btnLike = document.getElementById('btn-like');
             const btnWatchLater = document.getElementById('btn-watch-later');
+            const btnWatched = document.getElementById('btn-watched');
 
             // Update Download Button using helper
             this.updateDownloadButton(movie);
@@ -247,58 +370,25 @@ const Main = {
             // Reset buttons state
             btnLike.classList.remove('active');
             btnWatchLater.classList.remove('active');
+            btnWatched.classList.remove('active');
+            btnWatched.title = I18n.t('movie.markWatched');
 
             // --- Quality Selection Logic ---
-            const qualitiesContainer = document.getElementById('m-qualities');
-            qualitiesContainer.innerHTML = ''; // Clear previous
-
-            // Prepare list of qualities
-            let availableTorrents = [];
-            if (movie.torrents && movie.torrents.length > 0) {
-                // Sort by quality (4k > 1080p > 720p > 3D) - crude sort
-                availableTorrents = [...movie.torrents].sort((a, b) => {
-                    const order = { '2160p': 4, '1080p': 3, '720p': 2, '3D': 1 };
-                    return (order[b.quality] || 0) - (order[a.quality] || 0);
-                });
-            } else if (movie.magnet) {
-                // Legacy/Library fallback
-                availableTorrents = [{ quality: 'Default', hash: movie.infoHash, url: movie.magnet, isDefault: true }];
-            }
-
-            // Select default (1080p or first)
-            let selectedT = availableTorrents.find(t => t.quality === '1080p') || availableTorrents[0];
-            // Store initially selected
-            App.state.selectedTorrent = selectedT;
-
-            if (availableTorrents.length > 0) {
-                availableTorrents.forEach(t => {
-                    const chip = document.createElement('div');
-                    chip.className = `quality-chip ${t === selectedT ? 'active' : ''}`;
-                    chip.textContent = t.quality || 'Unk';
-
-                    chip.onclick = () => {
-                        // UI Update
-                        document.querySelectorAll('.quality-chip').forEach(c => c.classList.remove('active'));
-                        chip.classList.add('active');
-
-                        // Logic Update
-                        App.state.selectedTorrent = t;
-                        console.log('[Main] Selected Quality:', t.quality, t.hash);
-
-                        // Update download button state immediately for the new selection
-                        this.updateDownloadButton(movie);
-                    };
-                    qualitiesContainer.appendChild(chip);
-                });
-            } else {
-                qualitiesContainer.innerHTML = '<span style="color:#666; font-size: 0.8rem;">No quality options</span>';
-            }
+            // Shows have no torrents of their own: each episode looks up its sources (selectEpisode)
+            const isShow = movie.type === 'show';
+            const availableTorrents = isShow
+                ? this.renderQualities(movie, [], I18n.t('movie.pickEpisode'))
+                : this.renderQualities(movie, this.getTorrentOptions(movie), I18n.t('movie.noQualities'));
 
             // Perform status check for Favorites/Watchlist
             try {
                 const status = await window.api.store.checkStatus(movie);
                 if (status.isFavorite) btnLike.classList.add('active');
                 if (status.inWatchlist) btnWatchLater.classList.add('active');
+                if (status.isWatched) {
+                    btnWatched.classList.add('active');
+                    btnWatched.title = I18n.t('movie.markUnwatched');
+                }
             } catch (e) {
                 console.error('Error checking status:', e);
             }
@@ -308,7 +398,7 @@ const Main = {
                 const res = await window.api.store.toggleFavorite(movie);
                 if (res && res.success) {
                     btnLike.classList.toggle('active', res.added);
-                    Toast.show(res.added ? 'Añadido a Favoritos' : 'Eliminado de Favoritos');
+                    Toast.show(I18n.t(res.added ? 'movie.favoriteAdded' : 'movie.favoriteRemoved'));
                     if (!res.added && document.getElementById('view-library').style.display === 'block') {
                         Library.load();
                     }
@@ -319,31 +409,247 @@ const Main = {
                 const res = await window.api.store.toggleWatchlist(movie);
                 if (res && res.success) {
                     btnWatchLater.classList.toggle('active', res.added);
-                    Toast.show(res.added ? 'Añadido a Ver más tarde' : 'Eliminado de Ver más tarde');
+                    Toast.show(I18n.t(res.added ? 'movie.watchlistAdded' : 'movie.watchlistRemoved'));
                     if (!res.added && document.getElementById('view-library').style.display === 'block') {
                         Library.load();
                     }
                 }
             };
 
+            btnWatched.onclick = async () => {
+                const watched = !btnWatched.classList.contains('active');
+                const res = await window.api.store.setWatched(movie, watched);
+                if (res && res.success) {
+                    btnWatched.classList.toggle('active', res.watched);
+                    btnWatched.title = I18n.t(res.watched ? 'movie.markUnwatched' : 'movie.markWatched');
+                    Toast.show(I18n.t(res.watched ? 'movie.markedWatched' : 'movie.markedUnwatched'));
+                    if (document.getElementById('view-library').style.display === 'block') {
+                        Library.load();
+                    }
+                }
+            };
+
             // Update Download Button immediately with default selection
             this.updateDownloadButton(movie);
 
             // Attach Main's play logic
-            App.dom.modal.playBtn.onclick = () => this.playMovie(movie);
+            const playBtn = App.dom.modal.playBtn;
+            playBtn.style.display = isShow ? 'none' : '';
+            playBtn.disabled = availableTorrents.length === 0;
+            playBtn.title = playBtn.disabled ? I18n.t('movie.noTorrents') : '';
+            playBtn.onclick = () => this.playMovie(movie);
+
+            this.renderEpisodes(movie);
         };
     },
 
+    /**
+     * Torrents of a movie, best quality first
+     */
+    getTorrentOptions(movie) {
+        if (movie.torrents && movie.torrents.length > 0) {
+            // Sort by quality (4k > 1080p > 720p > 3D) - crude sort
+            return [...movie.torrents].sort((a, b) => {
+                const order = { '2160p': 4, '1080p': 3, '720p': 2, '3D': 1 };
+                return (order[b.quality] || 0) - (order[a.quality] || 0);
+            });
+        }
+        if (movie.magnet) {
+            // Legacy/Library fallback
+            return [{ quality: 'Default', hash: movie.infoHash, url: movie.magnet, isDefault: true }];
+        }
+        return [];
+    },
+
+    /**
+     * Quality chips; the selected one is what Play and Download use
+     * @param {Object} movie - Movie (or show episode) the torrents belong to
+     * @param {Array} torrents - From getTorrentOptions() or an episode lookup
+     * @param {string} emptyMessage - Shown instead of the chips when there are no torrents
+     * @returns {Array} The torrents
+     */
+    renderQualities(movie, torrents, emptyMessage) {
+        const qualitiesContainer = document.getElementById('m-qualities');
+        qualitiesContainer.innerHTML = ''; // Clear previous
+
+        // Select default (1080p or first)
+        const selectedT = torrents.find(t => t.quality === '1080p') || torrents[0] || null;
+        App.state.selectedTorrent = selectedT;
+
+        if (torrents.length === 0) {
+            qualitiesContainer.innerHTML = `<span style="color:#666; font-size: 0.8rem;">${UI.sanitize(emptyMessage)}</span>`;
+            return torrents;
+        }
+
+        torrents.forEach(t => {
+            const chip = document.createElement('div');
+            chip.className = `quality-chip ${t === selectedT ? 'active' : ''}`;
+            chip.textContent = t.quality || I18n.t('movie.unknownQuality');
+            if (t.seeds) chip.title = I18n.t('movie.seeds', { count: t.seeds });
+
+            chip.onclick = () => {
+                // UI Update
+                qualitiesContainer.querySelectorAll('.quality-chip').forEach(c => c.classList.remove('active'));
+                chip.classList.add('active');
+
+                // Logic Update
+                App.state.selectedTorrent = t;
+                console.log('[Main] Selected Quality:', t.quality, t.hash);
+
+                // Update download button state immediately for the new selection
+                this.updateDownloadButton(movie);
+            };
+            qualitiesContainer.appendChild(chip);
+        });
+        return torrents;
+    },
+
+    /**
+     * Season chips + episode list for TV shows (hidden for movies)
+     * @param {Object} show - Normalized show (type 'show')
+     */
+    async renderEpisodes(show) {
+        const container = document.getElementById('m-episodes');
+        const seasonsEl = document.getElementById('m-seasons');
+        const listEl = document.getElementById('m-episode-list');
+        if (!container) return;
+
+        seasonsEl.innerHTML = '';
+        listEl.innerHTML = '';
+        container.style.display = 'none';
+        if (show.type !== 'show' || !show.tmdb_id) return;
+
+        const details = await MetadataService.fetchShowDetails(show.tmdb_id);
+        if (!details || App.state.currentMovie !== show) return;
+
+        // Discover results lack seasons/genres/imdb_code; keep them for history & subtitles
+        show.seasons = details.seasons;
+        show.imdb_code = show.imdb_code || details.imdb_code;
+        if (details.runtime) show.runtime = details.runtime;
+        if (details.genres.length > 0 && (!show.genres || show.genres.length === 0)) show.genres = details.genres;
+
+        if (show.seasons.length === 0) return;
+        container.style.display = 'block';
+
+        const loadSeason = async (season, chip) => {
+            seasonsEl.querySelectorAll('.quality-chip').forEach(c => c.classList.remove('active'));
+            chip.classList.add('active');
+            listEl.innerHTML = `<span style="color:#666; font-size: 0.8rem;">${I18n.t('movie.loadingEpisodes')}</span>`;
+
+            const episodes = await MetadataService.fetchSeason(show.tmdb_id, season.season);
+            if (App.state.currentMovie !== show || !chip.classList.contains('active')) return;
+
+            listEl.innerHTML = '';
+            if (episodes.length === 0) {
+                listEl.innerHTML = `<span style="color:#666; font-size: 0.8rem;">${I18n.t('movie.noEpisodes')}</span>`;
+                return;
+            }
+
+            episodes.forEach(ep => {
+                const item = document.createElement('div');
+                item.className = 'episode-item';
+                item.title = ep.overview || '';
+                item.innerHTML = `
+                    <span class="episode-number">${I18n.t('movie.episodeShort', { number: ep.episode })}</span>
+                    <span class="episode-title">${UI.sanitize(ep.title || I18n.t('movie.episode', { number: ep.episode }))}</span>
+                    <span class="episode-meta">${ep.runtime ? I18n.t('common.minutes', { count: ep.runtime }) : Formatters.formatDate(ep.airDate)}</span>
+                `;
+                item.onclick = () => this.selectEpisode(show, ep, item);
+                listEl.appendChild(item);
+            });
+        };
+
+        show.seasons.forEach((season, i) => {
+            const chip = document.createElement('div');
+            chip.className = 'quality-chip';
+            chip.textContent = I18n.t('movie.seasonShort', { number: season.season });
+            chip.title = season.name || I18n.t('movie.season', { number: season.season });
+            chip.onclick = () => loadSeason(season, chip);
+            seasonsEl.appendChild(chip);
+            if (i === 0) loadSeason(season, chip);
+        });
+    },
+
+    /**
+     * Look up the sources of an episode through the catalog providers (by IMDB id
+     * and SxxEyy); Play only shows up once one is found
+     * @param {Object} show - Show open in the modal
+     * @param {Object} ep - Normalized episode ({ season, episode, title })
+     * @param {HTMLElement} item - Episode row
+     */
+    async selectEpisode(show, ep, item) {
+        item.parentElement.querySelectorAll('.episode-item').forEach(i => i.classList.remove('active'));
+        item.classList.add('active');
+
+        const playBtn = App.dom.modal.playBtn;
+        playBtn.style.display = 'none';
+        const code = `${I18n.t('movie.seasonShort', { number: ep.season })} ${I18n.t('movie.episodeShort', { number: ep.episode })}`;
+        this.renderQualities(show, [], I18n.t('movie.searchingSources', { episode: code }));
+        this.updateDownloadButton(show);
+
+        const torrents = await window.api.catalog.getEpisodeTorrents({
+            imdbId: show.imdb_code,
+            title: show.title,
+            season: ep.season,
+            episode: ep.episode
+        });
+        if (App.state.currentMovie !== show || !item.classList.contains('active')) return;
+
+        // What gets played, downloaded and saved to history (one entry per episode)
+        const episode = { ...show, episode: { season: ep.season, episode: ep.episode }, torrents };
+        this.renderQualities(episode, torrents, I18n.t('movie.noEpisodeSources', { episode: code }));
+        this.updateDownloadButton(episode);
+        if (torrents.length === 0) return;
+
+        playBtn.style.display = '';
+        playBtn.disabled = false;
+        playBtn.title = '';
+        playBtn.onclick = () => this.playMovie(episode);
+    },
+
+    /**
+     * Offer to resume from watch history
+     * @param {Object} movie - Movie about to be played
+     * @returns {Promise<number>} Position in seconds to start from (0 = start over)
+     */
+    async askResumePosition(movie) {
+        let entry = null;
+        try {
+            entry = await window.api.store.getWatchProgress(movie);
+        } catch (e) {
+            console.warn('[Main] Could not read watch progress:', e);
+        }
+
+        if (!entry || entry.finished || entry.position < 30) return 0;
+
+        return new Promise((resolve) => {
+            const position = Formatters.formatTime(entry.position);
+            ConfirmModal.show(
+                I18n.t('resume.title'),
+                I18n.t('resume.message', { position, duration: Formatters.formatTime(entry.duration) }),
+                () => resolve(entry.position),
+                I18n.t('resume.confirm', { position }),
+                false,
+                I18n.t('resume.restart'),
+                () => resolve(0)
+            );
+        });
+    },
+
     async playMovie(movie) {
         console.log(`[Main] Playing: ${movie.title}`);
 
+        const startAt = await this.askResumePosition(movie);
+
         UI.closeModal();
         UI.showPlayer();
         UI.showLoader();
 
         // cleanup
         Player.reset();
+        Player.setMovie(movie, startAt);
         Subtitles.clearTracks();
+        Subtitles.clearSecondary();
         window.api.clearSubtitles();
 
         // Start Stream
@@ -377,7 +683,7 @@ const Main = {
 
         if (!magnet) {
             console.error('[Main] No torrent/magnet found. Movie object:', movie);
-            alert("No se encontró un torrent para esta película (Intenta removerla y volverla a agregar a la biblioteca)");
+            alert(I18n.t('app.noTorrent'));
             UI.hidePlayer();
             UI.hideLoader();
             return;
@@ -386,7 +692,11 @@ const Main = {
         // Check if downloaded first
         if (movie.infoHash) {
             const status = await window.api.checkDownloadStatus(movie.infoHash);
-            if (status.isDownloaded) {
+            const isDamaged = status.integrity === 'missing' || status.integrity === 'corrupt';
+            if (status.isDownloaded && isDamaged) {
+                // Verified as damaged: stream it instead of serving a broken file
+                Toast.show(I18n.t('app.damagedDownload'), 'info');
+            } else if (status.isDownloaded) {
                 console.log('[Main] Movie is downloaded. Starting Local Playback...');
                 const { videoUrl, subtitleUrl } = await window.api.playLocal(movie.infoHash);
 
@@ -400,12 +710,13 @@ const Main = {
                     if (subtitleUrl) {
                         console.log('[Main] Loading local subtitle:', subtitleUrl);
 
-                        const label = `${movie.subtitleLanguage || 'Subtítulos'} (Descargado)`;
-                        Subtitles.setLocalTrack(subtitleUrl, label);
+                        const label = I18n.t('subtitles.downloadedLabel', { language: movie.subtitleLanguage || I18n.t('subtitles.title') });
+                        Subtitles.setLocalTrack(subtitleUrl, label, movie.subtitleLanguageCode);
 
                         // 2. Update Subtitle Menu State
                         App.state.availableSubtitles = [{
                             language: label,
+                            languageCode: movie.subtitleLanguageCode || null,
                             downloadUrl: subtitleUrl,
                             isLocal: true,
                             id: 'local-sub'
@@ -420,6 +731,7 @@ const Main = {
             }
         }
 
+        App.state.availableSubtitles = [];
         window.api.startStream(magnet);
 
         // Fetch Subtitles (Only if NOT local - or if local didn't have subs, but we assume local has them if downloaded)
@@ -477,18 +789,18 @@ const Main = {
         if (status.isDownloaded) {
             // Delete State
             btn.className = 'delete-btn';
-            btn.title = 'Eliminar descarga';
+            btn.title = I18n.t('download.remove');
             btn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#ff4444" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>`;
 
             btn.onclick = async (e) => {
                 e.stopPropagation();
                 ConfirmModal.show(
-                    'Eliminar descarga',
-                    '¿Estás seguro de que querés eliminar esta película de tu dispositivo?',
+                    I18n.t('download.remove'),
+                    I18n.t('download.removeConfirm'),
                     async () => {
                         await window.api.removeDownload(targetHash);
                         this.updateDownloadButton(movie);
-                        Toast.show('Descarga eliminada');
+                        Toast.show(I18n.t('download.removed'));
                         // IF in downloads view, refresh
                         if (document.getElementById('lib-section-downloads').style.display === 'block') {
                             Library.load('downloads');
@@ -496,21 +808,33 @@ const Main = {
                     }
                 );
             };
+        } else if (status.status === 'paused') {
+            // Paused State (data is kept, click resumes)
+            btn.className = 'download-container';
+            btn.title = I18n.t('download.pausedHint');
+            btn.innerHTML = setProgress(status.progress);
+
+            btn.onclick = async (e) => {
+                e.stopPropagation();
+                await window.api.resumeDownload(targetHash);
+                this.updateDownloadButton(movie);
+                Toast.show(I18n.t('download.resumed'));
+            };
         } else if (status.isDownloading) {
             // Progress State
             btn.className = 'download-container'; // Restored class
-            btn.title = 'Descargando... (Click para cancelar)';
+            btn.title = I18n.t(status.status === 'queued' ? 'download.queuedHint' : 'download.downloadingHint');
             btn.innerHTML = setProgress(status.progress);
 
             btn.onclick = async (e) => {
                 e.stopPropagation();
                 ConfirmModal.show(
-                    'Cancelar descarga',
-                    '¿Deseas cancelar la descarga en curso?',
+                    I18n.t('download.cancel'),
+                    I18n.t('download.cancelConfirm'),
                     async () => {
                         await window.api.cancelDownload(targetHash);
                         this.updateDownloadButton(movie);
-                        Toast.show('Descarga cancelada');
+                        Toast.show(I18n.t('download.cancelled'));
                     }
                 );
             };
@@ -518,7 +842,7 @@ const Main = {
         } else {
             // Download State
             btn.className = 'action-btn'; // Restored class
-            btn.title = 'Descargar';
+            btn.title = I18n.t('download.start');
             // Use inline SVG with black stroke to match original icon style (which was black in download.css)
             btn.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`;
 
@@ -569,13 +893,26 @@ window.api.onStreamReady((url) => {
     Player.updatePlayIcon(true);
 });
 
+// Codec probe: explains media the built-in player can't decode
+window.api.onStreamProbe((result) => {
+    console.log('[IPC] Stream probe:', result.container, result.tracks.map(t => t.codec).join(', '));
+    Player.handleProbe(result);
+});
+
+// Torrent could not be added (invalid magnet, unreadable .torrent file...)
+window.api.onStreamError((message) => {
+    console.error('[IPC] Stream error:', message);
+    Toast.show(I18n.t('app.torrentOpenFailed', { message }), 'error');
+    Player.close();
+});
+
 window.api.onLoadLocalSubtitle((url) => {
     console.log('[IPC] Loading local subtitle:', url);
     fetch(url)
         .then(res => res.text())
         .then(vtt => {
-            Subtitles.injectTrack(vtt, 'Descargado'); // "Descargado" or "Local"
-            Toast.show('Subtítulos locales cargados');
+            Subtitles.injectTrack(vtt, I18n.t('subtitles.downloaded'));
+            Toast.show(I18n.t('subtitles.localLoaded'));
         })
         .catch(e => console.error('[Main] Error loading local sub:', e));
 });
@@ -607,8 +944,18 @@ window.api.onDownloadProgress((data) => {
     }
 });
 
+// Queue status changes (queued, paused, failed...) from the main process
+window.api.onDownloadState((data) => {
+    if (data.status === 'failed') {
+        Toast.show(I18n.t('download.failed', { message: data.error || I18n.t('common.unknownError') }), 'error');
+    }
+    if (App.state.currentMovie && App.state.currentMovie.infoHash === data.infoHash) {
+        Main.updateDownloadButton(App.state.currentMovie);
+    }
+});
+
 window.api.onDownloadComplete((data) => {
-    Toast.show('Descarga completada');
+    Toast.show(I18n.t('download.completed'));
     if (App.state.currentMovie && App.state.currentMovie.infoHash === data.infoHash) {
         Main.updateDownloadButton(App.state.currentMovie);
     }
@@ -647,12 +994,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // --- Network Resilience ---
 window.addEventListener('online', () => {
-    Toast.show('Conexión restaurada', 'success');
+    Toast.show(I18n.t('app.online'), 'success');
     // Optional: Retry logic if needed
 });
 
 window.addEventListener('offline', () => {
-    Toast.show('Sin conexión a internet', 'error');
+    Toast.show(I18n.t('app.offline'), 'error');
 });
 
 // Audit Toast removed per request
@@ -5,6 +5,24 @@ const Player = {
     // Cast mode state
     isCastMode: false,
     castDuration: 0,
+    castPosition: 0,
+
+    // Watch history state
+    currentMovie: null,
+    pendingSeek: 0,
+    lastProgressSave: 0,
+    PROGRESS_SAVE_INTERVAL_MS: 5000,
+
+    // Next episode state (multi-file torrents)
+    NEXT_EPISODE_LEAD_SECONDS: 20,
+    nextEpisodeDismissed: false,
+    // True from the switch until the new file reports its own progress
+    advancing: false,
+
+    // Codec probe of the file being played ({ container, tracks, compatibility })
+    probe: null,
+    // Chosen audio track (position among the file's audio tracks), null = default
+    audioTrackIndex: null,
 
     init() {
         this.setupControls();
@@ -22,11 +40,282 @@ const Player = {
         p.video.load(); // Force reset
         App.state.downloadProgress = 0;
         this.updatePlayIcon(false);
+        FilePicker.reset();
+        this.resetNextEpisode();
+        this.resetProbe();
 
         // Reset cast mode
         this.exitCastMode();
     },
 
+    /**
+     * Attach the movie being played so its position is saved to watch history
+     * @param {Object} movie - Movie object (imdb_code or infoHash required)
+     * @param {number} startAt - Position in seconds to seek to once metadata loads
+     */
+    setMovie(movie, startAt = 0) {
+        this.currentMovie = movie;
+        this.pendingSeek = startAt > 0 ? startAt : 0;
+        this.lastProgressSave = 0;
+        Subtitles.loadTiming(movie);
+    },
+
+    /**
+     * Track the file being played within a multi-file torrent
+     * Each file (episode) gets its own watch history entry
+     * @param {Object} file - Torrent file from FilePicker ({ index, episode })
+     */
+    setFile(file) {
+        this.nextEpisodeDismissed = false;
+        this.hideNextEpisode();
+        this.resetProbe();
+        if (!this.currentMovie) return;
+
+        // Leaving a file mid-way: keep its position
+        const v = App.dom.player.video;
+        if (!this.isCastMode && this.currentMovie.fileIndex != null && v.duration) {
+            this.saveProgress(v.currentTime, v.duration, true);
+        }
+
+        // The resume point only belongs to the file it was saved for
+        if (this.currentMovie.fileIndex !== file.index) this.pendingSeek = 0;
+
+        this.currentMovie = { ...this.currentMovie, fileIndex: file.index, episode: file.episode || null };
+        this.lastProgressSave = 0;
+        // Each episode keeps its own subtitle timing
+        Subtitles.loadTiming(this.currentMovie);
+    },
+
+    /**
+     * Show the "Next episode" countdown during the last seconds of a file
+     * Casting has no 'ended' event, so the switch happens here when time runs out
+     */
+    updateNextEpisode(current, duration) {
+        const remaining = duration - current;
+
+        if (this.advancing) {
+            // Still seeing the previous file's tail until the new one starts
+            if (remaining > this.NEXT_EPISODE_LEAD_SECONDS) this.advancing = false;
+            return;
+        }
+
+        const next = FilePicker.getNextFile();
+        if (!next || this.nextEpisodeDismissed || remaining > this.NEXT_EPISODE_LEAD_SECONDS) {
+            this.hideNextEpisode();
+            return;
+        }
+
+        const p = App.dom.player;
+        p.nextEpisodeTitle.textContent = FilePicker.getEpisodeLabel(next) || next.name;
+        p.nextEpisodeCountdown.textContent = Math.max(0, Math.ceil(remaining));
+        p.nextEpisode.classList.add('active');
+
+        if (this.isCastMode && remaining <= 1.5) this.playNextEpisode();
+    },
+
+    playNextEpisode() {
+        const next = FilePicker.getNextFile();
+        if (!next || this.advancing) return;
+
+        console.log(`[Player] Auto-advancing to: ${next.name}`);
+        this.advancing = true;
+        this.hideNextEpisode();
+        FilePicker.select(next);
+    },
+
+    hideNextEpisode() {
+        App.dom.player.nextEpisode?.classList.remove('active');
+    },
+
+    resetNextEpisode() {
+        this.nextEpisodeDismissed = false;
+        this.advancing = false;
+        this.hideNextEpisode();
+    },
+
+    /**
+     * Codec probe result for a stream (sent by the main process after stream-ready)
+     * Media Chromium can't decode never fires 'canplay', so the loader is
+     * replaced by an explanation instead of spinning forever
+     * @param {Object} result - { url, container, tracks, compatibility }
+     */
+    handleProbe(result) {
+        const p = App.dom.player;
+        if (!this.isCastMode && p.video.src !== result.url) return;
+        this.probe = result;
+        Subtitles.setEmbeddedTracks(result);
+        this.updateAudioButton();
+        this.applyPreferredAudio();
+
+        const local = result.compatibility?.local;
+        if (!local || local.playable || this.isCastMode) return;
+
+        console.warn('[Player] Media not playable locally:', local.issues);
+        UI.hideLoader();
+        p.unplayableMessage.textContent = this.describeProbeIssues(local.issues, result.compatibility);
+        p.unplayable.classList.add('active');
+    },
+
+    /**
+     * Actionable message from probe issues, e.g. "El audio es DTS..."
+     */
+    describeProbeIssues(issues, compatibility = {}) {
+        const causes = I18n.formatList(issues.map(issue => I18n.t(`player.probeIssue.${issue.kind}`, { codec: issue.codec })));
+        const castable = ['chromecast', 'dlna'].some(target => compatibility[target]?.playable);
+
+        return I18n.t(castable ? 'player.unplayableCastable' : 'player.unplayable', { causes });
+    },
+
+    hideUnplayable() {
+        App.dom.player.unplayable?.classList.remove('active');
+    },
+
+    resetProbe() {
+        this.probe = null;
+        this.audioTrackIndex = null;
+        this.hideUnplayable();
+        this.closeAudioMenu();
+        this.updateAudioButton();
+        Subtitles.resetEmbedded();
+        Subtitles.resetFileMatch();
+    },
+
+    /**
+     * Audio tracks of the file being played
+     * Local playback switches through HTMLMediaElement.audioTracks; casting
+     * reloads the media with the track from the probe
+     * @returns {Array<{label: string, active: boolean}>}
+     */
+    getAudioTracks() {
+        const probed = (this.probe?.tracks || []).filter(t => t.type === 'audio');
+
+        if (this.isCastMode) {
+            return probed.map((track, i) => ({
+                label: Formatters.formatTrackLabel(track),
+                active: i === (this.audioTrackIndex ?? 0)
+            }));
+        }
+
+        const native = App.dom.player.video.audioTracks;
+        if (!native) return [];
+        // The probe has better names, as long as it saw the same tracks
+        return Array.from(native).map((track, i) => ({
+            label: probed.length === native.length
+                ? Formatters.formatTrackLabel(probed[i])
+                : (track.label || Formatters.formatTrackLabel({ number: i + 1, language: track.language })),
+            active: track.enabled
+        }));
+    },
+
+    /**
+     * Probe track of the chosen audio, sent along when casting
+     * @returns {Object|null} { index, number, language, name }
+     */
+    getSelectedAudioTrack() {
+        if (this.audioTrackIndex == null) return null;
+        const track = (this.probe?.tracks || []).filter(t => t.type === 'audio')[this.audioTrackIndex];
+        return track ? { index: this.audioTrackIndex, number: track.number, language: track.language, name: track.name } : null;
+    },
+
+    selectAudioTrack(index) {
+        this.audioTrackIndex = index;
+
+        if (this.isCastMode) {
+            window.api.castSetAudioTrack(this.getSelectedAudioTrack(), this.castPosition);
+        } else {
+            const native = App.dom.player.video.audioTracks;
+            if (!native) return;
+            Array.from(native).forEach((track, i) => { track.enabled = i === index; });
+        }
+        console.log(`[Player] Audio track #${index} selected`);
+    },
+
+    /**
+     * Switch to the first audio track in a preferred language (settings audioLanguages)
+     * Only until the user picks one; the file's default stays when none matches
+     */
+    applyPreferredAudio() {
+        const preferred = Subtitles.languages.audioLanguages;
+        if (!preferred?.length || this.audioTrackIndex != null || this.isCastMode) return;
+
+        const probed = (this.probe?.tracks || []).filter(t => t.type === 'audio');
+        const native = App.dom.player.video.audioTracks;
+        const count = native ? native.length : probed.length;
+        if (count < 2) return;
+
+        const tracks = Array.from({ length: count }, (_, i) => ({
+            index: i,
+            // Probe codes are ISO 639-2 ("spa"), Languages normalizes both
+            language: probed.length === count ? probed[i].language : native[i].language
+        }));
+        const best = Languages.pickPreferred(tracks, preferred, track => track.language);
+        const current = native ? Array.from(native).findIndex(track => track.enabled) : 0;
+        if (!best || best.index === current) return;
+
+        console.log(`[Player] Preferred audio language: ${best.language}`);
+        this.selectAudioTrack(best.index);
+    },
+
+    /**
+     * The audio button only shows up for dual-audio files
+     */
+    updateAudioButton() {
+        const btn = App.dom.player.audioBtn;
+        if (btn) btn.style.display = this.getAudioTracks().length > 1 ? '' : 'none';
+    },
+
+    renderAudioMenu() {
+        const list = App.dom.player.audioMenuList;
+        list.innerHTML = '';
+
+        this.getAudioTracks().forEach((track, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'subtitle-menu-item';
+            if (track.active) btn.classList.add('active');
+            btn.textContent = track.label;
+            btn.onclick = () => {
+                this.selectAudioTrack(i);
+                this.closeAudioMenu();
+            };
+            list.appendChild(btn);
+        });
+    },
+
+    toggleAudioMenu() {
+        const menu = App.dom.player.audioMenu;
+        if (menu.classList.contains('active')) {
+            this.closeAudioMenu();
+            return;
+        }
+        Subtitles.closeMenu();
+        this.renderAudioMenu();
+        menu.classList.add('active');
+    },
+
+    closeAudioMenu() {
+        App.dom.player.audioMenu?.classList.remove('active');
+    },
+
+    /**
+     * Current playback position (falls back to the pending resume point before metadata loads)
+     */
+    getCurrentPosition() {
+        const v = App.dom.player.video;
+        if (v.currentTime > 0) return v.currentTime;
+        return this.pendingSeek || 0;
+    },
+
+    /**
+     * Persist position to watch history (throttled unless forced)
+     */
+    saveProgress(position, duration, force = false) {
+        if (!this.currentMovie || !duration || !isFinite(duration)) return;
+        const now = Date.now();
+        if (!force && now - this.lastProgressSave < this.PROGRESS_SAVE_INTERVAL_MS) return;
+        this.lastProgressSave = now;
+        window.api.store.saveWatchProgress(this.currentMovie, position, duration);
+    },
+
     /**
      * Setup cast event listeners for control sync
      */
@@ -50,6 +339,7 @@ const Player = {
             // Update progress bar with Chromecast position
             if (status.duration > 0) {
                 this.castDuration = status.duration;
+                this.castPosition = status.currentTime;
                 const percent = (status.currentTime / status.duration) * 100;
                 App.dom.player.progressBar.style.width = `${percent}%`;
 
@@ -57,6 +347,9 @@ const Player = {
                 const min = Math.floor(status.currentTime / 60);
                 const sec = Math.floor(status.currentTime % 60);
                 App.dom.player.timeDisplay.textContent = `${min}:${sec.toString().padStart(2, '0')}`;
+
+                this.saveProgress(status.currentTime, status.duration);
+                this.updateNextEpisode(status.currentTime, status.duration);
             }
 
             // Sync play/pause icon with Chromecast state
@@ -64,6 +357,14 @@ const Player = {
             this.updatePlayIcon(isPlaying);
         });
 
+        // The device kept its default audio: say so and show that track as active again
+        window.api.onCastAudioUnavailable((message) => {
+            console.warn('[Player] Cast audio track not switched');
+            this.audioTrackIndex = null;
+            if (App.dom.player.audioMenu?.classList.contains('active')) this.renderAudioMenu();
+            Toast.show(message, 'error');
+        });
+
         // When cast stops, exit cast mode
         window.api.onCastStopped(() => {
             console.log('[Player] Cast stopped');
@@ -103,6 +404,7 @@ const Player = {
 
         p.view.classList.add('cast-mode');
         if (p.castBtn) p.castBtn.style.display = 'none';
+        this.updateAudioButton();
     },
 
     /**
@@ -112,12 +414,15 @@ const Player = {
         if (!this.isCastMode) return;
         this.isCastMode = false;
         this.castDuration = 0;
+        this.castPosition = 0;
 
         const p = App.dom.player;
         p.video.muted = false;
         p.video.style.opacity = '1';
         p.view.classList.remove('cast-mode');
         if (p.castBtn) p.castBtn.style.display = '';
+        this.closeAudioMenu();
+        this.updateAudioButton();
     },
 
     togglePlay() {
@@ -197,6 +502,35 @@ const Player = {
 
         p.closeBtn.addEventListener('click', () => this.close());
 
+        if (p.filesBtn) p.filesBtn.addEventListener('click', () => FilePicker.show());
+
+        if (p.nextEpisode) {
+            p.nextEpisodePlayBtn.addEventListener('click', () => this.playNextEpisode());
+            p.nextEpisodeCancelBtn.addEventListener('click', () => {
+                this.nextEpisodeDismissed = true;
+                this.hideNextEpisode();
+            });
+        }
+
+        if (p.audioBtn) {
+            p.audioBtn.addEventListener('click', () => this.toggleAudioMenu());
+            p.audioMenuClose.addEventListener('click', () => this.closeAudioMenu());
+        }
+
+        // Dual-audio files expose their tracks once metadata is loaded
+        if (p.video.audioTracks) {
+            p.video.audioTracks.addEventListener('addtrack', () => {
+                this.updateAudioButton();
+                this.applyPreferredAudio();
+            });
+            p.video.audioTracks.addEventListener('removetrack', () => this.updateAudioButton());
+        }
+
+        if (p.unplayable) {
+            p.unplayableCloseBtn.addEventListener('click', () => this.close());
+            p.unplayableIgnoreBtn.addEventListener('click', () => this.hideUnplayable());
+        }
+
         if (p.castBtn) {
             p.castBtn.addEventListener('click', () => {
                 if (this.isCastMode) return;
@@ -243,6 +577,15 @@ const Player = {
     close() {
         const p = App.dom.player;
 
+        // Save final position before tearing down (cast position is saved from status updates)
+        if (!this.isCastMode && p.video.duration) {
+            this.saveProgress(p.video.currentTime, p.video.duration, true);
+        }
+        this.currentMovie = null;
+        this.pendingSeek = 0;
+        this.resetNextEpisode();
+        this.resetProbe();
+
         // Stop casting if active
         if (this.isCastMode) {
             window.api.stopCasting();
@@ -256,11 +599,13 @@ const Player = {
 
         // Hide UI
         UI.hidePlayer();
+        FilePicker.reset();
 
         // === FULL CLEANUP ===
         // Clear subtitles (both local tracks and main process state)
         if (typeof Subtitles !== 'undefined' && Subtitles.clearTracks) {
             Subtitles.clearTracks();
+            Subtitles.clearSecondary();
         }
         if (window.api.clearSubtitles) {
             window.api.clearSubtitles();
@@ -295,6 +640,18 @@ const Player = {
         p.video.addEventListener('playing', () => UI.hideLoader());
         p.video.addEventListener('canplay', () => UI.hideLoader());
 
+        // Resume from watch history once the duration is known
+        p.video.addEventListener('loadedmetadata', () => {
+            if (this.pendingSeek > 0 && p.video.duration) {
+                p.video.currentTime = Math.min(this.pendingSeek, p.video.duration - 1);
+                this.pendingSeek = 0;
+            }
+        });
+
+        p.video.addEventListener('pause', () => {
+            if (!this.isCastMode && p.video.duration) this.saveProgress(p.video.currentTime, p.video.duration, true);
+        });
+
         p.video.addEventListener('timeupdate', () => {
             // Skip if in cast mode (we update from cast status)
             if (this.isCastMode) return;
@@ -331,6 +688,14 @@ const Player = {
             const min = Math.floor(current / 60);
             const sec = Math.floor(current % 60);
             p.timeDisplay.textContent = `${min}:${sec.toString().padStart(2, '0')}`;
+
+            this.saveProgress(current, duration);
+            this.updateNextEpisode(current, duration);
+        });
+
+        p.video.addEventListener('ended', () => {
+            if (this.isCastMode || this.nextEpisodeDismissed) return;
+            this.playNextEpisode();
         });
     }
 };
@@ -19,13 +19,13 @@ const MetadataService = {
     LANGUAGE: 'es-AR',
 
     /**
-     * Get API key from environment (lazy load)
+     * Get API key from settings (lazy load)
      * @returns {Promise<string|null>}
      */
     async _getApiKey() {
         if (!this._apiKey) {
             try {
-                this._apiKey = await window.api.getTmdbApiKey();
+                this._apiKey = (await window.api.settings.get()).tmdbApiKey || null;
             } catch (e) {
                 console.error('[MetadataService] Failed to get API key:', e);
             }
@@ -33,6 +33,13 @@ const MetadataService = {
         return this._apiKey;
     },
 
+    /**
+     * Forget the cached API key (the Settings view calls this after saving it)
+     */
+    resetApiKey() {
+        this._apiKey = null;
+    },
+
     /**
      * Fetch movie data from TMDb by IMDB ID
      * @param {string} imdbCode - IMDB ID (e.g., 'tt0133093')
@@ -84,6 +91,156 @@ const MetadataService = {
         }
     },
 
+    /**
+     * GET a TMDb endpoint, returning parsed JSON or null
+     * @param {string} endpoint - Path after API_BASE (e.g. '/tv/1399')
+     * @param {Object} params - Extra query params
+     * @returns {Promise<Object|null>}
+     */
+    async _tmdbGet(endpoint, params = {}) {
+        const apiKey = await this._getApiKey();
+        if (!apiKey) {
+            console.warn('[MetadataService] No API key available');
+            return null;
+        }
+
+        const query = new URLSearchParams({ api_key: apiKey, language: this.LANGUAGE, ...params });
+        try {
+            const res = await fetch(`${this.API_BASE}${endpoint}?${query.toString()}`);
+            if (!res.ok) {
+                console.warn(`[MetadataService] ${endpoint} failed: ${res.status}`);
+                return null;
+            }
+            return await res.json();
+        } catch (e) {
+            console.error(`[MetadataService] ${endpoint} error:`, e);
+            return null;
+        }
+    },
+
+    /**
+     * Best TMDb match for a title (used for magnets/.torrent files opened by hand)
+     * SILENT FAILURE: returns null when nothing matches
+     * @param {string} title - Clean title (e.g. parsed from a release name)
+     * @param {number|null} year - Release year, narrows the search when known
+     * @returns {Promise<Object|null>} Normalized metadata plus imdb_code, title, year, genres
+     */
+    async findMovieByTitle(title, year = null) {
+        if (!title) return null;
+
+        const search = await this._tmdbGet('/search/movie', { query: title, ...(year && { year }) });
+        const result = search?.results?.[0];
+        if (!result) {
+            console.warn(`[MetadataService] No TMDb match for "${title}" (${year || 's/año'})`);
+            return null;
+        }
+
+        const details = await this._tmdbGet(`/movie/${result.id}`);
+        const releaseDate = details?.release_date || result.release_date || '';
+
+        return {
+            ...MovieMapper.normalizeTMDbMovie(result, details),
+            imdb_code: details?.imdb_id || null,
+            title: details?.title || result.title,
+            year: releaseDate ? parseInt(releaseDate.slice(0, 4), 10) : year,
+            genres: (details?.genres || []).map(g => g.name)
+        };
+    },
+
+    // --- TV Shows ---
+
+    /**
+     * Browse popular shows, or search by name when a query is given
+     * @param {string} query - Search text (empty = discover)
+     * @param {number} page - 1-based page
+     * @returns {Promise<{shows: Array, hasMore: boolean}>}
+     */
+    async fetchShows(query = '', page = 1) {
+        const data = query
+            ? await this._tmdbGet('/search/tv', { query, page })
+            : await this._tmdbGet('/discover/tv', { sort_by: 'popularity.desc', page });
+
+        if (!data?.results) return { shows: [], hasMore: false };
+        return {
+            shows: data.results.map(s => MovieMapper.normalizeTMDbShow(s)),
+            hasMore: data.page < data.total_pages
+        };
+    },
+
+    /**
+     * Full show details including season list and IMDB id (cached)
+     * @param {number} tmdbId - TMDb TV id
+     * @returns {Promise<Object|null>} Normalized show
+     */
+    async fetchShowDetails(tmdbId) {
+        const cacheKey = `tv-${tmdbId}`;
+        const cached = await window.api.store.getMetadata(cacheKey);
+        if (cached) return cached;
+
+        const data = await this._tmdbGet(`/tv/${tmdbId}`, { append_to_response: 'external_ids' });
+        if (!data) return null;
+
+        const show = MovieMapper.normalizeTMDbShow(data);
+        window.api.store.saveMetadata(cacheKey, show);
+        return show;
+    },
+
+    /**
+     * Episodes of one season (cached)
+     * @param {number} tmdbId - TMDb TV id
+     * @param {number} season - Season number
+     * @returns {Promise<Array>} Normalized episodes
+     */
+    async fetchSeason(tmdbId, season) {
+        const cacheKey = `tv-${tmdbId}-s${season}`;
+        const cached = await window.api.store.getMetadata(cacheKey);
+        if (cached?.episodes) return cached.episodes;
+
+        const data = await this._tmdbGet(`/tv/${tmdbId}/season/${season}`);
+        if (!data?.episodes) return [];
+
+        const episodes = data.episodes.map(e => MovieMapper.normalizeTMDbEpisode(e));
+        window.api.store.saveMetadata(cacheKey, { episodes });
+        return episodes;
+    },
+
+    /**
+     * Attach TMDb episode titles to torrent files with parsed numbering
+     * SILENT FAILURE: files are returned untouched when the show can't be resolved
+     * @param {Array} files - Torrent files ({ episode: { season, episode, showName } })
+     * @param {Object|null} show - Show being played (type 'show' with tmdb_id), if known
+     * @returns {Promise<Array>} Same files, with episodeMeta where found
+     */
+    async resolveEpisodes(files, show) {
+        const withEpisodes = files.filter(f => f.episode);
+        if (withEpisodes.length === 0) return files;
+
+        try {
+            let tmdbId = show?.type === 'show' ? show.tmdb_id : null;
+            if (!tmdbId) {
+                const showName = withEpisodes.find(f => f.episode.showName)?.episode.showName;
+                if (!showName) return files;
+                const { shows } = await this.fetchShows(showName);
+                tmdbId = shows[0]?.tmdb_id;
+            }
+            if (!tmdbId) return files;
+
+            const seasons = [...new Set(withEpisodes.map(f => f.episode.season))];
+            const bySeason = {};
+            await Promise.all(seasons.map(async (season) => {
+                bySeason[season] = await this.fetchSeason(tmdbId, season);
+            }));
+
+            withEpisodes.forEach(f => {
+                f.episodeMeta = (bySeason[f.episode.season] || [])
+                    .find(e => e.episode === f.episode.episode) || null;
+            });
+        } catch (e) {
+            console.warn('[MetadataService] Episode resolution failed:', e);
+        }
+        return files;
+    },
+
     /**
      * Enrich a movie with metadata (with caching)
      * SILENT FAILURE: Returns original movie if enrichment fails
@@ -56,6 +56,57 @@ const MovieMapper = {
         };
     },
 
+    /**
+     * Normalizes a TMDb TV show to the card/modal format used for movies
+     * @param {Object} show - Result from /discover/tv, /search/tv or /tv/{id}
+     * @returns {Object|null} Show object (type: 'show')
+     */
+    normalizeTMDbShow(show) {
+        if (!show) return null;
+
+        const posterPath = show.poster_path;
+        const firstAir = show.first_air_date || '';
+
+        return {
+            type: 'show',
+            tmdb_id: show.id,
+            imdb_code: show.external_ids?.imdb_id || null,
+            title: show.name || show.original_name,
+            year: firstAir ? parseInt(firstAir.slice(0, 4), 10) : null,
+            rating: show.vote_average ? Number(show.vote_average.toFixed(1)) : null,
+            runtime: show.episode_run_time?.[0] ?? null,
+            description_full: show.overview || null,
+            summary: show.overview || null,
+            genres: (show.genres || []).map(g => g.name),
+            medium_cover_image: posterPath ? `${this.IMAGE_BASE}/w500${posterPath}` : null,
+            large_cover_image: posterPath ? `${this.IMAGE_BASE}/w780${posterPath}` : null,
+            background_image: show.backdrop_path ? `${this.IMAGE_BASE}/original${show.backdrop_path}` : null,
+            // Season summaries (season_number, episode_count) only come with /tv/{id}
+            seasons: (show.seasons || [])
+                .filter(s => s.season_number > 0)
+                .map(s => ({ season: s.season_number, name: s.name, episodeCount: s.episode_count })),
+            // Sources belong to episodes; the catalog providers look them up on demand (Main.selectEpisode)
+            torrents: []
+        };
+    },
+
+    /**
+     * Normalizes a TMDb episode from /tv/{id}/season/{n}
+     * @param {Object} episode - TMDb episode
+     * @returns {Object} { season, episode, title, overview, runtime, airDate, still }
+     */
+    normalizeTMDbEpisode(episode) {
+        return {
+            season: episode.season_number,
+            episode: episode.episode_number,
+            title: episode.name || null,
+            overview: episode.overview || null,
+            runtime: episode.runtime ?? null,
+            airDate: episode.air_date || null,
+            still: episode.still_path ? `${this.IMAGE_BASE}/w300${episode.still_path}` : null
+        };
+    },
+
     /**
      * Applies normalized metadata to a movie object
      * Only overwrites fields that have valid values
@@ -0,0 +1,192 @@
+/**
+ * Subtitle Auto-Sync
+ * Listens to the audio of the playing video (WebAudio over video.captureStream()),
+ * detects speech onsets and finds the subtitle delay that best lines cue starts up with them
+ */
+const SubtitleSync = {
+    SAMPLE_INTERVAL_MS: 20,
+    // Media seconds of audio analysed per run
+    LISTEN_SECONDS: 40,
+    // Delays tried around the current one (seconds)
+    MAX_SHIFT: 10,
+    SHIFT_STEP: 0.05,
+    // A cue start counts as matched within this distance of an onset (seconds)
+    TOLERANCE: 0.4,
+    MIN_MATCHES: 4,
+    // Silence needed before a new onset, and shortest speech run (seconds)
+    MIN_GAP: 0.35,
+    MIN_SPEECH: 0.15,
+
+    /**
+     * Record speech onsets while the video plays
+     * @param {HTMLVideoElement} video
+     * @param {Object} [options] - { seconds, signal, onProgress(listenedSeconds) }
+     * @returns {Promise<number[]>} Onset times (media seconds)
+     */
+    async detectSpeechOnsets(video, { seconds = this.LISTEN_SECONDS, signal = null, onProgress = null } = {}) {
+        // Throws for media the page can't read (no CORS)
+        const stream = video.captureStream();
+        if (!stream.getAudioTracks().length) {
+            stream.getTracks().forEach(t => t.stop());
+            throw new Error(I18n.t('subtitles.syncNoAudio'));
+        }
+
+        const ctx = new AudioContext();
+        const source = ctx.createMediaStreamSource(stream);
+        // Voice band only: music and effects outside it weigh less
+        const highpass = ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 300;
+        const lowpass = ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 3400;
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 1024;
+        source.connect(highpass).connect(lowpass).connect(analyser);
+
+        const buffer = new Float32Array(analyser.fftSize);
+        const samples = [];
+        let listened = 0;
+        let lastTime = null;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setInterval(() => {
+                    if (signal?.aborted) {
+                        clearInterval(timer);
+                        reject(new DOMException(I18n.t('subtitles.syncCancelled'), 'AbortError'));
+                        return;
+                    }
+                    if (video.paused || video.seeking) {
+                        lastTime = null;
+                        return;
+                    }
+
+                    const time = video.currentTime;
+                    // Seeks split the recording; only continuous playback counts
+                    if (lastTime != null && time > lastTime && time - lastTime < 1) listened += time - lastTime;
+                    lastTime = time;
+
+                    analyser.getFloatTimeDomainData(buffer);
+                    let sum = 0;
+                    for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+                    samples.push({ time, level: 10 * Math.log10(sum / buffer.length + 1e-12) });
+
+                    if (onProgress) onProgress(listened);
+                    if (listened >= seconds) {
+                        clearInterval(timer);
+                        resolve();
+                    }
+                }, this.SAMPLE_INTERVAL_MS);
+            });
+        } finally {
+            ctx.close();
+            stream.getTracks().forEach(t => t.stop());
+        }
+
+        return this.findOnsets(samples);
+    },
+
+    percentile(sorted, p) {
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    },
+
+    /**
+     * Speech onsets from level samples: the level rises over an adaptive threshold
+     * after a silence and stays there long enough to not be a click
+     * @param {Array<{time: number, level: number}>} samples - Level in dB
+     * @returns {number[]}
+     */
+    findOnsets(samples) {
+        if (samples.length < 10) return [];
+
+        // ~100ms moving average
+        const smoothed = samples.map((sample, i) => {
+            const window = samples.slice(Math.max(0, i - 2), i + 3);
+            return { time: sample.time, level: window.reduce((sum, s) => sum + s.level, 0) / window.length };
+        });
+
+        const sorted = smoothed.map(s => s.level).sort((a, b) => a - b);
+        const floor = this.percentile(sorted, 0.2);
+        const peak = this.percentile(sorted, 0.9);
+        if (peak - floor < 6) return []; // Flat audio, nothing to tell apart
+        const threshold = floor + (peak - floor) * 0.4;
+
+        const onsets = [];
+        let runStart = null;
+        let isSpeech = false;
+        // Recording may start mid-sentence: that isn't an onset
+        let lastSpeech = smoothed[0].level >= threshold ? smoothed[0].time : -Infinity;
+        smoothed.forEach(({ time, level }) => {
+            if (level < threshold) {
+                runStart = null;
+                isSpeech = false;
+                return;
+            }
+            if (runStart == null) runStart = time;
+            if (!isSpeech && time - runStart >= this.MIN_SPEECH) {
+                isSpeech = true;
+                // Short dips inside a sentence don't start a new one
+                if (runStart - lastSpeech >= this.MIN_GAP) onsets.push(runStart);
+            }
+            if (isSpeech) lastSpeech = time;
+        });
+        return onsets;
+    },
+
+    nearestDistance(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        const before = lo > 0 ? Math.abs(value - sorted[lo - 1]) : Infinity;
+        return Math.min(before, Math.abs(value - sorted[lo]));
+    },
+
+    /**
+     * Delay that best lines cue starts up with speech onsets
+     * Each cue inside the listened window scores by how close it lands to an onset
+     * @param {number[]} cueStarts - Cue start times without delay (seconds)
+     * @param {number[]} onsets - Detected onsets (media seconds)
+     * @param {number} [center] - Current delay; candidates are tried around it
+     * @returns {{delay: number, matches: number}|null} Null without a confident match
+     */
+    findDelay(cueStarts, onsets, center = 0) {
+        if (onsets.length < this.MIN_MATCHES) return null;
+        const sortedOnsets = [...onsets].sort((a, b) => a - b);
+        const from = sortedOnsets[0] - this.TOLERANCE;
+        const to = sortedOnsets[sortedOnsets.length - 1] + this.TOLERANCE;
+
+        const scores = [];
+        const steps = Math.round(this.MAX_SHIFT / this.SHIFT_STEP);
+        for (let i = -steps; i <= steps; i++) {
+            const delay = Math.round((center + i * this.SHIFT_STEP) * 100) / 100;
+            let score = 0;
+            let matches = 0;
+            cueStarts.forEach(start => {
+                const shifted = start + delay;
+                if (shifted < from || shifted > to) return;
+                const distance = this.nearestDistance(sortedOnsets, shifted);
+                if (distance < this.TOLERANCE) {
+                    score += 1 - distance / this.TOLERANCE;
+                    matches++;
+                }
+            });
+            scores.push({ delay, score, matches });
+        }
+
+        // Ties go to the smallest change
+        const best = scores.reduce((a, b) => (b.score > a.score ||
+            (b.score === a.score && Math.abs(b.delay - center) < Math.abs(a.delay - center)) ? b : a));
+        const median = [...scores].sort((a, b) => a.score - b.score)[scores.length >> 1].score;
+
+        // Random alignments also match a few cues; the winner must stand out
+        if (best.matches < this.MIN_MATCHES || best.score < median * 1.5) return null;
+        return { delay: best.delay, matches: best.matches };
+    }
+};
+
+console.log('[SubtitleSync] Module loaded');
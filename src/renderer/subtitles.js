@@ -2,30 +2,83 @@
  * Subtitle Management Module
  */
 const Subtitles = {
+    // Text tracks the main process can extract (codec names from the stream probe)
+    EMBEDDED_CODECS: ['SRT', 'ASS', 'SSA', 'WebVTT', 'mov_text'],
+
+    // Subtitle tracks inside the file being played
+    // tracks = [{ track, label, textTrack, loading, done }]
+    embedded: { url: null, container: null, tracks: [] },
+
+    // File being played ({ url, movieHash, fileSize, releaseName }), ranks online results
+    fileMatch: null,
+    // Whether the loaded subtitle was picked automatically (a better match may replace it)
+    autoSelected: false,
+    // Only the latest search updates the list
+    fetchSeq: 0,
+
+    // Timing of the active subtitle: delay in seconds and framerate conversion
+    DELAY_STEP: 0.1,
+    FRAMERATES: {
+        '23.976-25': (24000 / 1001) / 25,
+        '25-23.976': 25 / (24000 / 1001)
+    },
+    timing: { delay: 0, framerate: null, secondaryDelay: 0 },
+    // Untimed WebVTT of the injected track, re-timed when the timing changes
+    activeVtt: null,
+    // TextTrack of the primary subtitle (injected or embedded)
+    primaryTrack: null,
+    // Dual subtitles: second track shown with the primary one, both drawn in the dual overlay
+    // { content (untimed WebVTT), label, trackEl }
+    secondary: null,
+    // Slot the subtitle menu list assigns: 'primary' | 'secondary'
+    menuSlot: 'primary',
+    castTimingTimer: null,
+    osdTimer: null,
+    // AbortController of a running auto-sync
+    syncController: null,
+
+    // Preferred languages (settings), most wanted first; also read by the Player for audio tracks
+    languages: { subtitleLanguages: ['es', 'en'], audioLanguages: [], autoLoadSubtitles: true },
+
+    // Appearance (settings subtitleStyle), applied through a generated ::cue stylesheet
+    style: null,
+    styleSheet: null,
+    castStyleTimer: null,
+    EDGE_SHADOWS: {
+        none: 'none',
+        outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+        dropShadow: '0 2px 4px rgba(0, 0, 0, 0.8)',
+        raised: '1px 1px 0 #000, 2px 2px 0 #000',
+        depressed: '-1px -1px 0 #000, 1px 1px 0 rgba(255, 255, 255, 0.4)'
+    },
+
     init() {
         this.setupMenu();
         this.setupDragDrop();
+        window.api.onEmbeddedSubtitleCues((data) => this.onEmbeddedCues(data));
+        window.api.onStreamFileMatch((data) => this.setFileMatch(data));
+        this.setupTimingControls();
+        this.setupStyleControls();
+        this.loadStyle();
+        this.loadLanguages();
     },
 
-    // SRT to WebVTT conversion
-    srtToWebVTT(srt) {
-        return 'WEBVTT\n\n' + srt
-            .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
-            .replace(/\r\n/g, '\n')
-            .replace(/\r/g, '\n');
-    },
-
+    /**
+     * Clear the primary subtitle (the secondary one stays)
+     */
     clearTracks() {
         const v = App.dom.player.video;
+        const secondaryTrack = this.secondary?.trackEl.track;
 
         // 1. Remove DOM elements
-        const tracks = v.querySelectorAll('track');
-        tracks.forEach(t => t.remove());
+        const tracks = v.querySelectorAll('track:not([data-slot="secondary"])');
+        tracks.forEach(t => this.removeTrackElement(t));
 
         // 2. Force disable all internal TextTracks
         // (Removing DOM node doesn't always clear the internal track list immediately)
         if (v.textTracks) {
             for (let i = 0; i < v.textTracks.length; i++) {
+                if (v.textTracks[i] === secondaryTrack) continue;
                 try {
                     v.textTracks[i].mode = 'disabled';
                 } catch (e) { }
@@ -34,69 +87,82 @@ const Subtitles = {
 
         // Clear stored URL for cast
         App.state.currentSubtitleUrl = null;
+        this.autoSelected = false;
+        this.activeVtt = null;
+        this.primaryTrack = null;
+        this.cancelAutoSync();
+        this.renderDual();
 
         console.log('[Subtitles] Cleared tracks (DOM & Internal)');
     },
 
-    injectTrack(vttContent, label) {
-        const v = App.dom.player.video;
-
-        // Remove old tracks
-        this.clearTracks();
-
+    /**
+     * @param {string} vttContent
+     * @param {string} label
+     * @param {string} slot - 'primary' | 'secondary'
+     * @param {string} [language] - BCP 47 code, left out when unknown
+     */
+    createTrack(vttContent, label, slot, language = null) {
         const blob = new Blob([vttContent], { type: 'text/vtt' });
-        const url = URL.createObjectURL(blob);
 
         const track = document.createElement('track');
         track.kind = 'subtitles';
         track.label = label;
-        track.srclang = label.toLowerCase().includes('spanish') ? 'es' : 'en';
-        track.src = url;
-        track.default = true;
-
-        v.appendChild(track);
+        const code = Languages.normalizeCode(language);
+        if (code) track.srclang = code;
+        // Kept on the element to be revoked with it: each timing step makes a new copy
+        track.dataset.objectUrl = URL.createObjectURL(blob);
+        track.src = track.dataset.objectUrl;
+        track.dataset.slot = slot;
+
+        App.dom.player.video.appendChild(track);
+        track.track.oncuechange = () => this.renderDual();
+        return track;
+    },
 
-        // Force display
-        if (v.textTracks.length > 0) {
-            v.textTracks[0].mode = 'showing';
-        }
-        console.log(`[Subtitles] Injected track: ${label}`);
+    removeTrackElement(track) {
+        if (track.dataset.objectUrl) URL.revokeObjectURL(track.dataset.objectUrl);
+        track.remove();
     },
 
-    setLocalTrack(url, label) {
-        const v = App.dom.player.video;
-        this.clearTracks(); // Ensure previous tracks are gone
+    injectTrack(vttContent, label, language = null) {
+        // Remove old tracks
+        this.clearTracks();
+        this.activeVtt = { content: vttContent, label, language };
 
-        const track = document.createElement('track');
-        track.kind = 'subtitles';
-        track.label = label;
-        track.srclang = 'es';
-        track.src = url;
+        const track = this.createTrack(this.retimeVtt(vttContent), label, 'primary', language);
         track.default = true;
+        this.stopEmbedded();
 
-        // Use event listener for robust activation
-        track.onload = () => {
-            console.log(`[Subtitles] Track loaded successfully: ${label}`);
-            track.track.mode = 'showing';
-        };
-
-        track.onerror = (e) => {
-            console.error('[Subtitles] Track failed to load:', e);
-        };
-
-        v.appendChild(track);
+        this.showPrimary(track.track);
+        console.log(`[Subtitles] Injected track: ${label}`);
+    },
 
-        // Fallback: If cached or instant load, event might fire before listener? 
-        // No, because we append after adding listeners. 
-        // Just in case, force check.
-        requestAnimationFrame(() => {
-            if (track.readyState === 2) { // LOADED
-                track.track.mode = 'showing';
-            }
-        });
+    /**
+     * Display the primary track: natively, or hidden and drawn in the dual overlay
+     * (embedded tracks may sit before it in textTracks, so its mode is set explicitly)
+     */
+    showPrimary(textTrack) {
+        this.primaryTrack = textTrack;
+        textTrack.oncuechange = () => this.renderDual();
+        textTrack.mode = this.secondary ? 'hidden' : 'showing';
+        this.renderDual();
+    },
 
-        App.state.currentSubtitleUrl = url;
-        console.log(`[Subtitles] Set local track: ${label}`);
+    /**
+     * Subtitle served by the local media server (downloaded copy)
+     * Injected like the others so its timing can be adjusted
+     */
+    async setLocalTrack(url, label, language = null) {
+        try {
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(I18n.t('subtitles.localFetchFailed', { status: String(res.status) }));
+            this.injectTrack(SubtitleParser.toVtt(await res.text()), label, language);
+            App.state.currentSubtitleUrl = url;
+            console.log(`[Subtitles] Set local track: ${label}`);
+        } catch (e) {
+            console.error('[Subtitles] Track failed to load:', e);
+        }
     },
 
     async fetchForMovie(imdbId) {
@@ -106,11 +172,21 @@ const Subtitles = {
             return;
         }
 
-        console.log(`[Subtitles] Fetching for ${imdbId}...`);
+        console.log(`[Subtitles] Fetching for ${imdbId}${this.fileMatch ? ` (${this.fileMatch.releaseName})` : ''}...`);
+        const seq = ++this.fetchSeq;
         try {
-            const subs = await window.api.fetchMovieSubs(imdbId);
-            App.state.availableSubtitles = subs;
-            console.log(`[Subtitles] Found ${subs.length} subtitles`);
+            const match = this.fileMatch ? {
+                movieHash: this.fileMatch.movieHash,
+                fileSize: this.fileMatch.fileSize,
+                releaseName: this.fileMatch.releaseName
+            } : null;
+            const subs = await window.api.fetchMovieSubs(imdbId, null, match);
+            if (seq !== this.fetchSeq) return;
+
+            // The subtitle of a downloaded copy stays first
+            const local = (App.state.availableSubtitles || []).filter(s => s.isLocal);
+            App.state.availableSubtitles = [...local, ...subs];
+            console.log(`[Subtitles] Found ${subs.length} subtitles (${subs.filter(s => s.hashMatch).length} synced for this file)`);
 
             if (subs.length === 0) {
                 if (!App.state.failedSubtitles) App.state.failedSubtitles = new Set();
@@ -119,103 +195,679 @@ const Subtitles = {
                 return;
             }
 
-            // Auto-load Spanish first, then English
-            const spanish = subs.find(s => s.language.toLowerCase().includes('spanish') || s.language.toLowerCase().includes('español'));
-            const english = subs.find(s => s.language.toLowerCase().includes('english'));
+            // Keep what the user (or the downloaded copy) chose
+            if (local.length || (App.state.currentSubtitleUrl && !this.autoSelected)) return;
+            if (!this.languages.autoLoadSubtitles) return;
 
-            if (spanish) {
-                console.log('[Subtitles] Auto-loading Spanish...');
-                await this.load(spanish);
-            } else if (english) {
-                console.log('[Subtitles] No Spanish found, auto-loading English...');
-                await this.load(english);
-            } else {
-                console.log('[Subtitles] No Spanish/English found, waiting for user selection');
+            // Auto-load the most preferred language (results come best match first)
+            const best = this.pickPreferred(subs);
+
+            if (best && best.id === App.state.currentSubtitleUrl) {
+                return;
+            } else if (best) {
+                console.log(`[Subtitles] Auto-loading ${best.language}: ${best.releaseName || best.id}`);
+                await this.load(best, true);
+            } else if (!App.state.currentSubtitleUrl) {
+                console.log('[Subtitles] No preferred language found, waiting for user selection');
                 // Open menu to let user choose
                 this.openMenu();
             }
         } catch (e) {
             console.error('[Subtitles] Fetch failed:', e);
-            App.state.availableSubtitles = [];
+            if (seq === this.fetchSeq) App.state.availableSubtitles = [];
         }
     },
 
-    async load(sub) {
+    /**
+     * Hash and name of the file being played (sent after stream-ready)
+     * Searches again so subtitles synced for this exact release come first
+     * @param {Object} data - { url, movieHash, fileSize, releaseName }
+     */
+    setFileMatch(data) {
+        if (!Player.isCastMode && App.dom.player.video.src !== data.url) return;
+        this.fileMatch = data;
+
+        const imdbId = Player.currentMovie?.imdb_code;
+        if (imdbId) this.fetchForMovie(imdbId);
+    },
+
+    resetFileMatch() {
+        this.fileMatch = null;
+        this.fetchSeq++;
+    },
+
+    /**
+     * @param {Object} sub - Entry of App.state.availableSubtitles
+     * @param {boolean} [auto] - Picked automatically (replaced if a better match shows up)
+     */
+    async load(sub, auto = false) {
         console.log(`[Subtitles] Loading: ${sub.language} (Local: ${!!sub.isLocal})`);
+        const label = this.languageLabel(sub);
 
         try {
-            let content;
+            const content = await this.fetchContent(sub);
 
             if (sub.isLocal) {
-                // Fetch directly from local server
-                const res = await fetch(sub.downloadUrl);
-                if (!res.ok) throw new Error(`Local fetch failed: ${res.status}`);
-                content = await res.text();
-
-                // If it's already VTT (served as .vtt), just inject. Else convert.
-                // We assume locally served files might be VTT or SRT.
-                const isVtt = sub.downloadUrl.endsWith('.vtt') || content.startsWith('WEBVTT');
-
-                if (isVtt) {
-                    this.injectTrack(content, sub.language);
-                } else {
-                    const vtt = this.srtToWebVTT(content);
-                    this.injectTrack(vtt, sub.language);
-                }
+                this.injectTrack(SubtitleParser.toVtt(content), label, sub.languageCode);
 
                 // Store for cast
                 App.state.currentSubtitleUrl = sub.downloadUrl;
                 return;
             }
 
-            // Normal Online Flow (ZIP)
-            const srt = await window.api.loadSelectedSub(sub.downloadUrl);
-            if (!srt) throw new Error("Empty subtitle content");
-
-            const vtt = this.srtToWebVTT(srt);
-            this.injectTrack(vtt, sub.language);
+            this.injectTrack(SubtitleParser.toVtt(content), label, sub.languageCode);
+            this.autoSelected = auto;
             console.log(`[Subtitles] Loaded ${sub.language}`);
 
-            // Store download URL for cast
-            App.state.currentSubtitleUrl = sub.downloadUrl;
-            console.log(`[Subtitles] Stored URL for cast: ${sub.downloadUrl}`);
+            // Store subtitle id for cast
+            App.state.currentSubtitleUrl = sub.id;
+            console.log(`[Subtitles] Stored id for cast: ${sub.id}`);
 
         } catch (e) {
             console.error('[Subtitles] Load error:', e);
-            Toast.show(`Error loading subtitle: ${e.message}`, 'error');
+            Toast.show(I18n.t('subtitles.loadFailed', { message: e.message }), 'error');
         }
     },
 
+    /**
+     * Raw content of an entry of App.state.availableSubtitles
+     */
+    async fetchContent(sub) {
+        if (sub.isLocal) {
+            // Fetch directly from local server
+            const res = await fetch(sub.downloadUrl);
+            if (!res.ok) throw new Error(I18n.t('subtitles.localFetchFailed', { status: String(res.status) }));
+            return res.text();
+        }
+
+        // Online flow: the main process routes the id to the source that found it
+        const content = await window.api.loadSelectedSub(sub.id);
+        if (!content) throw new Error(I18n.t('subtitles.emptyContent'));
+        return content;
+    },
+
+    // Dual subtitles
+    /**
+     * Show a second subtitle along with the primary one
+     * @param {string} vttContent - Untimed WebVTT
+     * @param {string} label
+     * @param {string} [language] - BCP 47 code
+     */
+    setSecondary(vttContent, label, language = null) {
+        this.removeSecondaryTrack();
+        this.secondary = { content: vttContent, label, language, trackEl: null };
+        this.injectSecondary();
+        if (this.primaryTrack) this.showPrimary(this.primaryTrack);
+
+        this.updateTimingControls();
+        if (Player.isCastMode) window.api.castSetSecondarySubtitle(this.getCastSecondary(), Player.castPosition);
+        console.log(`[Subtitles] Secondary track: ${label}`);
+    },
+
+    // (Re)creates the secondary track with its own delay
+    injectSecondary() {
+        this.removeSecondaryTrack();
+        const { content, label, language } = this.secondary;
+        const track = this.createTrack(SubtitleParser.retimeVtt(content, { delay: this.timing.secondaryDelay }), label, 'secondary', language);
+        // Hidden tracks still fire cuechange: the overlay draws them
+        track.track.mode = 'hidden';
+        this.secondary.trackEl = track;
+    },
+
+    removeSecondaryTrack() {
+        const trackEl = this.secondary?.trackEl;
+        if (!trackEl) return;
+        trackEl.track.oncuechange = null;
+        trackEl.track.mode = 'disabled';
+        this.removeTrackElement(trackEl);
+        this.secondary.trackEl = null;
+    },
+
+    clearSecondary() {
+        if (!this.secondary) return;
+        this.removeSecondaryTrack();
+        this.secondary = null;
+        if (this.primaryTrack) this.showPrimary(this.primaryTrack);
+        else this.renderDual();
+
+        this.updateTimingControls();
+        if (Player.isCastMode) window.api.castSetSecondarySubtitle(null, Player.castPosition);
+        console.log('[Subtitles] Secondary track removed');
+    },
+
+    async loadSecondary(sub) {
+        try {
+            this.setSecondary(SubtitleParser.toVtt(await this.fetchContent(sub)), this.languageLabel(sub), sub.languageCode);
+        } catch (e) {
+            console.error('[Subtitles] Secondary load error:', e);
+            Toast.show(I18n.t('subtitles.loadFailed', { message: e.message }), 'error');
+        }
+    },
+
+    // Extracted embedded cues as WebVTT (only whole tracks can be secondary)
+    embeddedToVtt(entry) {
+        return SubtitleParser.cuesToVtt([...entry.cueTimes].map(([cue, times]) => ({ start: times.start, end: times.end, text: cue.text })));
+    },
+
+    // For CastModal: merged by the main process into the served VTT (served alone without a primary one)
+    getCastSecondary() {
+        return this.secondary
+            ? { vtt: this.secondary.content, position: this.style?.secondaryPosition || 'top', language: this.secondary.language || null }
+            : null;
+    },
+
+    /**
+     * Draw the active cues of both tracks in the overlay: the secondary one at the
+     * top, or stacked above the primary one at the bottom
+     */
+    renderDual() {
+        const p = App.dom.player;
+        const active = !!this.secondary;
+        p.subtitleDualOverlay.classList.toggle('active', active);
+        if (!active) {
+            p.subtitleDualTop.replaceChildren();
+            p.subtitleDualBottom.replaceChildren();
+            return;
+        }
+
+        const lines = (textTrack, className) => [...(textTrack?.activeCues || [])].map(cue => {
+            const el = document.createElement('div');
+            el.className = `subtitle-dual-text ${className}`;
+            el.appendChild(cue.getCueAsHTML());
+            return el;
+        });
+        const primary = lines(this.primaryTrack, 'primary');
+        const secondary = lines(this.secondary.trackEl?.track, 'secondary');
+
+        if (this.style?.secondaryPosition === 'bottom') {
+            p.subtitleDualTop.replaceChildren();
+            p.subtitleDualBottom.replaceChildren(...secondary, ...primary);
+        } else {
+            p.subtitleDualTop.replaceChildren(...secondary);
+            p.subtitleDualBottom.replaceChildren(...primary);
+        }
+    },
+
+    /**
+     * Text subtitle tracks found in the file by the stream probe
+     * @param {Object} probe - { url, container, tracks }
+     */
+    setEmbeddedTracks(probe) {
+        this.resetEmbedded();
+        const tracks = probe.tracks.filter(t => t.type === 'subtitle' && t.number != null && this.EMBEDDED_CODECS.includes(t.codec));
+        this.embedded = {
+            url: probe.url,
+            container: probe.container,
+            tracks: tracks.map(track => ({
+                track,
+                label: Formatters.formatTrackLabel(track),
+                textTrack: null,
+                // VTTCue -> untimed { start, end }, to re-time cues in place
+                cueTimes: new Map(),
+                loading: false,
+                done: false
+            }))
+        };
+        if (tracks.length) console.log(`[Subtitles] ${tracks.length} embedded track(s) available`);
+    },
+
+    resetEmbedded() {
+        this.stopEmbedded();
+        this.embedded = { url: null, container: null, tracks: [] };
+    },
+
+    /**
+     * Show an embedded track; its cues arrive in batches while the file is read
+     */
+    loadEmbedded(entry) {
+        const v = App.dom.player.video;
+        this.clearTracks();
+
+        // Tracks created with addTextTrack() can't be removed, so each one is reused
+        if (!entry.textTrack) {
+            entry.textTrack = v.addTextTrack('subtitles', entry.label, Languages.normalizeCode(entry.track.language) || '');
+        }
+        this.showPrimary(entry.textTrack);
+        console.log(`[Subtitles] Loading embedded track: ${entry.label}`);
+
+        if (entry.done || entry.loading) return;
+
+        // A previous partial extraction of this track is started over
+        while (entry.textTrack.cues && entry.textTrack.cues.length) {
+            entry.textTrack.removeCue(entry.textTrack.cues[0]);
+        }
+        entry.cueTimes.clear();
+        this.embedded.tracks.forEach(other => { other.loading = false; });
+        entry.loading = true;
+
+        Toast.show(I18n.t('subtitles.loadingEmbedded'));
+        window.api.extractEmbeddedSubtitle({
+            url: this.embedded.url,
+            container: this.embedded.container,
+            track: entry.track
+        });
+    },
+
+    onEmbeddedCues(data) {
+        if (data.url !== this.embedded.url) return;
+        const entry = this.embedded.tracks.find(e => e.track.number === data.number);
+        if (!entry || !entry.loading) return;
+
+        data.cues.forEach(cue => {
+            const vttCue = new VTTCue(this.shiftTime(cue.start), this.shiftTime(cue.end), cue.text);
+            entry.cueTimes.set(vttCue, { start: cue.start, end: cue.end });
+            entry.textTrack.addCue(vttCue);
+        });
+
+        if (data.done) {
+            entry.loading = false;
+            entry.done = !data.error;
+            if (data.error) Toast.show(I18n.t('subtitles.extractFailed', { message: data.error }), 'error');
+            else console.log(`[Subtitles] Embedded track complete: ${entry.label} (${entry.textTrack.cues.length} cues)`);
+        }
+    },
+
+    /**
+     * Stop an extraction in progress (another subtitle was chosen)
+     */
+    stopEmbedded() {
+        const loading = this.embedded.tracks.filter(e => e.loading);
+        if (!loading.length) return;
+        loading.forEach(e => { e.loading = false; });
+        window.api.stopEmbeddedSubtitle();
+    },
+
+    // Timing
+    getTimingRatio() {
+        return this.FRAMERATES[this.timing.framerate] || 1;
+    },
+
+    shiftTime(seconds) {
+        return Math.max(0, seconds * this.getTimingRatio() + this.timing.delay);
+    },
+
+    formatDelay(delay) {
+        return `${delay > 0 ? '+' : ''}${I18n.formatNumber(Number(delay.toFixed(2)))} s`;
+    },
+
+    /**
+     * Apply the current delay and framerate conversion to the cue times of a WebVTT
+     */
+    retimeVtt(vtt) {
+        return SubtitleParser.retimeVtt(vtt, this.getTimingParams());
+    },
+
+    /**
+     * Change the timing of the active subtitle
+     * @param {Object} changes - { delay, framerate }
+     * @param {Object} [options] - persist: save for the movie; silent: no on-screen indicator
+     */
+    setTiming(changes, { persist = true, silent = false } = {}) {
+        const timing = { ...this.timing, ...changes };
+        timing.delay = Math.round(timing.delay * 100) / 100;
+        timing.secondaryDelay = Math.round(timing.secondaryDelay * 100) / 100;
+        if (!(timing.framerate in this.FRAMERATES)) timing.framerate = null;
+        const secondaryChanged = timing.secondaryDelay !== this.timing.secondaryDelay;
+        this.timing = timing;
+        if (secondaryChanged && this.secondary) this.injectSecondary();
+
+        this.applyTiming();
+        this.updateTimingControls();
+        if (!silent) this.showTimingOsd();
+        if (persist && Player.currentMovie) window.api.store.saveSubtitleTiming(Player.currentMovie, timing);
+        if (Player.isCastMode) this.scheduleCastTiming();
+    },
+
+    adjustDelay(step) {
+        this.setTiming({ delay: this.timing.delay + step });
+    },
+
+    adjustSecondaryDelay(step) {
+        this.setTiming({ secondaryDelay: this.timing.secondaryDelay + step });
+    },
+
+    applyTiming() {
+        // Injected tracks are rebuilt from their untimed content
+        if (this.activeVtt) {
+            const { content, label, language } = this.activeVtt;
+            const url = App.state.currentSubtitleUrl;
+            const auto = this.autoSelected;
+            this.injectTrack(content, label, language);
+            App.state.currentSubtitleUrl = url;
+            this.autoSelected = auto;
+        }
+
+        // Embedded cues are moved in place
+        this.embedded.tracks.forEach(entry => {
+            entry.cueTimes.forEach((times, cue) => {
+                cue.startTime = this.shiftTime(times.start);
+                cue.endTime = this.shiftTime(times.end);
+            });
+        });
+    },
+
+    /**
+     * Restore the timing saved for a movie (defaults when there is none)
+     */
+    async loadTiming(movie) {
+        const saved = movie ? await window.api.store.getSubtitleTiming(movie) : null;
+        if (movie && movie !== Player.currentMovie) return;
+        this.setTiming({
+            delay: saved?.delay || 0,
+            framerate: saved?.framerate || null,
+            secondaryDelay: saved?.secondaryDelay || 0
+        }, { persist: false, silent: true });
+        if (saved) console.log(`[Subtitles] Restored timing: ${this.formatDelay(this.timing.delay)}, ${this.timing.framerate || 'original'}`);
+    },
+
+    // { delay, ratio } as SubtitleParser.retimeVtt and the cast subtitle server take it
+    getTimingParams() {
+        return { delay: this.timing.delay, ratio: this.getTimingRatio(), secondaryDelay: this.timing.secondaryDelay };
+    },
+
+    // Every change reloads the media on the receiver, so quick key presses are batched
+    scheduleCastTiming() {
+        clearTimeout(this.castTimingTimer);
+        this.castTimingTimer = setTimeout(() => {
+            window.api.castSetSubtitleTiming(this.getTimingParams(), Player.castPosition);
+        }, 1200);
+    },
+
+    showTimingOsd() {
+        const osd = App.dom.player.subtitleTimingOsd;
+        const framerate = this.timing.framerate ? ` · ${this.timing.framerate.replace('-', ' → ')} fps` : '';
+        const secondary = this.secondary ? ` · ${I18n.t('subtitles.osdSecondary', { delay: this.formatDelay(this.timing.secondaryDelay) })}` : '';
+        osd.textContent = `${I18n.t('subtitles.osd', { delay: this.formatDelay(this.timing.delay) })}${framerate}${secondary}`;
+        osd.classList.add('active');
+        clearTimeout(this.osdTimer);
+        this.osdTimer = setTimeout(() => osd.classList.remove('active'), 1500);
+    },
+
+    updateTimingControls() {
+        const p = App.dom.player;
+        p.subtitleDelayValue.textContent = this.formatDelay(this.timing.delay);
+        p.subtitleFramerate.value = this.timing.framerate || '';
+        p.subtitleSecondaryDelayRow.hidden = !this.secondary;
+        p.subtitleSecondaryDelayValue.textContent = this.formatDelay(this.timing.secondaryDelay);
+    },
+
+    /**
+     * Cue starts of the active subtitle, framerate-converted but without delay
+     */
+    getCueStarts() {
+        const ratio = this.getTimingRatio();
+        if (this.activeVtt) {
+            return SubtitleParser.parse(this.activeVtt.content, { format: 'vtt' }).cues.map(cue => cue.start * ratio);
+        }
+        const entry = this.embedded.tracks.find(e => e.textTrack && e.textTrack.mode === 'showing');
+        return entry ? [...entry.cueTimes.values()].map(times => times.start * ratio) : [];
+    },
+
+    /**
+     * Find the delay from the audio: listens to a stretch of playback and lines
+     * the cue starts of the active subtitle up with the detected speech onsets
+     */
+    async autoSync() {
+        const v = App.dom.player.video;
+        if (Player.isCastMode) {
+            Toast.show(I18n.t('subtitles.syncUnavailableCasting'), 'info');
+            return;
+        }
+        const cueStarts = this.getCueStarts();
+        if (!cueStarts.length) {
+            Toast.show(I18n.t('subtitles.syncNeedsSubtitle'), 'info');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.syncController = controller;
+        const btn = App.dom.player.subtitleAutoSync;
+        btn.classList.add('active');
+        if (v.paused) v.play().catch(() => { });
+
+        try {
+            const onsets = await SubtitleSync.detectSpeechOnsets(v, {
+                signal: controller.signal,
+                onProgress: (seconds) => {
+                    btn.textContent = I18n.t('subtitles.syncListening', { seconds: Math.floor(seconds), total: SubtitleSync.LISTEN_SECONDS });
+                }
+            });
+            const result = SubtitleSync.findDelay(cueStarts, onsets, this.timing.delay);
+            console.log(`[Subtitles] Auto-sync: ${onsets.length} onsets, ${cueStarts.length} cues ->`, result);
+
+            if (!result) {
+                Toast.show(I18n.t('subtitles.syncNoMatch'), 'error');
+                return;
+            }
+            this.setTiming({ delay: result.delay });
+            Toast.show(I18n.t('subtitles.synced', { delay: this.formatDelay(result.delay) }), 'success');
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error('[Subtitles] Auto-sync failed:', e);
+            Toast.show(I18n.t('subtitles.syncFailed', { message: e.message }), 'error');
+        } finally {
+            if (this.syncController === controller) this.syncController = null;
+            btn.classList.remove('active');
+            btn.textContent = I18n.t('subtitles.autoSync');
+        }
+    },
+
+    cancelAutoSync() {
+        if (!this.syncController) return;
+        this.syncController.abort();
+        this.syncController = null;
+    },
+
+    setupTimingControls() {
+        const p = App.dom.player;
+        p.subtitleDelayMinus.addEventListener('click', () => this.adjustDelay(-this.DELAY_STEP));
+        p.subtitleDelayPlus.addEventListener('click', () => this.adjustDelay(this.DELAY_STEP));
+        p.subtitleSecondaryDelayMinus.addEventListener('click', () => this.adjustSecondaryDelay(-this.DELAY_STEP));
+        p.subtitleSecondaryDelayPlus.addEventListener('click', () => this.adjustSecondaryDelay(this.DELAY_STEP));
+        p.subtitleFramerate.addEventListener('change', () => this.setTiming({ framerate: p.subtitleFramerate.value || null }));
+        p.subtitleAutoSync.addEventListener('click', () => {
+            if (this.syncController) this.cancelAutoSync();
+            else this.autoSync();
+        });
+
+        // Z / X: subtitles earlier / later (same keys as mpv); with Shift, the secondary one
+        document.addEventListener('keydown', (e) => {
+            if (!p.view.classList.contains('active') || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            const adjust = (step) => (e.shiftKey && this.secondary ? this.adjustSecondaryDelay(step) : this.adjustDelay(step));
+            if (key === 'z') adjust(-this.DELAY_STEP);
+            else if (key === 'x') adjust(this.DELAY_STEP);
+            else return;
+            e.preventDefault();
+        });
+    },
+
+    // Language preferences
+    async loadLanguages() {
+        try {
+            this.languages = await window.api.settings.getLanguages();
+        } catch (e) {
+            console.error('[Subtitles] Language preferences load error:', e);
+        }
+    },
+
+    /**
+     * Save language preferences; the next search is ranked by the new order
+     * @param {Object} changes - { subtitleLanguages, audioLanguages, autoLoadSubtitles }
+     * @returns {Promise<Object>} Resulting preferences
+     */
+    async setLanguages(changes) {
+        this.languages = await window.api.settings.updateLanguages(changes);
+        return this.languages;
+    },
+
+    /**
+     * Name of a result's language in the UI language (providers report English names)
+     */
+    languageLabel(sub) {
+        return (!sub.isLocal && Languages.displayName(sub.languageCode, I18n.locale)) || sub.language;
+    },
+
+    /**
+     * Most preferred entry of a subtitle list, null when none is in a wanted language
+     */
+    pickPreferred(subs) {
+        return Languages.pickPreferred(subs, this.languages.subtitleLanguages);
+    },
+
+    // Appearance
+    async loadStyle() {
+        try {
+            this.style = await window.api.settings.getSubtitleStyle();
+        } catch (e) {
+            console.error('[Subtitles] Style load error:', e);
+            return;
+        }
+        this.applyStyle();
+        this.updateStyleControls();
+    },
+
+    /**
+     * Change the subtitle appearance
+     * @param {Object} changes - { fontSize, color, backgroundOpacity, edgeStyle, position }
+     * @param {Object} [options] - persist: save to settings (sliders only persist when released)
+     */
+    async setStyle(changes, { persist = true } = {}) {
+        if (!this.style) return;
+        this.style = { ...this.style, ...changes };
+        this.applyStyle();
+        if (!persist) return;
+
+        this.style = await window.api.settings.updateSubtitleStyle(changes);
+        this.applyStyle();
+        this.updateStyleControls();
+        if (!Player.isCastMode) return;
+        // The secondary position is part of the merged VTT, not of the text track style
+        if ('secondaryPosition' in changes) window.api.castSetSecondarySubtitle(this.getCastSecondary(), Player.castPosition);
+        else this.scheduleCastStyle();
+    },
+
+    // The receiver takes the style with the load request, so changes are batched like timing ones
+    scheduleCastStyle() {
+        clearTimeout(this.castStyleTimer);
+        this.castStyleTimer = setTimeout(() => window.api.castRefreshSubtitleStyle(Player.castPosition), 1200);
+    },
+
+    cueDeclarations(fontSize) {
+        const { color, backgroundOpacity, edgeStyle } = this.style;
+        return [
+            `color: ${color}`,
+            `background-color: rgba(0, 0, 0, ${backgroundOpacity})`,
+            `text-shadow: ${this.EDGE_SHADOWS[edgeStyle] || 'none'}`,
+            `font-size: ${fontSize}`
+        ].join('; ');
+    },
+
+    applyStyle() {
+        if (!this.styleSheet) {
+            this.styleSheet = document.createElement('style');
+            this.styleSheet.id = 'subtitle-style-sheet';
+            document.head.appendChild(this.styleSheet);
+        }
+        const scale = this.style.fontSize / 100;
+        this.styleSheet.textContent = [
+            `#player-video::cue { ${this.cueDeclarations(`calc(2.5vh * ${scale})`)}; }`,
+            `#player-video::-webkit-media-text-track-container { transform: translateY(-${this.style.position}%); }`,
+            `.subtitle-style-preview-text { ${this.cueDeclarations(`${0.9 * scale}rem`)}; }`,
+            `.subtitle-dual-text { ${this.cueDeclarations(`calc(2.5vh * ${scale})`)}; }`,
+            `.subtitle-dual-text.secondary { font-size: calc(2.5vh * ${scale * 0.85}); }`,
+            `.subtitle-dual-bottom { bottom: ${8 + this.style.position}%; }`
+        ].join('\n');
+        this.renderDual();
+    },
+
+    updateStyleControls() {
+        const p = App.dom.player;
+        p.subtitleStyleSize.value = String(this.style.fontSize);
+        p.subtitleStyleColor.value = this.style.color;
+        p.subtitleStyleBackground.value = String(this.style.backgroundOpacity);
+        p.subtitleStyleEdge.value = this.style.edgeStyle;
+        p.subtitleStylePosition.value = String(this.style.position);
+        p.subtitleSecondaryPosition.value = this.style.secondaryPosition;
+    },
+
+    setupStyleControls() {
+        const p = App.dom.player;
+        p.subtitleStyleSize.addEventListener('change', () => this.setStyle({ fontSize: Number(p.subtitleStyleSize.value) }));
+        p.subtitleStyleColor.addEventListener('change', () => this.setStyle({ color: p.subtitleStyleColor.value }));
+        p.subtitleStyleEdge.addEventListener('change', () => this.setStyle({ edgeStyle: p.subtitleStyleEdge.value }));
+        p.subtitleSecondaryPosition.addEventListener('change', () => this.setStyle({ secondaryPosition: p.subtitleSecondaryPosition.value }));
+
+        // Sliders preview while dragging and save on release
+        [['subtitleStyleBackground', 'backgroundOpacity'], ['subtitleStylePosition', 'position']].forEach(([el, key]) => {
+            p[el].addEventListener('input', () => this.setStyle({ [key]: Number(p[el].value) }, { persist: false }));
+            p[el].addEventListener('change', () => this.setStyle({ [key]: Number(p[el].value) }));
+        });
+    },
+
     // UI: Menu
     renderMenu() {
         const list = App.dom.player.subtitleMenuList;
+        const secondarySlot = this.menuSlot === 'secondary';
         list.innerHTML = '';
 
+        App.dom.player.subtitleMenu.classList.toggle('secondary-slot', secondarySlot);
+        App.dom.player.subtitleSlotTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.slot === this.menuSlot));
+
         // "None" option
         const noneBtn = document.createElement('button');
         noneBtn.className = 'subtitle-menu-item';
-        noneBtn.textContent = 'Sin subtítulos';
+        noneBtn.textContent = I18n.t(secondarySlot ? 'subtitles.noneSecondary' : 'subtitles.none');
         noneBtn.onclick = () => {
-            this.clearTracks();
+            if (secondarySlot) this.clearSecondary();
+            else this.clearTracks();
             this.closeMenu();
         };
         list.appendChild(noneBtn);
 
-        if (!App.state.availableSubtitles || App.state.availableSubtitles.length === 0) {
+        const online = App.state.availableSubtitles || [];
+        // Embedded tracks stream in while the file is read: only finished ones can be secondary
+        const embedded = secondarySlot ? this.embedded.tracks.filter(e => e.done) : this.embedded.tracks;
+        if (online.length === 0 && embedded.length === 0) {
             const empty = document.createElement('div');
             empty.className = 'subtitle-empty-state';
-            empty.textContent = 'No subtitles found';
+            empty.textContent = I18n.t('subtitles.notFound');
             list.appendChild(empty);
             return;
         }
 
-        // Languages
-        App.state.availableSubtitles.forEach(sub => {
+        // Tracks inside the file
+        embedded.forEach(entry => {
             const btn = document.createElement('button');
             btn.className = 'subtitle-menu-item';
-            btn.textContent = sub.language;
+            btn.innerHTML = `<span></span><span class="subtitle-menu-rating">${I18n.t('subtitles.embedded')}</span>`;
+            btn.firstChild.textContent = entry.label;
+            btn.onclick = () => {
+                if (secondarySlot) this.setSecondary(this.embeddedToVtt(entry), entry.label, entry.track.language);
+                else this.loadEmbedded(entry);
+                this.closeMenu();
+            };
+            list.appendChild(btn);
+        });
+
+        // Candidates, best match first, tagged with their source and rating
+        online.forEach(sub => {
+            const btn = document.createElement('button');
+            btn.className = 'subtitle-menu-item';
+            if (sub.isLocal) {
+                btn.textContent = sub.language;
+            } else {
+                btn.innerHTML = '<span></span><span class="subtitle-menu-rating"></span>';
+                btn.firstChild.textContent = this.languageLabel(sub);
+                btn.lastChild.textContent = [sub.hashMatch ? I18n.t('subtitles.hashMatch') : null, sub.sourceName, sub.rating]
+                    .filter(part => part != null).join(' · ');
+                if (sub.releaseName) btn.title = sub.releaseName;
+            }
             btn.onclick = async () => {
-                await this.load(sub);
+                if (secondarySlot) await this.loadSecondary(sub);
+                else await this.load(sub);
                 this.closeMenu();
             };
             list.appendChild(btn);
@@ -223,6 +875,7 @@ const Subtitles = {
     },
 
     openMenu() {
+        Player.closeAudioMenu();
         this.renderMenu();
         App.dom.player.subtitleMenu.classList.add('active');
     },
@@ -241,6 +894,10 @@ const Subtitles = {
         const p = App.dom.player;
         p.subtitlesBtn.addEventListener('click', () => this.toggleMenu());
         p.subtitleMenuClose.addEventListener('click', () => this.closeMenu());
+        p.subtitleSlotTabs.forEach(tab => tab.addEventListener('click', () => {
+            this.menuSlot = tab.dataset.slot;
+            this.renderMenu();
+        }));
     },
 
     // Drag & Drop
@@ -263,14 +920,21 @@ const Subtitles = {
             overlay.classList.remove('active');
 
             const file = e.dataTransfer.files[0];
-            if (file && file.name.endsWith('.srt')) {
-                const reader = new FileReader();
-                reader.onload = (ev) => {
-                    const vtt = this.srtToWebVTT(ev.target.result);
-                    this.injectTrack(vtt, 'Local File');
-                };
-                reader.readAsText(file);
+            if (!file) return;
+            if (!SubtitleParser.isSupportedFile(file.name)) {
+                Toast.show(I18n.t('subtitles.unsupportedFormat', { extensions: SubtitleParser.EXTENSIONS.join(', ') }), 'error');
+                return;
             }
+
+            const reader = new FileReader();
+            reader.onload = (ev) => {
+                try {
+                    this.injectTrack(SubtitleParser.toVtt(ev.target.result), I18n.t('subtitles.localFile'));
+                } catch (err) {
+                    Toast.show(I18n.t('subtitles.readFailed', { file: file.name, message: err.message }), 'error');
+                }
+            };
+            reader.readAsText(file);
         });
     }
 };
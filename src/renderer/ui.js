@@ -18,14 +18,9 @@ window.UI = {
         const m = App.dom.modal;
 
         // Image Logic: Hybrid (Local > Remote > Placeholder)
-        let primarySrc;
         const remoteSrc = movie.medium_cover_image || movie.large_cover_image || movie.posterUrl || movie.background_image;
-
-        if (movie.infoHash) {
-            primarySrc = `../app_data/downloads/${movie.infoHash}/poster.jpg`;
-        } else {
-            primarySrc = remoteSrc;
-        }
+        // localPoster: file:// URL the main process adds to downloaded movies
+        const primarySrc = movie.localPoster || remoteSrc;
 
         m.poster.src = this.sanitize(primarySrc || '');
         const placeholder = 'assets/placeholder_glass.png';
@@ -49,10 +44,10 @@ window.UI = {
         m.rating.textContent = `${rating}/10`;
 
         const finalRuntime = movie.runtime || movie.duration;
-        const runtimeStr = finalRuntime ? `${finalRuntime} min` : 'N/A';
+        const runtimeStr = finalRuntime ? I18n.t('common.minutes', { count: finalRuntime }) : I18n.t('common.notAvailable');
         m.runtime.textContent = runtimeStr;
 
-        m.synopsis.textContent = movie.description_full || movie.summary || movie.synopsis || "Sin sinopsis disponible.";
+        m.synopsis.textContent = movie.description_full || movie.summary || movie.synopsis || I18n.t('movie.noSynopsis');
 
         // Populate Genres
         const genresContainer = document.getElementById('m-genres');
@@ -164,7 +159,7 @@ window.UI = {
         // Update Runtime (normalized field: runtime in minutes)
         if (data.runtime) {
             const runtimeSpan = card.querySelector('.movie-runtime');
-            const runtimeText = `• ${data.runtime} min`;
+            const runtimeText = `• ${I18n.t('common.minutes', { count: data.runtime })}`;
             if (runtimeSpan) {
                 runtimeSpan.textContent = runtimeText;
             } else {
@@ -179,7 +174,12 @@ window.UI = {
         }
     },
 
-    createCardElement(movie) {
+    /**
+     * Build a movie card
+     * @param {Object} movie - Movie object
+     * @param {Object} [options] - { progress: 0..1 } renders a watch-progress bar, { title } overrides the label
+     */
+    createCardElement(movie, options = {}) {
         const card = document.createElement('div');
         card.className = 'movie-card';
         // Add ID for enrichment updates
@@ -188,32 +188,22 @@ window.UI = {
         }
 
         // Image Logic: Hybrid (Local > Remote > Branded Placeholder)
-        let primarySrc;
         const remoteSrc = movie.medium_cover_image || movie.large_cover_image || movie.posterUrl || movie.background_image;
-
-        if (movie.infoHash) {
-            primarySrc = `../app_data/downloads/${movie.infoHash}/poster.jpg`;
-        } else {
-            primarySrc = remoteSrc;
-        }
+        const primarySrc = movie.localPoster || remoteSrc;
 
         // Duration formatting (handle runtime OR duration field)
-        let durationStr = '';
-        const runTimeVal = movie.runtime || movie.duration;
-        if (runTimeVal) {
-            const hrs = Math.floor(runTimeVal / 60);
-            const mins = runTimeVal % 60;
-            durationStr = hrs > 0 ? `${hrs}h ${mins}m` : `${mins}m`;
-        }
+        const durationStr = Formatters.formatDuration(movie.runtime || movie.duration);
+
+        const title = options.title || movie.title;
 
         card.innerHTML = `
-            <img class="movie-poster" src="${this.sanitize(primarySrc || '')}" alt="${this.sanitize(movie.title)}" loading="lazy">
+            <img class="movie-poster" src="${this.sanitize(primarySrc || '')}" alt="${this.sanitize(title)}" loading="lazy">
             <div class="movie-overlay">
                 <div class="movie-header">
                      ${movie.rating ? `<span class="movie-rating">★ ${movie.rating}</span>` : ''}
                 </div>
                 <div class="movie-content">
-                    <div class="movie-title">${this.sanitize(movie.title)}</div>
+                    <div class="movie-title">${this.sanitize(title)}</div>
                     <div class="movie-meta">
                         <span class="movie-year">${this.sanitize(String(movie.year || ''))}</span>
                         ${durationStr ? `<span class="movie-runtime">• ${durationStr}</span>` : ''}
@@ -222,6 +212,21 @@ window.UI = {
             </div>
         `;
 
+        if (options.progress > 0) {
+            const percent = Math.min(100, Math.round(options.progress * 100));
+            const progress = document.createElement('div');
+            progress.className = 'card-progress';
+            progress.innerHTML = `<div class="card-progress-bar" style="width: ${percent}%"></div>`;
+            card.appendChild(progress);
+        }
+
+        if (options.badge) {
+            const badge = document.createElement('div');
+            badge.className = 'card-badge';
+            badge.textContent = options.badge;
+            card.appendChild(badge);
+        }
+
         const img = card.querySelector('.movie-poster');
         const placeholder = 'assets/placeholder_glass.png';
 
@@ -245,7 +250,7 @@ window.UI = {
         App.dom.grid.innerHTML = '';
 
         if (!movies || movies.length === 0) {
-            App.dom.grid.innerHTML = '<div style="color: white; text-align: center; margin-top: 50px;">No movies found</div>';
+            App.dom.grid.innerHTML = `<div style="color: white; text-align: center; margin-top: 50px;">${I18n.t('catalog.noMovies')}</div>`;
             return;
         }
 
@@ -266,14 +271,14 @@ window.UI = {
     showEmptyState(query) {
         App.dom.grid.innerHTML = `
             <div class="empty-state" style="color: white; text-align: center; margin-top: 50px;">
-                <h2>No results found</h2>
-                <p>We couldn't find any movies matching "${this.sanitize(query)}"</p>
+                <h2>${I18n.t('catalog.noResults')}</h2>
+                <p>${this.sanitize(I18n.t('catalog.noResultsFor', { query }))}</p>
             </div>
         `;
     },
 
     showError(message) {
-        App.dom.grid.innerHTML = `<div style="color: #ff4444; text-align: center; margin-top: 50px;">Error: ${this.sanitize(message)}</div>`;
+        App.dom.grid.innerHTML = `<div style="color: #ff4444; text-align: center; margin-top: 50px;">${this.sanitize(I18n.t('common.errorWithMessage', { message }))}</div>`;
     },
 
     // Init Visuals
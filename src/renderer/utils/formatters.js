@@ -1,19 +1,29 @@
 /**
  * Formatting Utilities
+ * Numbers, dates and names follow the UI language (I18n.locale)
  */
 const Formatters = {
     formatDuration(minutes) {
         if (!minutes) return '';
         const hrs = Math.floor(minutes / 60);
         const mins = minutes % 60;
-        return hrs > 0 ? `${hrs}h ${mins}m` : `${mins}m`;
+        return hrs > 0 ? I18n.t('common.hoursMinutes', { hours: hrs, minutes: mins }) : I18n.t('common.minutesShort', { minutes: mins });
     },
 
     formatFileSize(bytes) {
-        if (!bytes) return '0 B';
+        if (!bytes) return `${I18n.formatNumber(0)} B`;
         const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
+        const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        const value = I18n.formatNumber(bytes / Math.pow(1024, i), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        return `${value} ${sizes[i]}`;
+    },
+
+    /**
+     * @param {Date|string|number} value
+     * @param {Object} [options] - Intl.DateTimeFormat options
+     */
+    formatDate(value, options) {
+        return I18n.formatDate(value, options);
     },
 
     sanitizeHtml(str) {
@@ -23,9 +33,31 @@ const Formatters = {
         return div.innerHTML;
     },
 
+    /**
+     * Display name of a media track from the stream probe, e.g. "Español (Latino)"
+     * @param {Object} track - { number, language, name, isForced }
+     */
+    formatTrackLabel(track) {
+        let language = null;
+        if (track.language) {
+            try {
+                language = new Intl.DisplayNames([I18n.locale], { type: 'language' }).of(track.language);
+                language = language.charAt(0).toUpperCase() + language.slice(1);
+            } catch (e) {
+                language = track.language;
+            }
+        }
+
+        let label = language && track.name ? `${language} (${track.name})` : (language || track.name || I18n.t('player.track', { number: track.number }));
+        if (track.isForced) label += ` · ${I18n.t('player.forced')}`;
+        return label;
+    },
+
     formatTime(seconds) {
-        const min = Math.floor(seconds / 60);
+        const hrs = Math.floor(seconds / 3600);
+        const min = Math.floor((seconds % 3600) / 60);
         const sec = Math.floor(seconds % 60);
+        if (hrs > 0) return `${hrs}:${min.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
         return `${min}:${sec.toString().padStart(2, '0')}`;
     }
 };
@@ -15,6 +15,36 @@ const MagnetUtils = {
 
     isValidMagnet(magnet) {
         return magnet && magnet.startsWith('magnet:?') && magnet.includes('xt=urn:btih:');
+    },
+
+    /**
+     * Display name (dn) of a magnet, if present
+     */
+    extractName(magnet) {
+        if (!magnet) return null;
+        const match = magnet.match(/[?&]dn=([^&]+)/i);
+        if (!match) return null;
+        try {
+            return decodeURIComponent(match[1].replace(/\+/g, ' '));
+        } catch (e) {
+            return match[1];
+        }
+    },
+
+    /**
+     * Read the "name" field of a .torrent file's info dictionary
+     * @param {ArrayBuffer} buffer - Raw .torrent contents (bencoded)
+     * @returns {string|null}
+     */
+    readTorrentName(buffer) {
+        const bytes = new Uint8Array(buffer);
+        // Single-byte decoding keeps string offsets equal to byte offsets
+        const text = new TextDecoder('latin1').decode(bytes);
+        const match = text.match(/4:name(\d+):/);
+        if (!match) return null;
+
+        const start = match.index + match[0].length;
+        return new TextDecoder('utf-8').decode(bytes.subarray(start, start + parseInt(match[1], 10)));
     }
 };
 
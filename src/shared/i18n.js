@@ -0,0 +1,116 @@
+/**
+ * Internationalization
+ * Message catalogs (src/shared/locales) with {placeholder} interpolation and
+ * plural forms, shared by the renderer and the main process errors that reach the UI
+ */
+const I18n = {
+    // The UI was written in Spanish: missing keys fall back to it
+    FALLBACK: 'es',
+    catalogs: {},
+    locale: 'es',
+
+    /**
+     * Add a catalog; locale files call this in the renderer, the main process requires them
+     * @param {string} locale - e.g. "es", "en"
+     * @param {Object} messages - Nested keys; plural entries are { one, other, ... }
+     */
+    register(locale, messages) {
+        this.catalogs[locale] = messages;
+    },
+
+    /**
+     * Locales with a catalog, for the language switcher
+     * @returns {Array<{code: string, name: string}>}
+     */
+    getLocales() {
+        return Object.entries(this.catalogs).map(([code, messages]) => ({ code, name: messages.languageName || code }));
+    },
+
+    /**
+     * Catalog locale closest to a requested one ("es-AR" -> "es", "fr" -> fallback)
+     */
+    resolve(requested) {
+        const code = String(requested || '').replace(/_/g, '-');
+        if (this.catalogs[code]) return code;
+        const base = code.split('-')[0].toLowerCase();
+        return this.catalogs[base] ? base : this.FALLBACK;
+    },
+
+    setLocale(requested) {
+        this.locale = this.resolve(requested);
+        return this.locale;
+    },
+
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.catalogs[locale]);
+    },
+
+    /**
+     * Translated message
+     * @param {string} key - Dotted path, e.g. "cast.noStream"
+     * @param {Object} [params] - Interpolated as {name}; `count` also picks the plural form
+     * @returns {string} The key itself when no catalog has it
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message == null) message = this.lookup(this.FALLBACK, key);
+        if (message == null) {
+            console.warn(`[I18n] Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number' ? new Intl.PluralRules(this.locale).select(params.count) : 'other';
+            message = message[form] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * @param {Date|string|number} value - Date-only strings ("2024-05-01") are read as local dates
+     */
+    formatDate(value, options = { dateStyle: 'medium' }) {
+        if (value == null || value === '') return '';
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly ? new Date(dateOnly[1], dateOnly[2] - 1, dateOnly[3]) : new Date(value);
+        if (isNaN(date)) return '';
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    },
+
+    // ["a", "b", "c"] -> "a, b y c"
+    formatList(items) {
+        return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items);
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-title /
+     * data-i18n-placeholder / data-i18n-aria-label / data-i18n-alt set those attributes
+     * @param {Element|Document} root
+     */
+    translateDom(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        ['title', 'placeholder', 'aria-label', 'alt'].forEach(attr => {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, this.t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        });
+        if (root.documentElement) root.documentElement.lang = this.locale;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    I18n.register('es', require('./locales/es'));
+    I18n.register('en', require('./locales/en'));
+    module.exports = I18n;
+}
@@ -0,0 +1,102 @@
+/**
+ * Language codes and preference ranking
+ * Shared by the main process (subtitle ranking, cast metadata) and the renderer (auto-selection, track tagging)
+ */
+const Languages = {
+    // Codes that don't name a language
+    UNDETERMINED: ['und', 'unk', 'mul', 'mis', 'zxx'],
+
+    /**
+     * Canonical BCP 47 code from any code found in files, providers or settings
+     * e.g. "spa" -> "es", "es_AR" -> "es-AR", "pt-br" -> "pt-BR"
+     * @param {string} code
+     * @returns {string|null} null when empty, invalid or undetermined
+     */
+    normalizeCode(code) {
+        const raw = String(code || '').trim().replace(/_/g, '-');
+        if (!raw || this.UNDETERMINED.includes(raw.toLowerCase())) return null;
+        try {
+            return Intl.getCanonicalLocales(raw)[0] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Ordered, deduplicated list of codes from an array or a "es, en" string
+     * Invalid entries are dropped
+     */
+    parseList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+        const codes = items.map(item => this.normalizeCode(item)).filter(Boolean);
+        return [...new Set(codes)];
+    },
+
+    /**
+     * Whether a code belongs to a requested language ("es" matches "es" and "es-419")
+     */
+    matches(code, lang) {
+        if (!lang) return true;
+        const a = this.normalizeCode(code);
+        const b = this.normalizeCode(lang);
+        if (!a || !b) return false;
+        return a.toLowerCase() === b.toLowerCase() || a.toLowerCase().startsWith(`${b.toLowerCase()}-`);
+    },
+
+    /**
+     * Position of a code in a preference list, -1 when it isn't wanted
+     * A preferred regional variant ("es-419") also accepts the base language
+     * half a step later, so "es-419" results come before generic "es" ones
+     * @param {string} code
+     * @param {string[]} preferred
+     * @returns {number}
+     */
+    rank(code, preferred = []) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) return -1;
+
+        const base = normalized.split('-')[0].toLowerCase();
+        let fallback = -1;
+        for (let i = 0; i < preferred.length; i++) {
+            if (this.matches(normalized, preferred[i])) return i;
+            if (fallback === -1 && String(preferred[i]).split('-')[0].toLowerCase() === base) fallback = i + 0.5;
+        }
+        return fallback;
+    },
+
+    /**
+     * First item whose language is preferred, following the preference order
+     * @param {Array} items
+     * @param {string[]} preferred
+     * @param {Function} [getCode] - Language code of an item
+     * @returns {*|null}
+     */
+    pickPreferred(items, preferred, getCode = item => item.languageCode) {
+        let best = null;
+        let bestRank = Infinity;
+        (items || []).forEach(item => {
+            const rank = this.rank(getCode(item), preferred);
+            if (rank !== -1 && rank < bestRank) {
+                best = item;
+                bestRank = rank;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Name of a language in the given UI locale ("es-419" -> "español latinoamericano")
+     */
+    displayName(code, locale = 'es') {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) return '';
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(normalized);
+            return name && name !== normalized ? name.charAt(0).toUpperCase() + name.slice(1) : normalized;
+        } catch (e) {
+            return normalized;
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Languages;
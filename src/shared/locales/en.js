@@ -0,0 +1,461 @@
+/**
+ * English messages
+ * Plural entries use Intl.PluralRules categories ({ one, other })
+ */
+const LOCALE_EN = {
+    languageName: 'English',
+    search: {
+        placeholderMovies: 'Search for movies...',
+        placeholderShows: 'Search for shows...',
+        button: 'Search',
+        source: 'Catalog source'
+    },
+    app: {
+        connectionError: 'Connection error: {message}',
+        showsLoadFailed: 'Could not load shows (check the TMDb API key)',
+        noTorrent: 'No torrent was found for this movie (try removing it and adding it to the library again)',
+        damagedDownload: 'The download is damaged, it will be streamed instead',
+        torrentOpenFailed: 'Could not open the torrent: {message}',
+        online: 'Connection restored',
+        offline: 'No internet connection',
+        tmdbNotice: 'This product uses the TMDB API but is not endorsed or certified by TMDB.'
+    },
+    movie: {
+        markWatched: 'Mark as watched',
+        markUnwatched: 'Mark as unwatched',
+        markedWatched: 'Marked as watched',
+        markedUnwatched: 'Marked as unwatched',
+        unknownQuality: 'Unknown',
+        noQualities: 'No quality options',
+        favoriteAdded: 'Added to Favorites',
+        favoriteRemoved: 'Removed from Favorites',
+        watchlistAdded: 'Added to Watch later',
+        watchlistRemoved: 'Removed from Watch later',
+        noTorrents: 'No torrents available',
+        loadingEpisodes: 'Loading episodes...',
+        noEpisodes: 'No episode information',
+        episodeShort: 'E{number}',
+        episode: 'Episode {number}',
+        seasonShort: 'S{number}',
+        season: 'Season {number}',
+        noSynopsis: 'No synopsis available.',
+        like: 'Like',
+        pickEpisode: 'Pick an episode to look for sources',
+        searchingSources: 'Looking for sources of {episode}...',
+        noEpisodeSources: 'No sources for {episode} in the configured catalogs',
+        seeds: { one: '{count} seeder', other: '{count} seeders' }
+    },
+    common: {
+        minutes: { one: '{count} min', other: '{count} min' },
+        unknownError: 'unknown error',
+        notAvailable: 'N/A',
+        errorWithMessage: 'Error: {message}',
+        hoursMinutes: '{hours}h {minutes}m',
+        minutesShort: '{minutes}m',
+        cancel: 'Cancel',
+        back: 'Back',
+        loading: 'Loading...',
+        confirm: 'Confirm',
+        save: 'Save',
+        close: 'Close',
+        timedOut: 'Timed out'
+    },
+    resume: {
+        title: 'Continue watching',
+        message: 'You stopped at {position} of {duration}.',
+        confirm: 'Resume at {position}',
+        restart: 'Start over'
+    },
+    subtitles: {
+        title: 'Subtitles',
+        downloadedLabel: '{language} (Downloaded)',
+        downloaded: 'Downloaded',
+        localLoaded: 'Local subtitles loaded',
+        loadFailed: 'Could not load the subtitle: {message}',
+        loadingEmbedded: 'Loading embedded subtitles...',
+        extractFailed: 'Could not extract the subtitles: {message}',
+        osd: 'Subtitles: {delay}',
+        osdSecondary: 'Secondary: {delay}',
+        syncUnavailableCasting: 'Auto-sync isn\'t available while casting',
+        syncNeedsSubtitle: 'Choose a subtitle before syncing',
+        syncListening: 'Listening to the audio... {seconds}/{total} s',
+        syncNoMatch: 'Could not sync. Try again during a scene with dialogue.',
+        synced: 'Subtitles synced ({delay})',
+        syncFailed: 'Could not sync: {message}',
+        autoSync: 'Sync with the audio',
+        none: 'No subtitles',
+        noneSecondary: 'No secondary subtitle',
+        notFound: 'No subtitles found',
+        embedded: 'Embedded',
+        hashMatch: 'Synced',
+        unsupportedFormat: 'Unsupported format. Use {extensions}',
+        localFile: 'Local file',
+        readFailed: 'Could not read {file}: {message}',
+        loading: 'Loading subtitles...',
+        syncNoAudio: 'The video has no audio available',
+        primary: 'Primary',
+        secondary: 'Secondary',
+        position: 'Position',
+        delay: 'Delay',
+        secondaryDelay: 'Secondary delay',
+        framerate: 'Frames per second',
+        style: {
+            size: 'Size',
+            color: 'Color',
+            background: 'Background',
+            edge: 'Edge',
+            position: 'Height',
+            white: 'White',
+            yellow: 'Yellow',
+            cyan: 'Cyan',
+            green: 'Green',
+            edgeNone: 'None',
+            edgeOutline: 'Outline',
+            edgeShadow: 'Drop shadow',
+            edgeRaised: 'Raised',
+            edgeDepressed: 'Depressed',
+            title: 'Appearance',
+            preview: 'Subtitles will look like this'
+        },
+        top: 'Top',
+        bottom: 'Bottom',
+        originalFramerate: 'Original',
+        earlier: 'Earlier (Z)',
+        later: 'Later (X)',
+        secondaryEarlier: 'Earlier (Shift+Z)',
+        secondaryLater: 'Later (Shift+X)',
+        dropHint: 'Drop to load subtitles',
+        vobsubUnsupported: 'VobSub subtitles (.sub/.idx) are images and cannot be converted',
+        unknownFormat: 'Unrecognized subtitle format',
+        extract: {
+            noTrack: 'Track {number} does not exist',
+            unsupportedCompression: 'Unsupported subtitle compression',
+            invalidMatroska: 'Invalid Matroska data',
+            unknownSize: 'Matroska element of unknown size',
+            noMp4Index: 'The MP4 index was not found',
+            unsupportedTrack: 'Unsupported subtitle track',
+            unsupportedContainer: 'Unsupported container'
+        },
+        timedOut: '{source}: timed out',
+        unknownSource: 'Unknown subtitle source: {id}',
+        invalidArchive: 'The downloaded file is too small, likely an error page',
+        noSrtInArchive: 'No .srt file found in the archive',
+        invalidPath: 'Invalid subtitle path',
+        noDownloadLink: '{source} did not return a download link',
+        sources: {
+            yify: 'YIFY Subtitles',
+            opensubtitles: 'OpenSubtitles',
+            local: 'Local folder'
+        },
+        syncCancelled: 'Sync cancelled',
+        localFetchFailed: 'the local server answered HTTP {status}',
+        emptyContent: 'the subtitle is empty'
+    },
+    download: {
+        start: 'Download',
+        remove: 'Delete download',
+        removeConfirm: 'Are you sure you want to delete this movie from your device?',
+        removed: 'Download deleted',
+        pausedHint: 'Download paused (click to resume)',
+        resumed: 'Download resumed',
+        queuedHint: 'Queued for download (click to cancel)',
+        downloadingHint: 'Downloading... (click to cancel)',
+        cancel: 'Cancel download',
+        cancelConfirm: 'Do you want to cancel the download in progress?',
+        cancelled: 'Download cancelled',
+        failed: 'Download failed: {message}',
+        completed: 'Download completed'
+    },
+    catalog: {
+        noMovies: 'No movies found',
+        noResults: 'No results found',
+        noResultsFor: 'We couldn\'t find any movies matching "{query}"',
+        providers: {
+            yts: 'YTS',
+            local: 'Local catalog',
+            torznab: 'Torznab indexer'
+        },
+        unknownProvider: 'Unknown catalog provider: {id}',
+        httpError: '{source} answered HTTP {status}',
+        invalidResponse: 'Invalid response from {source}',
+        localNotFound: 'The local catalog was not found at {path}',
+        localInvalid: 'The local catalog is not valid JSON: {message}',
+        torznabNoUrl: 'Set the Torznab indexer URL',
+        untitled: 'Untitled',
+        timeout: '{source} did not answer in time'
+    },
+    library: {
+        damagedOnStartup: { one: '{count} download has problems. Check it in Downloads.', other: '{count} downloads have problems. Check them in Downloads.' },
+        integrityMissing: 'File missing',
+        integrityCorrupt: 'Damaged',
+        verify: 'Verify',
+        verifying: 'Verifying...',
+        verifyFailed: 'Could not verify the library',
+        allComplete: 'All downloads are complete',
+        damagedTitle: 'Damaged downloads',
+        damagedMessage: { one: '{count} download is incomplete or damaged. Repair it? Only the broken pieces are downloaded again.', other: '{count} downloads are incomplete or damaged. Repair them? Only the broken pieces are downloaded again.' },
+        repairing: 'Repair in progress',
+        repair: 'Repair',
+        loadFailed: 'Could not load the library',
+        clearHistoryTitle: 'Clear history',
+        clearHistoryMessage: 'Clear your whole watch history? The resume point of every movie will be lost too.',
+        historyCleared: 'History cleared',
+        clear: 'Clear',
+        favorites: 'Favorites',
+        watchLater: 'Watch later',
+        history: 'Recently watched',
+        activeDownloads: 'Downloads in progress',
+        completedDownloads: 'Completed downloads',
+        noDownloads: 'You don\'t have any downloads',
+        noDownloadsHint: 'Movies you download will show up here.',
+        repairingBadge: 'Repairing'
+    },
+    player: {
+        probeIssue: {
+            container: 'The format is {codec}',
+            video: 'The video is {codec}',
+            audio: 'The audio is {codec}'
+        },
+        unplayable: '{causes}, so it can\'t be played in this app. Try another quality.',
+        unplayableCastable: '{causes}, so it can\'t be played in this app. Try another quality or cast it to a compatible device.',
+        track: 'Track {number}',
+        forced: 'Forced',
+        files: 'Torrent files',
+        audio: 'Audio',
+        cast: 'Cast to TV',
+        fullscreen: 'Fullscreen',
+        nextEpisode: 'Next episode',
+        playIn: 'Playing in',
+        unplayableTitle: 'Can\'t play this',
+        playAnyway: 'Play anyway'
+    },
+    downloads: {
+        state: {
+            queued: 'Queued',
+            verifying: 'Verifying data',
+            downloading: 'Downloading',
+            throttled: 'Paused while playing',
+            seeding: 'Seeding',
+            paused: 'Paused',
+            failed: 'Error'
+        },
+        priority: {
+            high: 'High',
+            normal: 'Normal',
+            low: 'Low'
+        },
+        priorityTitle: 'Priority',
+        peers: { one: '{count} peer', other: '{count} peers' },
+        remaining: '{time} left',
+        pause: 'Pause',
+        resume: 'Resume',
+        retry: 'Retry',
+        cancelConfirm: 'Cancel the download of "{title}"? The downloaded data will be deleted.',
+        noVideoFile: 'The video file was not found',
+        noSpace: 'Not enough space: {needed} needed, {free} free'
+    },
+    cast: {
+        title: 'Cast to device',
+        searching: 'Looking for devices...',
+        noDevices: 'No devices found',
+        noDevicesHint: 'Make sure your Chromecast is on and on the same network',
+        connect: 'Connect',
+        connecting: 'Connecting...',
+        connected: 'Connected to {device}',
+        mayNotSupport: '{device} may not support {causes}',
+        noStream: 'No active stream. Start playback before casting.',
+        localhostOnly: 'Network error: the server is still bound to localhost.',
+        noTorrentStream: 'There is no active torrent stream to switch files.',
+        noDevice: 'No device provided',
+        noActiveDevice: 'No device is casting',
+        deviceNotFound: 'Device not found: {device}',
+        audioUnavailable: 'The device can\'t switch the audio track of this file; the default track is used'
+    },
+    downloadModal: {
+        title: 'Download movie',
+        description: 'Choose the subtitle language to include in the download. The video will be saved in your downloads folder.',
+        confirm: 'Start download',
+        loadingOptions: 'Loading options...',
+        noneFound: 'No subtitles (none found)',
+        noMovie: 'Error: no movie selected',
+        started: 'Download started'
+    },
+    filePicker: {
+        title: 'Choose what to play'
+    },
+    openTorrent: {
+        title: 'Open magnet or torrent',
+        play: 'Play',
+        drop: 'Drop a .torrent file here or click to choose one',
+        onlyTorrentFiles: 'Only .torrent files can be opened',
+        invalidMagnet: 'The magnet link is not valid',
+        unreadableFile: 'Could not read the .torrent file',
+        opening: 'Opening torrent...'
+    },
+    bandwidth: {
+        title: 'Network limits',
+        maxDownload: 'Max download (KB/s, 0 = unlimited)',
+        maxUpload: 'Max upload (KB/s, 0 = unlimited)',
+        maxConnections: 'Max connections per torrent',
+        maxConcurrent: 'Simultaneous downloads',
+        seedMode: 'Seed after a download finishes',
+        seedNone: 'Don\'t seed',
+        seedRatioMode: 'Until a ratio is reached',
+        seedTimeMode: 'For a while',
+        seedRatio: 'Target ratio',
+        seedMinutes: 'Minutes seeding',
+        pauseWhileStreaming: 'Pause downloads while playing',
+        loadFailed: 'Could not load the network settings',
+        saved: 'Network limits saved',
+        saveFailed: 'Could not save the limits'
+    },
+    languages: {
+        title: 'Preferred languages',
+        interface: 'Interface language',
+        system: 'System language',
+        subtitles: 'Subtitles, in order of preference (e.g. en-US, en, es)',
+        audio: 'Audio, in order of preference (empty = the file\'s default)',
+        autoLoad: 'Load subtitles automatically',
+        loadFailed: 'Could not load the languages',
+        saved: 'Languages saved',
+        saveFailed: 'Could not save the languages'
+    },
+    nav: {
+        explore: 'Browse',
+        shows: 'Shows',
+        library: 'My Library',
+        downloads: 'Downloads',
+        open: 'Open',
+        openTitle: 'Open a magnet link or .torrent file',
+        settings: 'Settings'
+    },
+    genres: {
+        all: 'All Genres',
+        action: 'Action',
+        adventure: 'Adventure',
+        animation: 'Animation',
+        biography: 'Biography',
+        comedy: 'Comedy',
+        crime: 'Crime',
+        documentary: 'Documentary',
+        drama: 'Drama',
+        family: 'Family',
+        fantasy: 'Fantasy',
+        history: 'History',
+        horror: 'Horror',
+        music: 'Music',
+        mystery: 'Mystery',
+        romance: 'Romance',
+        sciFi: 'Sci-Fi',
+        thriller: 'Thriller',
+        war: 'War',
+        western: 'Western'
+    },
+    sort: {
+        latest: 'Latest',
+        popular: 'Popular',
+        topRated: 'Top Rated',
+        seeds: 'Seeds',
+        year: 'Year'
+    },
+    streaming: {
+        noFiles: 'The torrent has no files'
+    },
+    settings: {
+        title: 'Settings',
+        loadFailed: 'Could not load the settings',
+        saveFailed: 'Could not save the settings',
+        saved: 'Settings saved',
+        invalid: { one: 'Check the highlighted field, nothing was saved', other: 'Check the {count} highlighted fields, nothing was saved' },
+        chooseFolder: 'Choose…',
+        groups: {
+            apis: 'Catalog & metadata',
+            subtitles: 'Subtitle sources',
+            streaming: 'Streaming & storage',
+            languages: 'Languages',
+            bandwidth: 'Network & downloads',
+            cast: 'Casting'
+        },
+        fields: {
+            movieApiUrl: 'YTS-compatible movie API (empty = yts.mx)',
+            tmdbApiKey: 'TMDb API key',
+            torznabUrl: 'Torznab indexer URL',
+            torznabApiKey: 'Torznab indexer API key',
+            torznabCategories: 'Torznab categories (comma separated)',
+            localCatalogPath: 'Local catalog (empty = app_data/catalog.json)',
+            subtitlesApiUrl: 'YIFY Subtitles site',
+            openSubtitlesUrl: 'OpenSubtitles API (empty = api.opensubtitles.com)',
+            openSubtitlesApiKey: 'OpenSubtitles API key',
+            subtitlesFolder: 'Subtitles folder (empty = app_data/subtitles)',
+            streamPort: 'Streaming server port',
+            downloadsDir: 'Folder for new downloads (empty = app_data/downloads)',
+            uiLanguage: 'Interface language',
+            subtitleLanguages: 'Subtitles, in order of preference',
+            audioLanguages: 'Audio, in order of preference (empty = the file\'s default)',
+            autoLoadSubtitles: 'Load subtitles automatically',
+            maxDownloadKBps: 'Max download (KB/s, 0 = unlimited)',
+            maxUploadKBps: 'Max upload (KB/s, 0 = unlimited)',
+            maxConnections: 'Max connections per torrent',
+            maxConcurrentDownloads: 'Simultaneous downloads',
+            seedMode: 'Seed after a download finishes',
+            seedRatio: 'Target ratio',
+            seedMinutes: 'Minutes seeding',
+            pauseDownloadsWhileStreaming: 'Pause downloads while playing',
+            castResumePosition: 'Resume on the device where you left off',
+            castDiscoverDlna: 'Also look for DLNA TVs',
+            castDiscoverySeconds: 'Seconds to search for devices',
+            libraryFolders: 'Other library folders (one per line, e.g. an external drive)'
+        },
+        options: {
+            seedMode: {
+                none: 'Don\'t seed',
+                ratio: 'Until a ratio is reached',
+                time: 'For a while'
+            }
+        },
+        errors: {
+            unknown: 'Unknown setting: {key}',
+            range: 'Must be between {min} and {max}',
+            min: 'Must be {min} or more',
+            max: 'Must be {max} or less',
+            option: 'Invalid option',
+            number: 'Enter a number',
+            integer: 'Enter a whole number',
+            url: 'Enter an http:// or https:// URL',
+            absolutePath: 'Enter a full path',
+            format: 'Invalid format'
+        },
+        addFolder: 'Add…'
+    },
+    storage: {
+        title: 'Storage',
+        folders: 'Library folders',
+        usage: 'Space per movie',
+        orphans: 'Folders without a movie',
+        clean: 'Clean up',
+        loadFailed: 'Could not read the library',
+        defaultFolder: 'Default',
+        targetFolder: 'New downloads',
+        movies: { one: '{count} movie', other: '{count} movies' },
+        free: '{free} free of {total}',
+        unavailable: 'Drive unavailable',
+        move: 'Move…',
+        total: 'Total: {size}',
+        video: 'Video: {size}',
+        noOrphans: 'No leftover folders',
+        moveTitle: 'Move library',
+        moveMessage: 'The movies downloaded in {from} will be moved to {to}. On another drive this may take a while.',
+        moving: 'Moving {done} of {total}: {title}',
+        moved: { one: 'Moved {count} movie', other: 'Moved {count} movies' },
+        movePartial: 'Moved {moved} movies; {failed} could not be moved',
+        moveSkipped: { one: '{count} download in progress was left in place', other: '{count} downloads in progress were left in place' },
+        destinationExists: 'A folder with that name already exists at the destination',
+        cleanTitle: 'Clean up folders',
+        cleanMessage: { one: '{count} folder ({size}) that belongs to no movie in the library will be deleted.', other: '{count} folders ({size}) that belong to no movie in the library will be deleted.' },
+        cleaned: { one: 'Deleted {count} folder, {size} freed', other: 'Deleted {count} folders, {size} freed' },
+        cleanFailed: 'Could not delete the folders'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LOCALE_EN;
+else I18n.register('en', LOCALE_EN);
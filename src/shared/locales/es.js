@@ -0,0 +1,461 @@
+/**
+ * Spanish messages (the language the UI was written in, used as fallback)
+ * Plural entries use Intl.PluralRules categories ({ one, other })
+ */
+const LOCALE_ES = {
+    languageName: 'Español',
+    search: {
+        placeholderMovies: 'Buscar películas...',
+        placeholderShows: 'Buscar series...',
+        button: 'Buscar',
+        source: 'Fuente del catálogo'
+    },
+    app: {
+        connectionError: 'Error de conexión: {message}',
+        showsLoadFailed: 'No se pudieron cargar las series (revisá la API key de TMDb)',
+        noTorrent: 'No se encontró un torrent para esta película (Intenta removerla y volverla a agregar a la biblioteca)',
+        damagedDownload: 'La descarga está dañada, se reproducirá por streaming',
+        torrentOpenFailed: 'No se pudo abrir el torrent: {message}',
+        online: 'Conexión restaurada',
+        offline: 'Sin conexión a internet',
+        tmdbNotice: 'Este producto usa la API de TMDB pero no está avalado ni certificado por TMDB.'
+    },
+    movie: {
+        markWatched: 'Marcar como vista',
+        markUnwatched: 'Marcar como no vista',
+        markedWatched: 'Marcada como vista',
+        markedUnwatched: 'Marcada como no vista',
+        unknownQuality: 'Desconocida',
+        noQualities: 'Sin opciones de calidad',
+        favoriteAdded: 'Añadido a Favoritos',
+        favoriteRemoved: 'Eliminado de Favoritos',
+        watchlistAdded: 'Añadido a Ver más tarde',
+        watchlistRemoved: 'Eliminado de Ver más tarde',
+        noTorrents: 'Sin torrents disponibles',
+        loadingEpisodes: 'Cargando episodios...',
+        noEpisodes: 'Sin información de episodios',
+        episodeShort: 'E{number}',
+        episode: 'Episodio {number}',
+        seasonShort: 'T{number}',
+        season: 'Temporada {number}',
+        noSynopsis: 'Sin sinopsis disponible.',
+        like: 'Me gusta',
+        pickEpisode: 'Elegí un episodio para buscar fuentes',
+        searchingSources: 'Buscando fuentes de {episode}...',
+        noEpisodeSources: 'No hay fuentes para {episode} en los catálogos configurados',
+        seeds: { one: '{count} seeder', other: '{count} seeders' }
+    },
+    common: {
+        minutes: { one: '{count} min', other: '{count} min' },
+        unknownError: 'error desconocido',
+        notAvailable: 'N/D',
+        errorWithMessage: 'Error: {message}',
+        hoursMinutes: '{hours}h {minutes}m',
+        minutesShort: '{minutes}m',
+        cancel: 'Cancelar',
+        back: 'Volver',
+        loading: 'Cargando...',
+        confirm: 'Confirmar',
+        save: 'Guardar',
+        close: 'Cerrar',
+        timedOut: 'Tiempo de espera agotado'
+    },
+    resume: {
+        title: 'Continuar viendo',
+        message: 'Te quedaste en {position} de {duration}.',
+        confirm: 'Reanudar en {position}',
+        restart: 'Empezar de nuevo'
+    },
+    subtitles: {
+        title: 'Subtítulos',
+        downloadedLabel: '{language} (Descargado)',
+        downloaded: 'Descargado',
+        localLoaded: 'Subtítulos locales cargados',
+        loadFailed: 'No se pudo cargar el subtítulo: {message}',
+        loadingEmbedded: 'Cargando subtítulos integrados...',
+        extractFailed: 'No se pudieron extraer los subtítulos: {message}',
+        osd: 'Subtítulos: {delay}',
+        osdSecondary: 'Secundario: {delay}',
+        syncUnavailableCasting: 'La sincronización automática no está disponible mientras se transmite',
+        syncNeedsSubtitle: 'Elegí un subtítulo antes de sincronizar',
+        syncListening: 'Escuchando el audio... {seconds}/{total} s',
+        syncNoMatch: 'No se pudo sincronizar. Probá de nuevo en una escena con diálogo.',
+        synced: 'Subtítulos sincronizados ({delay})',
+        syncFailed: 'No se pudo sincronizar: {message}',
+        autoSync: 'Sincronizar con el audio',
+        none: 'Sin subtítulos',
+        noneSecondary: 'Sin subtítulo secundario',
+        notFound: 'No se encontraron subtítulos',
+        embedded: 'Integrado',
+        hashMatch: 'Sincronizado',
+        unsupportedFormat: 'Formato no soportado. Usá {extensions}',
+        localFile: 'Archivo local',
+        readFailed: 'No se pudo leer {file}: {message}',
+        loading: 'Cargando subtítulos...',
+        syncNoAudio: 'El video no tiene audio disponible',
+        primary: 'Principal',
+        secondary: 'Secundario',
+        position: 'Posición',
+        delay: 'Retraso',
+        secondaryDelay: 'Retraso secundario',
+        framerate: 'Cuadros por segundo',
+        style: {
+            size: 'Tamaño',
+            color: 'Color',
+            background: 'Fondo',
+            edge: 'Borde',
+            position: 'Altura',
+            white: 'Blanco',
+            yellow: 'Amarillo',
+            cyan: 'Cian',
+            green: 'Verde',
+            edgeNone: 'Ninguno',
+            edgeOutline: 'Contorno',
+            edgeShadow: 'Sombra',
+            edgeRaised: 'Relieve',
+            edgeDepressed: 'Hundido',
+            title: 'Apariencia',
+            preview: 'Así se verán los subtítulos'
+        },
+        top: 'Arriba',
+        bottom: 'Abajo',
+        originalFramerate: 'Original',
+        earlier: 'Adelantar (Z)',
+        later: 'Atrasar (X)',
+        secondaryEarlier: 'Adelantar (Shift+Z)',
+        secondaryLater: 'Atrasar (Shift+X)',
+        dropHint: 'Soltá para cargar subtítulos',
+        vobsubUnsupported: 'Los subtítulos VobSub (.sub/.idx) son imágenes y no se pueden convertir',
+        unknownFormat: 'Formato de subtítulos no reconocido',
+        extract: {
+            noTrack: 'La pista {number} no existe',
+            unsupportedCompression: 'Compresión de subtítulos no soportada',
+            invalidMatroska: 'Datos Matroska inválidos',
+            unknownSize: 'Elemento Matroska de tamaño desconocido',
+            noMp4Index: 'No se encontró el índice del MP4',
+            unsupportedTrack: 'Pista de subtítulos no soportada',
+            unsupportedContainer: 'Contenedor no soportado'
+        },
+        timedOut: '{source}: tiempo de espera agotado',
+        unknownSource: 'Origen de subtítulos desconocido: {id}',
+        invalidArchive: 'El archivo descargado es demasiado chico, probablemente una página de error',
+        noSrtInArchive: 'El archivo comprimido no tiene un .srt',
+        invalidPath: 'Ruta de subtítulo inválida',
+        noDownloadLink: '{source} no devolvió un enlace de descarga',
+        sources: {
+            yify: 'YIFY Subtitles',
+            opensubtitles: 'OpenSubtitles',
+            local: 'Carpeta local'
+        },
+        syncCancelled: 'Sincronización cancelada',
+        localFetchFailed: 'el servidor local respondió HTTP {status}',
+        emptyContent: 'el subtítulo está vacío'
+    },
+    download: {
+        start: 'Descargar',
+        remove: 'Eliminar descarga',
+        removeConfirm: '¿Estás seguro de que querés eliminar esta película de tu dispositivo?',
+        removed: 'Descarga eliminada',
+        pausedHint: 'Descarga pausada (Click para reanudar)',
+        resumed: 'Descarga reanudada',
+        queuedHint: 'En cola de descargas (Click para cancelar)',
+        downloadingHint: 'Descargando... (Click para cancelar)',
+        cancel: 'Cancelar descarga',
+        cancelConfirm: '¿Deseas cancelar la descarga en curso?',
+        cancelled: 'Descarga cancelada',
+        failed: 'Falló la descarga: {message}',
+        completed: 'Descarga completada'
+    },
+    catalog: {
+        noMovies: 'No se encontraron películas',
+        noResults: 'Sin resultados',
+        noResultsFor: 'No encontramos películas que coincidan con "{query}"',
+        providers: {
+            yts: 'YTS',
+            local: 'Catálogo local',
+            torznab: 'Indexador Torznab'
+        },
+        unknownProvider: 'Proveedor de catálogo desconocido: {id}',
+        httpError: '{source} respondió HTTP {status}',
+        invalidResponse: 'Respuesta inválida de {source}',
+        localNotFound: 'No se encontró el catálogo local en {path}',
+        localInvalid: 'El catálogo local no es un JSON válido: {message}',
+        torznabNoUrl: 'Configurá la URL del indexador Torznab',
+        untitled: 'Sin título',
+        timeout: '{source} no respondió a tiempo'
+    },
+    library: {
+        damagedOnStartup: { one: '{count} descarga tiene problemas. Revisala en Descargas.', other: '{count} descargas tienen problemas. Revisalas en Descargas.' },
+        integrityMissing: 'Falta el archivo',
+        integrityCorrupt: 'Dañada',
+        verify: 'Verificar',
+        verifying: 'Verificando...',
+        verifyFailed: 'No se pudo verificar la biblioteca',
+        allComplete: 'Todas las descargas están completas',
+        damagedTitle: 'Descargas dañadas',
+        damagedMessage: { one: '{count} descarga está incompleta o dañada. ¿Querés repararla? Solo se vuelven a descargar las partes con errores.', other: '{count} descargas están incompletas o dañadas. ¿Querés repararlas? Solo se vuelven a descargar las partes con errores.' },
+        repairing: 'Reparación en curso',
+        repair: 'Reparar',
+        loadFailed: 'Error al cargar la biblioteca',
+        clearHistoryTitle: 'Borrar historial',
+        clearHistoryMessage: '¿Querés borrar todo tu historial de reproducción? También se perderá el punto de reanudación de cada película.',
+        historyCleared: 'Historial borrado',
+        clear: 'Borrar',
+        favorites: 'Favoritos',
+        watchLater: 'Ver más tarde',
+        history: 'Vistas recientemente',
+        activeDownloads: 'Descargas en curso',
+        completedDownloads: 'Descargas Completadas',
+        noDownloads: 'No tenés descargas',
+        noDownloadsHint: 'Las películas que descargues aparecerán acá.',
+        repairingBadge: 'Reparando'
+    },
+    player: {
+        probeIssue: {
+            container: 'El formato es {codec}',
+            video: 'El video es {codec}',
+            audio: 'El audio es {codec}'
+        },
+        unplayable: '{causes} y no se puede reproducir en esta app. Probá otra calidad.',
+        unplayableCastable: '{causes} y no se puede reproducir en esta app. Probá otra calidad o envialo a un dispositivo compatible.',
+        track: 'Pista {number}',
+        forced: 'Forzados',
+        files: 'Archivos del torrent',
+        audio: 'Audio',
+        cast: 'Transmitir a la TV',
+        fullscreen: 'Pantalla completa',
+        nextEpisode: 'Siguiente episodio',
+        playIn: 'Reproducir en',
+        unplayableTitle: 'No se puede reproducir',
+        playAnyway: 'Reproducir igual'
+    },
+    downloads: {
+        state: {
+            queued: 'En cola',
+            verifying: 'Verificando datos',
+            downloading: 'Descargando',
+            throttled: 'En pausa mientras se reproduce',
+            seeding: 'Compartiendo',
+            paused: 'Pausada',
+            failed: 'Error'
+        },
+        priority: {
+            high: 'Alta',
+            normal: 'Normal',
+            low: 'Baja'
+        },
+        priorityTitle: 'Prioridad',
+        peers: { one: '{count} par', other: '{count} pares' },
+        remaining: '{time} restantes',
+        pause: 'Pausar',
+        resume: 'Reanudar',
+        retry: 'Reintentar',
+        cancelConfirm: '¿Deseas cancelar la descarga de "{title}"? Se borrarán los datos descargados.',
+        noVideoFile: 'No se encontró el archivo de video',
+        noSpace: 'No hay espacio suficiente: hacen falta {needed} y quedan {free} libres'
+    },
+    cast: {
+        title: 'Transmitir a dispositivo',
+        searching: 'Buscando dispositivos...',
+        noDevices: 'No se encontraron dispositivos',
+        noDevicesHint: 'Asegurate de que tu Chromecast esté encendido y en la misma red',
+        connect: 'Conectar',
+        connecting: 'Conectando...',
+        connected: 'Conectado a {device}',
+        mayNotSupport: '{device} puede no soportar {causes}',
+        noStream: 'No hay stream activo. Iniciá la reproducción antes de transmitir.',
+        localhostOnly: 'Error de red: El servidor sigue en localhost.',
+        noTorrentStream: 'No hay una transmisión de torrent activa para cambiar de archivo.',
+        noDevice: 'No se indicó un dispositivo',
+        noActiveDevice: 'No hay un dispositivo transmitiendo',
+        deviceNotFound: 'No se encontró el dispositivo {device}',
+        audioUnavailable: 'El dispositivo no permite cambiar la pista de audio de este archivo; se usa la pista predeterminada'
+    },
+    downloadModal: {
+        title: 'Descargar Película',
+        description: 'Seleccioná el idioma de los subtítulos para incluir en la descarga. El video se guardará en tu carpeta de descargas.',
+        confirm: 'Iniciar Descarga',
+        loadingOptions: 'Cargando opciones...',
+        noneFound: 'Sin subtítulos (No encontrados)',
+        noMovie: 'Error: No hay película seleccionada',
+        started: 'Descarga iniciada'
+    },
+    filePicker: {
+        title: 'Elegí qué reproducir'
+    },
+    openTorrent: {
+        title: 'Abrir magnet o torrent',
+        play: 'Reproducir',
+        drop: 'Soltá un archivo .torrent acá o hacé clic para elegirlo',
+        onlyTorrentFiles: 'Solo se pueden abrir archivos .torrent',
+        invalidMagnet: 'El enlace magnet no es válido',
+        unreadableFile: 'No se pudo leer el archivo .torrent',
+        opening: 'Abriendo torrent...'
+    },
+    bandwidth: {
+        title: 'Límites de red',
+        maxDownload: 'Descarga máxima (KB/s, 0 = sin límite)',
+        maxUpload: 'Subida máxima (KB/s, 0 = sin límite)',
+        maxConnections: 'Conexiones máximas por torrent',
+        maxConcurrent: 'Descargas simultáneas',
+        seedMode: 'Compartir al terminar una descarga',
+        seedNone: 'No compartir',
+        seedRatioMode: 'Hasta alcanzar un ratio',
+        seedTimeMode: 'Durante un tiempo',
+        seedRatio: 'Ratio objetivo',
+        seedMinutes: 'Minutos compartiendo',
+        pauseWhileStreaming: 'Pausar descargas mientras se reproduce',
+        loadFailed: 'No se pudo cargar la configuración de red',
+        saved: 'Límites de red guardados',
+        saveFailed: 'No se pudieron guardar los límites'
+    },
+    languages: {
+        title: 'Idiomas preferidos',
+        interface: 'Idioma de la interfaz',
+        system: 'Idioma del sistema',
+        subtitles: 'Subtítulos, en orden de preferencia (ej.: es-419, es, en)',
+        audio: 'Audio, en orden de preferencia (vacío = el del archivo)',
+        autoLoad: 'Cargar subtítulos automáticamente',
+        loadFailed: 'No se pudieron cargar los idiomas',
+        saved: 'Idiomas guardados',
+        saveFailed: 'No se pudieron guardar los idiomas'
+    },
+    nav: {
+        explore: 'Explorar',
+        shows: 'Series',
+        library: 'Mi Biblioteca',
+        downloads: 'Descargas',
+        open: 'Abrir',
+        openTitle: 'Abrir magnet o archivo .torrent',
+        settings: 'Ajustes'
+    },
+    genres: {
+        all: 'Todos los géneros',
+        action: 'Acción',
+        adventure: 'Aventura',
+        animation: 'Animación',
+        biography: 'Biografía',
+        comedy: 'Comedia',
+        crime: 'Crimen',
+        documentary: 'Documental',
+        drama: 'Drama',
+        family: 'Familia',
+        fantasy: 'Fantasía',
+        history: 'Historia',
+        horror: 'Terror',
+        music: 'Música',
+        mystery: 'Misterio',
+        romance: 'Romance',
+        sciFi: 'Ciencia ficción',
+        thriller: 'Suspenso',
+        war: 'Bélica',
+        western: 'Western'
+    },
+    sort: {
+        latest: 'Recientes',
+        popular: 'Populares',
+        topRated: 'Mejor puntuadas',
+        seeds: 'Seeds',
+        year: 'Año'
+    },
+    streaming: {
+        noFiles: 'El torrent no tiene archivos'
+    },
+    settings: {
+        title: 'Ajustes',
+        loadFailed: 'No se pudieron cargar los ajustes',
+        saveFailed: 'No se pudieron guardar los ajustes',
+        saved: 'Ajustes guardados',
+        invalid: { one: 'Revisá el campo marcado, no se guardó nada', other: 'Revisá los {count} campos marcados, no se guardó nada' },
+        chooseFolder: 'Elegir…',
+        groups: {
+            apis: 'Catálogo y metadatos',
+            subtitles: 'Fuentes de subtítulos',
+            streaming: 'Streaming y almacenamiento',
+            languages: 'Idiomas',
+            bandwidth: 'Red y descargas',
+            cast: 'Transmisión'
+        },
+        fields: {
+            movieApiUrl: 'API de películas compatible con YTS (vacío = yts.mx)',
+            tmdbApiKey: 'Clave de la API de TMDb',
+            torznabUrl: 'URL del indexador Torznab',
+            torznabApiKey: 'Clave del indexador Torznab',
+            torznabCategories: 'Categorías Torznab (separadas por coma)',
+            localCatalogPath: 'Catálogo local (vacío = app_data/catalog.json)',
+            subtitlesApiUrl: 'Sitio de YIFY Subtitles',
+            openSubtitlesUrl: 'API de OpenSubtitles (vacío = api.opensubtitles.com)',
+            openSubtitlesApiKey: 'Clave de OpenSubtitles',
+            subtitlesFolder: 'Carpeta de subtítulos (vacío = app_data/subtitles)',
+            streamPort: 'Puerto del servidor de streaming',
+            downloadsDir: 'Carpeta para descargas nuevas (vacío = app_data/downloads)',
+            uiLanguage: 'Idioma de la interfaz',
+            subtitleLanguages: 'Subtítulos, en orden de preferencia',
+            audioLanguages: 'Audio, en orden de preferencia (vacío = el del archivo)',
+            autoLoadSubtitles: 'Cargar subtítulos automáticamente',
+            maxDownloadKBps: 'Descarga máxima (KB/s, 0 = sin límite)',
+            maxUploadKBps: 'Subida máxima (KB/s, 0 = sin límite)',
+            maxConnections: 'Conexiones máximas por torrent',
+            maxConcurrentDownloads: 'Descargas simultáneas',
+            seedMode: 'Compartir al terminar una descarga',
+            seedRatio: 'Ratio objetivo',
+            seedMinutes: 'Minutos compartiendo',
+            pauseDownloadsWhileStreaming: 'Pausar descargas mientras se reproduce',
+            castResumePosition: 'Continuar en el dispositivo desde donde ibas',
+            castDiscoverDlna: 'Buscar también televisores DLNA',
+            castDiscoverySeconds: 'Segundos buscando dispositivos',
+            libraryFolders: 'Otras carpetas de la biblioteca (una por línea, ej.: un disco externo)'
+        },
+        options: {
+            seedMode: {
+                none: 'No compartir',
+                ratio: 'Hasta alcanzar un ratio',
+                time: 'Durante un tiempo'
+            }
+        },
+        errors: {
+            unknown: 'Ajuste desconocido: {key}',
+            range: 'Tiene que estar entre {min} y {max}',
+            min: 'Tiene que ser {min} o más',
+            max: 'Tiene que ser {max} o menos',
+            option: 'Opción no válida',
+            number: 'Ingresá un número',
+            integer: 'Ingresá un número entero',
+            url: 'Ingresá una URL http:// o https://',
+            absolutePath: 'Ingresá una ruta completa',
+            format: 'Formato no válido'
+        },
+        addFolder: 'Agregar…'
+    },
+    storage: {
+        title: 'Almacenamiento',
+        folders: 'Carpetas de la biblioteca',
+        usage: 'Espacio por película',
+        orphans: 'Carpetas sin película',
+        clean: 'Limpiar',
+        loadFailed: 'No se pudo leer la biblioteca',
+        defaultFolder: 'Predeterminada',
+        targetFolder: 'Descargas nuevas',
+        movies: { one: '{count} película', other: '{count} películas' },
+        free: '{free} libres de {total}',
+        unavailable: 'Disco no disponible',
+        move: 'Mover…',
+        total: 'Total: {size}',
+        video: 'Video: {size}',
+        noOrphans: 'No hay carpetas sueltas',
+        moveTitle: 'Mover biblioteca',
+        moveMessage: 'Las películas descargadas en {from} se van a mover a {to}. Si es otro disco puede tardar un rato.',
+        moving: 'Moviendo {done} de {total}: {title}',
+        moved: { one: 'Se movió {count} película', other: 'Se movieron {count} películas' },
+        movePartial: 'Se movieron {moved} películas; {failed} no se pudieron mover',
+        moveSkipped: { one: '{count} descarga en curso quedó en su lugar', other: '{count} descargas en curso quedaron en su lugar' },
+        destinationExists: 'Ya existe una carpeta con ese nombre en el destino',
+        cleanTitle: 'Limpiar carpetas',
+        cleanMessage: { one: 'Se va a borrar {count} carpeta ({size}) que no pertenece a ninguna película de la biblioteca.', other: 'Se van a borrar {count} carpetas ({size}) que no pertenecen a ninguna película de la biblioteca.' },
+        cleaned: { one: 'Se borró {count} carpeta, {size} liberados', other: 'Se borraron {count} carpetas, {size} liberados' },
+        cleanFailed: 'No se pudieron borrar las carpetas'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LOCALE_ES;
+else I18n.register('es', LOCALE_ES);
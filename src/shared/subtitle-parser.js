@@ -0,0 +1,460 @@
+/**
+ * Subtitle Parser
+ * Reads SRT, WebVTT, ASS/SSA, MicroDVD / SubViewer .sub and SAMI into cues and writes WebVTT.
+ * Shared by the main process (require) and the renderer (<script>, global SubtitleParser).
+ * Cue text is WebVTT cue text: only <b>, <i> and <u> tags, with & < > escaped.
+ */
+const SubtitleParser = {
+    EXTENSIONS: ['.srt', '.vtt', '.ass', '.ssa', '.sub', '.smi', '.sami'],
+    // File extension for each detected format
+    FORMAT_EXTENSIONS: { vtt: '.vtt', srt: '.srt', ass: '.ass', microdvd: '.sub', subviewer: '.sub', sami: '.smi' },
+    // MicroDVD counts frames; used when the file doesn't declare its framerate
+    DEFAULT_FPS: 24000 / 1001,
+    // Cues without an end (last SAMI sync, open MicroDVD frames) stay this long
+    DEFAULT_CUE_SECONDS: 4,
+    VTT_CUE_TIMES: /((?:\d+:)?\d{2}:\d{2}\.\d{3})([ \t]+-->[ \t]+)((?:\d+:)?\d{2}:\d{2}\.\d{3})/g,
+    // SRT / WebVTT timing line, tolerant: 1-digit fields, comma or dot, missing milliseconds
+    TIMING_LINE: /^\s*((?:\d+:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)\s*-{1,2}>\s*((?:\d+:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)(.*)$/,
+
+    // --- Times ---
+
+    /**
+     * "01:02:03,456", "1:02:03.45", "02:03.456" -> seconds (NaN if invalid)
+     */
+    parseTime(value) {
+        const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+        if (!match) return NaN;
+        const [, h, m, s, fraction] = match;
+        return (Number(h) || 0) * 3600 + Number(m) * 60 + Number(s) +
+            (fraction ? Number(fraction) / Math.pow(10, fraction.length) : 0);
+    },
+
+    /**
+     * Seconds -> WebVTT timestamp (00:00:00.000)
+     */
+    formatTime(seconds) {
+        const ms = Math.max(0, Math.round(seconds * 1000));
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+    },
+
+    // --- Text ---
+
+    escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    decodeEntities(text) {
+        const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+                return Number.isFinite(code) && code > 0 ? String.fromCodePoint(code) : match;
+            }
+            return NAMED[entity.toLowerCase()] ?? match;
+        });
+    },
+
+    /**
+     * HTML-like markup of SRT / SAMI / SubViewer -> cue text
+     * <b> <i> <u> are kept, <br> breaks the line, other tags (<font>...) are dropped
+     */
+    cleanMarkup(text) {
+        const kept = [];
+        const stripped = text
+            .replace(/<\s*(\/?)\s*([biu])\s*>/gi, (match, slash, tag) => {
+                kept.push(`<${slash}${tag.toLowerCase()}>`);
+                return `\u0000${kept.length - 1}\u0000`;
+            })
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?[a-z][^>]*>/gi, '');
+        return this.tidyLines(this.escapeText(this.decodeEntities(stripped)).replace(/\u0000(\d+)\u0000/g, (match, i) => kept[i]));
+    },
+
+    // Blank lines would end a WebVTT cue early
+    tidyLines(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+    },
+
+    /**
+     * Text of an ASS/SSA event -> cue text
+     * Override tags ({\an8}, {\c&H...}) are dropped except italics/bold/underline
+     */
+    assTextToVtt(text) {
+        // Drawing commands ({\p1}...) are vector shapes, not text
+        if (/\{[^}]*\\p[1-9]/.test(text)) return '';
+
+        return this.tidyLines(this.escapeText(text)
+            .replace(/\{([^}]*)\}/g, (match, tags) => {
+                let out = '';
+                (tags.match(/\\[ibu][01]/g) || []).forEach(tag => {
+                    out += tag.endsWith('1') ? `<${tag[1]}>` : `</${tag[1]}>`;
+                });
+                return out;
+            })
+            .replace(/\\N/gi, '\n')
+            .replace(/\\h/g, ' '));
+    },
+
+    /**
+     * Numpad alignment (ASS \an, 1 = bottom left ... 9 = top right) -> WebVTT cue settings
+     * @param {number} an - Alignment
+     * @param {Object} [pos] - { x, y } in percent of the video (ASS \pos)
+     */
+    alignmentSettings(an, pos = null) {
+        const vertical = an >= 7 ? 'start' : an >= 4 ? 'center' : 'end';
+        const horizontal = an % 3 === 1 ? 'left' : an % 3 === 0 ? 'right' : 'center';
+        const settings = [];
+
+        if (pos) {
+            const clamp = (value) => Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+            const anchor = horizontal === 'center' ? 'center' : `line-${horizontal}`;
+            settings.push(`line:${clamp(pos.y)}%,${vertical}`, `position:${clamp(pos.x)}%,${anchor}`);
+        } else {
+            if (vertical === 'start') settings.push('line:5%');
+            else if (vertical === 'center') settings.push('line:50%,center');
+            if (horizontal === 'left') settings.push('position:5%');
+            else if (horizontal === 'right') settings.push('position:95%');
+        }
+        if (horizontal !== 'center') settings.push(`align:${horizontal}`);
+        return settings.join(' ');
+    },
+
+    // Legacy SSA \a / Alignment: 1-3 bottom, 5-7 top, 9-11 middle
+    legacyAlignment(value) {
+        if (value >= 9) return value - 5;
+        if (value >= 5) return value + 2;
+        return value;
+    },
+
+    // --- Formats ---
+
+    normalize(content) {
+        return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    },
+
+    /**
+     * @param {string} content
+     * @returns {string|null} 'vtt' | 'srt' | 'ass' | 'microdvd' | 'subviewer' | 'sami' | 'vobsub'
+     */
+    detectFormat(content) {
+        const text = this.normalize(content).trimStart();
+        const head = text.slice(0, 4000);
+        if (/^WEBVTT/.test(text)) return 'vtt';
+        // Image subtitles: MPEG-PS pack header (.sub) or its index file (.idx)
+        if (text.startsWith('\u0000\u0000\u0001') || /^# VobSub index file/i.test(text)) return 'vobsub';
+        if (/^\[Script Info\]/i.test(text) || /^\[(V4\+? Styles|Events)\]/im.test(head)) return 'ass';
+        if (/<sami[\s>]/i.test(head) || /<sync\s+start/i.test(head)) return 'sami';
+        if (/^\{\d+\}\{\d*\}/m.test(head)) return 'microdvd';
+        if (/^\[INFORMATION\]/i.test(text) || /^\d{1,2}:\d{2}:\d{2}\.\d{2},\d{1,2}:\d{2}:\d{2}\.\d{2}\s*$/m.test(head)) return 'subviewer';
+        if (/^\s*(?:\d+:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?\s*-{1,2}>/m.test(head)) return 'srt';
+        return null;
+    },
+
+    isSupportedFile(fileName) {
+        const name = String(fileName || '').toLowerCase();
+        return this.EXTENSIONS.some(ext => name.endsWith(ext));
+    },
+
+    /**
+     * SRT and WebVTT: every timing line starts a cue, so missing or wrong numbering
+     * and missing blank lines between cues are tolerated
+     */
+    parseTimedBlocks(text, format) {
+        const lines = text.split('\n');
+        const cues = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const timing = lines[i].match(this.TIMING_LINE);
+            if (!timing) continue;
+
+            const body = [];
+            let j = i + 1;
+            for (; j < lines.length; j++) {
+                const line = lines[j];
+                if (!line.trim() || this.TIMING_LINE.test(line)) break;
+                // A bare index right before the next timing line (blank line missing)
+                if (/^\s*\d+\s*$/.test(line) && this.TIMING_LINE.test(lines[j + 1] || '')) break;
+                body.push(line);
+            }
+            i = j - 1;
+
+            const raw = body.join('\n');
+            if (format === 'vtt') {
+                cues.push({ start: this.parseTime(timing[1]), end: this.parseTime(timing[2]), text: raw, settings: timing[3].trim() });
+                continue;
+            }
+
+            // SRT files often carry ASS alignment tags ({\an8})
+            const an = raw.match(/\{\\an?(\d+)\}/);
+            cues.push({
+                start: this.parseTime(timing[1]),
+                end: this.parseTime(timing[2]),
+                text: this.cleanMarkup(raw.replace(/\{\\[^}]*\}/g, '')),
+                settings: an ? this.alignmentSettings(an[0].startsWith('{\\an') ? Number(an[1]) : this.legacyAlignment(Number(an[1]))) : ''
+            });
+        }
+        return cues;
+    },
+
+    parseAss(text) {
+        const info = {};
+        const styles = {};
+        let section = '';
+        let styleFormat = [];
+        let eventFormat = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+        const cues = [];
+
+        // The last field (Text) may contain commas
+        const splitFields = (value, count) => {
+            const values = value.split(',');
+            return [...values.slice(0, count - 1), values.slice(count - 1).join(',')];
+        };
+        const isOn = (value) => value != null && value.trim() !== '' && value.trim() !== '0';
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (/^\[.+\]$/.test(trimmed)) {
+                section = trimmed.toLowerCase();
+                return;
+            }
+            const colon = trimmed.indexOf(':');
+            if (colon === -1) return;
+            const key = trimmed.slice(0, colon).trim().toLowerCase();
+            const value = trimmed.slice(colon + 1).trim();
+
+            if (section === '[script info]') {
+                info[key] = value;
+            } else if (section === '[v4+ styles]' || section === '[v4 styles]') {
+                if (key === 'format') {
+                    styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'style') {
+                    const fields = value.split(',').map(field => field.trim());
+                    const get = (name) => fields[styleFormat.indexOf(name)];
+                    const alignment = Number(get('alignment')) || 2;
+                    styles[(get('name') || '').toLowerCase()] = {
+                        bold: isOn(get('bold')),
+                        italic: isOn(get('italic')),
+                        underline: isOn(get('underline')),
+                        alignment: section === '[v4 styles]' ? this.legacyAlignment(alignment) : alignment
+                    };
+                }
+            } else if (section === '[events]') {
+                if (key === 'format') {
+                    eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'dialogue') {
+                    const fields = splitFields(value, eventFormat.length);
+                    const get = (name) => fields[eventFormat.indexOf(name)] || '';
+                    const raw = get('text');
+                    let cueText = this.assTextToVtt(raw);
+                    if (!cueText) return;
+
+                    const style = styles[get('style').replace(/^\*/, '').trim().toLowerCase()] || styles.default || {};
+                    if (style.underline) cueText = `<u>${cueText}</u>`;
+                    if (style.italic) cueText = `<i>${cueText}</i>`;
+                    if (style.bold) cueText = `<b>${cueText}</b>`;
+
+                    // Overrides win over the style: {\an8}, legacy {\a6}, {\pos(x,y)}
+                    const an = raw.match(/\\an(\d)/);
+                    const legacy = !an && raw.match(/\\a(\d+)/);
+                    const alignment = an ? Number(an[1]) : legacy ? this.legacyAlignment(Number(legacy[1])) : (style.alignment || 2);
+                    const posMatch = raw.match(/\\pos\(\s*([\d.]+)\s*,\s*([\d.]+)\s*\)/);
+                    const playResX = Number(info.playresx) || 384;
+                    const playResY = Number(info.playresy) || 288;
+                    const pos = posMatch ? { x: Number(posMatch[1]) / playResX * 100, y: Number(posMatch[2]) / playResY * 100 } : null;
+
+                    cues.push({
+                        start: this.parseTime(get('start')),
+                        end: this.parseTime(get('end')),
+                        text: cueText,
+                        settings: this.alignmentSettings(alignment, pos)
+                    });
+                }
+            }
+        });
+        return cues;
+    },
+
+    /**
+     * MicroDVD: {startFrame}{endFrame}Line 1|Line 2
+     * A first cue like {1}{1}23.976 declares the framerate
+     */
+    parseMicroDvd(text, fps) {
+        const cues = [];
+        let frameRate = fps;
+
+        text.split('\n').forEach((line, index) => {
+            const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+            if (!match) return;
+            const [, startFrame, endFrame, body] = match;
+
+            if (index < 3 && /^\d+(\.\d+)?$/.test(body.trim()) && Number(startFrame) <= 1) {
+                if (!fps) frameRate = Number(body.trim());
+                return;
+            }
+
+            const rate = frameRate || this.DEFAULT_FPS;
+            const start = Number(startFrame) / rate;
+            const end = endFrame ? Number(endFrame) / rate : start + this.DEFAULT_CUE_SECONDS;
+
+            // {y:i} / {Y:i}: style codes for a line or the whole cue; "/" starts an italic line
+            const whole = (body.match(/^\{Y:([^}]*)\}/) || [])[1] || '';
+            const lines = body.replace(/^\{Y:[^}]*\}/, '').split('|').map(part => {
+                const codes = (part.match(/\{y:([^}]*)\}/i) || [])[1] || '';
+                let lineText = this.escapeText(part.replace(/\{[^}]*\}/g, '').trim());
+                const italic = codes.includes('i') || lineText.startsWith('/');
+                lineText = lineText.replace(/^\//, '');
+                if (codes.includes('u')) lineText = `<u>${lineText}</u>`;
+                if (italic) lineText = `<i>${lineText}</i>`;
+                if (codes.includes('b')) lineText = `<b>${lineText}</b>`;
+                return lineText;
+            });
+
+            let cueText = this.tidyLines(lines.join('\n').replace(/<([biu])><\/\1>/g, ''));
+            if (!cueText) return;
+            if (/u/i.test(whole)) cueText = `<u>${cueText}</u>`;
+            if (/i/i.test(whole)) cueText = `<i>${cueText}</i>`;
+            if (/b/i.test(whole)) cueText = `<b>${cueText}</b>`;
+            cues.push({ start, end, text: cueText, settings: '' });
+        });
+        return cues;
+    },
+
+    /**
+     * SubViewer 2: "00:00:01.00,00:00:03.50" then the text, [br] breaks lines
+     */
+    parseSubViewer(text) {
+        const cues = [];
+        const lines = text.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].trim().match(/^(\d{1,2}:\d{2}:\d{2}\.\d{1,3}),(\d{1,2}:\d{2}:\d{2}\.\d{1,3})$/);
+            if (!match) continue;
+            const body = [];
+            while (i + 1 < lines.length && lines[i + 1].trim()) body.push(lines[++i]);
+            const cueText = this.cleanMarkup(body.join('\n').replace(/\[br\]/gi, '\n'));
+            if (cueText) cues.push({ start: this.parseTime(match[1]), end: this.parseTime(match[2]), text: cueText, settings: '' });
+        }
+        return cues;
+    },
+
+    /**
+     * SAMI: <SYNC Start=ms> blocks; each lasts until the next one (&nbsp; blocks clear the screen)
+     * With several languages (<P Class=ENCC>, <P Class=ESCC>) the first one is used
+     * @param {string} [language] - Class to pick instead (e.g. "ESCC")
+     */
+    parseSami(text, language = null) {
+        const body = text.replace(/<!--[\s\S]*?-->/g, '');
+        const syncs = [...body.matchAll(/<sync\s+start\s*=\s*["']?(\d+)["']?[^>]*>/gi)];
+        const classes = [...body.matchAll(/<p\b[^>]*class\s*=\s*["']?([\w-]+)/gi)].map(m => m[1].toLowerCase());
+        const chosen = (language || classes[0] || '').toLowerCase();
+        const cues = [];
+
+        syncs.forEach((sync, i) => {
+            const next = syncs[i + 1];
+            const blockEnd = next ? next.index : body.search(/<\/body>/i) === -1 ? body.length : body.search(/<\/body>/i);
+            let block = body.slice(sync.index + sync[0].length, blockEnd);
+
+            if (chosen) {
+                const paragraphs = [...block.matchAll(/<p\b([^>]*)>([\s\S]*?)(?=<p\b|$)/gi)];
+                const match = paragraphs.find(p => (p[1].match(/class\s*=\s*["']?([\w-]+)/i) || [])[1]?.toLowerCase() === chosen);
+                if (paragraphs.length) block = match ? match[2] : '';
+            }
+
+            // HTML whitespace is insignificant; line breaks come from <br>
+            const cueText = this.cleanMarkup(block.replace(/\s+/g, ' '));
+            if (!cueText) return;
+            const start = Number(sync[1]) / 1000;
+            const end = next ? Number(next[1]) / 1000 : start + this.DEFAULT_CUE_SECONDS;
+            cues.push({ start, end, text: cueText, settings: '' });
+        });
+        return cues;
+    },
+
+    // I18n is a global in the renderer and a module in the main process
+    message(key) {
+        return (typeof I18n !== 'undefined' ? I18n : require('./i18n')).t(key);
+    },
+
+    /**
+     * Parse subtitles of any supported format
+     * @param {string} content - Subtitle file content
+     * @param {Object} [options] - { format (skip detection), fps (MicroDVD), language (SAMI class) }
+     * @returns {{format: string, cues: Array<{start: number, end: number, text: string, settings: string}>}}
+     */
+    parse(content, options = {}) {
+        const text = this.normalize(content);
+        const format = options.format || this.detectFormat(text);
+        let cues;
+
+        switch (format) {
+            case 'vtt':
+            case 'srt': cues = this.parseTimedBlocks(text, format); break;
+            case 'ass': cues = this.parseAss(text); break;
+            case 'microdvd': cues = this.parseMicroDvd(text, options.fps); break;
+            case 'subviewer': cues = this.parseSubViewer(text); break;
+            case 'sami': cues = this.parseSami(text, options.language); break;
+            case 'vobsub': throw new Error(this.message('subtitles.vobsubUnsupported'));
+            default: throw new Error(this.message('subtitles.unknownFormat'));
+        }
+
+        cues = cues
+            .filter(cue => Number.isFinite(cue.start) && cue.text)
+            .map(cue => ({ ...cue, end: cue.end > cue.start ? cue.end : cue.start + this.DEFAULT_CUE_SECONDS }))
+            .sort((a, b) => a.start - b.start);
+        return { format, cues };
+    },
+
+    /**
+     * Build WebVTT from cues
+     * @param {Array<{start: number, end: number, text: string, settings?: string}>} cues - Times in seconds
+     */
+    cuesToVtt(cues) {
+        let vtt = 'WEBVTT\n\n';
+        [...cues].sort((a, b) => a.start - b.start).forEach(cue => {
+            const settings = cue.settings ? ` ${cue.settings}` : '';
+            vtt += `${this.formatTime(cue.start)} --> ${this.formatTime(cue.end)}${settings}\n${this.tidyLines(cue.text)}\n\n`;
+        });
+        return vtt;
+    },
+
+    /**
+     * Convert subtitles of any supported format to WebVTT
+     * WebVTT input is passed through untouched (keeps STYLE/REGION blocks and cue settings)
+     * @param {string} content
+     * @param {Object} [options] - See parse()
+     * @returns {string} WebVTT content
+     */
+    toVtt(content, options = {}) {
+        const text = this.normalize(content);
+        if ((options.format || this.detectFormat(text)) === 'vtt') return text;
+        return this.cuesToVtt(this.parse(text, options).cues);
+    },
+
+    /**
+     * Merge two WebVTT files into one, for players that show a single track (Chromecast)
+     * @param {string|null} primary - WebVTT content
+     * @param {string|null} secondary - WebVTT content
+     * @param {Object} [options] - position: 'top' moves the secondary cues up, 'bottom' stacks them with the primary ones
+     * @returns {string} WebVTT content
+     */
+    mergeVtt(primary, secondary, { position = 'top' } = {}) {
+        if (!secondary) return primary;
+        const primaryCues = primary ? this.parse(primary, { format: 'vtt' }).cues : [];
+        const secondaryCues = this.parse(secondary, { format: 'vtt' }).cues
+            .map(cue => (position === 'top' ? { ...cue, settings: 'line:5%' } : cue));
+        return this.cuesToVtt([...primaryCues, ...secondaryCues]);
+    },
+
+    /**
+     * Re-time every cue of a WebVTT file: time * ratio + delay
+     * @param {string} vtt - WebVTT content
+     * @param {Object} timing - { delay (seconds), ratio (framerate conversion, 1 = none) }
+     */
+    retimeVtt(vtt, { delay = 0, ratio = 1 } = {}) {
+        if (!delay && ratio === 1) return vtt;
+        const shift = (value) => this.formatTime(this.parseTime(value) * ratio + delay);
+        return vtt.replace(this.VTT_CUE_TIMES, (match, start, arrow, end) => `${shift(start)}${arrow}${shift(end)}`);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SubtitleParser;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bencode = require('../src/main/bencode');
+
+const decode = (text) => bencode.decode(Buffer.from(text));
+
+test('Torrent metadata decodes to dictionaries, lists, integers and Buffers', () => {
+    const { info } = decode('d4:infod5:filesld6:lengthi3e4:pathl1:a5:b.mkveee4:name4:Show12:piece lengthi-16384e6:pieces0:ee');
+
+    assert.strictEqual(info.name.toString(), 'Show');
+    assert.strictEqual(info['piece length'], -16384);
+    assert.deepStrictEqual(info.files[0].path.map(String), ['a', 'b.mkv']);
+    assert.strictEqual(info.files[0].length, 3);
+    assert.strictEqual(info.pieces.length, 0);
+});
+
+test('Truncated data is rejected', () => {
+    for (const text of ['', 'i12', 'd4:infoi1', 'l', 'd4:info', '5:abc', '4']) {
+        assert.throws(() => decode(text), /^Error: Bencode: /, text);
+    }
+});
+
+test('Malformed integers, lengths and keys are rejected', () => {
+    for (const text of ['ie', 'i1x2e', 'i-0e', 'i03e', 'i99999999999999999999e', '-1:a', '1x:a', 'di1ei2ee', 'x']) {
+        assert.throws(() => decode(text), /^Error: Bencode: /, text);
+    }
+});
+
+test('A __proto__ key does not replace the prototype', () => {
+    const dict = decode('d9:__proto__d5:pollyi1eee');
+    assert.strictEqual(Object.getPrototypeOf(dict), null);
+    assert.strictEqual(dict.polly, undefined);
+    assert.strictEqual(dict.__proto__.polly, 1);
+    assert.strictEqual({}.polly, undefined);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEpisode, parseReleaseEpisode } = require('../src/main/episode-parser');
+const CatalogMapper = require('../src/main/catalog/CatalogMapper');
+
+test('Dotted release names keep their episode token', () => {
+    assert.deepStrictEqual(parseReleaseEpisode('Show.Name.S01.E02'), { season: 1, episode: 2, endEpisode: null, showName: 'Show Name' });
+    assert.deepStrictEqual(parseReleaseEpisode('Show.Name.S01E02E03.1080p.WEB-DL.x264'), { season: 1, episode: 2, endEpisode: 3, showName: 'Show Name' });
+    assert.strictEqual(parseReleaseEpisode('Show.Name.2x05.HDTV').episode, 5);
+    // A slash in a release name is not a folder
+    assert.strictEqual(parseReleaseEpisode('Show S03E04 1080p AAC/H.264').season, 3);
+    assert.strictEqual(parseReleaseEpisode('Show.Name.2019.1080p'), null);
+});
+
+test('File paths drop only a video extension and read season folders', () => {
+    assert.strictEqual(parseEpisode('Show/Show.Name.S01.E02.mkv').episode, 2);
+    assert.strictEqual(parseEpisode('Show/Show.Name.S01.E02.srt').episode, 2);
+    assert.deepStrictEqual(parseEpisode('Show/Season 2/E05 - Title.mp4'), { season: 2, episode: 5, endEpisode: null, showName: null });
+    assert.strictEqual(parseEpisode('Show/Extras/Trailer.mkv'), null);
+});
+
+test('Episode torrents include dotted S01.E02 releases', () => {
+    const release = (title, hash, seeders) => ({ title, infohash: hash, magneturl: `magnet:?xt=urn:btih:${hash}`, seeders });
+    const torrents = CatalogMapper.episodeTorrents([
+        release('Show.Name.S01.E02.720p.HDTV', 'a'.repeat(40), '5'),
+        release('Show.Name.S01E02.1080p.WEB-DL', 'b'.repeat(40), '20'),
+        release('Show.Name.S01.E03.720p', 'c'.repeat(40), '50'),
+        release('Show.Name.S01E01-E03.1080p', 'd'.repeat(40), '1')
+    ], 1, 2);
+
+    assert.deepStrictEqual(torrents.map(t => t.hash), ['b'.repeat(40), 'a'.repeat(40), 'd'.repeat(40)]);
+});
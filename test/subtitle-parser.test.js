@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SubtitleParser = require('../src/shared/subtitle-parser');
+
+// Cues survive toVtt() and a second parse of the WebVTT unchanged
+function assertRoundTrip(content, options) {
+    const { cues } = SubtitleParser.parse(content, options);
+    const vtt = SubtitleParser.toVtt(content, options);
+    const back = SubtitleParser.parse(vtt);
+    assert.strictEqual(back.format, 'vtt');
+    assert.deepStrictEqual(back.cues, cues);
+    return cues;
+}
+
+test('SRT with wrong numbering, missing blank lines and mixed separators', () => {
+    const srt = [
+        '﻿5',
+        '00:00:01,000 --> 00:00:02,500',
+        '<i>Hola</i> & <font color="red">chau</font>',
+        '7',
+        '0:0:3.5 --> 00:00:04,00',
+        '{\\an8}Arriba',
+        '00:00:05.000 --> 00:00:06,000',
+        'Sin número',
+        '', '', ''
+    ].join('\r\n');
+
+    const { format, cues } = SubtitleParser.parse(srt);
+    assert.strictEqual(format, 'srt');
+    assert.strictEqual(cues.length, 3);
+    assert.strictEqual(cues[0].text, '<i>Hola</i> &amp; chau');
+    assert.strictEqual(cues[0].end, 2.5);
+    assert.strictEqual(cues[1].start, 3.5);
+    assert.strictEqual(cues[1].settings, 'line:5%');
+    assert.strictEqual(cues[2].text, 'Sin número');
+    assertRoundTrip(srt);
+});
+
+test('SRT timestamps with comma or dot give the same times', () => {
+    const comma = SubtitleParser.parse('1\n00:01:02,345 --> 00:01:03,000\nx\n').cues[0];
+    const dot = SubtitleParser.parse('1\n00:01:02.345 --> 00:01:03.000\nx\n').cues[0];
+    assert.strictEqual(comma.start, 62.345);
+    assert.deepStrictEqual(dot, comma);
+});
+
+test('WebVTT is passed through untouched', () => {
+    const vtt = 'WEBVTT\n\nSTYLE\n::cue { color: yellow }\n\n00:00:01.000 --> 00:00:02.000 line:10%\n<b>Hola</b>\n\n01:02.000 --> 01:03.500\nchau\n';
+    assert.strictEqual(SubtitleParser.toVtt(vtt), vtt);
+    assert.strictEqual(SubtitleParser.toVtt(`﻿${vtt.replace(/\n/g, '\r\n')}`), vtt);
+
+    const { cues } = SubtitleParser.parse(vtt);
+    assert.strictEqual(cues.length, 2);
+    assert.strictEqual(cues[0].settings, 'line:10%');
+    assert.strictEqual(cues[1].start, 62);
+});
+
+test('ASS with styles, \\an and \\pos overrides', () => {
+    const ass = `[Script Info]
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1
+Style: Sign,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,-1,-1,0,0,100,100,0,0,1,2,2,9,10,10,10,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,Hola, {\\i1}mundo{\\i0}\\Nlinea 2
+Dialogue: 0,0:00:03.00,0:00:04.00,Sign,,0,0,0,,Cartel
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\pos(960,540)\\an5}Centro
+Dialogue: 0,0:00:07.00,0:00:08.00,Default,,0,0,0,,{\\an7\\c&H0000FF&}Arriba & <izquierda>
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\p1}m 0 0 l 10 10
+`;
+    const { format, cues } = SubtitleParser.parse(ass);
+    assert.strictEqual(format, 'ass');
+    assert.strictEqual(cues.length, 4);
+    assert.strictEqual(cues[0].text, 'Hola, <i>mundo</i>\nlinea 2');
+    assert.strictEqual(cues[0].settings, '');
+    assert.strictEqual(cues[1].text, '<b><i>Cartel</i></b>');
+    assert.strictEqual(cues[1].settings, 'line:5% position:95% align:right');
+    assert.strictEqual(cues[2].settings, 'line:50%,center position:50%,center');
+    assert.strictEqual(cues[3].text, 'Arriba &amp; &lt;izquierda&gt;');
+    assert.strictEqual(cues[3].settings, 'line:5% position:5% align:left');
+    assertRoundTrip(ass);
+});
+
+test('SSA legacy alignment', () => {
+    const ssa = `[Script Info]
+ScriptType: v4.00
+
+[V4 Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding
+Style: Default,Arial,20,16777215,0,0,0,0,0,1,2,2,6,10,10,10,0,1
+
+[Events]
+Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Arriba
+Dialogue: Marked=0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\a1}Abajo a la izquierda
+`;
+    const cues = assertRoundTrip(ssa);
+    assert.strictEqual(cues[0].settings, 'line:5%');
+    assert.strictEqual(cues[1].settings, 'position:5% align:left');
+});
+
+test('MicroDVD at the declared, given and default framerate', () => {
+    const sub = '{1}{1}25\n{25}{50}{y:i}Hola|chau\n{75}{100}{Y:b}Todo|junto\n{125}{}/Inclinada\n';
+
+    const cues = assertRoundTrip(sub);
+    assert.strictEqual(cues[0].start, 1);
+    assert.strictEqual(cues[0].end, 2);
+    assert.strictEqual(cues[0].text, '<i>Hola</i>\nchau');
+    assert.strictEqual(cues[1].text, '<b>Todo\njunto</b>');
+    assert.strictEqual(cues[2].text, '<i>Inclinada</i>');
+    assert.strictEqual(cues[2].end, 5 + SubtitleParser.DEFAULT_CUE_SECONDS);
+
+    // A given fps wins over the one in the file
+    const at50 = assertRoundTrip(sub, { fps: 50 });
+    assert.strictEqual(at50[0].start, 0.5);
+    assert.strictEqual(at50[1].end, 2);
+
+    const [undeclared] = SubtitleParser.parse('{24}{48}x').cues;
+    assert.strictEqual(undeclared.start, 24 / SubtitleParser.DEFAULT_FPS);
+});
+
+test('SAMI with several languages', () => {
+    const smi = `<SAMI><HEAD><STYLE><!-- .ENCC {Name: English; lang: en-US;} .ESCC {lang: es} --></STYLE></HEAD><BODY>
+<SYNC Start=1000><P Class=ENCC>Hello<br>world &amp; you
+<P Class=ESCC>Hola
+<SYNC Start=2500><P Class=ENCC>&nbsp;
+<SYNC Start=3000><P Class=ENCC><i>Again</i></BODY></SAMI>`;
+
+    const { format } = SubtitleParser.parse(smi);
+    assert.strictEqual(format, 'sami');
+    const cues = assertRoundTrip(smi);
+    assert.strictEqual(cues.length, 2);
+    assert.strictEqual(cues[0].text, 'Hello\nworld &amp; you');
+    assert.strictEqual(cues[0].end, 2.5);
+    assert.strictEqual(cues[1].text, '<i>Again</i>');
+    assert.strictEqual(cues[1].end, 3 + SubtitleParser.DEFAULT_CUE_SECONDS);
+
+    const spanish = assertRoundTrip(smi, { language: 'ESCC' });
+    assert.strictEqual(spanish.length, 1);
+    assert.strictEqual(spanish[0].text, 'Hola');
+});
+
+test('Unsupported and unknown content', () => {
+    assert.throws(() => SubtitleParser.toVtt('\u0000\u0000\u0001º'), Error);
+    assert.throws(() => SubtitleParser.toVtt('hola'), Error);
+});
+
+test('Retiming shifts and scales every cue of a converted file', () => {
+    const vtt = SubtitleParser.toVtt('1\n00:00:01,000 --> 00:00:02,500\nhola\n\n2\n01:00:00,000 --> 01:00:02,000 \nchau\n');
+
+    assert.strictEqual(SubtitleParser.retimeVtt(vtt), vtt);
+    const delayed = SubtitleParser.parse(SubtitleParser.retimeVtt(vtt, { delay: 1.5 })).cues;
+    assert.deepStrictEqual(delayed.map(cue => [cue.start, cue.end]), [[2.5, 4], [3601.5, 3603.5]]);
+
+    // 25 fps subtitles on a 23.976 fps video
+    const ratio = 25 / (24000 / 1001);
+    const converted = SubtitleParser.parse(SubtitleParser.retimeVtt(vtt, { ratio, delay: -1 })).cues;
+    assert.strictEqual(converted[0].start, Math.round((1 * ratio - 1) * 1000) / 1000);
+    assert.strictEqual(converted[1].end, Math.round((3602 * ratio - 1) * 1000) / 1000);
+
+    // Negative times are clamped to zero
+    const early = SubtitleParser.parse(SubtitleParser.retimeVtt(vtt, { delay: -5 })).cues;
+    assert.strictEqual(early[0].start, 0);
+    assert.strictEqual(early[0].text, 'hola');
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const TorznabClient = require('../src/main/catalog/TorznabClient');
+const I18n = require('../src/shared/i18n');
+
+const API_KEY = 'secret';
+
+const CAPS = `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <searching>
+    <search available="yes" supportedParams="q"/>
+    <tv-search available="yes" supportedParams="q,season,ep,imdbid"/>
+    <movie-search available="no" supportedParams="q"/>
+  </searching>
+  <categories>
+    <category id="2000" name="Movies">
+      <subcat id="2040" name="Movies/HD"/>
+    </category>
+    <category id="5000" name="TV">
+      <subcat id="5040" name="TV/HD"/>
+      <subcat id="5070" name="TV/Anime"/>
+    </category>
+    <category id="8000" name="Other"/>
+    <category id="100118" name="Series &amp; Shows"/>
+    <category id="100200" name="Películas 4K"/>
+  </categories>
+</caps>`;
+
+const RESULTS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <item>
+      <title>Show S01E02 1080p</title>
+      <guid>a</guid>
+      <enclosure url="magnet:?xt=urn:btih:aaaa" length="1000" type="application/x-bittorrent"/>
+      <torznab:attr name="seeders" value="12"/>
+      <torznab:attr name="infohash" value="aaaa"/>
+    </item>
+    <item>
+      <title><![CDATA[Show S01E03 & more]]></title>
+      <size>2000</size>
+      <torznab:attr name="seeders" value="3"/>
+    </item>
+  </channel>
+</rss>`;
+
+const requests = [];
+
+// Indexer stub: /api answers caps and searches, /slow/api never answers
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    if (url.pathname === '/slow/api') return;
+
+    res.setHeader('Content-Type', 'application/xml');
+    if (url.searchParams.get('apikey') !== API_KEY) {
+        res.statusCode = 401;
+        res.end('<?xml version="1.0" encoding="UTF-8"?><error code="100" description="Invalid API Key"/>');
+    } else if (url.searchParams.get('t') === 'caps') {
+        res.end(CAPS);
+    } else {
+        res.end(RESULTS);
+    }
+});
+
+let endpoint;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    // The /slow request is still open
+    server.closeAllConnections();
+    server.close();
+});
+
+test('Caps are parsed and mapped to movie and TV categories', async () => {
+    const caps = await TorznabClient.getCaps({ endpoint, apiKey: API_KEY });
+
+    assert.deepStrictEqual(caps.searching['tv-search'], { available: true, params: ['q', 'season', 'ep', 'imdbid'] });
+    assert.strictEqual(caps.searching['movie-search'].available, false);
+    assert.strictEqual(caps.categories.length, 5);
+    assert.strictEqual(caps.categories[3].name, 'Series & Shows');
+
+    assert.strictEqual(TorznabClient.mapCategories(caps, 'movie'), '2000,2040,100200');
+    assert.strictEqual(TorznabClient.mapCategories(caps, 'tv'), '5000,5040,5070,100118');
+    // Without caps the standard categories are used
+    assert.strictEqual(TorznabClient.mapCategories(null, 'tv'), TorznabClient.TV_CATEGORY);
+});
+
+test('A TV search sends the episode and the mapped categories', async () => {
+    const caps = await TorznabClient.getCaps({ endpoint: `${endpoint}/api`, apiKey: API_KEY });
+    const config = { endpoint, apiKey: API_KEY, categories: TorznabClient.mapCategories(caps, 'tv') };
+    const releases = await TorznabClient.search(config, { imdbId: 'tt0944947', season: 1, episode: 2 });
+
+    const params = Object.fromEntries(requests[requests.length - 1].searchParams);
+    assert.deepStrictEqual(params, {
+        t: 'tvsearch',
+        imdbid: '0944947',
+        season: '1',
+        ep: '2',
+        cat: '5000,5040,5070,100118',
+        offset: '0',
+        limit: '50',
+        apikey: API_KEY
+    });
+
+    assert.strictEqual(releases.length, 2);
+    assert.strictEqual(releases[0].seeders, '12');
+    assert.strictEqual(releases[0].link, 'magnet:?xt=urn:btih:aaaa');
+    assert.strictEqual(releases[0].size, '1000');
+    assert.strictEqual(releases[1].title, 'Show S01E03 & more');
+});
+
+test('A wrong API key surfaces the indexer error', async () => {
+    const config = { endpoint, apiKey: 'wrong' };
+    await assert.rejects(TorznabClient.search(config, { query: 'x' }), /Torznab 100: Invalid API Key/);
+    await assert.rejects(TorznabClient.getCaps(config), /Invalid API Key/);
+});
+
+test('An indexer that does not answer times out', async () => {
+    const started = Date.now();
+    await assert.rejects(
+        TorznabClient.search({ endpoint: `${endpoint}/slow`, apiKey: API_KEY, timeoutMs: 200 }, { query: 'x' }),
+        { message: I18n.t('catalog.timeout', { source: 'Torznab' }) }
+    );
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('Missing endpoint', async () => {
+    await assert.rejects(TorznabClient.search({ endpoint: '' }), { message: I18n.t('catalog.torznabNoUrl') });
+});